@@ -0,0 +1,57 @@
+/*
+ * Embed script for single charts. Add a placeholder and this script to any page:
+ *
+ *   <div data-mdg-embed="short-timeline" data-cycles="2021,2025" data-party="MDG"></div>
+ *   <script src="https://torkilv.github.io/mdg-polls/embed.js" async></script>
+ *
+ * Every data-* attribute other than the data-mdg-* ones is passed on as a query parameter
+ * (cycles, party, smoothing, range). The iframe fills the placeholder's width and
+ * resizes to the chart's height.
+ */
+(function () {
+  var RESIZE_MESSAGE = 'mdg-embed-resize';
+  var script = document.currentScript;
+  var base = script ? script.src.replace(/embed\.js(\?.*)?$/, '') : '';
+  var frames = [];
+
+  function embed(placeholder) {
+    var chart = placeholder.getAttribute('data-mdg-embed');
+    var params = [];
+    Array.prototype.forEach.call(placeholder.attributes, function (attribute) {
+      var match = attribute.name.match(/^data-(?!mdg-)(.+)$/);
+      if (match) params.push(encodeURIComponent(match[1]) + '=' + encodeURIComponent(attribute.value));
+    });
+
+    var iframe = document.createElement('iframe');
+    iframe.src = base + 'embed/' + chart + '/' + (params.length ? '?' + params.join('&') : '');
+    iframe.title = placeholder.getAttribute('title') || 'Polling chart';
+    iframe.loading = 'lazy';
+    iframe.style.width = '100%';
+    iframe.style.height = '480px';
+    iframe.style.border = '0';
+    placeholder.innerHTML = '';
+    placeholder.appendChild(iframe);
+    frames.push(iframe);
+  }
+
+  window.addEventListener('message', function (event) {
+    if (!event.data || event.data.type !== RESIZE_MESSAGE) return;
+    frames.forEach(function (iframe) {
+      if (iframe.contentWindow === event.source) iframe.style.height = event.data.height + 'px';
+    });
+  });
+
+  function init() {
+    var placeholders = document.querySelectorAll('[data-mdg-embed]:not([data-mdg-embedded])');
+    Array.prototype.forEach.call(placeholders, function (placeholder) {
+      placeholder.setAttribute('data-mdg-embedded', '');
+      embed(placeholder);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
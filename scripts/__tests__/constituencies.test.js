@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+const {
+  constituencyFromClient,
+  getConstituencyLabel,
+  getCoveredConstituencies,
+  getPollConstituency,
+  normaliseConstituency
+} = require('../lib/constituencies');
+
+// Area texts as polls name them, and the constituency each must count towards
+const AREA_CASES = [
+  ['Oslo', 'Oslo'],
+  ['Bergen', 'Hordaland'],
+  ['Vestland', 'Hordaland'],
+  ['Sør-Trøndelag', 'Sør-Trøndelag'],
+  ['Nord-Trøndelag', 'Nord-Trøndelag'],
+  ['Trøndelag', 'Sør-Trøndelag'],
+  ['Aust-Agder', 'Aust-Agder'],
+  ['Vest-Agder', 'Vest-Agder'],
+  ['Agder', 'Agder'],
+  ['Tromsø', 'Troms'],
+  ['Alta kommune', 'Finnmark'],
+  ['Asker og Bærum', 'Akershus'],
+  ['Møre og Romsdal', 'Møre og Romsdal'],
+  // Names inside other words are not the area
+  ['Altaposten', null],
+  ['Baskerville', null],
+  ['Maskerade', null],
+  ['Hele landet', null],
+  ['', null],
+  [null, null]
+];
+
+// Commissioning outlets, alone or with others, and the constituency they tie a poll to
+const CLIENT_CASES = [
+  ['Bergens Tidende', 'Hordaland'],
+  ['Bergens Tidende / VG', 'Hordaland'],
+  ['NRK / Adresseavisen', 'Sør-Trøndelag'],
+  ['Fædrelandsvennen', 'Vest-Agder'],
+  ['Altaposten', 'Finnmark'],
+  // National outlets place no poll
+  ['Aftenposten', null],
+  ['VG', null],
+  ['NRK', null],
+  [undefined, null]
+];
+
+describe('normaliseConstituency', () => {
+  test.each(AREA_CASES)('%p → %p', (area, expected) => {
+    expect(normaliseConstituency(area)).toBe(expected);
+  });
+});
+
+describe('constituencyFromClient', () => {
+  test.each(CLIENT_CASES)('%p → %p', (client, expected) => {
+    expect(constituencyFromClient(client)).toBe(expected);
+  });
+});
+
+describe('getPollConstituency', () => {
+  test.each([
+    [{ region: 'Oslo', client: 'Bergens Tidende' }, 'Oslo'],
+    [{ area: 'Bergen', client: 'Aftenposten' }, 'Hordaland'],
+    [{ client: 'Aftenposten' }, null],
+    [{ client: 'Stavanger Aftenblad' }, 'Rogaland']
+  ])('%p → %p', (poll, expected) => {
+    expect(getPollConstituency(poll)).toBe(expected);
+  });
+});
+
+describe('merged counties', () => {
+  test.each([
+    ['Agder', 'Agder', ['Aust-Agder', 'Vest-Agder']],
+    ['Hordaland', 'Hordaland/Vestland', ['Hordaland']],
+    ['Vest-Agder', 'Vest-Agder', ['Vest-Agder']]
+  ])('%s is labelled %p and covers %p', (name, label, covers) => {
+    expect(getConstituencyLabel(name)).toBe(label);
+    expect(getCoveredConstituencies(name)).toEqual(covers);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+const { discoverPolls, markDropped, markStored, parseGallupId } = require('../lib/pollDiscovery');
+
+// A discovery state as loadDiscoveryState builds it, so the tests never read or write data/discovery-state.json
+const makeState = (cursor, fields = {}) => ({
+  cursor,
+  seen: new Set([cursor]),
+  dropped: new Map(),
+  missing: new Map(),
+  highestScannedId: cursor,
+  lastProbedAt: null,
+  ...fields
+});
+
+// A site where only the given gallupids exist, and requests for the failing ones throw
+const makeSite = (existing, failing = []) => {
+  const requested = [];
+  const fetchPage = async id => {
+    requested.push(id);
+    if (failing.includes(id)) throw new Error('socket hang up');
+    return existing.includes(id) ? { title: `Poll ${id}` } : null;
+  };
+  return { requested, fetchPage };
+};
+
+const discover = (state, site, options = {}) => discoverPolls(state, {
+  fetchPage: site.fetchPage,
+  fetchFeedIds: async () => [],
+  delayMs: 0,
+  ...options
+});
+
+const foundIds = pages => pages.map(page => page.id);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseGallupId', () => {
+  test.each([
+    ['https://www.pollofpolls.no/?cmd=Maling&gallupid=5240', 5240],
+    ['https://www.pollofpolls.no/?cmd=Maling&gallupid=0815', 815],
+    ['https://www.pollofpolls.no/?cmd=Stortinget', null],
+    [undefined, null]
+  ])('%s', (url, expected) => {
+    expect(parseGallupId(url)).toBe(expected);
+  });
+});
+
+describe('discoverPolls', () => {
+  test('scans past short gaps until maxConsecutiveMisses IDs in a row are missing', async () => {
+    const state = makeState(100);
+    const site = makeSite([101, 102, 110]);
+
+    const pages = await discover(state, site, { maxConsecutiveMisses: 10 });
+
+    expect(foundIds(pages)).toEqual([101, 102, 110]);
+    expect(state.cursor).toBe(110);
+    expect(state.highestScannedId).toBe(120);
+    expect(state.missing.has(105)).toBe(true);
+  });
+
+  test('probes past a long gap once per probeHours', async () => {
+    const state = makeState(100);
+    const site = makeSite([200, 210]);
+    const options = { maxConsecutiveMisses: 10, probeStep: 50 };
+
+    expect(await discover(state, site, options)).toEqual([]);
+    expect(state.highestScannedId).toBe(110);
+
+    // The scan stopped, so the next run probes 50 further IDs and then carries on from the poll it found
+    expect(await discover(state, site, options)).toEqual([]);
+    expect(state.highestScannedId).toBe(160);
+    state.lastProbedAt = new Date(Date.now() - 25 * 3600 * 1000).toISOString();
+    const pages = await discover(state, site, options);
+    expect(foundIds(pages)).toEqual([200, 210]);
+    expect(state.cursor).toBe(210);
+    expect(state.highestScannedId).toBe(220);
+
+    // The probe has run today, so a stopped scan checks nothing more until tomorrow
+    site.requested.length = 0;
+    await discover(state, site, options);
+    expect(site.requested).toEqual([]);
+  });
+
+  test('checks holes near the cursor again once they are due', async () => {
+    const checkedYesterday = new Date(Date.now() - 25 * 3600 * 1000).toISOString();
+    const checkedToday = new Date().toISOString();
+    const state = makeState(100, {
+      highestScannedId: 110,
+      missing: new Map([
+        [95, { checks: 1, lastChecked: checkedYesterday }],
+        [97, { checks: 1, lastChecked: checkedToday }]
+      ])
+    });
+    const site = makeSite([95, 97]);
+
+    const pages = await discover(state, site, { maxConsecutiveMisses: 10 });
+
+    expect(foundIds(pages)).toEqual([95]);
+    expect(state.missing.has(95)).toBe(false);
+    expect(state.missing.get(97)).toEqual({ checks: 1, lastChecked: checkedToday });
+  });
+
+  test('keeps IDs whose request failed as missing, to be checked again', async () => {
+    const state = makeState(100);
+    const site = makeSite([101, 103], [102]);
+
+    const pages = await discover(state, site, { maxConsecutiveMisses: 5 });
+
+    expect(foundIds(pages)).toEqual([101, 103]);
+    expect(state.missing.get(102)).toEqual({ checks: 0, lastChecked: null });
+    expect(state.highestScannedId).toBe(108);
+  });
+
+  test('gives up after maxErrors failed requests', async () => {
+    const state = makeState(100);
+    const site = makeSite([], [101, 102, 103, 104]);
+
+    await discover(state, site, { maxErrors: 2 });
+
+    expect(site.requested).toEqual([101, 102]);
+    expect(state.highestScannedId).toBe(100);
+  });
+
+  test('finds polls named by the feed beyond a stopped scan', async () => {
+    const state = makeState(100, { highestScannedId: 130, lastProbedAt: new Date().toISOString() });
+    const site = makeSite([500]);
+
+    const pages = await discover(state, site, { fetchFeedIds: async () => [100, 500, 500], maxConsecutiveMisses: 10 });
+
+    expect(foundIds(pages)).toEqual([500]);
+    expect(site.requested).toEqual([500, 501, 502, 503, 504, 505, 506, 507, 508, 509, 510]);
+    expect(state.cursor).toBe(500);
+    expect(state.highestScannedId).toBe(510);
+  });
+
+  test('fetches dropped polls again only when the election registry changes', async () => {
+    const state = makeState(100, { highestScannedId: 130, lastProbedAt: new Date().toISOString() });
+    markDropped(state, 90, 'registry-2025');
+    const site = makeSite([90]);
+
+    expect(await discover(state, site, { registryKey: 'registry-2025' })).toEqual([]);
+
+    const pages = await discover(state, site, { registryKey: 'registry-2029' });
+    expect(foundIds(pages)).toEqual([90]);
+    markStored(state, 90);
+    expect(state.seen.has(90)).toBe(true);
+    expect(state.dropped.has(90)).toBe(false);
+  });
+});
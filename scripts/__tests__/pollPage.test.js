@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const path = require('path');
+const { parsePollPage } = require('../lib/pollPage');
+const { parsePollsterTitle } = require('../lib/pollsters');
+
+// Poll pages and what the parser must read from them. They are written to follow the site's layout (results table,
+// mandate calculator link, "Fakta om meningsmålingen" block) rather than saved from it; replace them with pages saved by
+// "npm run capture-poll-page" when the site can be reached, and the failing case shows what the parser gets wrong.
+const FIXTURES = [
+  {
+    file: 'national-norstat-nrk.html',
+    expected: {
+      title: 'pollofpolls.no - Norstat for NRK 13. oktober 2011',
+      date: '2011-10-13',
+      fieldworkStart: '2011-10-03',
+      fieldworkEnd: '2011-10-05',
+      sampleSize: 1000,
+      area: 'Hele landet',
+      scope: 'national',
+      region: null,
+      electionType: 'parliamentary',
+      parties: { A: 35.2, H: 29.1, FrP: 14.8, SV: 5.9, Sp: 5.1, R: 1.6, V: 3.4, KrF: 4.3, MDG: 0.4, Andre: 0.2 },
+      mdgPercentage: 0.4,
+      firm: 'Norstat',
+      client: 'NRK'
+    }
+  },
+  {
+    file: 'regional-oslo.html',
+    expected: {
+      title: 'pollofpolls.no - Opinion for Avisenes Nyhetsbyrå 27. august 2025',
+      date: '2025-08-27',
+      fieldworkStart: '2025-08-19',
+      fieldworkEnd: '2025-08-25',
+      sampleSize: 602,
+      area: 'Oslo',
+      scope: 'regional',
+      region: 'Oslo',
+      electionType: 'parliamentary',
+      parties: { A: 24.9, H: 22.4, FrP: 12.1, SV: 9.8, Sp: 1.2, R: 8.7, V: 6.3, KrF: 2.1, MDG: 9.6, Andre: 2.9 },
+      mdgPercentage: 9.6,
+      firm: 'Opinion',
+      client: 'Avisenes Nyhetsbyrå'
+    }
+  },
+  {
+    file: 'script-fallback.html',
+    expected: {
+      title: 'pollofpolls.no - Respons Analyse for VG 2. oktober 2017',
+      date: '2017-10-02',
+      fieldworkStart: '2017-09-28',
+      fieldworkEnd: '2017-10-02',
+      sampleSize: 1001,
+      area: 'Hele landet',
+      scope: 'national',
+      region: null,
+      electionType: 'parliamentary',
+      parties: { A: 27.8, H: 24.6, FrP: 15.1, SV: 6.2, Sp: 10.4, R: 2.9, V: 4.2, KrF: 4.1, MDG: 3.5, Andre: 1.2 },
+      mdgPercentage: 3.5,
+      firm: 'Respons Analyse',
+      client: 'VG'
+    }
+  },
+  {
+    file: 'results-table-only.html',
+    expected: {
+      title: 'pollofpolls.no - InFact for Nettavisen 1. september 2021',
+      date: '2021-09-01',
+      fieldworkStart: null,
+      fieldworkEnd: null,
+      sampleSize: 1012,
+      area: 'Vestland',
+      scope: 'regional',
+      region: 'Vestland',
+      electionType: null,
+      parties: { A: 22.1, H: 18.4, FrP: 10.9, SV: 11.0, Sp: 12.3, R: 6.8, V: 4.1, KrF: 3.0, MDG: 6.4, Andre: 5.0 },
+      mdgPercentage: 6.4,
+      firm: 'InFact',
+      client: 'Nettavisen'
+    }
+  },
+  {
+    // The change and 2021 election rows, and the previous poll's table, must not replace the poll's own shares
+    file: 'results-table-comparison.html',
+    expected: {
+      title: 'pollofpolls.no - Respons Analyse for Bergens Tidende 14. august 2025',
+      date: '2025-08-14',
+      fieldworkStart: '2025-08-11',
+      fieldworkEnd: '2025-08-13',
+      sampleSize: 800,
+      area: 'Hordaland',
+      scope: 'regional',
+      region: 'Hordaland',
+      electionType: 'parliamentary',
+      parties: { A: 26.4, H: 19.8, FrP: 17.2, SV: 6.1, Sp: 5.0, R: 5.9, V: 4.8, KrF: 4.7, MDG: 5.3, Andre: 4.8 },
+      mdgPercentage: 5.3,
+      firm: 'Respons Analyse',
+      client: 'Bergens Tidende'
+    }
+  },
+  {
+    // No "Område" row: the text names it an Oslo poll. The link's shares differ from the printed table
+    file: 'oslo-text-fallback.html',
+    expected: {
+      title: 'pollofpolls.no - Synovate for Aftenposten 22. august 2011',
+      date: '2011-08-22',
+      sampleSize: 600,
+      area: null,
+      scope: 'regional',
+      region: 'Oslo',
+      parties: { MDG: 4.0, Andre: 1.8 },
+      tableParties: { MDG: 4.2, Andre: 1.6 },
+      mdgPercentage: 4.0,
+      firm: 'Ipsos',
+      client: 'Aftenposten'
+    }
+  },
+  {
+    file: 'local-kommunevalg.html',
+    expected: {
+      title: 'pollofpolls.no - Norstat for NRK 3. september 2019',
+      date: '2019-09-03',
+      fieldworkStart: '2019-08-27',
+      fieldworkEnd: '2019-09-02',
+      sampleSize: 988,
+      area: 'Hele landet',
+      scope: 'national',
+      region: null,
+      electionType: 'local',
+      parties: { A: 23.1, H: 20.4, FrP: 8.0, SV: 6.6, Sp: 14.9, R: 4.3, V: 3.9, KrF: 3.7, MDG: 7.9, Andre: 7.2 },
+      mdgPercentage: 7.9,
+      firm: 'Norstat',
+      client: 'NRK'
+    }
+  }
+];
+
+// Poll titles and the firm/client they must resolve to, including firms that have since rebranded
+const TITLE_CASES = [
+  { title: 'pollofpolls.no - Norstat for NRK 13. oktober 2011', firm: 'Norstat', client: 'NRK' },
+  { title: 'pollofpolls.no - TNS Gallup for TV 2 4. september 2013', firm: 'Verian', client: 'TV2' },
+  { title: 'pollofpolls.no - Kantar TNS for TV2 1. september 2021', firm: 'Verian', client: 'TV2' },
+  { title: 'pollofpolls.no - Synovate for Dagens Næringsliv 20. august 2009', firm: 'Ipsos', client: 'Dagens Næringsliv' },
+  { title: 'pollofpolls.no - InFact for Romerikes Blad / Asker og Bærums Budstikke 2. mai 2019', firm: 'InFact', client: 'Romerikes Blad / Asker og Bærums Budstikke' },
+  { title: 'pollofpolls.no - Opinion for Dagsavisen / FriFagbevegelse / Avisenes Nyhetsbyrå 8. mai 2025', firm: 'Opinion', client: 'Dagsavisen / FriFagbevegelse / Avisenes Nyhetsbyrå' }
+];
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'poll-pages');
+const readFixture = file => fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+const toIsoDate = date => (date ? date.toISOString().split('T')[0] : null);
+
+describe('parsePollPage', () => {
+  test.each(FIXTURES)('reads $file', ({ file, expected }) => {
+    const page = parsePollPage(readFixture(file));
+
+    expect(page).not.toBeNull();
+    expect({
+      ...page,
+      date: toIsoDate(page.date),
+      fieldworkStart: toIsoDate(page.fieldworkStart),
+      fieldworkEnd: toIsoDate(page.fieldworkEnd)
+    }).toMatchObject(expected);
+  });
+
+  test('returns null for a poll that does not exist', () => {
+    expect(parsePollPage(readFixture('not-found.html'))).toBeNull();
+  });
+});
+
+describe('parsePollsterTitle', () => {
+  test.each(TITLE_CASES)('reads $title', ({ title, firm, client }) => {
+    expect(parsePollsterTitle(title)).toEqual({ firm, client });
+  });
+});
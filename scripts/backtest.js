@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { registerTypeScript } = require('./lib/tsModules');
+
+registerTypeScript();
+const { runBacktest } = require('../src/utils/backtest.ts');
+const { applyElectionRegistry } = require('../src/utils/elections.ts');
+const { PARTIES } = require('../src/utils/parties.ts');
+const { SMOOTHING_METHODS } = require('../src/utils/pollAverage.ts');
+
+// Scores the bias correction against past elections for every party and smoothing method, the same
+// report the app's backtest table offers for download, and writes it to data/backtest-report.json.
+// Reads the synced national data, so run "npm run sync-data" first.
+const dataFile = path.join(__dirname, '..', 'public', 'data', 'polling-data.json');
+const registryFile = path.join(__dirname, '..', 'public', 'data', 'elections.json');
+const reportFile = path.join(__dirname, '..', 'data', 'backtest-report.json');
+
+// Reports without their timestamps, to tell whether anything changed
+const withoutTimestamps = reports => JSON.stringify(reports.map(({ generatedAt, ...report }) => report));
+
+function createReports() {
+  const electionData = applyElectionRegistry(
+    JSON.parse(fs.readFileSync(dataFile, 'utf8')),
+    JSON.parse(fs.readFileSync(registryFile, 'utf8'))
+  );
+
+  // Parties without poll shares in the past cycles (every party but MDG, until the polls carry `parties`) are left out
+  return PARTIES.filter(party => party.code !== 'Andre')
+    .flatMap(party => SMOOTHING_METHODS.map(smoothing => runBacktest(electionData, party.code, smoothing)))
+    .filter(report => Object.values(report.meanAbsoluteError).some(error => error !== null));
+}
+
+function run() {
+  console.log('📐 Backtesting the bias correction against past elections...\n');
+
+  try {
+    const reports = createReports();
+    reports
+      .filter(report => report.smoothing === SMOOTHING_METHODS[0])
+      .forEach(({ party, cycles, meanAbsoluteError }) => {
+        const format = value => (value === null ? '-' : value.toFixed(2));
+        console.log(`  ${party}: ${cycles.length} cycles, mean absolute error raw ${format(meanAbsoluteError.raw)}, corrected ${format(meanAbsoluteError.corrected)}, June ${format(meanAbsoluteError.juneBaseline)}`);
+      });
+
+    // Rewriting only on a change keeps the scheduled workflow from committing a new timestamp every run
+    const previous = fs.existsSync(reportFile) ? JSON.parse(fs.readFileSync(reportFile, 'utf8')) : [];
+    if (withoutTimestamps(previous) === withoutTimestamps(reports)) {
+      console.log(`\n✅ ${reportFile} is up to date`);
+      return;
+    }
+
+    fs.writeFileSync(reportFile, JSON.stringify(reports, null, 2));
+    console.log(`\n✅ ${reports.length} reports written to ${reportFile}`);
+  } catch (error) {
+    console.error('❌ Error running the backtest:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { createReports };
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared with the app, which reads the same file in src/utils/embed.ts
+const EMBED_CHARTS = require('../src/embedCharts.json');
+
+const buildDir = path.join(__dirname, '..', 'build');
+const indexFile = path.join(buildDir, 'index.html');
+
+/**
+ * GitHub Pages has no fallback to index.html for unknown paths, so each
+ * /embed/<chart>/ route gets its own copy of the built page. The app reads
+ * the path and renders just that chart.
+ */
+function writeEmbedPages() {
+  if (!fs.existsSync(indexFile)) {
+    console.error('❌ No build found. Run npm run build first:', indexFile);
+    process.exit(1);
+  }
+
+  const html = fs.readFileSync(indexFile, 'utf8');
+
+  EMBED_CHARTS.forEach(chart => {
+    const dir = path.join(buildDir, 'embed', chart);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html);
+    console.log(`📄 Wrote embed/${chart}/index.html`);
+  });
+
+  console.log(`\n✅ ${EMBED_CHARTS.length} embed pages ready; load public/embed.js on a page to use them`);
+}
+
+if (require.main === module) {
+  writeEmbedPages();
+}
+
+module.exports = { EMBED_CHARTS, writeEmbedPages };
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+// Saves a pollofpolls.no poll page as it is served, for the parser tests in scripts/__tests__/pollPage.test.js.
+// Usage: npm run capture-poll-page -- <gallupid> <fixture-name>
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'poll-pages');
+
+async function capturePollPage(gallupId, name) {
+  const url = `https://www.pollofpolls.no/?cmd=Maling&gallupid=${gallupId}`;
+  const response = await axios.get(url, { responseType: 'text' });
+  const file = path.join(FIXTURES_DIR, `${name}.html`);
+  fs.writeFileSync(file, response.data);
+  return file;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [gallupId, name] = process.argv.slice(2);
+  if (!/^\d+$/.test(gallupId || '') || !name) {
+    console.error('Usage: npm run capture-poll-page -- <gallupid> <fixture-name>');
+    process.exit(1);
+  }
+
+  capturePollPage(gallupId, name)
+    .then(file => console.log(`✅ Saved gallupid ${gallupId} to ${file}; add its expected values to the parser tests`))
+    .catch(error => {
+      console.error(`❌ Could not fetch gallupid ${gallupId}:`, error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { capturePollPage };
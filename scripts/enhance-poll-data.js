@@ -1,52 +1,24 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage } = require('./lib/pollPage');
 
 class PollDataEnhancer {
   constructor() {
     this.dataDir = path.join(__dirname, '..', 'data');
     this.dataFile = path.join(this.dataDir, 'polling-data.json');
-    
-    // Norwegian regions/counties for identification
-    this.regions = [
-      'oslo', 'akershus', 'østfold', 'vestfold', 'telemark', 'buskerud',
-      'oppland', 'hedmark', 'vest-agder', 'aust-agder', 'rogaland',
-      'hordaland', 'bergen', 'sogn og fjordane', 'møre og romsdal',
-      'sør-trøndelag', 'trondheim', 'nord-trøndelag', 'nordland',
-      'troms', 'finnmark', 'stavanger', 'kristiansand', 'tromsø',
-      'drammen', 'fredrikstad', 'sarpsborg', 'skien', 'ålesund'
-    ];
   }
 
   async analyzePollScope(pollUrl) {
     try {
       console.log(`Analyzing: ${pollUrl}`);
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      const title = $('title').text().toLowerCase();
-      const pageText = $('body').text().toLowerCase();
-      
-      // Check for "hele landet" (national) indicator
-      if (pageText.includes('hele landet') || title.includes('hele landet')) {
-        return { scope: 'national', region: null };
+      const page = await fetchPollPage(pollUrl);
+      if (!page) {
+        return { scope: 'unknown', region: null };
       }
       
-      // Check for specific regions
-      for (const region of this.regions) {
-        if (pageText.includes(region) || title.includes(region)) {
-          return { 
-            scope: 'regional', 
-            region: region.charAt(0).toUpperCase() + region.slice(1) 
-          };
-        }
-      }
-      
-      // If no clear indicators, mark as unknown
-      return { scope: 'unknown', region: null };
+      return { scope: page.scope, region: page.region };
       
     } catch (error) {
       console.error(`Error analyzing ${pollUrl}:`, error.message);
@@ -1,9 +1,8 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage } = require('./lib/pollPage');
 
 class FinalPollCleanup {
   constructor() {
@@ -13,65 +12,12 @@ class FinalPollCleanup {
 
   async verifyPollScope(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      const pageText = $('body').text().toLowerCase();
-      
-      // Method 1: Check for the "Område" table row (most reliable)
-      let scope = 'unknown';
-      let region = null;
-      
-      $('tr').each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const firstCell = $(cells[0]).text().toLowerCase().trim();
-          const secondCell = $(cells[1]).text().toLowerCase().trim();
-          
-          if (firstCell === 'område' || firstCell === 'area') {
-            if (secondCell.includes('hele landet')) {
-              scope = 'national';
-              region = null;
-            } else {
-              scope = 'regional';
-              region = secondCell.charAt(0).toUpperCase() + secondCell.slice(1);
-            }
-          }
-        }
-      });
-      
-      // Method 2: Check for Oslo-specific indicators in article links
-      if (scope === 'unknown') {
-        if (pageText.includes('oslo-måling') || pageText.includes('oslo måling')) {
-          scope = 'regional';
-          region = 'Oslo';
-        } else if (pageText.includes('hele landet')) {
-          scope = 'national';
-          region = null;
-        }
-      }
-      
-      // Method 3: Check for district-specific patterns in titles/links
-      if (scope === 'unknown') {
-        const regions = ['oslo', 'bergen', 'trondheim', 'stavanger', 'akershus', 'rogaland', 
-                        'hordaland', 'vestland', 'telemark', 'vestfold', 'østfold', 'hedmark', 
-                        'oppland', 'innlandet', 'buskerud', 'viken', 'møre og romsdal', 
-                        'sør-trøndelag', 'trøndelag', 'nord-trøndelag', 'nordland', 'troms', 'finnmark'];
-        
-        for (const regionName of regions) {
-          if (pageText.includes(regionName) && !pageText.includes('hele landet')) {
-            // Check if it's actually about that region specifically
-            const regionCount = (pageText.match(new RegExp(regionName, 'g')) || []).length;
-            if (regionCount > 1) { // Multiple mentions suggest regional focus
-              scope = 'regional';
-              region = regionName.charAt(0).toUpperCase() + regionName.slice(1);
-              break;
-            }
-          }
-        }
+      const page = await fetchPollPage(pollUrl);
+      if (!page) {
+        return { scope: 'unknown', region: null };
       }
       
-      return { scope, region };
+      return { scope: page.scope, region: page.region };
       
     } catch (error) {
       console.error(`Error verifying ${pollUrl}: ${error.message}`);
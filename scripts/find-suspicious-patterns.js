@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getPollIdentity } = require('./lib/pollsters');
 
 const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'public', 'data', 'polling-data.json'), 'utf8'));
 
@@ -18,24 +19,10 @@ Object.entries(data.elections).forEach(([year, election]) => {
   
   election.polls.forEach(poll => {
     const date = poll.date;
-    // Extract media company from pollster
-    let media = 'unknown';
-    const pollster = poll.pollster.toLowerCase();
+    // Commissioning media outlet(s)
+    const media = getPollIdentity(poll).client || 'unknown';
     
-    if (pollster.includes('aftenposten')) media = 'Aftenposten';
-    else if (pollster.includes('vg')) media = 'VG';
-    else if (pollster.includes('tv2')) media = 'TV2';
-    else if (pollster.includes('nrk')) media = 'NRK';
-    else if (pollster.includes('dagbladet')) media = 'Dagbladet';
-    else if (pollster.includes('nettavisen')) media = 'Nettavisen';
-    else if (pollster.includes('amedia')) media = 'Amedia';
-    else if (pollster.includes('bergens tidende')) media = 'Bergens Tidende';
-    else if (pollster.includes('adresseavisen')) media = 'Adresseavisen';
-    else if (pollster.includes('klassekampen')) media = 'Klassekampen';
-    else if (pollster.includes('vårt land')) media = 'Vårt Land';
-    else if (pollster.includes('dagsavisen')) media = 'Dagsavisen';
-    
-    const key = `${date}-${media}`;
+    const key = `${date}|${media}`;
     if (!pollsByDateAndMedia[key]) {
       pollsByDateAndMedia[key] = [];
     }
@@ -50,7 +37,7 @@ Object.entries(data.elections).forEach(([year, election]) => {
   if (suspiciousClusters.length > 0) {
     console.log(`  🚨 Found ${suspiciousClusters.length} suspicious clusters:`);
     suspiciousClusters.forEach(([key, polls]) => {
-      const [date, media] = key.split('-');
+      const [date, media] = key.split('|');
       console.log(`    ${date} - ${media}: ${polls.length} polls`);
       polls.forEach(poll => {
         console.log(`      ${poll.mdgPercentage}% - ${poll.pollster.substring(0, 60)}`);
@@ -75,7 +62,7 @@ Object.entries(data.elections).forEach(([year, election]) => {
     // Group by pollster to see patterns
     const pollsterCounts = {};
     twoPercentPolls.forEach(poll => {
-      const pollster = poll.pollster.split(' - ')[1] || poll.pollster;
+      const pollster = getPollIdentity(poll).firm || poll.pollster;
       pollsterCounts[pollster] = (pollsterCounts[pollster] || 0) + 1;
     });
     
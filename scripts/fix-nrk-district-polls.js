@@ -1,9 +1,8 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage } = require('./lib/pollPage');
 
 class NRKDistrictPollFixer {
   constructor() {
@@ -13,50 +12,12 @@ class NRKDistrictPollFixer {
 
   async verifyNRKPoll(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      // Check for the "Område" table row
-      let scope = 'unknown';
-      let region = null;
-      
-      $('tr').each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const firstCell = $(cells[0]).text().toLowerCase().trim();
-          const secondCell = $(cells[1]).text().toLowerCase().trim();
-          
-          if (firstCell === 'område' || firstCell === 'area') {
-            if (secondCell.includes('hele landet')) {
-              scope = 'national';
-              region = null;
-            } else {
-              scope = 'regional';
-              // Extract region name
-              if (secondCell.includes('oslo')) region = 'Oslo';
-              else if (secondCell.includes('akershus')) region = 'Akershus';
-              else if (secondCell.includes('rogaland')) region = 'Rogaland';
-              else if (secondCell.includes('hordaland')) region = 'Hordaland';
-              else if (secondCell.includes('vestland')) region = 'Vestland';
-              else if (secondCell.includes('telemark')) region = 'Telemark';
-              else if (secondCell.includes('vestfold')) region = 'Vestfold';
-              else if (secondCell.includes('østfold')) region = 'Østfold';
-              else if (secondCell.includes('hedmark')) region = 'Hedmark';
-              else if (secondCell.includes('oppland')) region = 'Oppland';
-              else if (secondCell.includes('innlandet')) region = 'Innlandet';
-              else if (secondCell.includes('buskerud')) region = 'Buskerud';
-              else if (secondCell.includes('viken')) region = 'Viken';
-              else if (secondCell.includes('trøndelag')) region = 'Trøndelag';
-              else if (secondCell.includes('nordland')) region = 'Nordland';
-              else if (secondCell.includes('troms')) region = 'Troms';
-              else if (secondCell.includes('finnmark')) region = 'Finnmark';
-              else region = secondCell.charAt(0).toUpperCase() + secondCell.slice(1);
-            }
-          }
-        }
-      });
+      const page = await fetchPollPage(pollUrl);
+      if (!page) {
+        return { scope: 'unknown', region: null };
+      }
       
-      return { scope, region };
+      return { scope: page.scope, region: page.region };
       
     } catch (error) {
       console.error(`Error verifying ${pollUrl}: ${error.message}`);
@@ -1,9 +1,8 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage } = require('./lib/pollPage');
 
 class OnePercentPollFixer {
   constructor() {
@@ -13,78 +12,14 @@ class OnePercentPollFixer {
 
   async verifyOnePercentPoll(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      const pageText = $('body').text().toLowerCase();
-      
-      // Method 1: Check for the "Område" table row
-      let scope = 'unknown';
-      let region = null;
-      let actualMDGPercentage = null;
-      
-      $('tr').each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const firstCell = $(cells[0]).text().toLowerCase().trim();
-          const secondCell = $(cells[1]).text().toLowerCase().trim();
-          
-          if (firstCell === 'område' || firstCell === 'area') {
-            if (secondCell.includes('hele landet')) {
-              scope = 'national';
-              region = null;
-            } else {
-              scope = 'regional';
-              region = secondCell.charAt(0).toUpperCase() + secondCell.slice(1);
-            }
-          }
-        }
-      });
-      
-      // Method 2: Try to find the actual MDG percentage from the table
-      $('table').each((i, table) => {
-        const $table = $(table);
-        
-        // Look for MDG header
-        let mdgColumnIndex = -1;
-        $table.find('th').each((j, th) => {
-          const headerText = $(th).text().trim();
-          if (headerText === 'MDG' || headerText.toLowerCase().includes('miljøpartiet')) {
-            mdgColumnIndex = j;
-          }
-        });
-        
-        if (mdgColumnIndex >= 0) {
-          // Find the data row with percentages
-          $table.find('tr').each((k, row) => {
-            const cells = $(row).find('td');
-            if (cells.length > mdgColumnIndex) {
-              const cellText = $(cells[mdgColumnIndex]).text().trim();
-              const percentage = parseFloat(cellText.replace('%', '').replace(',', '.'));
-              
-              if (!isNaN(percentage) && percentage > 0) {
-                actualMDGPercentage = percentage;
-              }
-            }
-          });
-        }
-      });
-      
-      // Method 3: Check mandate calculation URLs for MDG percentage
-      if (!actualMDGPercentage) {
-        $('a[href*="MDG="]').each((i, link) => {
-          const href = $(link).attr('href');
-          const mdgMatch = href.match(/MDG=([0-9.]+)/);
-          if (mdgMatch) {
-            const percentage = parseFloat(mdgMatch[1]);
-            if (!isNaN(percentage)) {
-              actualMDGPercentage = percentage;
-            }
-          }
-        });
+      const page = await fetchPollPage(pollUrl);
+      if (!page) {
+        return { scope: 'unknown', region: null, actualMDGPercentage: null };
       }
       
-      return { scope, region, actualMDGPercentage };
+      // The results table is preferred over the mandate calculator links, whose rounding can differ from the printed figures
+      const actualMDGPercentage = page.tableParties.MDG !== undefined ? page.tableParties.MDG : page.mdgPercentage;
+      return { scope: page.scope, region: page.region, actualMDGPercentage };
       
     } catch (error) {
       console.error(`Error verifying ${pollUrl}: ${error.message}`);
@@ -1,61 +1,23 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage } = require('./lib/pollPage');
 
 class PollClassificationFixer {
   constructor() {
     this.dataDir = path.join(__dirname, '..', 'data');
     this.dataFile = path.join(this.dataDir, 'polling-data.json');
-    
-    // Norwegian regions/counties for identification
-    this.regions = [
-      'oslo', 'akershus', 'østfold', 'vestfold', 'telemark', 'buskerud',
-      'oppland', 'hedmark', 'vest-agder', 'aust-agder', 'agder', 'rogaland',
-      'hordaland', 'bergen', 'sogn og fjordane', 'møre og romsdal',
-      'sør-trøndelag', 'trøndelag', 'trondheim', 'nord-trøndelag', 'nordland',
-      'troms', 'finnmark', 'stavanger', 'kristiansand', 'tromsø',
-      'drammen', 'fredrikstad', 'sarpsborg', 'skien', 'ålesund', 'bodø',
-      'molde', 'haugesund', 'sandnes', 'tønsberg', 'moss', 'arendal'
-    ];
   }
 
   async analyzePollScope(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      // Look for the RSS-style title pattern in the page
-      const pageText = $('body').text();
-      const title = $('title').text().toLowerCase();
-      
-      // Method 1: Look for "hele landet" in the page content (this indicates national)
-      if (pageText.includes(', hele landet /') || title.includes('hele landet')) {
-        return { scope: 'national', region: null };
+      const page = await fetchPollPage(pollUrl);
+      if (!page) {
+        return { scope: 'unknown', region: null };
       }
       
-      // Method 2: Look for specific region names in the title pattern
-      for (const region of this.regions) {
-        const regionPattern = new RegExp(`, ${region} /`, 'i');
-        if (regionPattern.test(pageText) || title.includes(region.toLowerCase())) {
-          return { 
-            scope: 'regional', 
-            region: region.charAt(0).toUpperCase() + region.slice(1) 
-          };
-        }
-      }
-      
-      // Method 3: Check the page structure more carefully
-      // Look for table headers or other indicators
-      const tableHeaders = $('th').text().toLowerCase();
-      if (tableHeaders.includes('hele landet')) {
-        return { scope: 'national', region: null };
-      }
-      
-      // If we can't determine, mark as unknown
-      return { scope: 'unknown', region: null };
+      return { scope: page.scope, region: page.region };
       
     } catch (error) {
       console.error(`Error analyzing ${pollUrl}: ${error.message}`);
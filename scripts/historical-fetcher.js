@@ -1,24 +1,26 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
-
-// Norwegian election dates
-const ELECTION_DATES = {
-  2011: new Date('2011-09-12'),
-  2013: new Date('2013-09-09'), 
-  2017: new Date('2017-09-11'),
-  2021: new Date('2021-09-13'),
-  2025: new Date('2025-09-08')
+const { fetchPollPage, formatDate } = require('./lib/pollPage');
+const { createElectionEntry, getDataFile, getElectionDates } = require('./lib/elections');
+
+// Poll ID ranges for the parliamentary cycles (more targeted than scanning everything)
+const PARLIAMENTARY_RANGES = {
+  2025: { start: 5240, end: 5600 }, // 2023-2025 polls
+  2021: { start: 4041, end: 4532 }, // 2019-2021 polls
+  2017: { start: 2900, end: 3315 }, // 2015-2017 polls  
+  2013: { start: 1614, end: 2110 }, // 2011-2013 polls
 };
 
 class HistoricalFetcher {
-  constructor() {
+  // type is 'parliamentary' (stortingsvalg) or 'local' (kommune- og fylkestingsvalg)
+  constructor(type = 'parliamentary') {
+    this.type = type;
+    this.electionDates = getElectionDates(type);
     this.baseUrl = 'https://www.pollofpolls.no';
     this.dataDir = path.join(__dirname, '..', 'data');
-    this.dataFile = path.join(this.dataDir, 'polling-data.json');
+    this.dataFile = getDataFile(type);
     
     // Ensure data directory exists
     if (!fs.existsSync(this.dataDir)) {
@@ -28,115 +30,26 @@ class HistoricalFetcher {
 
   async fetchPollDetails(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      // Extract poll date from the page - try multiple methods
-      let pollDate = null;
-      
-      // Method 1: Look for date in blockquote
-      const dateText = $('blockquote').first().text();
-      const dateMatch1 = dateText.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})/);
-      
-      if (dateMatch1) {
-        const [, day, month, year] = dateMatch1;
-        pollDate = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
-      }
+      const page = await fetchPollPage(pollUrl);
       
-      // Method 2: Look for Norwegian date format (e.g., "27. august 2025")
-      if (!pollDate) {
-        const norwegianMonths = {
-          'januar': '01', 'februar': '02', 'mars': '03', 'april': '04',
-          'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
-          'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
-        };
-        
-        const pageText = $('body').text();
-        const norwegianDateMatch = pageText.match(/(\d{1,2})\.\s*(\w+)\s*(\d{4})/i);
-        
-        if (norwegianDateMatch) {
-          const [, day, monthName, year] = norwegianDateMatch;
-          const monthNum = norwegianMonths[monthName.toLowerCase()];
-          if (monthNum) {
-            pollDate = new Date(`${year}-${monthNum}-${day.padStart(2, '0')}`);
-          }
-        }
+      // Poll does not exist
+      if (!page) {
+        return null;
       }
-      
-      // Method 3: Extract from title or other elements
-      if (!pollDate) {
-        const title = $('title').text();
-        const titleDateMatch = title.match(/(\d{1,2})\.\s*(\w+)\s*(\d{4})/i);
-        if (titleDateMatch) {
-          const norwegianMonths = {
-            'januar': '01', 'februar': '02', 'mars': '03', 'april': '04',
-            'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
-            'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
-          };
-          const [, day, monthName, year] = titleDateMatch;
-          const monthNum = norwegianMonths[monthName.toLowerCase()];
-          if (monthNum) {
-            pollDate = new Date(`${year}-${monthNum}-${day.padStart(2, '0')}`);
-          }
-        }
-      }
-
-      // Extract MDG percentage from URL parameters or page content
-      let mdgPercentage = null;
-      
-      // Method 1: Check URL parameters in mandate calculation links
-      const mandateLinks = $('a[href*="MDG="]');
-      mandateLinks.each((i, element) => {
-        const href = $(element).attr('href');
-        const mdgMatch = href.match(/MDG=([0-9.]+)/);
-        if (mdgMatch && !mdgPercentage) {
-          mdgPercentage = parseFloat(mdgMatch[1]);
-        }
-      });
-
-      // Method 2: Check script tags for MDG data
-      if (!mdgPercentage) {
-        $('script').each((i, element) => {
-          const scriptContent = $(element).html();
-          if (scriptContent && scriptContent.includes('MDG=')) {
-            const mdgMatch = scriptContent.match(/MDG=([0-9.]+)/);
-            if (mdgMatch) {
-              mdgPercentage = parseFloat(mdgMatch[1]);
-            }
-          }
-        });
-      }
-
-      // Extract pollster from title
-      const title = $('title').text() || '';
-      const pollsterMatch = title.match(/^([^,]+)/);
-      const pollster = pollsterMatch ? pollsterMatch[1].trim() : 'Unknown';
-
-      // Extract scope (national/regional) from the "Område" field in the facts table
-      let scope = 'unknown';
-      const factTable = $('h2:contains("Fakta om meningsmålingen")').next('div').find('table');
-      factTable.find('tr').each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const label = $(cells[0]).text().trim();
-          const value = $(cells[1]).text().trim();
-          
-          if (label === 'Område') {
-            if (value === 'Hele landet') {
-              scope = 'national';
-            } else {
-              scope = 'regional';
-            }
-          }
-        }
-      });
 
       return {
-        date: pollDate,
-        mdgPercentage,
-        pollster,
+        date: page.date,
+        fieldworkStart: formatDate(page.fieldworkStart),
+        fieldworkEnd: formatDate(page.fieldworkEnd),
+        sampleSize: page.sampleSize || undefined,
+        mdgPercentage: page.mdgPercentage,
+        parties: page.parties,
+        pollster: page.title,
+        firm: page.firm,
+        client: page.client,
         url: pollUrl,
-        scope: scope
+        scope: page.scope,
+        electionType: page.electionType
       };
     } catch (error) {
       console.error(`Error fetching poll details from ${pollUrl}:`, error.message);
@@ -150,7 +63,7 @@ class HistoricalFetcher {
   }
 
   async fetchHistoricalPolls(electionYear, startId = 1, endId = 6000) {
-    const electionDate = ELECTION_DATES[electionYear];
+    const electionDate = this.electionDates[electionYear];
     if (!electionDate) return [];
 
     console.log(`Fetching historical polls for ${electionYear} election (IDs ${startId}-${endId})`);
@@ -169,7 +82,10 @@ class HistoricalFetcher {
         const pollUrl = `${this.baseUrl}/?cmd=Maling&gallupid=${batchId}`;
         const pollDetails = await this.fetchPollDetails(pollUrl);
         
-        if (pollDetails && pollDetails.date && pollDetails.mdgPercentage !== null) {
+        // Polls for the other election type share the ID sequence, so skip them
+        const otherType = pollDetails && pollDetails.electionType && pollDetails.electionType !== this.type;
+        
+        if (pollDetails && !otherType && pollDetails.date && pollDetails.mdgPercentage !== null) {
           const daysUntilElection = this.calculateDaysUntilElection(pollDetails.date, electionDate);
           
           // Only include polls within 24 months before election and after previous election
@@ -180,7 +96,13 @@ class HistoricalFetcher {
             polls.push({
               date: pollDetails.date.toISOString().split('T')[0],
               mdgPercentage: pollDetails.mdgPercentage,
+              parties: pollDetails.parties,
+              fieldworkStart: pollDetails.fieldworkStart,
+              fieldworkEnd: pollDetails.fieldworkEnd,
+              sampleSize: pollDetails.sampleSize,
               pollster: pollDetails.pollster,
+              firm: pollDetails.firm,
+              client: pollDetails.client,
               daysUntilElection: daysUntilElection,
               url: pollDetails.url,
               scope: pollDetails.scope
@@ -223,20 +145,46 @@ class HistoricalFetcher {
     }
   }
 
+  // Poll IDs grow with publication date, so a local cycle's IDs lie between the parliamentary
+  // polls published just before its 24-month window and just after its election day
+  estimateLocalRanges() {
+    const parliamentaryFile = getDataFile('parliamentary');
+    if (!fs.existsSync(parliamentaryFile)) return {};
+
+    const knownPolls = [];
+    Object.values(JSON.parse(fs.readFileSync(parliamentaryFile, 'utf8')).elections).forEach(election => {
+      election.polls.forEach(poll => {
+        const urlMatch = poll.url.match(/gallupid=(\d+)/);
+        if (urlMatch) {
+          knownPolls.push({ id: parseInt(urlMatch[1]), date: new Date(poll.date) });
+        }
+      });
+    });
+
+    const ranges = {};
+    Object.entries(this.electionDates).forEach(([year, electionDate]) => {
+      const windowStart = new Date(electionDate);
+      windowStart.setMonth(windowStart.getMonth() - 24);
+
+      const before = knownPolls.filter(poll => poll.date <= windowStart).map(poll => poll.id);
+      const after = knownPolls.filter(poll => poll.date >= electionDate).map(poll => poll.id);
+      if (before.length > 0 && after.length > 0) {
+        ranges[year] = { start: Math.max(...before), end: Math.min(...after) };
+      } else {
+        console.log(`⚠️  Cannot place ${year} between known polls, skipping`);
+      }
+    });
+    return ranges;
+  }
+
   async run() {
     try {
-      console.log('Starting historical poll fetcher...');
+      console.log(`Starting historical poll fetcher (${this.type} elections)...`);
       
       // Load existing data
       const existingData = await this.loadExistingData();
       
-      // Define ID ranges for different election periods (more targeted)
-      const electionRanges = {
-        2025: { start: 5240, end: 5600 }, // 2023-2025 polls
-        2021: { start: 4041, end: 4532 }, // 2019-2021 polls
-        2017: { start: 2900, end: 3315 }, // 2015-2017 polls  
-        2013: { start: 1614, end: 2110 }, // 2011-2013 polls
-      };
+      const electionRanges = this.type === 'local' ? this.estimateLocalRanges() : PARLIAMENTARY_RANGES;
       
       // Process each election year
       for (const [electionYear, range] of Object.entries(electionRanges)) {
@@ -251,10 +199,7 @@ class HistoricalFetcher {
         const polls = await this.fetchHistoricalPolls(parseInt(electionYear), range.start, range.end);
         
         if (polls.length > 0) {
-          existingData.elections[electionYear] = {
-            electionDate: ELECTION_DATES[electionYear].toISOString().split('T')[0],
-            polls: polls
-          };
+          existingData.elections[electionYear] = createElectionEntry(electionYear, polls, this.type);
           
           console.log(`✓ Found ${polls.length} historical MDG polls for ${electionYear} election`);
           
@@ -276,7 +221,7 @@ class HistoricalFetcher {
 
 // Run if called directly
 if (require.main === module) {
-  const fetcher = new HistoricalFetcher();
+  const fetcher = new HistoricalFetcher(process.argv.includes('--local') ? 'local' : 'parliamentary');
   fetcher.run();
 }
 
@@ -0,0 +1,96 @@
+// The 19 constituencies (valgdistrikter) used in Norwegian parliamentary elections,
+// and how regional polls are matched to them. Polls name their area in many ways:
+// the "Område" row, a merged county such as Vestland, a city, or only the local
+// newspaper that commissioned them, so each constituency lists all of these.
+// Vestland and Trøndelag polls count towards the constituency holding most of the merged county's voters.
+
+const CONSTITUENCIES = [
+  { name: 'Østfold', areas: ['østfold'], outlets: ['fredriksstad blad', 'moss avis', 'sarpsborg arbeiderblad', 'smaalenenes avis', 'halden arbeiderblad'] },
+  { name: 'Akershus', areas: ['akershus', 'bærum', 'asker', 'lillestrøm'], outlets: ['romerikes blad', 'østlandets blad', 'asker og bærums budstikke', 'indre akershus blad', 'eidsvoll ullensaker blad', 'raumnes', 'varingen'] },
+  { name: 'Oslo', areas: ['oslo'], outlets: [] },
+  { name: 'Hedmark', areas: ['hedmark', 'hamar'], outlets: ['hamar arbeiderblad', 'østlendingen', 'glåmdalen'] },
+  { name: 'Oppland', areas: ['oppland', 'lillehammer', 'gjøvik'], outlets: ['gudbrandsdølen dagningen', 'oppland arbeiderblad'] },
+  { name: 'Buskerud', areas: ['buskerud', 'drammen'], outlets: ['drammens tidende', 'ringerikes blad', 'ring blad', 'laagendalsposten', 'laagensdalsposten', 'hallingdølen', 'bygdeposten'] },
+  { name: 'Vestfold', areas: ['vestfold', 'tønsberg', 'sandefjord', 'larvik'], outlets: ['tønsbergs blad', 'sandefjords blad', 'gjengangeren', 'jarlsberg', 'østlands-posten'] },
+  { name: 'Telemark', areas: ['telemark', 'skien', 'porsgrunn'], outlets: ['telemarksavisa', 'varden', 'porsgrunns dagblad', 'rjukan arbeiderblad', 'kragerø blad vestmar', 'bø blad'] },
+  { name: 'Aust-Agder', areas: ['aust-agder', 'arendal'], outlets: ['agderposten'] },
+  { name: 'Vest-Agder', areas: ['vest-agder', 'kristiansand'], outlets: ['fædrelandsvennen', 'avisa kristiansand', 'kristiansandavis'] },
+  { name: 'Rogaland', areas: ['rogaland', 'stavanger', 'sandnes', 'haugesund'], outlets: ['stavanger aftenblad', 'haugesunds avis', 'sandnesposten', 'ra stavanger', 'ryfylke'] },
+  { name: 'Hordaland', label: 'Hordaland/Vestland', areas: ['hordaland', 'vestland', 'bergen'], outlets: ['bergens tidende', 'bergensavisen', 'sunnhordland', 'kvinnheringen', 'marsteinen', 'øyposten'] },
+  { name: 'Sogn og Fjordane', areas: ['sogn og fjordane'], outlets: ['firda', 'sogn avis', 'firdaposten', 'fjordingen', 'fjordenes tidende', 'fjordabladet'] },
+  { name: 'Møre og Romsdal', areas: ['møre og romsdal', 'ålesund', 'molde', 'kristiansund'], outlets: ['sunnmørsposten', 'tidens krav', 'romsdals budstikke', 'aura avis', 'vikebladet vestposten'] },
+  { name: 'Sør-Trøndelag', label: 'Sør-Trøndelag/Trøndelag', areas: ['sør-trøndelag', 'trondheim', 'trøndelag'], outlets: ['adresseavisen', 'adressa', 'nidaros'] },
+  { name: 'Nord-Trøndelag', areas: ['nord-trøndelag'], outlets: ['trønder-avisa', 'namdalsavisa'] },
+  { name: 'Nordland', areas: ['nordland', 'bodø'], outlets: ['avisa nordland', 'lofotposten', 'rana blad', 'fremover', 'helgelendingen', 'helgeland arbeiderblad', 'helgelands blad', 'saltenposten', 'brønnøysunds avis'] },
+  { name: 'Troms', areas: ['troms', 'tromsø', 'harstad'], outlets: ['nordlys', 'itromsø', 'harstad tidende', 'troms folkeblad', 'framtid i nord', 'iharstad'] },
+  { name: 'Finnmark', areas: ['finnmark', 'alta'], outlets: ['ifinnmark', 'finnmarken', 'finnmark dagblad', 'altaposten', 'kronstadposten'] }
+];
+
+// Merged counties whose former counties are close in size are kept as their own group, covering each of them
+const MERGED_COUNTIES = [
+  { name: 'Agder', areas: ['agder'], covers: ['Aust-Agder', 'Vest-Agder'] }
+];
+
+const findConstituency = (predicate) => CONSTITUENCIES.concat(MERGED_COUNTIES).find(predicate) || null;
+
+// Area names match as whole words ("Alta", not "Altaposten"); Norwegian letters count as part of a word
+const wordPattern = area => new RegExp(`(?:^|[^a-z0-9æøå])${area}(?=$|[^a-z0-9æøå])`);
+
+// Longest names first, so "Sør-Trøndelag" wins over "Trøndelag" and "Aust-Agder" over "Agder"
+const AREA_MATCHERS = CONSTITUENCIES.concat(MERGED_COUNTIES)
+  .flatMap(constituency => constituency.areas.map(area => ({ area, pattern: wordPattern(area), constituency })))
+  .sort((a, b) => b.area.length - a.area.length);
+
+/**
+ * Canonical constituency name for an area such as "Vestland", "Bergen" or
+ * "Sør-Trøndelag", "Agder" for the merged county, or null when the text names none.
+ */
+function normaliseConstituency(text) {
+  if (!text) return null;
+
+  const lowerText = text.toLowerCase();
+  const match = AREA_MATCHERS.find(({ pattern }) => pattern.test(lowerText));
+  return match ? match.constituency.name : null;
+}
+
+// Constituency of the first commissioning outlet that is tied to one, e.g. "Bergens Tidende / VG" → Hordaland
+function constituencyFromClient(client) {
+  if (!client) return null;
+
+  for (const outlet of client.toLowerCase().split('/').map(part => part.trim())) {
+    const constituency = CONSTITUENCIES.find(({ outlets }) => outlets.includes(outlet));
+    if (constituency) return constituency.name;
+  }
+  return null;
+}
+
+/**
+ * Constituency a regional poll covers: the region or area read from the poll
+ * page when present, otherwise the outlet that commissioned it.
+ */
+function getPollConstituency(poll) {
+  return normaliseConstituency(poll.region)
+    || normaliseConstituency(poll.area)
+    || constituencyFromClient(poll.client);
+}
+
+function getConstituencyLabel(name) {
+  const constituency = findConstituency(entry => entry.name === name);
+  return constituency ? (constituency.label || constituency.name) : name;
+}
+
+// The constituencies a group's polls speak for: both Agder constituencies for "Agder", otherwise just itself
+function getCoveredConstituencies(name) {
+  const merged = MERGED_COUNTIES.find(entry => entry.name === name);
+  return merged ? merged.covers : [name];
+}
+
+module.exports = {
+  CONSTITUENCIES,
+  MERGED_COUNTIES,
+  normaliseConstituency,
+  constituencyFromClient,
+  getPollConstituency,
+  getConstituencyLabel,
+  getCoveredConstituencies
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// Election calendar and results, read from data/elections.json.
+// Adding a cycle or an actual result is an edit to that file only.
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const REGISTRY_FILE = path.join(DATA_DIR, 'elections.json');
+
+// Polls for each election type are kept in their own file, keyed by election year
+const DATA_FILES = {
+  parliamentary: 'polling-data.json',
+  local: 'local-polling-data.json'
+};
+
+let cachedElections = null;
+
+function loadElections() {
+  if (!cachedElections) {
+    const registry = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    cachedElections = registry.elections
+      .map(election => ({ ...election, date: new Date(election.date) }))
+      .sort((a, b) => a.date - b.date);
+  }
+  return cachedElections;
+}
+
+function getElections(type = 'parliamentary') {
+  return loadElections().filter(election => election.type === type);
+}
+
+function getElection(year, type = 'parliamentary') {
+  return getElections(type).find(election => election.year === Number(year)) || null;
+}
+
+// { 2013: Date, 2017: Date, ... } for one election type
+function getElectionDates(type = 'parliamentary') {
+  const dates = {};
+  getElections(type).forEach(election => {
+    dates[election.year] = election.date;
+  });
+  return dates;
+}
+
+// The latest `count` elections that have been held, plus any that are scheduled
+function getRecentElectionYears(count = 2, type = 'parliamentary', now = new Date()) {
+  const elections = getElections(type);
+  const held = elections.filter(election => election.date <= now).slice(-count);
+  const upcoming = elections.filter(election => election.date > now);
+  return held.concat(upcoming).map(election => election.year);
+}
+
+function getDataFile(type = 'parliamentary') {
+  return path.join(DATA_DIR, DATA_FILES[type]);
+}
+
+// An election entry for a polling data file, with MDG's result when the election has been held
+function createElectionEntry(year, polls, type = 'parliamentary') {
+  const election = getElection(year, type);
+  if (!election) {
+    throw new Error(`No ${type} election ${year} in ${REGISTRY_FILE}`);
+  }
+
+  const entry = {
+    electionDate: election.date.toISOString().split('T')[0],
+    polls
+  };
+  if (election.results && election.results.MDG !== undefined) {
+    entry.actualResult = election.results.MDG;
+  }
+  return entry;
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  DATA_FILES,
+  getDataFile,
+  loadElections,
+  getElections,
+  getElection,
+  getElectionDates,
+  getRecentElectionYears,
+  createElectionEntry
+};
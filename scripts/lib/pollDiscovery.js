@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const Parser = require('rss-parser');
+const { fetchPollPage } = require('./pollPage');
+
+// Finds new pollofpolls.no polls by combining the RSS feed with a scan of gallupids.
+// Progress is kept in data/discovery-state.json so each run carries on where the last one stopped:
+// - cursor: the highest gallupid known to exist
+// - highestScannedId: the highest gallupid checked; the forward scan starts after it
+// - seen: gallupids whose polls are stored, so they are never fetched again
+// - dropped: gallupids of polls the caller didn't keep, with the election registry they were dropped under;
+//   they are fetched again once the registry changes, since a new election can make them fit
+// - missing: gallupids that did not exist when last checked, or could not be checked
+// - lastProbedAt: when the forward scan last stepped past a long run of missing IDs
+// IDs are sometimes filled in late, so missing IDs not far below the cursor, and those just above it,
+// ("holes") are checked again once a day.
+
+const STATE_FILE = path.join(__dirname, '..', '..', 'data', 'discovery-state.json');
+const RSS_URL = 'https://www.pollofpolls.no/rss_maling.php';
+
+const DEFAULT_OPTIONS = {
+  maxChecks: 500, // Poll pages fetched per run, across the feed, holes and the forward scan
+  maxConsecutiveMisses: 30, // The forward scan stops after this many missing IDs in a row
+  probeStep: 100, // Once stopped, the scan checks this many further IDs each probeHours, to get past long gaps
+  probeHours: 24,
+  holeWindow: 300, // Missing IDs up to this far below the cursor are checked again
+  holeRescanHours: 24,
+  maxErrors: 10, // Failed requests before the run gives up; IDs that failed are checked again next run
+  delayMs: 100 // Between requests, to be respectful to the server
+};
+
+const pollUrl = id => `https://www.pollofpolls.no/?cmd=Maling&gallupid=${id}`;
+
+const parseGallupId = url => {
+  const match = /gallupid=(\d+)/.exec(url || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// "5240-5310" style ranges keep the seen list short, since most IDs exist
+function toRanges(ids) {
+  const ranges = [];
+  [...ids].sort((a, b) => a - b).forEach(id => {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  });
+  return ranges.map(([start, end]) => (start === end ? String(start) : `${start}-${end}`));
+}
+
+function fromRanges(ranges) {
+  const ids = new Set();
+  ranges.forEach(range => {
+    const [start, end = start] = range.split('-').map(Number);
+    for (let id = start; id <= end; id++) ids.add(id);
+  });
+  return ids;
+}
+
+// Reads the state file; knownIds are the gallupids of polls already in the data, which are always seen.
+// Without a state file, the gaps between known IDs just below the highest one start out as holes.
+function loadDiscoveryState(knownIds, options = {}) {
+  const { holeWindow } = { ...DEFAULT_OPTIONS, ...options };
+  const seen = new Set(knownIds);
+  const cursor = knownIds.reduce((highest, id) => Math.max(highest, id), 0);
+  const state = { cursor, seen, dropped: new Map(), missing: new Map(), highestScannedId: cursor, lastProbedAt: null };
+
+  if (!fs.existsSync(STATE_FILE)) {
+    for (let id = Math.max(1, cursor - holeWindow); id < cursor; id++) {
+      if (!seen.has(id)) state.missing.set(id, { checks: 0, lastChecked: null });
+    }
+    return state;
+  }
+
+  const saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  fromRanges(saved.seen || []).forEach(id => seen.add(id));
+  Object.entries(saved.dropped || {}).forEach(([registryKey, ranges]) => {
+    fromRanges(ranges).forEach(id => {
+      if (!seen.has(id)) state.dropped.set(id, registryKey);
+    });
+  });
+  Object.entries(saved.missing || {}).forEach(([id, entry]) => {
+    if (!seen.has(Number(id)) && !state.dropped.has(Number(id))) state.missing.set(Number(id), entry);
+  });
+  state.cursor = Math.max(cursor, saved.cursor || 0);
+  state.highestScannedId = Math.max(state.cursor, saved.highestScannedId || 0);
+  state.lastProbedAt = saved.lastProbedAt || null;
+  return state;
+}
+
+function saveDiscoveryState(state) {
+  const missing = {};
+  [...state.missing.keys()].sort((a, b) => a - b).forEach(id => {
+    missing[id] = state.missing.get(id);
+  });
+  const dropped = {};
+  state.dropped.forEach((registryKey, id) => {
+    (dropped[registryKey] = dropped[registryKey] || []).push(id);
+  });
+  Object.keys(dropped).forEach(registryKey => {
+    dropped[registryKey] = toRanges(dropped[registryKey]);
+  });
+  const data = {
+    cursor: state.cursor,
+    highestScannedId: state.highestScannedId,
+    lastProbedAt: state.lastProbedAt,
+    seen: toRanges(state.seen),
+    dropped,
+    missing
+  };
+  fs.writeFileSync(STATE_FILE, JSON.stringify(data, null, 2));
+  console.log(`Discovery state saved to ${STATE_FILE}`);
+}
+
+// gallupids linked from the RSS feed; a feed that can't be read leaves the scan to find the polls
+async function fetchFeedIds() {
+  try {
+    const feed = await new Parser().parseURL(RSS_URL);
+    return feed.items.map(item => parseGallupId(item.link)).filter(id => id !== null);
+  } catch (error) {
+    console.warn('⚠️  Could not read the RSS feed, relying on the ID scan:', error.message);
+    return [];
+  }
+}
+
+// The caller reports what became of each page discoverPolls returned: stored polls are never fetched again,
+// dropped ones only once the election registry (registryKey) is no longer the one they were dropped under
+function markStored(state, id) {
+  state.seen.add(id);
+  state.dropped.delete(id);
+}
+
+function markDropped(state, id, registryKey) {
+  state.dropped.set(id, registryKey);
+}
+
+/**
+ * Checks, in order, dropped IDs from an older election registry, the feed's IDs
+ * that haven't been seen or dropped, holes that are due for another check, and
+ * IDs above highestScannedId until maxConsecutiveMisses in a row above the cursor
+ * are missing. A scan stopped that way steps probeStep IDs further each probeHours.
+ * Updates the state in place and returns the parsed pages, with their gallupid,
+ * of every poll found; the caller keeps them with markStored or markDropped.
+ */
+async function discoverPolls(state, options = {}) {
+  const {
+    maxChecks, maxConsecutiveMisses, probeStep, probeHours, holeWindow, holeRescanHours, maxErrors, delayMs
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const fetchPage = options.fetchPage || (id => fetchPollPage(pollUrl(id)));
+  const fetchFeed = options.fetchFeedIds || fetchFeedIds;
+  const { registryKey = null } = options;
+  const now = new Date();
+  const pages = [];
+  let checks = 0;
+  let errors = 0;
+
+  // Returns true if the poll exists, false if it doesn't and null if the request failed
+  const check = async id => {
+    checks++;
+    let page;
+    try {
+      page = await fetchPage(id);
+    } catch (error) {
+      errors++;
+      console.error(`  - Poll ID ${id}: Request failed (${error.message})`);
+      if (!state.missing.has(id)) state.missing.set(id, { checks: 0, lastChecked: null });
+      return null;
+    } finally {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    if (!page) {
+      state.dropped.delete(id);
+      const entry = state.missing.get(id) || { checks: 0 };
+      state.missing.set(id, { checks: entry.checks + 1, lastChecked: now.toISOString() });
+      return false;
+    }
+
+    state.missing.delete(id);
+    state.dropped.delete(id);
+    state.cursor = Math.max(state.cursor, id);
+    pages.push({ ...page, id, url: pollUrl(id) });
+    return true;
+  };
+  const canCheck = () => checks < maxChecks && errors < maxErrors;
+  const isKnown = id => state.seen.has(id) || state.dropped.has(id);
+
+  // Polls dropped under another registry may belong to an election added since, newest first
+  const recheckIds = [...state.dropped.entries()]
+    .filter(([, droppedUnder]) => droppedUnder !== registryKey)
+    .map(([id]) => id)
+    .sort((a, b) => b - a);
+  if (recheckIds.length > 0) console.log(`🗳️  ${recheckIds.length} dropped poll IDs to check against the changed election registry`);
+  for (const id of recheckIds) {
+    if (!canCheck()) break;
+    await check(id);
+  }
+
+  // The feed names IDs directly, so it finds polls past a long run of missing IDs
+  const feedIds = [...new Set(await fetchFeed())].filter(id => !isKnown(id)).sort((a, b) => a - b);
+  console.log(`📰 RSS feed: ${feedIds.length} unseen poll IDs`);
+  for (const id of feedIds) {
+    if (!canCheck()) break;
+    await check(id);
+  }
+
+  // Holes near the cursor that haven't been checked in the last holeRescanHours. Probed IDs further
+  // above it are left to the next probe, so a long gap doesn't use up the checks every day
+  const rescanBefore = now.getTime() - holeRescanHours * 3600 * 1000;
+  const holes = [...state.missing.entries()]
+    .filter(([id]) => id >= state.cursor - holeWindow && id <= Math.min(state.highestScannedId, state.cursor + maxConsecutiveMisses))
+    .filter(([, entry]) => !entry.lastChecked || new Date(entry.lastChecked).getTime() < rescanBefore)
+    .map(([id]) => id)
+    .sort((a, b) => a - b);
+  console.log(`🕳️  ${holes.length} holes due for another check`);
+  for (const id of holes) {
+    if (!canCheck()) break;
+    await check(id);
+  }
+
+  // Forward from the furthest ID checked, skipping IDs already found. Everything between the cursor and
+  // highestScannedId is missing, so those misses count towards the limit. Once it is reached, the scan
+  // only goes on as a probe of probeStep IDs every probeHours, which also finds polls the feed missed.
+  // When the feed has moved the cursor past highestScannedId, the scan carries on from the cursor
+  state.highestScannedId = Math.max(state.highestScannedId, state.cursor);
+  let consecutiveMisses = state.highestScannedId - state.cursor;
+  let probeLeft = 0;
+  const probeDue = !state.lastProbedAt || new Date(state.lastProbedAt).getTime() < now.getTime() - probeHours * 3600 * 1000;
+  if (consecutiveMisses >= maxConsecutiveMisses && probeDue && canCheck()) {
+    probeLeft = probeStep;
+    state.lastProbedAt = now.toISOString();
+    console.log(`🔭 Probing ${probeStep} IDs past ${state.highestScannedId}, ${consecutiveMisses} IDs after the cursor`);
+  }
+  for (let id = state.highestScannedId + 1; (consecutiveMisses < maxConsecutiveMisses || probeLeft > 0) && canCheck(); id++) {
+    probeLeft = Math.max(0, probeLeft - 1);
+    if (isKnown(id)) {
+      consecutiveMisses = 0;
+      probeLeft = 0;
+      state.highestScannedId = Math.max(state.highestScannedId, id);
+      continue;
+    }
+    const found = await check(id);
+    if (found !== null) {
+      state.highestScannedId = Math.max(state.highestScannedId, id);
+      consecutiveMisses = found ? 0 : consecutiveMisses + 1;
+      if (found) probeLeft = 0;
+    }
+  }
+
+  // IDs that have fallen below the hole window are not checked again, so they are dropped
+  state.missing.forEach((entry, id) => {
+    if (id < state.cursor - holeWindow) state.missing.delete(id);
+  });
+
+  if (errors >= maxErrors) {
+    console.warn(`⚠️  Stopped after ${errors} failed requests; the rest is checked next run`);
+  } else if (checks >= maxChecks) {
+    console.warn(`⚠️  Stopped after ${checks} checks; the scan continues from ID ${state.highestScannedId + 1} next run`);
+  }
+  console.log(`🔎 Checked ${checks} IDs, found ${pages.length} polls, cursor at ${state.cursor}`);
+  return pages;
+}
+
+module.exports = {
+  STATE_FILE,
+  RSS_URL,
+  parseGallupId,
+  loadDiscoveryState,
+  saveDiscoveryState,
+  discoverPolls,
+  markStored,
+  markDropped
+};
@@ -0,0 +1,293 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { normaliseClient, normaliseFirm, parsePollsterTitle } = require('./pollsters');
+
+// Shared parser for pollofpolls.no poll pages (?cmd=Maling&gallupid=...).
+// Every script that reads a poll page should go through here so that a change
+// in the site's markup only has to be handled in one place.
+
+// Party codes used as parameters in pollofpolls.no mandate calculator links
+const PARTY_CODES = ['A', 'H', 'FrP', 'SV', 'Sp', 'R', 'V', 'KrF', 'MDG', 'Andre'];
+
+const NORWEGIAN_MONTHS = {
+  'januar': '01', 'februar': '02', 'mars': '03', 'april': '04',
+  'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
+  'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
+};
+
+// Canonical names for areas as they appear in the "Område" row
+const KNOWN_REGIONS = [
+  'Oslo', 'Akershus', 'Østfold', 'Vestfold', 'Telemark', 'Buskerud', 'Hedmark',
+  'Oppland', 'Innlandet', 'Viken', 'Rogaland', 'Hordaland', 'Vestland',
+  'Sogn og Fjordane', 'Møre og Romsdal', 'Sør-Trøndelag', 'Nord-Trøndelag',
+  'Trøndelag', 'Nordland', 'Troms', 'Finnmark', 'Vest-Agder', 'Aust-Agder', 'Agder'
+];
+
+const NOT_FOUND_MESSAGE = 'Meningsmålingen eksisterer ikke i databasen';
+
+// Which election a poll asks about, as named in the page title ("..., stortingsvalg, hele landet")
+const ELECTION_TYPE_PATTERNS = [
+  { type: 'parliamentary', pattern: /stortingsvalg/i },
+  { type: 'local', pattern: /kommune(?:styre)?valg|fylkes?tingsvalg/i }
+];
+
+const toDate = (year, month, day) => new Date(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+
+// Returns every date found in a string, as either "27.08.2025" or "27. august 2025".
+// A shared month or year is carried back to earlier days, so both "3.-5. oktober 2011"
+// and "28. september - 2. oktober 2011" yield two dates.
+function parseNorwegianDates(text) {
+  if (!text) return [];
+
+  const parts = [];
+  const numericPattern = /(\d{1,2})\.(\d{1,2})\.(\d{4})/g;
+  let match;
+  while ((match = numericPattern.exec(text)) !== null) {
+    const [, day, month, year] = match;
+    parts.push({ index: match.index, day, month, year });
+  }
+
+  const namedPattern = /(\d{1,2})\.\s*(?:[-–]\s*(\d{1,2})\.\s*)?([a-zæøå]+)(?:\s*(\d{4}))?/gi;
+  while ((match = namedPattern.exec(text)) !== null) {
+    const [, firstDay, secondDay, monthName, year] = match;
+    const month = NORWEGIAN_MONTHS[monthName.toLowerCase()];
+    if (!month) continue;
+
+    parts.push({ index: match.index, day: firstDay, month, year });
+    if (secondDay) {
+      parts.push({ index: match.index + 1, day: secondDay, month, year });
+    }
+  }
+
+  parts.sort((a, b) => a.index - b.index);
+
+  // Borrow the year from the next date that has one
+  let nextYear = null;
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (parts[i].year) {
+      nextYear = parts[i].year;
+    } else {
+      parts[i].year = nextYear;
+    }
+  }
+
+  return parts
+    .filter(part => part.year)
+    .map(({ day, month, year }) => toDate(year, month, day))
+    .filter(date => !isNaN(date.getTime()));
+}
+
+// "2025-08-27", or undefined so that missing dates are left out of the saved JSON
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : undefined;
+}
+
+function parseNorwegianDate(text) {
+  const dates = parseNorwegianDates(text);
+  return dates.length > 0 ? dates[0] : null;
+}
+
+// Mandate calculator links carry every party as a parameter, e.g. "A=25.3&H=20.1&...&MDG=3.2&Andre=2.4"
+function extractPartyShares(text) {
+  const parties = {};
+  if (!text) return parties;
+
+  PARTY_CODES.forEach(code => {
+    const match = text.match(new RegExp(`[?&;]${code}=([0-9.]+)`));
+    if (match) {
+      parties[code] = parseFloat(match[1]);
+    }
+  });
+  return parties;
+}
+
+function normaliseRegion(area) {
+  const lowerArea = area.toLowerCase();
+  const known = KNOWN_REGIONS
+    .slice()
+    .sort((a, b) => b.length - a.length) // "Sør-Trøndelag" before "Trøndelag"
+    .find(region => lowerArea.includes(region.toLowerCase()));
+
+  return known || area.charAt(0).toUpperCase() + area.slice(1);
+}
+
+function parseSampleSize(text) {
+  if (!text) return null;
+  // Thousands may be separated by spaces, non-breaking spaces or dots: "1 000", "1.000"
+  const match = text.replace(/(\d)[\s.](?=\d{3}\b)/g, '$1').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// Label/value rows from the "Fakta om meningsmålingen" table, falling back to every table row
+function readFacts($) {
+  const facts = {};
+  const factTable = $('h2:contains("Fakta om meningsmålingen")').next('div').find('table');
+  const rows = factTable.length > 0 ? factTable.find('tr') : $('tr');
+
+  rows.each((i, row) => {
+    const cells = $(row).find('td');
+    if (cells.length >= 2) {
+      const label = $(cells[0]).text().trim().replace(/:$/, '');
+      const value = $(cells[1]).text().trim();
+      if (label && !(label in facts)) {
+        facts[label] = value;
+      }
+    }
+  });
+
+  return facts;
+}
+
+function parseElectionType(text) {
+  const match = ELECTION_TYPE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.type : null;
+}
+
+function findFact(facts, labels) {
+  const key = Object.keys(facts).find(label => labels.includes(label.toLowerCase()));
+  return key ? facts[key] : null;
+}
+
+function readPartyShares($) {
+  // Method 1: Check URL parameters in mandate calculation links
+  let parties = {};
+  $('a[href*="MDG="]').each((i, element) => {
+    if (Object.keys(parties).length === 0) {
+      parties = extractPartyShares($(element).attr('href'));
+    }
+  });
+  if (Object.keys(parties).length > 0) return parties;
+
+  // Method 2: Check script tags for party data
+  $('script').each((i, element) => {
+    const scriptContent = $(element).html();
+    if (Object.keys(parties).length === 0 && scriptContent && scriptContent.includes('MDG=')) {
+      parties = extractPartyShares(scriptContent);
+    }
+  });
+  if (Object.keys(parties).length > 0) return parties;
+
+  // Method 3: The results table
+  return readTableShares($);
+}
+
+// The first results table, where parties are column headers. The poll's own numbers are its
+// first row with shares; later rows compare with earlier polls or elections.
+function readTableShares($) {
+  const parties = {};
+  $('table').each((i, table) => {
+    const $table = $(table);
+    const columns = {};
+    $table.find('th').each((j, th) => {
+      const header = $(th).text().trim();
+      if (PARTY_CODES.includes(header)) {
+        columns[header] = j;
+      }
+    });
+    if (Object.keys(columns).length === 0) return true;
+
+    $table.find('tr').each((k, row) => {
+      const cells = $(row).find('td');
+      Object.entries(columns).forEach(([code, index]) => {
+        if (cells.length > index) {
+          const share = parseFloat($(cells[index]).text().replace('%', '').replace(',', '.').trim());
+          if (!isNaN(share)) {
+            parties[code] = share;
+          }
+        }
+      });
+      return Object.keys(parties).length === 0;
+    });
+    return false;
+  });
+
+  return parties;
+}
+
+/**
+ * Parses the HTML of a pollofpolls.no poll page.
+ * Returns null when the page says the poll does not exist.
+ */
+function parsePollPage(html, url = null) {
+  const $ = cheerio.load(html);
+  const bodyText = $('body').text();
+
+  if (bodyText.includes(NOT_FOUND_MESSAGE)) {
+    return null;
+  }
+
+  const pageTitle = $('title').text() || '';
+  const titleMatch = pageTitle.match(/^([^,]+)/);
+  const title = titleMatch ? titleMatch[1].trim() : 'Unknown';
+  const facts = readFacts($);
+
+  // Publication date: blockquote first, then the title, then anywhere on the page
+  const date = parseNorwegianDate($('blockquote').first().text())
+    || parseNorwegianDate(pageTitle)
+    || parseNorwegianDate(bodyText);
+
+  // Fieldwork period, e.g. "3.-5. oktober 2011" or "03.10.2011 - 05.10.2011"
+  const fieldworkDates = parseNorwegianDates(findFact(facts, ['periode', 'tidsrom']));
+  const fieldworkStart = fieldworkDates.length > 0 ? fieldworkDates[0] : null;
+  const fieldworkEnd = fieldworkDates.length > 0 ? fieldworkDates[fieldworkDates.length - 1] : null;
+
+  const sampleSize = parseSampleSize(findFact(facts, ['antall', 'utvalg', 'antall intervjuer']));
+
+  // Scope comes from the "Område" row. Older pages without one are placed by their text: Oslo polls
+  // are described as an "Oslo-måling", and national ones say "hele landet" in the title or text
+  const area = findFact(facts, ['område', 'area']);
+  let scope = 'unknown';
+  let region = null;
+  if (area) {
+    if (area.toLowerCase().includes('hele landet')) {
+      scope = 'national';
+    } else {
+      scope = 'regional';
+      region = normaliseRegion(area);
+    }
+  } else if (/oslo[- ]måling/i.test(bodyText)) {
+    scope = 'regional';
+    region = 'Oslo';
+  } else if (`${pageTitle} ${bodyText}`.toLowerCase().includes('hele landet')) {
+    scope = 'national';
+  }
+
+  const parties = readPartyShares($);
+  const { firm, client } = parsePollsterTitle(title);
+  const electionType = parseElectionType(pageTitle) || parseElectionType($('h1').first().text());
+
+  return {
+    url,
+    title,
+    date,
+    fieldworkStart,
+    fieldworkEnd,
+    sampleSize,
+    area,
+    scope,
+    region,
+    electionType,
+    parties,
+    // The results table as printed, for checks that compare it with the mandate calculator links
+    tableParties: readTableShares($),
+    mdgPercentage: parties.MDG !== undefined ? parties.MDG : null,
+    firm: normaliseFirm(findFact(facts, ['byrå', 'institutt'])) || firm,
+    client: normaliseClient(findFact(facts, ['oppdragsgiver'])) || client
+  };
+}
+
+async function fetchPollPage(pollUrl) {
+  const response = await axios.get(pollUrl);
+  return parsePollPage(response.data, pollUrl);
+}
+
+module.exports = {
+  PARTY_CODES,
+  NORWEGIAN_MONTHS,
+  parseNorwegianDate,
+  parseNorwegianDates,
+  formatDate,
+  extractPartyShares,
+  parsePollPage,
+  fetchPollPage
+};
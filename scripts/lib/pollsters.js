@@ -0,0 +1,76 @@
+// Structured pollster identity for poll titles such as
+// "pollofpolls.no - Norstat for NRK 13. oktober 2011": the firm that ran the poll
+// and the outlet(s) that commissioned it, with rebrands mapped to one name so that
+// a firm's history links up across cycles.
+
+// Former or alternative names (lower case) -> the firm's current name; the app reads the same table
+const FIRM_ALIASES = require('../../src/firmAliases.json');
+
+// Polling firms as they are named today
+const KNOWN_FIRMS = [
+  'InFact', 'Ipsos', 'Markedsinfo', 'Norfakta', 'Norstat', 'Opinion', 'Respons Analyse', 'Sentio', 'Verian'
+];
+
+// Alternative spellings of commissioning outlets
+const CLIENT_ALIASES = {
+  'tv 2': 'TV2',
+  'dn': 'Dagens Næringsliv',
+  'frifagbevegelse': 'FriFagbevegelse',
+  'ntb': 'NTB'
+};
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+function normaliseFirm(name) {
+  if (!name) return null;
+  const firm = collapseWhitespace(name);
+  return FIRM_ALIASES[firm.toLowerCase()] || firm;
+}
+
+// Joint commissions are listed as "Nationen / Klassekampen". " og " is left alone since
+// it also appears inside outlet names such as "Asker og Bærums Budstikke".
+function normaliseClient(name) {
+  if (!name) return null;
+  return collapseWhitespace(name)
+    .split(/\s*\/\s*/)
+    .filter(Boolean)
+    .map(client => CLIENT_ALIASES[client.toLowerCase()] || client)
+    .join(' / ');
+}
+
+/**
+ * Splits a poll title into firm and client, with the source prefix and
+ * publication date removed and aliases applied.
+ */
+function parsePollsterTitle(title) {
+  if (!title) return { firm: null, client: null };
+
+  const name = title
+    .replace(/^pollofpolls\.no\s*-\s*/i, '')
+    .replace(/\s*\d{1,2}\.\s*[a-zæøå]+\s*\d{4}.*$/i, '')
+    .trim();
+
+  const [firm, ...clientParts] = name.split(' for ');
+  return {
+    firm: normaliseFirm(firm),
+    client: clientParts.length > 0 ? normaliseClient(clientParts.join(' for ')) : null
+  };
+}
+
+// Firm and client of a stored poll, parsed from the title for data saved before these fields existed
+function getPollIdentity(poll) {
+  if (poll.firm) {
+    return { firm: poll.firm, client: poll.client || null };
+  }
+  return parsePollsterTitle(poll.pollster);
+}
+
+module.exports = {
+  KNOWN_FIRMS,
+  FIRM_ALIASES,
+  CLIENT_ALIASES,
+  normaliseFirm,
+  normaliseClient,
+  parsePollsterTitle,
+  getPollIdentity
+};
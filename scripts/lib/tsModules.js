@@ -0,0 +1,22 @@
+const fs = require('fs');
+const ts = require('typescript');
+
+// Lets scripts require the app's TypeScript modules in src/, so analyses like the backtest run on the
+// same code as the site. Only plain modules work: types are stripped, nothing is type-checked, and
+// modules that import CSS or React components can't be loaded.
+let registered = false;
+
+function registerTypeScript() {
+  if (registered) return;
+  registered = true;
+
+  require.extensions['.ts'] = (module, filename) => {
+    const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+      compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2019, esModuleInterop: true },
+      fileName: filename
+    });
+    module._compile(outputText, filename);
+  };
+}
+
+module.exports = { registerTypeScript };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { fetchPollPage, formatDate } = require('./lib/pollPage');
+const { DATA_FILES, getDataFile } = require('./lib/elections');
+
+// Adds `parties`, `sampleSize` and the fieldwork dates to polls saved before the scrapers kept them,
+// by fetching each poll's page again. Safe to stop and re-run: polls that already have `parties`
+// are skipped, and progress is saved every SAVE_EVERY polls.
+const SAVE_EVERY = 50;
+const DELAY_MS = 200; // Between requests, to be respectful to the server
+
+class PollDetailsMigrator {
+  constructor() {
+    this.updated = 0;
+    this.failed = 0;
+  }
+
+  // The details go right after the date, in the order update-polls writes them
+  withDetails(poll, page) {
+    const migrated = {};
+    Object.entries(poll).forEach(([key, value]) => {
+      migrated[key] = value;
+      if (key === 'date') {
+        migrated.fieldworkStart = formatDate(page.fieldworkStart);
+        migrated.fieldworkEnd = formatDate(page.fieldworkEnd);
+        migrated.sampleSize = page.sampleSize || undefined;
+      }
+    });
+    migrated.parties = page.parties;
+    return migrated;
+  }
+
+  async migrateFile(dataFile) {
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    const pending = Object.values(data.elections)
+      .flatMap(election => election.polls.map((poll, index) => ({ election, poll, index })))
+      .filter(({ poll }) => poll.url && !poll.parties);
+    console.log(`📄 ${dataFile}: ${pending.length} polls without details`);
+
+    for (let i = 0; i < pending.length; i++) {
+      const { election, poll, index } = pending[i];
+      try {
+        const page = await fetchPollPage(poll.url);
+        if (page && Object.keys(page.parties).length > 0) {
+          election.polls[index] = this.withDetails(poll, page);
+          this.updated++;
+        } else {
+          this.failed++;
+          console.log(`  ⚠️  No party shares on ${poll.url}`);
+        }
+      } catch (error) {
+        this.failed++;
+        console.error(`  ❌ ${poll.url}: ${error.message}`);
+      }
+
+      if ((i + 1) % SAVE_EVERY === 0) {
+        fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+        console.log(`  💾 ${i + 1}/${pending.length} checked`);
+      }
+      await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    }
+
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+  }
+
+  async run() {
+    console.log('🗳️  Adding party shares, sample sizes and fieldwork dates to existing polls...\n');
+
+    try {
+      for (const type of Object.keys(DATA_FILES)) {
+        const dataFile = getDataFile(type);
+        if (fs.existsSync(dataFile)) {
+          await this.migrateFile(dataFile);
+        }
+      }
+
+      console.log(`\n✅ Updated ${this.updated} polls (${this.failed} could not be read; re-run to retry them)`);
+      console.log('💡 Run "npm run sync-data" to copy the result to public/ and src/');
+    } catch (error) {
+      console.error('❌ Error migrating poll details:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const migrator = new PollDetailsMigrator();
+  migrator.run();
+}
+
+module.exports = PollDetailsMigrator;
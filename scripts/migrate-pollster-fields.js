@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parsePollsterTitle } = require('./lib/pollsters');
+
+// Adds structured `firm` and `client` fields to polls saved before the scrapers emitted them.
+// Safe to re-run: every poll is re-derived from its title, so alias table changes are picked up too.
+class PollsterFieldMigrator {
+  constructor() {
+    this.dataDir = path.join(__dirname, '..', 'data');
+    this.dataFile = path.join(this.dataDir, 'polling-data.json');
+  }
+
+  migrate(data) {
+    let updated = 0;
+    let unparsed = 0;
+    const firms = {};
+
+    Object.entries(data.elections).forEach(([year, election]) => {
+      election.polls = election.polls.map(poll => {
+        const { firm, client } = parsePollsterTitle(poll.pollster);
+        if (!firm) {
+          unparsed++;
+          console.log(`  ⚠️  ${year}: could not read firm from "${poll.pollster}"`);
+          return poll;
+        }
+
+        if (poll.firm !== firm || poll.client !== client) {
+          updated++;
+        }
+        firms[firm] = (firms[firm] || 0) + 1;
+
+        // Keep firm and client next to the title they were parsed from
+        const migrated = {};
+        Object.entries(poll).forEach(([key, value]) => {
+          if (key === 'firm' || key === 'client') return;
+          migrated[key] = value;
+          if (key === 'pollster') {
+            migrated.firm = firm;
+            migrated.client = client;
+          }
+        });
+        return migrated;
+      });
+    });
+
+    return { updated, unparsed, firms };
+  }
+
+  saveData(data) {
+    try {
+      fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Error saving data:', error.message);
+      throw error;
+    }
+  }
+
+  run() {
+    console.log('🏷️  Adding firm and client fields to existing polls...\n');
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      const { updated, unparsed, firms } = this.migrate(data);
+      this.saveData(data);
+
+      console.log('\n📊 Polls per firm:');
+      Object.entries(firms)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([firm, count]) => console.log(`  ${firm}: ${count}`));
+
+      console.log(`\n✅ Updated ${updated} polls (${unparsed} could not be parsed)`);
+      console.log('💡 Run "npm run sync-data" to copy the result to public/ and src/');
+    } catch (error) {
+      console.error('❌ Error migrating pollster fields:', error.message);
+      process.exit(1);
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const migrator = new PollsterFieldMigrator();
+  migrator.run();
+}
+
+module.exports = PollsterFieldMigrator;
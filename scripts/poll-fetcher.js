@@ -1,24 +1,19 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const Parser = require('rss-parser');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage, formatDate } = require('./lib/pollPage');
+const { RSS_URL } = require('./lib/pollDiscovery');
+const { createElectionEntry, getElectionDates, getRecentElectionYears } = require('./lib/elections');
 
-// Norwegian election dates
-const ELECTION_DATES = {
-  2011: new Date('2011-09-12'),
-  2013: new Date('2013-09-09'), 
-  2017: new Date('2017-09-11'),
-  2021: new Date('2021-09-13'),
-  2025: new Date('2025-09-08')
-};
+// Norwegian parliamentary election dates, from data/elections.json
+const ELECTION_DATES = getElectionDates();
 
 class PollFetcher {
   constructor() {
     this.parser = new Parser();
-    this.rssUrl = 'https://www.pollofpolls.no/rss_maling.php';
+    this.rssUrl = RSS_URL;
     this.dataDir = path.join(__dirname, '..', 'data');
     this.dataFile = path.join(this.dataDir, 'polling-data.json');
     
@@ -42,95 +37,25 @@ class PollFetcher {
 
   async fetchPollDetails(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
+      const page = await fetchPollPage(pollUrl);
       
-      // Extract poll date from the page - try multiple methods
-      let pollDate = null;
-      
-      // Method 1: Look for date in blockquote
-      const dateText = $('blockquote').first().text();
-      const dateMatch1 = dateText.match(/(\d{1,2})\.(\d{1,2})\.(\d{4})/);
-      
-      if (dateMatch1) {
-        const [, day, month, year] = dateMatch1;
-        pollDate = new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
-      }
-      
-      // Method 2: Look for Norwegian date format (e.g., "27. august 2025")
-      if (!pollDate) {
-        const norwegianMonths = {
-          'januar': '01', 'februar': '02', 'mars': '03', 'april': '04',
-          'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
-          'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
-        };
-        
-        const pageText = $('body').text();
-        const norwegianDateMatch = pageText.match(/(\d{1,2})\.\s*(\w+)\s*(\d{4})/i);
-        
-        if (norwegianDateMatch) {
-          const [, day, monthName, year] = norwegianDateMatch;
-          const monthNum = norwegianMonths[monthName.toLowerCase()];
-          if (monthNum) {
-            pollDate = new Date(`${year}-${monthNum}-${day.padStart(2, '0')}`);
-          }
-        }
-      }
-      
-      // Method 3: Extract from title or other elements
-      if (!pollDate) {
-        const title = $('title').text();
-        const titleDateMatch = title.match(/(\d{1,2})\.\s*(\w+)\s*(\d{4})/i);
-        if (titleDateMatch) {
-          const norwegianMonths = {
-            'januar': '01', 'februar': '02', 'mars': '03', 'april': '04',
-            'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
-            'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
-          };
-          const [, day, monthName, year] = titleDateMatch;
-          const monthNum = norwegianMonths[monthName.toLowerCase()];
-          if (monthNum) {
-            pollDate = new Date(`${year}-${monthNum}-${day.padStart(2, '0')}`);
-          }
-        }
+      // Poll does not exist
+      if (!page) {
+        return null;
       }
 
-      // Extract MDG percentage from URL parameters or page content
-      let mdgPercentage = null;
-      
-      // Method 1: Check URL parameters in mandate calculation links
-      const mandateLinks = $('a[href*="MDG="]');
-      mandateLinks.each((i, element) => {
-        const href = $(element).attr('href');
-        const mdgMatch = href.match(/MDG=([0-9.]+)/);
-        if (mdgMatch && !mdgPercentage) {
-          mdgPercentage = parseFloat(mdgMatch[1]);
-        }
-      });
-
-      // Method 2: Check script tags for MDG data
-      if (!mdgPercentage) {
-        $('script').each((i, element) => {
-          const scriptContent = $(element).html();
-          if (scriptContent && scriptContent.includes('MDG=')) {
-            const mdgMatch = scriptContent.match(/MDG=([0-9.]+)/);
-            if (mdgMatch) {
-              mdgPercentage = parseFloat(mdgMatch[1]);
-            }
-          }
-        });
-      }
-
-      // Extract pollster from title
-      const title = $('title').text() || '';
-      const pollsterMatch = title.match(/^([^,]+)/);
-      const pollster = pollsterMatch ? pollsterMatch[1].trim() : 'Unknown';
-
       return {
-        date: pollDate,
-        mdgPercentage,
-        pollster,
-        url: pollUrl
+        date: page.date,
+        fieldworkStart: formatDate(page.fieldworkStart),
+        fieldworkEnd: formatDate(page.fieldworkEnd),
+        sampleSize: page.sampleSize || undefined,
+        mdgPercentage: page.mdgPercentage,
+        parties: page.parties,
+        pollster: page.title,
+        firm: page.firm,
+        client: page.client,
+        url: pollUrl,
+        scope: page.scope
       };
     } catch (error) {
       console.error(`Error fetching poll details from ${pollUrl}:`, error.message);
@@ -178,10 +103,17 @@ class PollFetcher {
           processedPolls.push({
             date: pollDetails.date.toISOString().split('T')[0],
             mdgPercentage: pollDetails.mdgPercentage,
+            parties: pollDetails.parties,
+            fieldworkStart: pollDetails.fieldworkStart,
+            fieldworkEnd: pollDetails.fieldworkEnd,
+            sampleSize: pollDetails.sampleSize,
             pollster: pollDetails.pollster,
+            firm: pollDetails.firm,
+            client: pollDetails.client,
             daysUntilElection: daysUntilElection,
             rssTitle: rssItem.title,
-            url: pollDetails.url
+            url: pollDetails.url,
+            scope: pollDetails.scope
           });
           console.log(`  ✓ Added MDG ${pollDetails.mdgPercentage}% (${pollDetails.date.toISOString().split('T')[0]})`);
         }
@@ -226,15 +158,8 @@ class PollFetcher {
       // Fetch RSS feed
       const rssItems = await this.fetchRSSFeed();
       
-      // Process polls for multiple election cycles
-      const currentYear = new Date().getFullYear();
-      const electionYears = [2021, 2025]; // Focus on recent elections
-      
-      // If we're past 2025, add future elections
-      if (currentYear > 2025) {
-        const nextElection = Math.ceil(currentYear / 4) * 4 + 1;
-        electionYears.push(nextElection);
-      }
+      // Focus on the two latest elections plus any scheduled in data/elections.json
+      const electionYears = getRecentElectionYears(2);
 
       console.log(`Processing election years: ${electionYears.join(', ')}`);
       
@@ -244,10 +169,7 @@ class PollFetcher {
         const polls = await this.processPollsForElection(rssItems, electionYear);
         
         if (polls.length > 0) {
-          existingData.elections[electionYear] = {
-            electionDate: ELECTION_DATES[electionYear].toISOString().split('T')[0],
-            polls: polls
-          };
+          existingData.elections[electionYear] = createElectionEntry(electionYear, polls);
           
           console.log(`✓ Found ${polls.length} MDG polls for ${electionYear} election`);
         } else {
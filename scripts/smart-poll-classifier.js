@@ -2,6 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { KNOWN_FIRMS, getPollIdentity } = require('./lib/pollsters');
+const { constituencyFromClient, normaliseConstituency } = require('./lib/constituencies');
 
 class SmartPollClassifier {
   constructor() {
@@ -43,25 +45,26 @@ class SmartPollClassifier {
   }
 
   classifyPoll(poll) {
-    const pollsterLower = poll.pollster.toLowerCase();
+    const { firm, client } = getPollIdentity(poll);
+    const clientLower = (client || '').toLowerCase();
     
-    // Method 1: Check for explicit regional indicators in pollster name
+    // Method 1: Check for explicit regional indicators in the client name
     for (const region of this.regionNames) {
-      if (pollsterLower.includes(region)) {
+      if (clientLower.includes(region)) {
         return {
           scope: 'regional',
-          region: region.charAt(0).toUpperCase() + region.slice(1),
-          reason: `Region name "${region}" found in pollster`
+          region: normaliseConstituency(region) || region.charAt(0).toUpperCase() + region.slice(1),
+          reason: `Region name "${region}" found in client`
         };
       }
     }
     
     // Method 2: Check for regional media outlets
     for (const outlet of this.regionalOutlets) {
-      if (pollsterLower.includes(outlet)) {
+      if (clientLower.includes(outlet)) {
         return {
           scope: 'regional',
-          region: this.guessRegionFromOutlet(outlet),
+          region: constituencyFromClient(client) || 'Unknown region',
           reason: `Regional outlet "${outlet}" identified`
         };
       }
@@ -69,7 +72,7 @@ class SmartPollClassifier {
     
     // Method 3: Check for national media outlets
     for (const outlet of this.nationalOutlets) {
-      if (pollsterLower.includes(outlet)) {
+      if (clientLower.includes(outlet)) {
         return {
           scope: 'national',
           region: null,
@@ -78,16 +81,8 @@ class SmartPollClassifier {
       }
     }
     
-    // Method 4: Check pollster company patterns
-    if (pollsterLower.includes('norstat') || 
-        pollsterLower.includes('verian') || 
-        pollsterLower.includes('kantar') ||
-        pollsterLower.includes('opinion') ||
-        pollsterLower.includes('sentio') ||
-        pollsterLower.includes('respons') ||
-        pollsterLower.includes('ipsos') ||
-        pollsterLower.includes('infact') ||
-        pollsterLower.includes('norfakta')) {
+    // Method 4: Check for a known polling firm (aliases such as Kantar are already mapped to Verian)
+    if (KNOWN_FIRMS.includes(firm)) {
       
       // These are polling companies - need to check the media outlet they polled for
       // If no specific regional outlet is mentioned, likely national
@@ -106,24 +101,6 @@ class SmartPollClassifier {
     };
   }
   
-  guessRegionFromOutlet(outlet) {
-    const regionMap = {
-      'telemarksavisa': 'Telemark',
-      'bt': 'Hordaland',
-      'bergens tidende': 'Hordaland',
-      'adressa': 'Trøndelag',
-      'adresseavisen': 'Trøndelag',
-      'stavanger aftenblad': 'Rogaland',
-      'nordlys': 'Troms',
-      'sunnmørsposten': 'Møre og Romsdal',
-      'fædrelandsvennen': 'Agder',
-      'gudbrandsdølen dagningen': 'Oppland',
-      'firda': 'Sogn og Fjordane'
-    };
-    
-    return regionMap[outlet] || 'Unknown region';
-  }
-
   async classifyAllPolls() {
     console.log('🎯 Classifying polls using smart pattern recognition...');
     
@@ -170,7 +147,7 @@ class SmartPollClassifier {
           unknownPolls++;
           classifications.unknown.push({
             pollster: poll.pollster,
-            reason: classifild yocation.reason
+            reason: classification.reason
           });
         }
       }
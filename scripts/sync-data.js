@@ -2,6 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { execSync } = require('child_process');
+const { REGISTRY_FILE, DATA_FILES, createElectionEntry, getDataFile } = require('./lib/elections');
+const { getConstituencyLabel, getCoveredConstituencies, getPollConstituency } = require('./lib/constituencies');
+const { STATE_FILE, parseGallupId } = require('./lib/pollDiscovery');
 
 console.log('🔄 Syncing polling data across all locations...\n');
 
@@ -17,11 +21,8 @@ if (!fs.existsSync(sourceFile)) {
   process.exit(1);
 }
 
-try {
-  // Read source data
-  const sourceData = JSON.parse(fs.readFileSync(sourceFile, 'utf8'));
-  
-  // Create national-only dataset
+// Keeps only national polls, with election date and result taken from data/elections.json
+function createNationalDataset(sourceData, type) {
   const nationalData = { elections: {} };
   
   Object.entries(sourceData.elections).forEach(([year, election]) => {
@@ -30,15 +31,114 @@ try {
     if (nationalPolls.length > 0) {
       nationalData.elections[year] = {
         ...election,
-        polls: nationalPolls
+        ...createElectionEntry(year, nationalPolls, type)
       };
       
       const total = election.polls.length;
       const removed = total - nationalPolls.length;
-      console.log(`${year}: ${nationalPolls.length} national polls (${removed} regional filtered out)`);
+      console.log(`${year}: ${nationalPolls.length} national polls (${removed} regional kept separately)`);
     }
   });
   
+  return nationalData;
+}
+
+// The deployed commit in GitHub Actions, otherwise the checked-out one
+function getScraperVersion() {
+  const { version } = require('../package.json');
+  let commit = process.env.GITHUB_SHA;
+  if (!commit) {
+    try {
+      commit = execSync('git rev-parse HEAD', { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+      return version;
+    }
+  }
+  return `${version}+${commit.slice(0, 7)}`;
+}
+
+// Freshness of the national dataset, shown in the app header: when its polls last changed, the newest
+// poll, polls per cycle, the scraper version and the furthest gallupid update-polls has checked
+function createDataMeta(nationalData, sourceData) {
+  const polls = Object.values(nationalData.elections).flatMap(election => election.polls);
+  const newestPollDate = polls.reduce((newest, poll) => (newest === null || poll.date > newest ? poll.date : newest), null);
+  const pollCounts = {};
+  Object.entries(nationalData.elections).forEach(([year, election]) => {
+    pollCounts[year] = election.polls.length;
+  });
+  // Regional polls count too, for data from before update-polls kept a discovery state
+  const highestPollId = Object.values(sourceData.elections)
+    .flatMap(election => election.polls)
+    .reduce((highest, poll) => Math.max(highest, parseGallupId(poll.url) || 0), 0);
+  
+  const discoveryState = fs.existsSync(STATE_FILE) ? JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) : {};
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    newestPollDate,
+    pollCounts,
+    scraperVersion: getScraperVersion(),
+    highestScannedId: Math.max(discoveryState.highestScannedId || 0, highestPollId)
+  };
+}
+
+// Groups regional polls by constituency (valgdistrikt), each with the same per-election shape as polling-data.json.
+// Polls whose constituency can't be told from their region or client are kept under "unassigned".
+function createRegionalDataset(sourceData) {
+  const regionalData = { constituencies: {}, unassigned: { elections: {} } };
+  
+  Object.entries(sourceData.elections).forEach(([year, election]) => {
+    election.polls
+      .filter(poll => poll.scope === 'regional')
+      .forEach(poll => {
+        const name = getPollConstituency(poll);
+        if (name && !regionalData.constituencies[name]) {
+          const covers = getCoveredConstituencies(name);
+          regionalData.constituencies[name] = {
+            label: getConstituencyLabel(name),
+            ...(covers.includes(name) ? {} : { covers }),
+            elections: {}
+          };
+        }
+        
+        const group = name ? regionalData.constituencies[name] : regionalData.unassigned;
+        if (!group.elections[year]) {
+          group.elections[year] = { electionDate: createElectionEntry(year, []).electionDate, polls: [] };
+        }
+        group.elections[year].polls.push(name ? { ...poll, region: name } : poll);
+      });
+  });
+  
+  Object.entries(regionalData.constituencies)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([name, { elections }]) => {
+      const count = Object.values(elections).reduce((sum, election) => sum + election.polls.length, 0);
+      console.log(`${name}: ${count} regional polls`);
+    });
+  const unassignedCount = Object.values(regionalData.unassigned.elections).reduce((sum, election) => sum + election.polls.length, 0);
+  console.log(`Unassigned: ${unassignedCount} regional polls`);
+  
+  return regionalData;
+}
+
+try {
+  // Read source data
+  const sourceData = JSON.parse(fs.readFileSync(sourceFile, 'utf8'));
+  
+  // Create national-only dataset
+  const nationalData = createNationalDataset(sourceData, 'parliamentary');
+  // The meta block is only renewed when the polls change. lastCheckedAt is set on every run, so a quiet spell
+  // can be told apart from a stopped job; it is a date, so runs without new polls commit at most once a day
+  const previousData = fs.existsSync(publicFile) ? JSON.parse(fs.readFileSync(publicFile, 'utf8')) : {};
+  const { meta: previousMeta, ...previousPolls } = previousData;
+  nationalData.meta = {
+    ...(previousMeta && JSON.stringify(previousPolls) === JSON.stringify(nationalData)
+      ? previousMeta
+      : createDataMeta(nationalData, sourceData)),
+    lastCheckedAt: new Date().toISOString().split('T')[0]
+  };
+  console.log(`Newest poll: ${nationalData.meta.newestPollDate}, highest scanned gallupid: ${nationalData.meta.highestScannedId}`);
+  
   // Ensure directories exist
   const publicDir = path.dirname(publicFile);
   const srcDir = path.dirname(srcFile);
@@ -55,6 +155,38 @@ try {
   fs.writeFileSync(publicFile, JSON.stringify(nationalData, null, 2));
   fs.writeFileSync(srcFile, JSON.stringify(nationalData, null, 2));
   
+  // Regional polls, grouped by constituency
+  console.log('\nRegional polls:');
+  const regionalData = createRegionalDataset(sourceData);
+  const regionalPublic = path.join(publicDir, 'regional-polling-data.json');
+  const regionalSrc = path.join(srcDir, 'regional-polling-data.json');
+  fs.writeFileSync(regionalPublic, JSON.stringify(regionalData, null, 2));
+  fs.writeFileSync(regionalSrc, JSON.stringify(regionalData, null, 2));
+  console.log(`📄 Updated: ${regionalPublic}`);
+  console.log(`📄 Updated: ${regionalSrc}`);
+  
+  // Local election cycles (kommune- og fylkestingsvalg) are kept in their own file
+  const localSourceFile = getDataFile('local');
+  if (fs.existsSync(localSourceFile)) {
+    console.log('\nLocal elections:');
+    const localData = createNationalDataset(JSON.parse(fs.readFileSync(localSourceFile, 'utf8')), 'local');
+    const localPublic = path.join(publicDir, DATA_FILES.local);
+    const localSrc = path.join(srcDir, DATA_FILES.local);
+    fs.writeFileSync(localPublic, JSON.stringify(localData, null, 2));
+    fs.writeFileSync(localSrc, JSON.stringify(localData, null, 2));
+    console.log(`📄 Updated: ${localPublic}`);
+    console.log(`📄 Updated: ${localSrc}`);
+  }
+  
+  // Sync the election registry so the app reads the same calendar and results
+  const registryData = fs.readFileSync(REGISTRY_FILE, 'utf8');
+  const registryPublic = path.join(publicDir, 'elections.json');
+  const registrySrc = path.join(srcDir, 'elections.json');
+  fs.writeFileSync(registryPublic, registryData);
+  fs.writeFileSync(registrySrc, registryData);
+  console.log(`📄 Updated: ${registryPublic}`);
+  console.log(`📄 Updated: ${registrySrc}`);
+  
   // Also sync real donation statistics if they exist
   const realDonationStatsSource = path.join(__dirname, '..', 'data', 'real-api-donation-statistics.json');
   if (fs.existsSync(realDonationStatsSource)) {
@@ -4,12 +4,16 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage, formatDate } = require('./lib/pollPage');
+const { createElectionEntry, getElectionDates } = require('./lib/elections');
 
-// Norwegian election dates
-const ELECTION_DATES = {
-  2017: new Date('2017-09-11'),
-  2021: new Date('2021-09-13'),
-};
+// Elections this fetcher fills gaps for; dates come from data/elections.json
+const TARGET_YEARS = [2017, 2021];
+const ALL_ELECTION_DATES = getElectionDates();
+const ELECTION_DATES = {};
+TARGET_YEARS.forEach(year => {
+  ELECTION_DATES[year] = ALL_ELECTION_DATES[year];
+});
 
 class TargetedHistoricalFetcher {
   constructor() {
@@ -51,64 +55,25 @@ class TargetedHistoricalFetcher {
 
   async fetchPollDetails(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      // Extract poll date using multiple methods
-      let pollDate = null;
-      
-      // Method 1: Norwegian date format
-      const norwegianMonths = {
-        'januar': '01', 'februar': '02', 'mars': '03', 'april': '04',
-        'mai': '05', 'juni': '06', 'juli': '07', 'august': '08',
-        'september': '09', 'oktober': '10', 'november': '11', 'desember': '12'
-      };
-      
-      const pageText = $('body').text();
-      const norwegianDateMatch = pageText.match(/(\d{1,2})\.\s*(\w+)\s*(\d{4})/i);
-      
-      if (norwegianDateMatch) {
-        const [, day, monthName, year] = norwegianDateMatch;
-        const monthNum = norwegianMonths[monthName.toLowerCase()];
-        if (monthNum) {
-          pollDate = new Date(`${year}-${monthNum}-${day.padStart(2, '0')}`);
-        }
-      }
-
-      // Extract MDG percentage
-      let mdgPercentage = null;
+      const page = await fetchPollPage(pollUrl);
       
-      // Check URL parameters and script tags
-      const mandateLinks = $('a[href*="MDG="]');
-      mandateLinks.each((i, element) => {
-        const href = $(element).attr('href');
-        const mdgMatch = href.match(/MDG=([0-9.]+)/);
-        if (mdgMatch && !mdgPercentage) {
-          mdgPercentage = parseFloat(mdgMatch[1]);
-        }
-      });
-
-      if (!mdgPercentage) {
-        $('script').each((i, element) => {
-          const scriptContent = $(element).html();
-          if (scriptContent && scriptContent.includes('MDG=')) {
-            const mdgMatch = scriptContent.match(/MDG=([0-9.]+)/);
-            if (mdgMatch) {
-              mdgPercentage = parseFloat(mdgMatch[1]);
-            }
-          }
-        });
+      // Poll does not exist
+      if (!page) {
+        return null;
       }
 
-      // Extract pollster from title
-      const title = $('title').text() || '';
-      const pollster = title.replace('pollofpolls.no - ', '').trim();
-
       return {
-        date: pollDate,
-        mdgPercentage,
-        pollster,
-        url: pollUrl
+        date: page.date,
+        fieldworkStart: formatDate(page.fieldworkStart),
+        fieldworkEnd: formatDate(page.fieldworkEnd),
+        sampleSize: page.sampleSize || undefined,
+        mdgPercentage: page.mdgPercentage,
+        parties: page.parties,
+        pollster: page.title,
+        firm: page.firm,
+        client: page.client,
+        url: pollUrl,
+        scope: page.scope
       };
     } catch (error) {
       console.error(`Error fetching poll details from ${pollUrl}:`, error.message);
@@ -169,9 +134,16 @@ class TargetedHistoricalFetcher {
               allPolls.set(pollKey, {
                 date: pollDetails.date.toISOString().split('T')[0],
                 mdgPercentage: pollDetails.mdgPercentage,
+                parties: pollDetails.parties,
+                fieldworkStart: pollDetails.fieldworkStart,
+                fieldworkEnd: pollDetails.fieldworkEnd,
+                sampleSize: pollDetails.sampleSize,
                 pollster: pollDetails.pollster,
+                firm: pollDetails.firm,
+                client: pollDetails.client,
                 daysUntilElection: targetElection.daysUntilElection,
                 url: pollDetails.url,
+                scope: pollDetails.scope,
                 electionYear: targetElection.year
               });
               
@@ -202,10 +174,7 @@ class TargetedHistoricalFetcher {
       if (polls.length > 0) {
         const sortedPolls = polls.sort((a, b) => new Date(a.date) - new Date(b.date));
         
-        existingData.elections[year] = {
-          electionDate: ELECTION_DATES[year].toISOString().split('T')[0],
-          polls: sortedPolls
-        };
+        existingData.elections[year] = createElectionEntry(year, sortedPolls);
         
         console.log(`\n✓ Updated ${year} election with ${sortedPolls.length} real polls`);
       }
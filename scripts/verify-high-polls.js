@@ -1,9 +1,8 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const { fetchPollPage } = require('./lib/pollPage');
 
 class HighPollVerifier {
   constructor() {
@@ -13,60 +12,12 @@ class HighPollVerifier {
 
   async verifyPollScope(pollUrl) {
     try {
-      const response = await axios.get(pollUrl);
-      const $ = cheerio.load(response.data);
-      
-      const pageText = $('body').text().toLowerCase();
-      const title = $('title').text().toLowerCase();
-      
-      // Look for the "Område" table row which is the definitive indicator
-      let scope = 'unknown';
-      let region = null;
-      
-      // Check for area/scope in table
-      $('tr').each((i, row) => {
-        const cells = $(row).find('td');
-        if (cells.length >= 2) {
-          const firstCell = $(cells[0]).text().toLowerCase().trim();
-          const secondCell = $(cells[1]).text().toLowerCase().trim();
-          
-          if (firstCell === 'område' || firstCell === 'area') {
-            if (secondCell.includes('hele landet')) {
-              scope = 'national';
-              region = null;
-            } else if (secondCell.includes('oslo')) {
-              scope = 'regional';
-              region = 'Oslo';
-            } else if (secondCell.includes('bergen')) {
-              scope = 'regional';
-              region = 'Bergen';
-            } else if (secondCell.includes('trondheim')) {
-              scope = 'regional';
-              region = 'Trondheim';
-            } else if (secondCell.includes('stavanger')) {
-              scope = 'regional';
-              region = 'Stavanger';
-            } else {
-              scope = 'regional';
-              region = secondCell.charAt(0).toUpperCase() + secondCell.slice(1);
-            }
-          }
-        }
-      });
-      
-      // If no table found, check for Oslo-specific indicators in links/text
-      if (scope === 'unknown') {
-        if (pageText.includes('oslo-måling') || pageText.includes('oslo måling') || 
-            (pageText.includes('oslo') && !pageText.includes('hele landet'))) {
-          scope = 'regional';
-          region = 'Oslo';
-        } else if (pageText.includes('hele landet')) {
-          scope = 'national';
-          region = null;
-        }
+      const page = await fetchPollPage(pollUrl);
+      if (!page) {
+        return { scope: 'unknown', region: null };
       }
       
-      return { scope, region };
+      return { scope: page.scope, region: page.region };
       
     } catch (error) {
       console.error(`Error verifying ${pollUrl}: ${error.message}`);
@@ -1,48 +1,111 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import './App.css';
 import ElectionChart from './components/ElectionChart';
 import UnifiedTimelineChart from './components/UnifiedTimelineChart';
 import ShortTimelineChart from './components/ShortTimelineChart';
 import Corrected2025Chart from './components/Corrected2025Chart';
+import HouseEffectsChart from './components/HouseEffectsChart';
+import RegionalTrendChart from './components/RegionalTrendChart';
+import BacktestTable from './components/BacktestTable';
+import ForecastChart from './components/ForecastChart';
+import SeatProjectionChart from './components/SeatProjectionChart';
+import ThresholdProbabilityChart from './components/ThresholdProbabilityChart';
 import DetailedDonationAnalysis from './components/DetailedDonationAnalysis';
-import { ElectionData } from './types';
+import PartySelector from './components/PartySelector';
+import SmoothingSelector from './components/SmoothingSelector';
+import RangeBrush from './components/RangeBrush';
+import CopyLinkButton from './components/CopyLinkButton';
+import LanguageSelector from './components/LanguageSelector';
+import ThemeSelector from './components/ThemeSelector';
+import DataStatus from './components/DataStatus';
+import { ElectionData, ElectionRegistry, PartyCode, RegionalData, SmoothingMethod, TimelineRange } from './types';
+import { applyElectionRegistry } from './utils/elections';
+import { loadJson } from './utils/dataLoader';
+import { currentThresholdProbability } from './utils/thresholdProbability';
+import { LEVELING_THRESHOLD } from './utils/seatProjection';
+import { rangeCodec, timelineBounds } from './utils/timelineRange';
+import { PARTIES } from './utils/parties';
+import { SMOOTHING_METHODS } from './utils/pollAverage';
+import { RollingAverageOptions } from './utils/rollingAverage';
+import { booleanCodec, readUrlParams, stringCodec } from './utils/urlState';
+import { useUrlState } from './hooks/useUrlState';
+import { useI18n } from './i18n';
 import fallbackData from './data/polling-data.json';
+import fallbackRegistry from './data/elections.json';
+import fallbackLocalData from './data/local-polling-data.json';
+import fallbackRegionalData from './data/regional-polling-data.json';
 
 function App() {
   const [electionData, setElectionData] = useState<ElectionData | null>(null);
+  const [localElectionData, setLocalElectionData] = useState<ElectionData | null>(null);
+  const [regionalData, setRegionalData] = useState<RegionalData | null>(null);
   const [loading, setLoading] = useState(true);
+  // When the polling data was last changed on the server, and a counter bumped to load newer data in place
+  const [dataAsOf, setDataAsOf] = useState<Date | null>(null);
+  const [dataVersion, setDataVersion] = useState(0);
   const [error, setError] = useState<string | null>(null);
+  const { t, formatPercent, formatDate } = useI18n();
+  const [party, setParty] = useUrlState<PartyCode>('party', 'MDG', stringCodec(PARTIES.map(({ code }) => code)));
+  const [smoothing, setSmoothing] = useUrlState<SmoothingMethod>('smoothing', 'rolling', stringCodec(SMOOTHING_METHODS));
+  const [weightBySampleSize, setWeightBySampleSize] = useUrlState('weighted', false, booleanCodec);
+  const [useFieldworkMidpoint, setUseFieldworkMidpoint] = useUrlState('midpoint', false, booleanCodec);
+  // One object per setting, so the charts' memoised averages only recompute when an option changes
+  const averageOptions = useMemo<RollingAverageOptions>(
+    () => ({ weightBySampleSize, useFieldworkMidpoint }),
+    [weightBySampleSize, useFieldworkMidpoint]
+  );
+  const setAverageOptions = (options: RollingAverageOptions) => {
+    setWeightBySampleSize(Boolean(options.weightBySampleSize));
+    setUseFieldworkMidpoint(Boolean(options.useFieldworkMidpoint));
+  };
+  // Days-until-election span shared by the timeline charts; null shows each chart's default
+  const [timelineRange, setTimelineRange] = useUrlState<TimelineRange | null>('range', null, rangeCodec);
 
   useEffect(() => {
     const fetchData = async () => {
-      try {
-        // Try to fetch polling data from the public JSON file
-        const response = await fetch(`${process.env.PUBLIC_URL}/data/polling-data.json`);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch polling data: ${response.status} ${response.statusText}`);
-        }
-        
-        const text = await response.text();
-        console.log('Successfully fetched data from public directory');
-        
-        const data: ElectionData = JSON.parse(text);
-        setElectionData(data);
-      } catch (err) {
-        console.warn('Failed to fetch from public directory, using fallback data:', err);
-        // Use fallback data imported directly
-        setElectionData(fallbackData as ElectionData);
-      } finally {
-        setLoading(false);
-      }
+      const [data, localData, regional, registry] = await Promise.all([
+        loadJson('polling-data.json', fallbackData as ElectionData),
+        loadJson('local-polling-data.json', fallbackLocalData as ElectionData),
+        loadJson('regional-polling-data.json', fallbackRegionalData as RegionalData),
+        loadJson('elections.json', fallbackRegistry as ElectionRegistry)
+      ]);
+      // Election dates and results come from the registry
+      setElectionData(applyElectionRegistry(data.data, registry.data));
+      setLocalElectionData(applyElectionRegistry(localData.data, registry.data, 'local'));
+      setRegionalData(regional.data);
+      setDataAsOf(data.asOf);
+      setLoading(false);
     };
 
     fetchData();
-  }, []);
+  }, [dataVersion]);
+
+  // A shared link scrolls to its section once the charts are on the page
+  useEffect(() => {
+    if (loading) return;
+    const section = readUrlParams().get('section');
+    const element = section ? document.getElementById(section) : null;
+    if (element) {
+      element.scrollIntoView();
+    }
+  }, [loading]);
+
+  // Headline: chance of clearing the threshold in the next election, or, once the last cycle in the data
+  // has been held, its final pre-election estimate. Memoised since the simulation is too slow for every render
+  const headline = useMemo(() => {
+    if (!electionData?.elections) return null;
+    const years = Object.keys(electionData.elections).sort();
+    const today = new Date().toISOString().split('T')[0];
+    const upcoming = years.find(year => electionData.elections[year].electionDate >= today);
+    const year = upcoming ?? years[years.length - 1];
+    const threshold = year ? currentThresholdProbability(electionData.elections[year].polls, party, smoothing, LEVELING_THRESHOLD, averageOptions) : null;
+    return threshold && { year, held: !upcoming, threshold };
+  }, [electionData, party, smoothing, averageOptions]);
 
   if (loading) {
     return (
       <div className="app">
-        <div className="loading">Loading MDG polling data...</div>
+        <div className="loading">{t('app.loading')}</div>
       </div>
     );
   }
@@ -50,7 +113,7 @@ function App() {
   if (error) {
     return (
       <div className="app">
-        <div className="error">Error: {error}</div>
+        <div className="error">{t('app.error', { error })}</div>
       </div>
     );
   }
@@ -58,64 +121,190 @@ function App() {
   if (!electionData || !electionData.elections) {
     return (
       <div className="app">
-        <div className="error">No polling data available</div>
+        <div className="error">{t('app.noData')}</div>
       </div>
     );
   }
 
+  const rangeBounds = timelineBounds(electionData, localElectionData);
+
   return (
     <div className="app">
       <header className="app-header">
-        <h1>MDG Polling Analysis</h1>
-        <p>Norwegian election polling trends and predictions</p>
+        <h1>{t('app.title')}</h1>
+        <p>{t('app.subtitle')}</p>
+        <div className="header-controls">
+          <PartySelector party={party} onChange={setParty} />
+          <SmoothingSelector
+            smoothing={smoothing}
+            averageOptions={averageOptions}
+            onChange={setSmoothing}
+            onAverageOptionsChange={setAverageOptions}
+          />
+          <LanguageSelector />
+          <ThemeSelector />
+        </div>
+        <DataStatus meta={electionData.meta} asOf={dataAsOf} onReloadData={() => setDataVersion(version => version + 1)} />
+        {headline && (
+          <div className="threshold-headline">
+            <span className="threshold-headline-value">{formatPercent(headline.threshold.probability, 0)}</span>
+            <span className="threshold-headline-label">
+              {t(headline.held ? 'app.thresholdHeadlineFinal' : 'app.thresholdHeadline', {
+                party,
+                threshold: formatPercent(LEVELING_THRESHOLD, 0),
+                share: formatPercent(headline.threshold.share),
+                days: Math.round(headline.threshold.daysUntilElection),
+                year: headline.year
+              })}
+            </span>
+          </div>
+        )}
       </header>
       
       <main className="app-main">
+        {/* Range shared by the timeline charts below */}
+        <RangeBrush range={timelineRange} bounds={rangeBounds} onChange={setTimelineRange} />
+
         {/* Short Timeline Chart - Final 50 Days */}
-        <div className="unified-section">
-          <h2>Final 50 Days</h2>
-          <ShortTimelineChart data={electionData} />
+        <div className="unified-section" id="short">
+          <div className="section-header">
+            <h2>{t('app.short')}</h2>
+            <CopyLinkButton section="short" />
+          </div>
+          <ShortTimelineChart
+            data={electionData}
+            party={party}
+            smoothing={smoothing}
+            averageOptions={averageOptions}
+            range={timelineRange}
+            rangeBounds={rangeBounds}
+            onRangeChange={setTimelineRange}
+          />
         </div>
 
         {/* Unified Timeline Chart */}
-        <div className="unified-section">
-          <h2>Historical Analysis</h2>
-          <UnifiedTimelineChart electionData={electionData} />
+        <div className="unified-section" id="historical">
+          <div className="section-header">
+            <h2>{t('app.historical')}</h2>
+            <CopyLinkButton section="historical" />
+          </div>
+          <UnifiedTimelineChart
+            electionData={electionData}
+            localElectionData={localElectionData}
+            party={party}
+            smoothing={smoothing}
+            averageOptions={averageOptions}
+            range={timelineRange}
+            rangeBounds={rangeBounds}
+            onRangeChange={setTimelineRange}
+          />
+        </div>
+
+        {/* Final-result forecast */}
+        <div className="unified-section" id="forecast">
+          <div className="section-header">
+            <h2>{t('app.forecast')}</h2>
+            <CopyLinkButton section="forecast" />
+          </div>
+          <ForecastChart electionData={electionData} party={party} smoothing={smoothing} averageOptions={averageOptions} />
+        </div>
+
+        {/* Probability of clearing the leveling-seat threshold */}
+        <div className="unified-section" id="threshold">
+          <div className="section-header">
+            <h2>{t('app.threshold')}</h2>
+            <CopyLinkButton section="threshold" />
+          </div>
+          <ThresholdProbabilityChart electionData={electionData} party={party} smoothing={smoothing} averageOptions={averageOptions} />
+        </div>
+
+        {/* Seat projection */}
+        <div className="unified-section" id="seats">
+          <div className="section-header">
+            <h2>{t('app.seats')}</h2>
+            <CopyLinkButton section="seats" />
+          </div>
+          <SeatProjectionChart
+            electionData={electionData}
+            regionalData={regionalData}
+            party={party}
+            smoothing={smoothing}
+            averageOptions={averageOptions}
+          />
         </div>
 
+        {/* Regional polls by constituency */}
+        {regionalData && (
+          <div className="unified-section" id="regional">
+            <div className="section-header">
+              <h2>{t('app.regional')}</h2>
+              <CopyLinkButton section="regional" />
+            </div>
+            <p className="section-description">
+              {t('app.regionalDescription', { party })}
+            </p>
+            <RegionalTrendChart
+              regionalData={regionalData}
+              electionData={electionData}
+              party={party}
+              smoothing={smoothing}
+              averageOptions={averageOptions}
+            />
+          </div>
+        )}
+
         {/* Individual Election Charts */}
-        <div className="individual-elections">
-          <h2>Individual Elections</h2>
+        <div className="individual-elections" id="elections">
+          <div className="section-header">
+            <h2>{t('app.elections')}</h2>
+            <CopyLinkButton section="elections" />
+          </div>
           {Object.entries(electionData.elections)
             .sort(([a], [b]) => parseInt(b) - parseInt(a)) // Sort by year, newest first
             .map(([year, data]) => (
               <div key={year} className="election-section">
                 <h3>{year}</h3>
-                <p className="election-date">{data.electionDate}</p>
-                <ElectionChart electionYear={parseInt(year)} electionData={data} />
+                <p className="election-date">{formatDate(data.electionDate)}</p>
+                <ElectionChart electionYear={parseInt(year)} electionData={data} party={party} smoothing={smoothing} averageOptions={averageOptions} />
               </div>
             ))}
         </div>
 
         {/* Donation Analysis */}
-        <div className="unified-section">
-          <h2>Party Donations</h2>
+        <div className="unified-section" id="donations">
+          <div className="section-header">
+            <h2>{t('app.donations')}</h2>
+            <CopyLinkButton section="donations" />
+          </div>
           <DetailedDonationAnalysis />
         </div>
 
+        {/* Pollster House Effects */}
+        <div className="unified-section" id="house-effects">
+          <div className="section-header">
+            <h2>{t('app.houseEffects')}</h2>
+            <CopyLinkButton section="house-effects" />
+          </div>
+          <HouseEffectsChart electionData={electionData} party={party} />
+        </div>
+
         {/* Bias-Corrected 2025 Chart */}
-        <div className="unified-section">
-          <h2>2025 Bias-Corrected</h2>
-          <Corrected2025Chart electionData={electionData} />
+        <div className="unified-section" id="corrected">
+          <div className="section-header">
+            <h2>{t('app.corrected')}</h2>
+            <CopyLinkButton section="corrected" />
+          </div>
+          <Corrected2025Chart electionData={electionData} party={party} smoothing={smoothing} averageOptions={averageOptions} />
+          <BacktestTable electionData={electionData} party={party} smoothing={smoothing} averageOptions={averageOptions} />
         </div>
       </main>
       
       <footer className="app-footer">
         <p>
-          Data source: <a href="https://www.pollofpolls.no" target="_blank" rel="noopener noreferrer">pollofpolls.no</a>
+          {t('app.dataSource')} <a href="https://www.pollofpolls.no" target="_blank" rel="noopener noreferrer">pollofpolls.no</a>
           {' | '}
           <a href="https://github.com/torkilvederhus/mdg-elections-compare" target="_blank" rel="noopener noreferrer">
-            View on GitHub
+            {t('app.github')}
           </a>
         </p>
       </footer>
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import './Embed.css';
+import ShortTimelineChart from './components/ShortTimelineChart';
+import UnifiedTimelineChart from './components/UnifiedTimelineChart';
+import ForecastChart from './components/ForecastChart';
+import ThresholdProbabilityChart from './components/ThresholdProbabilityChart';
+import { ElectionData, ElectionRegistry, PartyCode, SmoothingMethod, TimelineRange } from './types';
+import { applyElectionRegistry } from './utils/elections';
+import { fetchJson } from './utils/dataLoader';
+import { PARTIES } from './utils/parties';
+import { SMOOTHING_METHODS } from './utils/pollAverage';
+import { RollingAverageOptions } from './utils/rollingAverage';
+import { rangeCodec } from './utils/timelineRange';
+import { EMBED_RESIZE_MESSAGE, EmbedChart } from './utils/embed';
+import { useI18n } from './i18n';
+import fallbackData from './data/polling-data.json';
+import fallbackRegistry from './data/elections.json';
+import fallbackLocalData from './data/local-polling-data.json';
+
+interface EmbedOptions {
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions: RollingAverageOptions;
+  cycles: string[] | null; // Election years to show; all when null
+  range: TimelineRange | null;
+}
+
+// Query parameters, e.g. ?cycles=2021,2025&party=SV&smoothing=model&weighted=1&midpoint=1&range=0-30
+const readEmbedOptions = (search: string): EmbedOptions => {
+  const params = new URLSearchParams(search);
+  const party = params.get('party');
+  const smoothing = params.get('smoothing');
+  const cycles = params.get('cycles');
+  const range = params.get('range');
+  return {
+    party: PARTIES.some(({ code }) => code === party) ? (party as PartyCode) : 'MDG',
+    smoothing: SMOOTHING_METHODS.includes(smoothing as SmoothingMethod) ? (smoothing as SmoothingMethod) : 'rolling',
+    averageOptions: {
+      weightBySampleSize: params.get('weighted') === '1',
+      useFieldworkMidpoint: params.get('midpoint') === '1'
+    },
+    cycles: cycles ? cycles.split(',').map(year => year.trim()).filter(Boolean) : null,
+    range: range ? rangeCodec.parse(range) : null
+  };
+};
+
+const onlyCycles = (data: ElectionData, cycles: string[] | null): ElectionData =>
+  cycles
+    ? { elections: Object.fromEntries(Object.entries(data.elections).filter(([year]) => cycles.includes(year))) }
+    : data;
+
+interface EmbedProps {
+  chart: EmbedChart;
+}
+
+// A single chart without the page around it, for iframes on other sites
+function Embed({ chart }: EmbedProps) {
+  const { t } = useI18n();
+  const [options] = useState(() => readEmbedOptions(window.location.search));
+  const [electionData, setElectionData] = useState<ElectionData | null>(null);
+  const [localElectionData, setLocalElectionData] = useState<ElectionData | null>(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      const [data, localData, registry] = await Promise.all([
+        fetchJson('polling-data.json', fallbackData as ElectionData),
+        chart === 'historical' ? fetchJson('local-polling-data.json', fallbackLocalData as ElectionData) : null,
+        fetchJson('elections.json', fallbackRegistry as ElectionRegistry)
+      ]);
+      // The forecast needs every earlier cycle's errors, so it keeps them all and only forecasts the latest requested cycle
+      const registered = applyElectionRegistry(data, registry);
+      setElectionData(chart === 'forecast' ? registered : onlyCycles(registered, options.cycles));
+      if (localData) {
+        setLocalElectionData(onlyCycles(applyElectionRegistry(localData, registry, 'local'), options.cycles));
+      }
+    };
+
+    fetchData();
+  }, [chart, options]);
+
+  // Tell the embedding page how tall the chart is whenever that changes
+  useEffect(() => {
+    if (window.parent === window) return;
+    const postHeight = () =>
+      window.parent.postMessage({ type: EMBED_RESIZE_MESSAGE, chart, height: document.documentElement.scrollHeight }, '*');
+    const observer = new ResizeObserver(postHeight);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, [chart]);
+
+  if (!electionData) {
+    return <div className="embed loading">{t('embed.loading')}</div>;
+  }
+
+  const { party, smoothing, averageOptions, range, cycles } = options;
+  const years = Object.keys(electionData.elections).filter(year => !cycles || cycles.includes(year)).sort();
+
+  if (years.length === 0) {
+    return <div className="embed error">{t('embed.noData')}</div>;
+  }
+
+  const homepage = `${window.location.origin}${process.env.PUBLIC_URL}/`;
+
+  return (
+    <div className="embed">
+      {chart === 'short-timeline' && (
+        <ShortTimelineChart data={electionData} party={party} smoothing={smoothing} averageOptions={averageOptions} range={range} />
+      )}
+      {chart === 'historical' && (
+        <UnifiedTimelineChart
+          electionData={electionData}
+          localElectionData={localElectionData}
+          party={party}
+          smoothing={smoothing}
+          averageOptions={averageOptions}
+          range={range}
+        />
+      )}
+      {chart === 'forecast' && (
+        <ForecastChart electionData={electionData} year={years[years.length - 1]} party={party} smoothing={smoothing} averageOptions={averageOptions} />
+      )}
+      {chart === 'threshold' && (
+        <ThresholdProbabilityChart electionData={electionData} party={party} smoothing={smoothing} averageOptions={averageOptions} />
+      )}
+      <p className="embed-credit">
+        {t('embed.data')} <a href="https://www.pollofpolls.no" target="_blank" rel="noopener noreferrer">pollofpolls.no</a>
+        {' | '}
+        <a href={homepage} target="_blank" rel="noopener noreferrer">{t('embed.fullAnalysis')}</a>
+      </p>
+    </div>
+  );
+}
+
+export default Embed;
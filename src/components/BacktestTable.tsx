@@ -0,0 +1,91 @@
+import React, { useMemo } from 'react';
+import { ElectionData, PartyCode, SmoothingMethod } from '../types';
+import { BACKTEST_METHODS, BacktestMethod, runBacktest } from '../utils/backtest';
+import { downloadBlob } from '../utils/chartExport';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { MessageKey, useI18n } from '../i18n';
+import './BacktestTable.css';
+
+interface BacktestTableProps {
+  electionData: ElectionData;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+}
+
+const METHOD_NAMES: { [method in BacktestMethod]: MessageKey } = {
+  raw: 'backtest.raw',
+  corrected: 'backtest.corrected',
+  juneBaseline: 'backtest.juneBaseline',
+};
+
+const BacktestTable: React.FC<BacktestTableProps> = ({ electionData, party, smoothing, averageOptions }) => {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const report = useMemo(() => runBacktest(electionData, party, smoothing, averageOptions), [electionData, party, smoothing, averageOptions]);
+  const notAvailable = t('common.notAvailable');
+
+  const formatError = (error: number | null): string =>
+    error === null ? notAvailable : `${error > 0 ? '+' : ''}${formatNumber(error, 1)}`;
+
+  if (report.cycles.length === 0) {
+    return <div className="backtest-table">{t('backtest.noData', { party })}</div>;
+  }
+
+  // Lowest mean absolute error wins
+  const best = BACKTEST_METHODS
+    .filter(method => report.meanAbsoluteError[method] !== null)
+    .sort((a, b) => (report.meanAbsoluteError[a] as number) - (report.meanAbsoluteError[b] as number))[0];
+
+  const downloadReport = () =>
+    downloadBlob(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `backtest-${party}-${smoothing}.json`);
+
+  return (
+    <div className="backtest-table">
+      <h3>{t('backtest.title')}</h3>
+      <p className="analysis-description">{t('backtest.description')}</p>
+
+      <div className="backtest-grid">
+        <div className="table-header">
+          <span>{t('common.election')}</span>
+          <span>{t('backtest.trainedOn')}</span>
+          <span>{t('backtest.actual')}</span>
+          {BACKTEST_METHODS.map(method => <span key={method}>{t(METHOD_NAMES[method])}</span>)}
+        </div>
+        {report.cycles.map(cycle => (
+          <div key={cycle.year} className="table-row">
+            <span className="election-year">{cycle.year}</span>
+            <span>{cycle.trainingYear}</span>
+            <span>{formatPercent(cycle.actualResult)}</span>
+            {BACKTEST_METHODS.map(method => (
+              <span key={method}>
+                {cycle.estimates[method] !== null ? formatPercent(cycle.estimates[method] as number) : notAvailable}
+                <span className="backtest-error"> ({formatError(cycle.errors[method])})</span>
+              </span>
+            ))}
+          </div>
+        ))}
+        <div className="table-row summary-row">
+          <span className="election-year">{t('backtest.meanError')}</span>
+          <span />
+          <span />
+          {BACKTEST_METHODS.map(method => (
+            <span key={method} className={method === best ? 'best-method' : undefined}>
+              {report.meanAbsoluteError[method] !== null
+                ? t('backtest.points', { points: formatNumber(report.meanAbsoluteError[method] as number, 2) })
+                : notAvailable}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="backtest-footer">
+        {best && <p>{t('backtest.best', { count: report.cycles.length })} <strong>{t(METHOD_NAMES[best])}</strong></p>}
+        <button type="button" className="download-report" onClick={downloadReport}>
+          {t('backtest.download')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BacktestTable;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { ChartTable } from '../utils/chartTable';
+import { useI18n } from '../i18n';
+import './ChartAlternative.css';
+
+interface ChartAlternativeProps {
+  summary: string; // Plain-language summary of what the chart shows
+  table: ChartTable;
+  announcement?: string; // The point the keyboard is on, read out by screen readers
+}
+
+// Text alternative for a canvas chart: a summary, a collapsible data table and a live region for keyboard navigation
+const ChartAlternative: React.FC<ChartAlternativeProps> = ({ summary, table, announcement = '' }) => {
+  const { t, formatNumber } = useI18n();
+  // Long tables are only rendered once opened
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="chart-alternative">
+      <p className="chart-alternative-summary">{summary}</p>
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{announcement}</div>
+      <details className="chart-data-table" onToggle={(event) => setOpen(event.currentTarget.open)}>
+        <summary>{t('a11y.showTable', { count: formatNumber(table.rows.length) })}</summary>
+        {open && (
+          <div className="chart-data-table-scroll">
+            <table>
+              <caption>{table.caption}</caption>
+              <thead>
+                <tr>
+                  {table.columns.map(column => <th key={column} scope="col">{column}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {table.rows.map((row, i) => (
+                  <tr key={i}>
+                    {row.map((cell, j) => (j === 0 ? <th key={j} scope="row">{cell}</th> : <td key={j}>{cell}</td>))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </details>
+    </div>
+  );
+};
+
+export default ChartAlternative;
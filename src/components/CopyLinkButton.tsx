@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import { shareUrl } from '../utils/urlState';
+import { useI18n } from '../i18n';
+import './CopyLinkButton.css';
+
+interface CopyLinkButtonProps {
+  section: string; // Id of the section the link scrolls to
+}
+
+const COPIED_MESSAGE_MS = 2000;
+
+const CopyLinkButton: React.FC<CopyLinkButtonProps> = ({ section }) => {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), COPIED_MESSAGE_MS);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copyLink = async () => {
+    const url = shareUrl(section);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // Clipboard access needs a secure context; let the user copy it by hand instead
+      window.prompt(t('copyLink.prompt'), url);
+    }
+  };
+
+  return (
+    <button type="button" className="copy-link-button" onClick={copyLink} title={t('copyLink.title')}>
+      {copied ? t('copyLink.copied') : t('copyLink.copy')}
+    </button>
+  );
+};
+
+export default CopyLinkButton;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { Chart } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -12,8 +12,17 @@ import {
   Legend,
   ScatterController,
 } from 'chart.js';
-import { ElectionData } from '../types';
-import { calculateRollingAverage } from '../utils/rollingAverage';
+import { ElectionData, PartyCode, SmoothingMethod } from '../types';
+import { calculatePollAverage } from '../utils/pollAverage';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { BIAS_WINDOW_DAYS, applyPollsterCorrections, calculatePollsterErrors } from '../utils/biasCorrection';
+import { datasetTable } from '../utils/chartTable';
+import { shareAxisMax } from '../utils/parties';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ExportMenu from './ExportMenu';
+import ChartAlternative from './ChartAlternative';
 import './Corrected2025Chart.css';
 
 ChartJS.register(
@@ -30,71 +39,30 @@ ChartJS.register(
 
 interface Corrected2025ChartProps {
   electionData: ElectionData;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
 }
 
-const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData }) => {
+const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData, party, smoothing, averageOptions }) => {
+  const chartRef = useRef<ChartJS<'scatter'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+  const { t, locale, formatNumber, formatPercent, formatChange, formatDate } = useI18n();
+  const theme = useTheme();
+
   // Calculate 2021 pollster errors (50-day average)
-  const pollster2021Errors: { [pollster: string]: number } = {};
-  
   const election2021 = electionData.elections['2021'];
-  if (election2021 && election2021.actualResult) {
-    const pollsterData: { [pollster: string]: { error: number; count: number } } = {};
-    
-    election2021.polls.forEach(poll => {
-      if (poll.daysUntilElection >= 0 && poll.daysUntilElection <= 50) {
-        // Extract pollster name
-        const pollsterParts = poll.pollster.split(' - ');
-        const pollsterName = pollsterParts.length > 1 ? 
-          pollsterParts[1].split(' ')[0].trim() : 
-          poll.pollster.split(' ')[0].trim();
-        
-        if (!pollsterData[pollsterName]) {
-          pollsterData[pollsterName] = { error: 0, count: 0 };
-        }
-        
-        const error = poll.mdgPercentage - (election2021.actualResult || 0);
-        pollsterData[pollsterName].error += error;
-        pollsterData[pollsterName].count += 1;
-      }
-    });
-    
-    // Calculate average errors
-    Object.keys(pollsterData).forEach(pollster => {
-      const data = pollsterData[pollster];
-      if (data.count >= 2) { // Only use pollsters with 2+ polls
-        pollster2021Errors[pollster] = data.error / data.count;
-      }
-    });
-  }
+  const pollster2021Errors = election2021 ? calculatePollsterErrors(election2021, party) : {};
 
   // Process 2025 data
   const election2025 = electionData.elections['2025'];
   if (!election2025) {
-    return <div>No 2025 data available</div>;
+    return <div>{t('corrected.noData')}</div>;
   }
 
   // Filter to final 50 days and apply corrections
-  const final50DayPolls = election2025.polls
-    .filter(poll => poll.daysUntilElection >= 0 && poll.daysUntilElection <= 50)
-    .map(poll => {
-      // Extract pollster name
-      const pollsterParts = poll.pollster.split(' - ');
-      const pollsterName = pollsterParts.length > 1 ? 
-        pollsterParts[1].split(' ')[0].trim() : 
-        poll.pollster.split(' ')[0].trim();
-      
-      // Apply correction if we have 2021 error data for this pollster
-      const correction = pollster2021Errors[pollsterName] || 0;
-      const correctedPercentage = poll.mdgPercentage - correction;
-      
-      return {
-        ...poll,
-        originalPercentage: poll.mdgPercentage,
-        correctedPercentage: Math.max(0, correctedPercentage), // Don't go below 0%
-        pollsterName,
-        correction
-      };
-    })
+  const final50DayPolls = applyPollsterCorrections(election2025.polls, pollster2021Errors, party)
+    .filter(poll => poll.daysUntilElection >= 0 && poll.daysUntilElection <= BIAS_WINDOW_DAYS)
     .sort((a, b) => b.daysUntilElection - a.daysUntilElection);
 
   // Create datasets
@@ -102,15 +70,15 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
 
   // Original 2025 polls (scatter)
   datasets.push({
-    label: 'Original',
+    label: t('corrected.original'),
     data: final50DayPolls.map(poll => ({
       x: poll.daysUntilElection,
       y: poll.originalPercentage,
       pollster: poll.pollsterName,
       date: poll.date
     })),
-    backgroundColor: '#3b82f6',
-    borderColor: '#3b82f6',
+    backgroundColor: theme.secondary,
+    borderColor: theme.secondary,
     pointRadius: 4,
     pointHoverRadius: 6,
     showLine: false,
@@ -120,7 +88,7 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
 
   // Corrected 2025 polls (scatter) - includes all polls, corrected and uncorrected
   datasets.push({
-    label: 'Corrected',
+    label: t('corrected.corrected'),
     data: final50DayPolls.map(poll => ({
       x: poll.daysUntilElection,
       y: poll.correctedPercentage,
@@ -129,8 +97,8 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
       correction: poll.correction,
       wasCorrected: poll.correction !== 0
     })),
-    backgroundColor: '#10b981',
-    borderColor: '#10b981',
+    backgroundColor: theme.accent,
+    borderColor: theme.accent,
     pointRadius: 4,
     pointHoverRadius: 6,
     showLine: false,
@@ -138,22 +106,25 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
     order: 2
   });
 
-  // Original 7-day rolling average
-  const originalRollingAverage = calculateRollingAverage(
+  // Original trend (7-day window when rolling)
+  const originalRollingAverage = calculatePollAverage(
+    smoothing,
     final50DayPolls.map(poll => ({
       ...poll,
-      mdgPercentage: poll.originalPercentage
+      parties: { [party]: poll.originalPercentage }
     })),
-    7
+    7,
+    party,
+    averageOptions
   );
 
   if (originalRollingAverage.length > 0) {
     datasets.push({
-      label: 'Original Avg',
+      label: t('corrected.originalAverage'),
       data: originalRollingAverage,
       backgroundColor: 'transparent',
-      borderColor: '#3b82f6',
-      borderWidth: 3,
+      borderColor: theme.secondary,
+      borderWidth: theme.lineWidth,
       pointRadius: 0,
       pointHoverRadius: 4,
       showLine: true,
@@ -163,22 +134,25 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
     });
   }
 
-  // Corrected 7-day rolling average
-  const correctedRollingAverage = calculateRollingAverage(
+  // Corrected trend (7-day window when rolling)
+  const correctedRollingAverage = calculatePollAverage(
+    smoothing,
     final50DayPolls.map(poll => ({
       ...poll,
-      mdgPercentage: poll.correctedPercentage
+      parties: { [party]: poll.correctedPercentage }
     })),
-    7
+    7,
+    party,
+    averageOptions
   );
 
   if (correctedRollingAverage.length > 0) {
     datasets.push({
-      label: 'Corrected Avg',
+      label: t('corrected.correctedAverage'),
       data: correctedRollingAverage,
       backgroundColor: 'transparent',
-      borderColor: '#10b981',
-      borderWidth: 3,
+      borderColor: theme.accent,
+      borderWidth: theme.lineWidth,
       pointRadius: 0,
       pointHoverRadius: 4,
       showLine: true,
@@ -192,7 +166,10 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
     datasets: datasets
   };
 
+  const yMax = shareAxisMax(datasets);
+
   const options = {
+    locale,
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
@@ -207,21 +184,21 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
         callbacks: {
           title: (context: any) => {
             const point = context[0];
-            return `${point.parsed.x} days until election`;
+            return t('corrected.daysUntil', { days: point.parsed.x });
           },
           label: (context: any) => {
             const point = context.raw;
-            let label = `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`;
+            let label = `${context.dataset.label}: ${formatPercent(context.parsed.y)}`;
             if (point.pollster) {
               label += ` (${point.pollster})`;
             }
             if (point.correction && point.correction !== 0) {
-              label += ` [Corrected by ${point.correction > 0 ? '-' : '+'}${Math.abs(point.correction).toFixed(1)}%]`;
+              label += ` [${t('corrected.correctedBy', { correction: formatChange(-point.correction) })}]`;
             } else if (point.wasCorrected === false) {
-              label += ` [No 2021 data - uncorrected]`;
+              label += ` [${t('corrected.uncorrected')}]`;
             }
             if (point.date) {
-              label += ` - ${point.date}`;
+              label += ` - ${formatDate(point.date)}`;
             }
             return label;
           }
@@ -234,7 +211,7 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
         position: 'bottom' as const,
         title: {
           display: true,
-          text: 'Days Until Election',
+          text: t('chart.daysUntilElection'),
           font: {
             size: 16,
             weight: 'bold' as const
@@ -250,37 +227,37 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
           },
           callback: function(value: any) {
             const numValue = Number(value);
-            if (numValue === 0) return 'Election Day';
-            if (numValue % 10 === 0) return `${numValue} days`;
+            if (numValue === 0) return t('chart.electionDay');
+            if (numValue % 10 === 0) return t('chart.days', { days: numValue });
             return '';
           }
         },
         grid: {
-          color: 'rgba(0, 0, 0, 0.1)'
+          color: theme.grid
         }
       },
       y: {
         display: true,
         title: {
           display: true,
-          text: 'MDG Polling Percentage (%)',
+          text: t('chart.pollingPercentage', { party }),
           font: {
             size: 16,
             weight: 'bold' as const
           }
         },
         min: 0,
-        max: 8,
+        max: yMax,
         ticks: {
           font: {
             size: 12
           },
           callback: function(value: any) {
-            return `${value}%`;
+            return formatPercent(value, 0);
           }
         },
         grid: {
-          color: 'rgba(0, 0, 0, 0.1)'
+          color: theme.grid
         }
       }
     }
@@ -298,39 +275,60 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
   const finalCorrectedAvg = correctedRollingAverage.length > 0 ? 
     correctedRollingAverage[correctedRollingAverage.length - 1].y : null;
 
+  const summary = [
+    t('corrected.chartSummary', {
+      party,
+      count: correctedPollsWithData.length,
+      total: final50DayPolls.length,
+      days: BIAS_WINDOW_DAYS,
+    }),
+    ...(finalOriginalAvg !== null && finalCorrectedAvg !== null
+      ? [t('corrected.chartSummaryAverages', { corrected: formatPercent(finalCorrectedAvg), original: formatPercent(finalOriginalAvg) })]
+      : []),
+  ].join(' ');
+  const table = datasetTable(
+    t('corrected.exportTitle', { party }),
+    [t('a11y.series'), t('chart.daysUntilElection'), t('a11y.share', { party })],
+    datasets,
+    point => formatNumber(point.x),
+    point => formatPercent(point.y)
+  );
+
   return (
     <div className="corrected-2025-chart">
+      <ExportMenu chartRef={chartRef} title={t('corrected.exportTitle', { party })} filename={`${party}-2025-bias-corrected`} />
       <div className="chart-container">
-        <Chart type="scatter" data={chartData} options={options} />
+        <Chart ref={chartRef} type="scatter" data={chartData} options={options} {...canvasProps(summary)} />
       </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
       
               <div className="correction-analysis">
-        <h3>Correction Summary</h3>
+        <h3>{t('corrected.summary')}</h3>
         <div className="analysis-grid">
           <div className="stat-box">
-            <h4>Method</h4>
-            <p>Adjusts 2025 polls using each pollster's 2021 bias pattern.</p>
+            <h4>{t('corrected.method')}</h4>
+            <p>{t('corrected.methodDescription')}</p>
           </div>
           
           <div className="stat-box">
-            <h4>Coverage</h4>
-            <p>{correctedPollsWithData.length} polls corrected</p>
-            <p>{uncorrectedPolls.length} polls unchanged</p>
-            <p>Avg correction: {avgCorrection.toFixed(1)}pp</p>
+            <h4>{t('corrected.coverage')}</h4>
+            <p>{t('corrected.pollsCorrected', { count: correctedPollsWithData.length })}</p>
+            <p>{t('corrected.pollsUnchanged', { count: uncorrectedPolls.length })}</p>
+            <p>{t('corrected.averageCorrection', { points: formatNumber(avgCorrection, 1) })}</p>
           </div>
           
           {finalOriginalAvg !== null && finalCorrectedAvg !== null && (
             <div className="stat-box">
-              <h4>Final Averages</h4>
-              <p>Original 7-day: <strong>{finalOriginalAvg.toFixed(1)}%</strong></p>
-              <p>Corrected 7-day: <strong style={{color: '#10b981'}}>{finalCorrectedAvg.toFixed(1)}%</strong></p>
-              <p>Net adjustment: <strong>{(finalCorrectedAvg - finalOriginalAvg).toFixed(1)} points</strong></p>
+              <h4>{t('corrected.finalAverages')}</h4>
+              <p>{t(smoothing === 'model' ? 'corrected.originalModel' : 'corrected.originalRolling')}: <strong>{formatPercent(finalOriginalAvg)}</strong></p>
+              <p>{t(smoothing === 'model' ? 'corrected.correctedModel' : 'corrected.correctedRolling')}: <strong style={{color: theme.accent}}>{formatPercent(finalCorrectedAvg)}</strong></p>
+              <p>{t('corrected.netAdjustment')} <strong>{t('corrected.points', { points: formatNumber(finalCorrectedAvg - finalOriginalAvg, 1) })}</strong></p>
             </div>
           )}
         </div>
         
         <div className="pollster-corrections">
-          <h4>Pollster Bias (2021)</h4>
+          <h4>{t('corrected.pollsterBias')}</h4>
           <div className="corrections-list">
             {Object.entries(pollster2021Errors)
               .sort(([a], [b]) => a.localeCompare(b))
@@ -338,9 +336,9 @@ const Corrected2025Chart: React.FC<Corrected2025ChartProps> = ({ electionData })
                 <div key={pollster} className="correction-item">
                   <span className="pollster-name">{pollster}</span>
                   <span className="error-value" style={{
-                    color: error > 0 ? '#ef4444' : '#22c55e'
+                    color: error > 0 ? theme.negative : theme.positive
                   }}>
-                    {error > 0 ? '+' : ''}{error.toFixed(1)}%
+                    {formatChange(error)}
                   </span>
                 </div>
               ))}
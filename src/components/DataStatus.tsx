@@ -0,0 +1,90 @@
+import React from 'react';
+import { DataMeta } from '../types';
+import { useI18n } from '../i18n';
+import { useServiceWorkerUpdates } from '../hooks/useServiceWorkerUpdates';
+import './DataStatus.css';
+
+// Polls come out at least weekly, so a newest poll this many days old suggests the update job has stopped.
+// Data that records its last check is judged by that instead, since the job runs several times a day
+const STALE_AFTER_DAYS = 14;
+const UNCHECKED_AFTER_DAYS = 2;
+
+interface DataStatusProps {
+  meta?: DataMeta;
+  asOf: Date | null;
+  onReloadData: () => void;
+}
+
+/**
+ * Header banner saying how current the data is: when the polls last changed,
+ * the newest poll and the last check for new ones (or the file date, for data
+ * without metadata), with a warning when the update job seems to have stopped
+ * and a notice when newer data or a new version of the site is ready.
+ */
+const DataStatus: React.FC<DataStatusProps> = ({ meta, asOf, onReloadData }) => {
+  const { t, formatDate, formatDateTime, formatNumber } = useI18n();
+  const { dataUpdated, clearDataUpdated, appUpdateWaiting, applyAppUpdate, online } = useServiceWorkerUpdates();
+
+  const reloadData = () => {
+    clearDataUpdated();
+    onReloadData();
+  };
+
+  const generatedAt = meta ? new Date(meta.generatedAt) : null;
+  const daysSince = (date: string) => (Date.now() - new Date(date).getTime()) / (24 * 3600 * 1000);
+  const unchecked = meta?.lastCheckedAt !== undefined && daysSince(meta.lastCheckedAt) > UNCHECKED_AFTER_DAYS;
+  const stale = meta?.lastCheckedAt === undefined && !!meta?.newestPollDate && daysSince(meta.newestPollDate) > STALE_AFTER_DAYS;
+
+  return (
+    <div className="data-status">
+      <span className="data-status-badge">
+        {!online && <strong className="data-status-tag">{t('dataStatus.offline')}</strong>}
+        {meta && asOf === null && <strong className="data-status-tag">{t('dataStatus.bundledTag')}</strong>}
+        {generatedAt
+          ? t('dataStatus.updated', { date: formatDateTime(generatedAt) })
+          : asOf ? t('dataStatus.asOf', { date: formatDateTime(asOf) }) : t('dataStatus.bundled')}
+        {meta?.newestPollDate && <span>· {t('dataStatus.newestPoll', { date: formatDate(meta.newestPollDate) })}</span>}
+        {meta?.lastCheckedAt && <span>· {t('dataStatus.lastChecked', { date: formatDate(meta.lastCheckedAt) })}</span>}
+      </span>
+      {meta && (
+        <details className="data-status-details">
+          <summary>{t('dataStatus.details')}</summary>
+          <dl>
+            <dt>{t('dataStatus.pollCounts')}</dt>
+            <dd>
+              {Object.entries(meta.pollCounts)
+                .map(([year, count]) => t('dataStatus.pollCount', { year, count: formatNumber(count) }))
+                .join(', ')}
+            </dd>
+            <dt>{t('dataStatus.scraperVersion')}</dt>
+            <dd>{meta.scraperVersion}</dd>
+            <dt>{t('dataStatus.highestScannedId')}</dt>
+            <dd>{meta.highestScannedId}</dd>
+          </dl>
+        </details>
+      )}
+      {stale && meta?.newestPollDate && (
+        <div className="data-status-stale" role="status">
+          {t('dataStatus.stale', { date: formatDate(meta.newestPollDate) })}
+        </div>
+      )}
+      {unchecked && meta?.lastCheckedAt && (
+        <div className="data-status-stale" role="status">
+          {t('dataStatus.unchecked', { date: formatDate(meta.lastCheckedAt) })}
+        </div>
+      )}
+      <div aria-live="polite">
+        {(appUpdateWaiting || dataUpdated) && (
+          <div className="data-status-notice">
+            <span>{t(appUpdateWaiting ? 'dataStatus.newApp' : 'dataStatus.newData')}</span>
+            <button type="button" onClick={appUpdateWaiting ? applyAppUpdate : reloadData}>
+              {t('dataStatus.refresh')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataStatus;
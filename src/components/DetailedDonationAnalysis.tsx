@@ -1,9 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend, ChartOptions } from 'chart.js';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, BarController, Title, Tooltip, Legend, ChartOptions, ChartConfiguration } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
+import { MessageKey, useI18n } from '../i18n';
+import ExportMenu from './ExportMenu';
 import './DonationAnalysis.css';
 
-ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, BarElement, BarController, Title, Tooltip, Legend);
+
+const DONOR_CATEGORIES = ['unions', 'companies', 'individuals', 'organizations', 'partyOrganizations', 'other'] as const;
+
+const CATEGORY_NAMES: { [key: string]: MessageKey } = {
+  unions: 'donations.unions',
+  companies: 'donations.companies',
+  individuals: 'donations.individuals',
+  organizations: 'donations.organizations',
+  partyOrganizations: 'donations.partyOrganizations',
+  other: 'donations.other'
+};
 
 interface DonorTypeBreakdown {
   count: number;
@@ -40,7 +53,8 @@ interface DetailedDonationData {
 const DetailedDonationAnalysis: React.FC = () => {
   const [donationData, setDonationData] = useState<DetailedDonationData | null>(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
+  const [error, setError] = useState<MessageKey | null>(null);
+  const { t, locale, formatNumber, formatPercent, formatDate } = useI18n();
 
   useEffect(() => {
     const fetchDonationData = async () => {
@@ -54,7 +68,7 @@ const DetailedDonationAnalysis: React.FC = () => {
         setDonationData(data);
       } catch (err) {
         console.error('Error fetching detailed donation data:', err);
-        setError('Unable to load detailed donation data. Please run the analysis script.');
+        setError('donations.loadError');
       } finally {
         setLoading(false);
       }
@@ -64,7 +78,7 @@ const DetailedDonationAnalysis: React.FC = () => {
   }, []);
 
   const formatCurrency = (amount: number): string => {
-    return new Intl.NumberFormat('no-NO', {
+    return new Intl.NumberFormat(locale, {
       style: 'currency',
       currency: 'NOK',
       minimumFractionDigits: 0,
@@ -72,20 +86,18 @@ const DetailedDonationAnalysis: React.FC = () => {
     }).format(amount);
   };
 
-  const formatNumber = (num: number): string => {
-    return new Intl.NumberFormat('no-NO').format(num);
+  // Top donors in short form, e.g. "1,2 mill. kr" or "NOK 1.2M"
+  const formatCompactCurrency = (amount: number): string => {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: 'NOK',
+      notation: 'compact',
+      maximumFractionDigits: 1
+    }).format(amount);
   };
 
   const getCategoryName = (key: string): string => {
-    const names: { [key: string]: string } = {
-      unions: 'Labor Unions',
-      companies: 'Companies',
-      individuals: 'Individual Donors',
-      organizations: 'Other Organizations',
-      partyOrganizations: 'Party Organizations',
-      other: 'Other/Unknown'
-    };
-    return names[key] || key;
+    return CATEGORY_NAMES[key] ? t(CATEGORY_NAMES[key]) : key;
   };
 
   const getCategoryColor = (key: string): string => {
@@ -101,11 +113,11 @@ const DetailedDonationAnalysis: React.FC = () => {
   };
 
   if (loading) {
-    return <div className="donation-analysis"><div className="loading">Loading detailed donation data...</div></div>;
+    return <div className="donation-analysis"><div className="loading">{t('donations.loading')}</div></div>;
   }
 
   if (error || !donationData) {
-    return <div className="donation-analysis"><div className="error">{error || 'No detailed donation data available'}</div></div>;
+    return <div className="donation-analysis"><div className="error">{t(error || 'donations.noData')}</div></div>;
   }
 
   // Sort parties by total amount (major parties only)
@@ -114,21 +126,53 @@ const DetailedDonationAnalysis: React.FC = () => {
     .filter(party => majorParties.includes(party.name))
     .sort((a, b) => b.totalAmount - a.totalAmount);
 
+  // The breakdown has no chart on the page, so exports draw one: amounts per donor type, stacked per party
+  const exportConfig = (): ChartConfiguration => ({
+    type: 'bar',
+    data: {
+      labels: parties.map(party => party.name),
+      datasets: DONOR_CATEGORIES.map(key => ({
+        label: getCategoryName(key),
+        data: parties.map(party => party.donorTypeBreakdown[key]?.amount || 0),
+        backgroundColor: getCategoryColor(key)
+      }))
+    },
+    options: {
+      locale,
+      indexAxis: 'y',
+      plugins: {
+        title: { display: true, text: t('donations.chartTitle', { year: donationData.year }) },
+        legend: { position: 'top' }
+      },
+      scales: {
+        x: { stacked: true, title: { display: true, text: t('donations.amountAxis') } },
+        y: { stacked: true }
+      }
+    }
+  });
+
   return (
     <div className="donation-analysis">
       <div className="analysis-header">
-        <h2>Political Party Donations {donationData.year} 🇳🇴</h2>
-        <p className="data-subtitle">Detailed donor type analysis from partifinansiering.no</p>
-        <p className="last-updated">Last updated: {new Date(donationData.lastUpdated).toLocaleDateString('no-NO')}</p>
+        <h2>{t('donations.title', { year: donationData.year })} 🇳🇴</h2>
+        <p className="data-subtitle">{t('donations.subtitle')}</p>
+        <p className="last-updated">{t('donations.lastUpdated', { date: formatDate(donationData.lastUpdated) })}</p>
       </div>
 
+      <ExportMenu
+        config={exportConfig}
+        title={t('donations.exportTitle', { year: donationData.year })}
+        filename={`donations-${donationData.year}`}
+        source="partifinansiering.no"
+      />
+
       <div className="donor-type-breakdown">
         {parties.map((party, index) => (
           <div key={party.name} className="party-breakdown">
             <div className="party-header">
               <h3>{index + 1}. {party.name === 'Miljøpartiet De Grønne' ? 'MDG' : party.name}</h3>
               <div className="party-totals">
-                <span className="total-donations">{formatNumber(party.totalDonations)} donations</span>
+                <span className="total-donations">{t('donations.donationCount', { count: formatNumber(party.totalDonations) })}</span>
                 <span className="total-amount">{formatCurrency(party.totalAmount)}</span>
               </div>
             </div>
@@ -147,8 +191,10 @@ const DetailedDonationAnalysis: React.FC = () => {
                       <span className="category-name">{getCategoryName(categoryKey)}</span>
                     </div>
                     <div className="category-stats">
-                      <span className="donor-count">{category.count} donors ({category.percentage}%)</span>
-                      <span className="category-amount">{formatCurrency(category.amount)} ({category.amountPercentage}%)</span>
+                      <span className="donor-count">
+                        {t('donations.donorCount', { count: formatNumber(category.count) })} ({formatPercent(category.percentage, 0)})
+                      </span>
+                      <span className="category-amount">{formatCurrency(category.amount)} ({formatPercent(category.amountPercentage, 0)})</span>
                     </div>
                   </div>
                   
@@ -158,12 +204,7 @@ const DetailedDonationAnalysis: React.FC = () => {
                         <div key={i} className="top-donor">
                           <span className="donor-rank">{i + 1}.</span>
                           <span className="donor-name">{donor.name}</span>
-                          <span className="donor-amount">
-                            {donor.amount >= 1000000 
-                              ? `${(donor.amount/1000000).toFixed(1)}M NOK`
-                              : `${Math.round(donor.amount/1000)}k NOK`
-                            }
-                          </span>
+                          <span className="donor-amount">{formatCompactCurrency(donor.amount)}</span>
                         </div>
                       ))}
                     </div>
@@ -176,40 +217,39 @@ const DetailedDonationAnalysis: React.FC = () => {
       </div>
 
       <div className="data-insights">
-        <h3>Key Insights</h3>
+        <h3>{t('donations.insights')}</h3>
         <div className="insights-grid">
           <div className="insight-card">
-            <h4>Labor Union Influence</h4>
-            <p>Arbeiderpartiet receives 83% of funding from unions (38M NOK), while SV gets 73% (11M NOK). This reflects traditional Norwegian labor-left political alliances.</p>
+            <h4>{t('donations.unionTitle')}</h4>
+            <p>{t('donations.unionText')}</p>
           </div>
           
           <div className="insight-card">
-            <h4>Business Support</h4>
-            <p>Right-wing parties like Høyre (75% from companies) and FrP (45% from companies) receive significant business funding, with major donations from Sundt AS, Watrium AS, and others.</p>
+            <h4>{t('donations.businessTitle')}</h4>
+            <p>{t('donations.businessText')}</p>
           </div>
           
           <div className="insight-card">
-            <h4>Grassroots vs. Institutional</h4>
-            <p>MDG shows the most grassroots support with 88% individual donors, while established parties rely more on institutional funding from unions, companies, and party organizations.</p>
+            <h4>{t('donations.grassrootsTitle')}</h4>
+            <p>{t('donations.grassrootsText')}</p>
           </div>
           
           <div className="insight-card">
-            <h4>Party Organizations</h4>
-            <p>Regional and local party branches contribute significantly to their national organizations, showing internal party coordination in fundraising efforts.</p>
+            <h4>{t('donations.partyOrganizationsTitle')}</h4>
+            <p>{t('donations.partyOrganizationsText')}</p>
           </div>
         </div>
       </div>
 
       <div className="data-source">
-        <h4>Data Source & Methodology</h4>
-        <p><strong>Real Data:</strong> This analysis uses official donation data from <a href="https://www.partifinansiering.no" target="_blank" rel="noopener noreferrer">partifinansiering.no</a>, 
-           Norway's official registry for political party financing. All donations over NOK 10,000 must be publicly reported by law.</p>
+        <h4>{t('donations.sourceTitle')}</h4>
+        <p><strong>{t('donations.realDataLabel')}</strong> {t('donations.realDataSource')}{' '}
+           <a href="https://www.partifinansiering.no" target="_blank" rel="noopener noreferrer">partifinansiering.no</a>
+           {t('donations.realDataText')}</p>
         
-        <p><strong>Donor Classification:</strong> Donors are categorized as labor unions, companies, individuals, other organizations, 
-           party organizations (regional/local branches), and other/unknown based on name patterns and organizational structure.</p>
+        <p><strong>{t('donations.classificationLabel')}</strong> {t('donations.classificationText')}</p>
         
-        <p><strong>Coverage:</strong> Analysis focuses on the 9 major parliamentary parties. 
-           Regional and local party donations are aggregated under their national organizations where appropriate.</p>
+        <p><strong>{t('donations.coverageLabel')}</strong> {t('donations.coverageText')}</p>
       </div>
     </div>
   );
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -12,12 +12,25 @@ import {
   ChartOptions,
   ScatterController,
   TimeScale,
+  Filler,
 } from 'chart.js';
 import 'chartjs-adapter-date-fns';
 import { Chart } from 'react-chartjs-2';
-import { Election } from '../types';
-import { calculateRollingAverage } from '../utils/rollingAverage';
+import { Election, PartyCode, SmoothingMethod } from '../types';
+import { averageLabel, calculatePollAverage } from '../utils/pollAverage';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { pollsWithShare } from '../utils/parties';
+import { DEFAULT_SAMPLE_SIZE, marginOfError } from '../utils/marginOfError';
+import { errorBarsPlugin, withAlpha } from '../utils/chartPlugins';
+import { datasetTable } from '../utils/chartTable';
 import { useIsMobile } from '../hooks/useIsMobile';
+import { useUrlState } from '../hooks/useUrlState';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { booleanCodec } from '../utils/urlState';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ExportMenu from './ExportMenu';
+import ChartAlternative from './ChartAlternative';
 import './ElectionChart.css';
 
 ChartJS.register(
@@ -30,45 +43,65 @@ ChartJS.register(
   Tooltip,
   Legend,
   ScatterController,
-  TimeScale
+  TimeScale,
+  Filler,
+  errorBarsPlugin
 );
 
 interface ElectionChartProps {
   electionYear: number;
   electionData: Election;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
 }
 
-const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionData }) => {
+const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionData, party, smoothing, averageOptions }) => {
   const isMobile = useIsMobile();
+  const { t, locale, dateLocale, formatNumber, formatPercent, formatDate } = useI18n();
+  const theme = useTheme();
+  const chartRef = useRef<ChartJS<'scatter'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+  const [showPolls, setShowPolls] = useUrlState(`polls-${electionYear}`, false, booleanCodec);
 
-  // Sort polls by date
-  const sortedPolls = [...electionData.polls].sort((a, b) => 
+  // Sort polls reporting the selected party by date
+  const sortedPolls = pollsWithShare(electionData.polls, party).sort((a, b) => 
     new Date(a.date).getTime() - new Date(b.date).getTime()
   );
 
-  // Calculate rolling average using daysUntilElection for consistency
-  const rollingAverage = calculateRollingAverage(sortedPolls, 10); // 10-day window
+  // Calculate the trend using daysUntilElection for consistency
+  const rollingAverage = calculatePollAverage(smoothing, sortedPolls, 10, party, averageOptions); // 10-day window when rolling
+  const trendLabel = averageLabel(smoothing, 10, t);
 
   // Prepare chart data with both polls and rolling average
   const datasets: any[] = [
-    // Individual polls as scatter points - now hidden on all devices
+    // Individual polls as scatter points with 95% whiskers - hidden unless toggled on
     {
-      label: 'Individual Polls',
-      data: sortedPolls.map(poll => ({
-        x: new Date(poll.date).getTime(),
-        y: poll.mdgPercentage,
-        pollster: poll.pollster,
-        date: poll.date,
-        daysUntil: poll.daysUntilElection
-      })),
-      backgroundColor: '#22c55e',
-      borderColor: '#22c55e',
-      pointRadius: 0, // Hide points on all devices
-      pointHoverRadius: 0,
+      label: t('election.polls'),
+      kind: 'polls',
+      data: sortedPolls.map(poll => {
+        const margin = marginOfError(poll.share, poll.sampleSize);
+        return {
+          x: new Date(poll.date).getTime(),
+          y: poll.share,
+          yMin: Math.max(0, poll.share - margin),
+          yMax: poll.share + margin,
+          margin,
+          sampleSize: poll.sampleSize,
+          pollster: poll.pollster,
+          date: poll.date,
+          daysUntil: poll.daysUntilElection
+        };
+      }),
+      backgroundColor: withAlpha(theme.accent, 0.7),
+      borderColor: withAlpha(theme.accent, 0.7),
+      pointRadius: showPolls ? 3 : 0,
+      pointHoverRadius: showPolls ? 5 : 0,
       showLine: false,
       type: 'scatter' as const,
       order: 2,
-      hidden: true // Hide individual polls on all devices
+      errorBars: true,
+      hidden: !showPolls
     }
   ];
 
@@ -82,16 +115,43 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
       );
       return {
         x: new Date(closestPoll.date).getTime(),
-        y: point.y
+        y: point.y,
+        margin: point.margin
       };
     });
 
+    // Shaded 95% band around the average, filled between the upper and lower edge
+    const band = {
+      backgroundColor: withAlpha(theme.accent, 0.15),
+      borderColor: 'transparent',
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      pointHitRadius: 0,
+      showLine: true,
+      type: 'line' as const,
+      tension: 0.4,
+      order: 3
+    };
     datasets.push({
-      label: '10-day Rolling Average',
+      ...band,
+      label: t('election.bandUpper'),
+      data: averageWithDates.map(point => ({ x: point.x, y: point.y + point.margin })),
+      fill: false
+    });
+    datasets.push({
+      ...band,
+      label: t('election.bandLower'),
+      data: averageWithDates.map(point => ({ x: point.x, y: Math.max(0, point.y - point.margin) })),
+      fill: '-1'
+    });
+
+    datasets.push({
+      label: trendLabel,
+      kind: 'average',
       data: averageWithDates,
       backgroundColor: 'transparent',
-      borderColor: '#16a34a', // Darker green
-      borderWidth: 3,
+      borderColor: theme.accent,
+      borderWidth: theme.lineWidth,
       pointRadius: 0,
       pointHoverRadius: 4,
       showLine: true,
@@ -106,6 +166,7 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
   };
 
   const options = {
+    locale,
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
@@ -122,13 +183,13 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
           // Filter out individual poll datasets on all devices
           filter: function(legendItem: any, chartData: any) {
             // Only show averages, hide individual polls
-            return legendItem.text.includes('Average');
+            return chartData.datasets[legendItem.datasetIndex].kind === 'average';
           }
         },
       },
       title: {
         display: true,
-        text: `MDG Polling Trend with Rolling Average - ${electionYear} Election`,
+        text: t('election.title', { party, average: trendLabel, year: electionYear }),
         font: {
           size: 16,
           weight: 'bold' as const,
@@ -139,8 +200,8 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
         callbacks: {
           title: (context: any) => {
             const point = context[0];
-            if (point.dataset.label.includes('Average')) {
-              return `10-day Rolling Average`;
+            if (point.dataset.kind === 'average') {
+              return trendLabel;
             } else {
               const pollData = point.raw;
               return `${pollData.pollster}`;
@@ -149,14 +210,17 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
           label: (context: any) => {
             const dataset = context.dataset;
             
-            if (dataset.label.includes('Average')) {
-              return `10-day average: ${context.parsed.y.toFixed(1)}%`;
+            if (dataset.kind === 'average') {
+              return `${trendLabel}: ${formatPercent(context.parsed.y)}`;
             } else {
               const poll = context.raw;
               return [
-                `MDG: ${poll.y}%`,
-                `Date: ${new Date(poll.date).toLocaleDateString('en-GB')}`,
-                `Days until election: ${poll.daysUntil}`,
+                `${party}: ${formatPercent(poll.y)} (±${formatNumber(poll.margin, 1)})`,
+                t('election.date', { date: formatDate(poll.date) }),
+                poll.sampleSize
+                  ? t('election.sample', { size: formatNumber(poll.sampleSize) })
+                  : t('election.sampleAssumed', { size: formatNumber(DEFAULT_SAMPLE_SIZE) }),
+                t('election.daysUntil', { days: poll.daysUntil }),
               ];
             }
           },
@@ -164,7 +228,7 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
         backgroundColor: 'rgba(0, 0, 0, 0.8)',
         titleColor: '#ffffff',
         bodyColor: '#ffffff',
-        borderColor: '#22c55e',
+        borderColor: theme.accent,
         borderWidth: 1,
         cornerRadius: 8,
         displayColors: false,
@@ -176,10 +240,13 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
         time: {
           unit: 'month' as const,
         },
+        adapters: {
+          date: { locale: dateLocale },
+        },
         display: true,
         title: {
           display: true,
-          text: 'Date',
+          text: t('election.xAxis'),
           font: {
             size: 14,
             weight: 'bold' as const,
@@ -193,31 +260,31 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
           },
         },
         grid: {
-          color: 'rgba(0, 0, 0, 0.1)',
+          color: theme.grid,
         },
       },
       y: {
         display: true,
         title: {
           display: true,
-          text: 'Polling Percentage (%)',
+          text: t('election.yAxis'),
           font: {
             size: 14,
             weight: 'bold' as const,
           },
         },
         min: 0,
-        max: Math.max(10, Math.ceil(Math.max(...sortedPolls.map(p => p.mdgPercentage)) / 2) * 2),
+        max: Math.max(10, Math.ceil(Math.max(...sortedPolls.map(p => p.share)) / 2) * 2),
         ticks: {
           font: {
             size: 12,
           },
           callback: function(value: any) {
-            return value + '%';
+            return formatPercent(value, 0);
           },
         },
         grid: {
-          color: 'rgba(0, 0, 0, 0.1)',
+          color: theme.grid,
         },
       },
     },
@@ -231,37 +298,64 @@ const ElectionChart: React.FC<ElectionChartProps> = ({ electionYear, electionDat
     return (
       <div className="election-chart">
         <div className="no-data">
-          No polling data available for the {electionYear} election cycle.
+          {t('election.noData', { party, year: electionYear })}
         </div>
       </div>
     );
   }
 
+  const shares = sortedPolls.map(poll => poll.share);
+  const finalAverage = rollingAverage.reduce((closest, point) => (point.x < closest.x ? point : closest), rollingAverage[0]);
+  const summary = [
+    t('election.summary', {
+      party,
+      year: electionYear,
+      count: formatNumber(sortedPolls.length),
+      low: formatPercent(Math.min(...shares)),
+      high: formatPercent(Math.max(...shares)),
+      latest: formatPercent(shares[shares.length - 1]),
+    }),
+    ...(finalAverage ? [t('election.summaryAverage', { average: trendLabel, share: formatPercent(finalAverage.y) })] : []),
+  ].join(' ');
+  const table = datasetTable(
+    t('election.exportTitle', { party, year: electionYear }),
+    [t('a11y.series'), t('election.xAxis'), t('a11y.share', { party })],
+    datasets,
+    point => formatDate(new Date(point.x)),
+    point => formatPercent(point.y)
+  );
+
   return (
     <div className="election-chart">
+      <label className="poll-toggle">
+        <input type="checkbox" checked={showPolls} onChange={(event) => setShowPolls(event.target.checked)} />
+        {t('chart.showPolls')}
+      </label>
+      <ExportMenu chartRef={chartRef} title={t('election.exportTitle', { party, year: electionYear })} filename={`${party}-${electionYear}-polls`} />
       <div className="chart-container">
-        <Chart type="scatter" data={chartData} options={options} />
+        <Chart ref={chartRef} type="scatter" data={chartData} options={options} {...canvasProps(summary)} />
       </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
       <div className="chart-summary">
         <div className="summary-stats">
           <div className="stat">
-            <span className="stat-label">Total Polls:</span>
-            <span className="stat-value">{sortedPolls.length}</span>
+            <span className="stat-label">{t('election.totalPolls')}</span>
+            <span className="stat-value">{formatNumber(sortedPolls.length)}</span>
           </div>
           <div className="stat">
-            <span className="stat-label">Latest Poll:</span>
-            <span className="stat-value">{sortedPolls[sortedPolls.length - 1]?.mdgPercentage}%</span>
+            <span className="stat-label">{t('election.latestPoll')}</span>
+            <span className="stat-value">{formatPercent(sortedPolls[sortedPolls.length - 1].share)}</span>
           </div>
           <div className="stat">
-            <span className="stat-label">Average:</span>
+            <span className="stat-label">{t('election.average')}</span>
             <span className="stat-value">
-              {(sortedPolls.reduce((sum, poll) => sum + poll.mdgPercentage, 0) / sortedPolls.length).toFixed(1)}%
+              {formatPercent(sortedPolls.reduce((sum, poll) => sum + poll.share, 0) / sortedPolls.length)}
             </span>
           </div>
           <div className="stat">
-            <span className="stat-label">Range:</span>
+            <span className="stat-label">{t('election.range')}</span>
             <span className="stat-value">
-              {Math.min(...sortedPolls.map(p => p.mdgPercentage))}% - {Math.max(...sortedPolls.map(p => p.mdgPercentage))}%
+              {formatPercent(Math.min(...sortedPolls.map(p => p.share)))} – {formatPercent(Math.max(...sortedPolls.map(p => p.share)))}
             </span>
           </div>
         </div>
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Chart as ChartJS, ChartConfiguration } from 'chart.js';
+import { chartSize, configFromChart, exportCsv, exportPng, exportSvg } from '../utils/chartExport';
+import { MessageKey, useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import './ExportMenu.css';
+
+interface ExportMenuProps {
+  chartRef?: React.RefObject<ChartJS<any, any, any> | null>; // The chart on the page to export
+  config?: () => ChartConfiguration; // Or a chart drawn only for the export
+  title: string;
+  filename: string;
+  source?: string;
+}
+
+type ExportFormat = 'png' | 'svg' | 'csv';
+
+const FORMATS: { value: ExportFormat; name: MessageKey }[] = [
+  { value: 'png', name: 'export.png' },
+  { value: 'svg', name: 'export.svg' },
+  { value: 'csv', name: 'export.csv' },
+];
+
+const ExportMenu: React.FC<ExportMenuProps> = ({ chartRef, config, title, filename, source = 'pollofpolls.no' }) => {
+  const { t, formatDateTime } = useI18n();
+  const theme = useTheme();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const close = (event: MouseEvent) => {
+      if (!menuRef.current?.contains(event.target as Node)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  const runExport = (format: ExportFormat) => {
+    setOpen(false);
+    const chart = chartRef?.current;
+    const exportConfig = chart ? configFromChart(chart) : config?.();
+    if (!exportConfig) return;
+
+    const details = {
+      title,
+      filename,
+      footer: t('export.footer', { source, date: formatDateTime(new Date()) }),
+      colors: { background: theme.surface, text: theme.text, mutedText: theme.mutedText }
+    };
+    if (format === 'png') exportPng(exportConfig, chartSize(chart), details);
+    if (format === 'svg') exportSvg(exportConfig, chartSize(chart), details);
+    if (format === 'csv') exportCsv(exportConfig, details);
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        type="button"
+        className="export-menu-button"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >
+        {t('export.button')} ▾
+      </button>
+      {open && (
+        <ul className="export-menu-list" role="menu">
+          {FORMATS.map(({ value, name }) => (
+            <li key={value} role="none">
+              <button type="button" role="menuitem" onClick={() => runExport(value)}>
+                {t(name)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,258 @@
+import React, { useMemo, useRef } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend,
+  Filler,
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { ElectionData, PartyCode, SmoothingMethod } from '../types';
+import { forecastPath, forecastResult } from '../utils/forecast';
+import { getActualResult } from '../utils/parties';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { withAlpha } from '../utils/chartPlugins';
+import { useIsMobile } from '../hooks/useIsMobile';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ChartAlternative from './ChartAlternative';
+import './ForecastChart.css';
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend,
+  Filler
+);
+
+interface ForecastChartProps {
+  electionData: ElectionData;
+  year?: string; // Cycle to forecast, by default the latest; earlier cycles supply the past errors
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+}
+
+const ForecastChart: React.FC<ForecastChartProps> = ({ electionData, year: requestedYear, party, smoothing, averageOptions }) => {
+  const isMobile = useIsMobile();
+  const { t, locale, formatNumber, formatPercent, formatChange } = useI18n();
+  const theme = useTheme();
+  const year = requestedYear || Object.keys(electionData.elections).sort().pop() || '';
+
+  const forecast = useMemo(() => forecastResult(electionData, year, party, smoothing, averageOptions), [electionData, year, party, smoothing, averageOptions]);
+  const path = useMemo(() => forecastPath(electionData, year, party, smoothing, averageOptions), [electionData, year, party, smoothing, averageOptions]);
+  const chartRef = useRef<ChartJS<'line'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+
+  if (!forecast) {
+    return <div className="forecast-chart">{t('forecast.noData', { party, year })}</div>;
+  }
+
+  const actualResult = getActualResult(electionData.elections[year], party);
+  const format = (value: number) => formatPercent(value);
+
+  // Bands are drawn as an upper edge filled down to the lower edge
+  const band = (label: string, alpha: number, lower: number[], upper: number[]) => [
+    {
+      label,
+      band: 'upper',
+      data: path.map((point, i) => ({ x: point.x, y: upper[i] })),
+      borderColor: 'transparent',
+      backgroundColor: withAlpha(theme.accent, alpha),
+      pointRadius: 0,
+      pointHitRadius: 0,
+      fill: false,
+      tension: 0.3,
+      type: 'line' as const,
+    },
+    {
+      label,
+      band: 'lower',
+      data: path.map((point, i) => ({ x: point.x, y: lower[i] })),
+      borderColor: 'transparent',
+      backgroundColor: withAlpha(theme.accent, alpha),
+      pointRadius: 0,
+      pointHitRadius: 0,
+      fill: '-1',
+      tension: 0.3,
+      type: 'line' as const,
+    },
+  ];
+
+  const datasets: any[] = [
+    ...band(t('forecast.interval90'), 0.12, path.map(point => point.interval90[0]), path.map(point => point.interval90[1])),
+    ...band(t('forecast.interval50'), 0.25, path.map(point => point.interval50[0]), path.map(point => point.interval50[1])),
+    {
+      label: t('forecast.forecast'),
+      data: path.map(point => ({ x: point.x, y: point.predicted })),
+      borderColor: theme.accent,
+      backgroundColor: theme.accent,
+      borderWidth: theme.lineWidth,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      tension: 0.3,
+      type: 'line' as const,
+    },
+  ];
+  if (actualResult) {
+    datasets.push({
+      label: t('forecast.actualResult'),
+      data: [{ x: Math.max(...path.map(point => point.x)), y: actualResult }, { x: 0, y: actualResult }],
+      borderColor: theme.text,
+      borderWidth: 2,
+      borderDash: [6, 4],
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      type: 'line' as const,
+    });
+  }
+
+  const maxDays = Math.max(...path.map(point => point.x));
+  const maxValue = Math.max(...path.map(point => point.interval90[1]), actualResult || 0);
+
+  const options = {
+    locale,
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top' as const,
+        labels: {
+          font: { size: isMobile ? 10 : 13 },
+          usePointStyle: true,
+          padding: isMobile ? 8 : 16,
+          // The bands' two edges share one entry
+          filter: (legendItem: any) => datasets[legendItem.datasetIndex].band !== 'lower',
+        },
+      },
+      title: {
+        display: true,
+        text: t('forecast.title', { party, year }),
+        font: { size: 18, weight: 'bold' as const },
+        padding: 20,
+      },
+      tooltip: {
+        filter: (item: any) => !item.dataset.band,
+        callbacks: {
+          title: (context: any) => t('chart.daysBeforeElection', { days: Math.round(context[0].parsed.x) }),
+          label: (context: any) => `${context.dataset.label}: ${format(context.parsed.y)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        min: 0,
+        max: Math.ceil(maxDays / 50) * 50,
+        reverse: true, // Election day on the right
+        title: { display: true, text: t('chart.daysUntilElection'), font: { size: 14, weight: 'bold' as const } },
+        ticks: {
+          callback: (value: any) => (Number(value) === 0 ? t('chart.electionDay') : t('chart.days', { days: value })),
+        },
+      },
+      y: {
+        min: 0,
+        max: Math.max(8, Math.ceil(maxValue / 2) * 2),
+        title: { display: true, text: t('forecast.yAxis', { party }), font: { size: 14, weight: 'bold' as const } },
+        ticks: { callback: (value: any) => formatPercent(value, 0) },
+      },
+    },
+    interaction: {
+      intersect: false,
+      mode: 'nearest' as const,
+      axis: 'x' as const,
+    },
+  };
+
+  const summary = [
+    t('forecast.summary', {
+      party,
+      year,
+      days: Math.round(forecast.daysUntilElection),
+      predicted: format(forecast.predicted),
+      low50: format(forecast.interval50[0]),
+      high50: format(forecast.interval50[1]),
+      low90: format(forecast.interval90[0]),
+      high90: format(forecast.interval90[1]),
+    }),
+    ...(actualResult ? [t('forecast.summaryResult', { result: format(actualResult) })] : []),
+  ].join(' ');
+  const table = {
+    caption: t('forecast.title', { party, year }),
+    columns: [t('chart.daysUntilElection'), t('forecast.forecast'), t('forecast.interval50'), t('forecast.interval90')],
+    rows: path.map(point => [
+      formatNumber(point.x),
+      format(point.predicted),
+      `${format(point.interval50[0])} – ${format(point.interval50[1])}`,
+      `${format(point.interval90[0])} – ${format(point.interval90[1])}`,
+    ]),
+  };
+
+  return (
+    <div className="forecast-chart">
+      <div className="forecast-summary">
+        <div className="forecast-summary-item">
+          <span className="forecast-summary-label">{t('forecast.forecast')}</span>
+          <span className="forecast-summary-value">{format(forecast.predicted)}</span>
+        </div>
+        <div className="forecast-summary-item">
+          <span className="forecast-summary-label">{t('forecast.interval50')}</span>
+          <span className="forecast-summary-value">
+            {format(forecast.interval50[0])} – {format(forecast.interval50[1])}
+          </span>
+        </div>
+        <div className="forecast-summary-item">
+          <span className="forecast-summary-label">{t('forecast.interval90')}</span>
+          <span className="forecast-summary-value">
+            {format(forecast.interval90[0])} – {format(forecast.interval90[1])}
+          </span>
+        </div>
+        <div className="forecast-summary-item">
+          <span className="forecast-summary-label">{t('forecast.currentAverage')}</span>
+          <span className="forecast-summary-value">{format(forecast.average)}</span>
+        </div>
+      </div>
+
+      <div className="chart-container">
+        <Chart ref={chartRef} type="line" data={{ datasets }} options={options} {...canvasProps(summary)} />
+      </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
+
+      <div className="forecast-errors">
+        <div className="table-header">
+          <span>{t('common.election')}</span>
+          <span>{t('forecast.averageAt', { days: Math.round(forecast.daysUntilElection) })}</span>
+          <span>{t('forecast.actualResult')}</span>
+          <span>{t('forecast.error')}</span>
+        </div>
+        {forecast.pastErrors.map(entry => (
+          <div key={entry.year} className="table-row">
+            <span className="election-year">{entry.year}</span>
+            <span>{format(entry.average)}</span>
+            <span>{format(entry.actualResult)}</span>
+            <span style={{ color: entry.error >= 0 ? theme.positive : theme.negative, fontWeight: 'bold' }}>
+              {formatChange(entry.error)}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <div className="chart-info">
+        <p>
+          {t(smoothing === 'model' ? 'forecast.infoModel' : 'forecast.infoRolling', { cycles: forecast.pastErrors.length })}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForecastChart;
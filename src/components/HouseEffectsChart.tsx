@@ -0,0 +1,192 @@
+import React, { useMemo, useRef } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  BarController,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { ElectionData, PartyCode } from '../types';
+import { estimateHouseEffects, MIN_POLLS_FOR_HOUSE_EFFECT } from '../utils/houseEffects';
+import { errorBarsPlugin, withAlpha } from '../utils/chartPlugins';
+import { useIsMobile } from '../hooks/useIsMobile';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ChartAlternative from './ChartAlternative';
+import './HouseEffectsChart.css';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  BarController,
+  Title,
+  Tooltip,
+  Legend,
+  errorBarsPlugin
+);
+
+interface HouseEffectsChartProps {
+  electionData: ElectionData;
+  party: PartyCode;
+}
+
+const HouseEffectsChart: React.FC<HouseEffectsChartProps> = ({ electionData, party }) => {
+  const isMobile = useIsMobile();
+  const { t, locale, formatNumber } = useI18n();
+  const theme = useTheme();
+  const formatEffect = (value: number): string => `${value > 0 ? '+' : ''}${formatNumber(value, 2)}`;
+
+  // One model fit per pollster and cycle, so only recompute when the inputs change
+  const houseEffects = useMemo(() => estimateHouseEffects(electionData, party), [electionData, party]);
+  const chartRef = useRef<ChartJS<'bar', any[]>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+  const years = Object.keys(electionData.elections).sort();
+  const columns = `1.4fr 1fr 1.6fr 0.7fr repeat(${years.length}, 1fr)`;
+
+  if (houseEffects.length === 0) {
+    return <div className="house-effects-chart">{t('houseEffects.noData', { party })}</div>;
+  }
+
+  const chartData = {
+    labels: houseEffects.map(house => house.pollster),
+    datasets: [
+      {
+        label: t('houseEffects.effect'),
+        data: houseEffects.map(house => ({
+          x: house.pollster,
+          y: house.effect,
+          yMin: house.lower,
+          yMax: house.upper,
+          count: house.count
+        })),
+        backgroundColor: houseEffects.map(house => withAlpha(house.effect > 0 ? theme.negative : theme.positive, 0.7)),
+        borderColor: theme.text,
+        borderWidth: 0,
+        errorBars: true
+      }
+    ]
+  };
+
+  const options = {
+    locale,
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      title: {
+        display: false
+      },
+      tooltip: {
+        callbacks: {
+          label: (context: any) => {
+            const point = context.raw;
+            return [
+              t('houseEffects.effectTooltip', { effect: formatEffect(point.y) }),
+              t('houseEffects.intervalTooltip', { lower: formatEffect(point.yMin), upper: formatEffect(point.yMax) }),
+              t('houseEffects.pollsTooltip', { count: point.count })
+            ];
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: {
+          font: {
+            size: isMobile ? 10 : 12
+          }
+        },
+        grid: {
+          display: false
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: t('houseEffects.yAxis', { party })
+        },
+        ticks: {
+          callback: (value: any) => formatEffect(Number(value))
+        },
+        grid: {
+          color: theme.grid
+        }
+      }
+    }
+  };
+
+  const highest = houseEffects.reduce((best, house) => (house.effect > best.effect ? house : best));
+  const lowest = houseEffects.reduce((best, house) => (house.effect < best.effect ? house : best));
+  const summary = t('houseEffects.summary', {
+    party,
+    count: houseEffects.length,
+    highest: highest.pollster,
+    highestEffect: formatEffect(highest.effect),
+    lowest: lowest.pollster,
+    lowestEffect: formatEffect(lowest.effect),
+  });
+  const table = {
+    caption: t('houseEffects.yAxis', { party }),
+    columns: [t('houseEffects.pollster'), t('houseEffects.effect'), t('houseEffects.interval'), t('houseEffects.polls')],
+    rows: houseEffects.map(house => [
+      house.pollster,
+      t('houseEffects.points', { effect: formatEffect(house.effect) }),
+      t('houseEffects.intervalRange', { lower: formatEffect(house.lower), upper: formatEffect(house.upper) }),
+      String(house.count),
+    ]),
+  };
+
+  return (
+    <div className="house-effects-chart">
+      <div className="chart-container">
+        <Chart ref={chartRef} type="bar" data={chartData} options={options} {...canvasProps(summary)} />
+      </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
+
+      <div className="house-effects-table">
+        <div className="table-header" style={{ gridTemplateColumns: columns }}>
+          <span>{t('houseEffects.pollster')}</span>
+          <span>{t('houseEffects.effect')}</span>
+          <span>{t('houseEffects.interval')}</span>
+          <span>{t('houseEffects.polls')}</span>
+          {years.map(year => <span key={year}>{year}</span>)}
+        </div>
+        {houseEffects.map(house => (
+          <div
+            key={house.pollster}
+            className="table-row"
+            style={{ gridTemplateColumns: columns }}
+          >
+            <span className="pollster-name">{house.pollster}</span>
+            <span className="effect-value" style={{ color: house.effect > 0 ? theme.negative : theme.positive }}>
+              {t('houseEffects.points', { effect: formatEffect(house.effect) })}
+            </span>
+            <span className="effect-interval">
+              {t('houseEffects.intervalRange', { lower: formatEffect(house.lower), upper: formatEffect(house.upper) })}
+            </span>
+            <span>{house.count}</span>
+            {years.map(year => (
+              <span key={year} className="cycle-effect">
+                {house.cycles[year] ? `${formatEffect(house.cycles[year].effect)} (${house.cycles[year].count})` : '–'}
+              </span>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="chart-info">
+        <p>{t('houseEffects.info', { party, minPolls: MIN_POLLS_FOR_HOUSE_EFFECT })}</p>
+      </div>
+    </div>
+  );
+};
+
+export default HouseEffectsChart;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Locale, LOCALES, useI18n } from '../i18n';
+import './LanguageSelector.css';
+
+const LanguageSelector: React.FC = () => {
+  const { t, locale, setLocale } = useI18n();
+  return (
+    <div className="language-selector">
+      <label htmlFor="language-select">{t('controls.language')}</label>
+      <select
+        id="language-select"
+        value={locale}
+        onChange={(event) => setLocale(event.target.value as Locale)}
+      >
+        {LOCALES.map(({ value, name }) => (
+          <option key={value} value={value} lang={value}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSelector;
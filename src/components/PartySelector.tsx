@@ -0,0 +1,32 @@
+import React from 'react';
+import { PartyCode } from '../types';
+import { PARTIES } from '../utils/parties';
+import { useI18n } from '../i18n';
+import './PartySelector.css';
+
+interface PartySelectorProps {
+  party: PartyCode;
+  onChange: (party: PartyCode) => void;
+}
+
+const PartySelector: React.FC<PartySelectorProps> = ({ party, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <div className="party-selector">
+      <label htmlFor="party-select">{t('controls.party')}</label>
+      <select
+        id="party-select"
+        value={party}
+        onChange={(event) => onChange(event.target.value as PartyCode)}
+      >
+        {PARTIES.map(({ code, name }) => (
+          <option key={code} value={code}>
+            {code === name ? name : `${code} - ${name}`}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default PartySelector;
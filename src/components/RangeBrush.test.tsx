@@ -0,0 +1,86 @@
+import React, { act } from 'react';
+import { createRoot, Root } from 'react-dom/client';
+import RangeBrush from './RangeBrush';
+
+// jsdom has no layout or pointer capture, so the track is given a 100px width and capture is recorded
+let container: HTMLDivElement;
+let root: Root;
+let captured: Element[];
+const { setPointerCapture } = Element.prototype;
+
+beforeAll(() => {
+  (globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+  captured = [];
+  Element.prototype.setPointerCapture = function (this: Element) {
+    captured.push(this);
+  };
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  Element.prototype.setPointerCapture = setPointerCapture;
+});
+
+const renderBrush = (onChange: jest.Mock) => {
+  act(() => {
+    root.render(<RangeBrush range={{ min: 20, max: 40 }} bounds={{ min: 0, max: 100 }} onChange={onChange} />);
+  });
+  const track = container.querySelector('.range-brush-track') as HTMLDivElement;
+  track.getBoundingClientRect = () => ({ left: 0, width: 100 } as DOMRect);
+  return track;
+};
+
+const pointer = (element: Element, type: string, clientX: number) => {
+  act(() => {
+    element.dispatchEvent(new MouseEvent(type, { bubbles: true, clientX }));
+  });
+};
+
+const press = (element: Element, key: string) => {
+  act(() => {
+    element.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key }));
+  });
+};
+
+describe('RangeBrush', () => {
+  test('arrow keys on a handle move only that edge', () => {
+    const onChange = jest.fn();
+    renderBrush(onChange);
+
+    press(container.querySelector('.range-brush-handle-start')!, 'ArrowLeft');
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ min: 20, max: 45 });
+  });
+
+  test('arrow keys on the window move the whole window', () => {
+    const onChange = jest.fn();
+    renderBrush(onChange);
+
+    press(container.querySelector('.range-brush-window')!, 'ArrowRight');
+
+    expect(onChange).toHaveBeenCalledWith({ min: 15, max: 35 });
+  });
+
+  test('pressing on the track centres the window there and dragging moves it on', () => {
+    const onChange = jest.fn();
+    const track = renderBrush(onChange);
+
+    pointer(track, 'pointerdown', 50);
+    expect(captured).toEqual([track]);
+    expect(onChange).not.toHaveBeenCalled();
+
+    pointer(track, 'pointermove', 60);
+    pointer(track, 'pointerup', 60);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ min: 30, max: 50 });
+  });
+});
@@ -0,0 +1,158 @@
+import React, { useRef, useState } from 'react';
+import { TimelineRange } from '../types';
+import { clampRange } from '../utils/timelineRange';
+import { useI18n } from '../i18n';
+import './RangeBrush.css';
+
+interface RangeBrushProps {
+  range: TimelineRange | null; // null while each chart shows its default span
+  bounds: TimelineRange;
+  onChange: (range: TimelineRange | null) => void;
+}
+
+// What a drag moves: one edge of the window, or the whole window
+type DragTarget = 'min' | 'max' | 'window';
+
+const KEY_STEP_DAYS = 5;
+
+const RangeBrush: React.FC<RangeBrushProps> = ({ range, bounds, onChange }) => {
+  const { t } = useI18n();
+  const trackRef = useRef<HTMLDivElement>(null);
+  const [draft, setDraft] = useState<TimelineRange | null>(null);
+  const drag = useRef<{ target: DragTarget; startDay: number; startRange: TimelineRange } | null>(null);
+
+  const current = draft || range || bounds;
+  const span = bounds.max - bounds.min;
+
+  // The track runs like the charts' axes: far from the election on the left, election day on the right
+  const percentFor = (day: number) => ((bounds.max - day) / span) * 100;
+  const dayAt = (clientX: number) => {
+    const rect = trackRef.current!.getBoundingClientRect();
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    return bounds.max - fraction * span;
+  };
+
+  const moveTo = (target: DragTarget, day: number, from: TimelineRange): TimelineRange => {
+    if (target === 'window') {
+      const shift = day - drag.current!.startDay;
+      return clampRange({ min: from.min + shift, max: from.max + shift }, bounds);
+    }
+    // Dragging an edge past the other one pins it to the minimum span
+    return target === 'min'
+      ? clampRange({ min: Math.min(day, from.max), max: from.max }, bounds)
+      : clampRange({ min: from.min, max: Math.max(day, from.min) }, bounds);
+  };
+
+  const handlePointerDown = (target: DragTarget) => (event: React.PointerEvent) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drag.current = { target, startDay: dayAt(event.clientX), startRange: current };
+    setDraft(current);
+  };
+
+  const handlePointerMove = (event: React.PointerEvent) => {
+    if (!drag.current) return;
+    setDraft(moveTo(drag.current.target, dayAt(event.clientX), drag.current.startRange));
+  };
+
+  const handlePointerUp = () => {
+    if (!drag.current) return;
+    drag.current = null;
+    if (draft) onChange(draft);
+    setDraft(null);
+  };
+
+  // Pressing on the bare track centres the window on that day, and dragging on from there moves it
+  const handleTrackPointerDown = (event: React.PointerEvent) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const day = dayAt(event.clientX);
+    const half = (current.max - current.min) / 2;
+    const centred = clampRange({ min: day - half, max: day + half }, bounds);
+    drag.current = { target: 'window', startDay: day, startRange: centred };
+    setDraft(centred);
+  };
+
+  // Arrow keys nudge a handle; the days axis is reversed, so left means further from the election.
+  // A handle's keys stop at the handle, or the window around it would move as well
+  const handleKeyDown = (target: DragTarget) => (event: React.KeyboardEvent) => {
+    const direction = event.key === 'ArrowLeft' ? 1 : event.key === 'ArrowRight' ? -1 : 0;
+    if (direction === 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const shift = direction * KEY_STEP_DAYS;
+    onChange(clampRange(
+      target === 'window'
+        ? { min: current.min + shift, max: current.max + shift }
+        : { ...current, [target]: current[target] + shift },
+      bounds
+    ));
+  };
+
+  const left = percentFor(current.max);
+  const width = percentFor(current.min) - left;
+
+  return (
+    <div className="range-brush">
+      <div className="range-brush-header">
+        <span className="range-brush-label">
+          {range || draft
+            ? t('range.showing', { from: Math.round(current.max), to: Math.round(current.min) })
+            : t('range.default')}
+        </span>
+        <button type="button" className="range-brush-reset" onClick={() => onChange(null)} disabled={!range}>
+          {t('range.reset')}
+        </button>
+      </div>
+      <div
+        ref={trackRef}
+        className="range-brush-track"
+        onPointerDown={handleTrackPointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <div
+          className="range-brush-window"
+          style={{ left: `${left}%`, width: `${width}%` }}
+          onPointerDown={handlePointerDown('window')}
+          onKeyDown={handleKeyDown('window')}
+          tabIndex={0}
+          role="group"
+          aria-label={t('range.window')}
+        >
+          <div
+            className="range-brush-handle range-brush-handle-start"
+            onPointerDown={handlePointerDown('max')}
+            onKeyDown={handleKeyDown('max')}
+            tabIndex={0}
+            role="slider"
+            aria-label={t('range.start')}
+            aria-valuemin={bounds.min}
+            aria-valuemax={bounds.max}
+            aria-valuenow={Math.round(current.max)}
+          />
+          <div
+            className="range-brush-handle range-brush-handle-end"
+            onPointerDown={handlePointerDown('min')}
+            onKeyDown={handleKeyDown('min')}
+            tabIndex={0}
+            role="slider"
+            aria-label={t('range.end')}
+            aria-valuemin={bounds.min}
+            aria-valuemax={bounds.max}
+            aria-valuenow={Math.round(current.min)}
+          />
+        </div>
+      </div>
+      <div className="range-brush-scale">
+        <span>{t('chart.days', { days: bounds.max })}</span>
+        <span>{t('chart.electionDay')}</span>
+      </div>
+      <p className="range-brush-hint">
+        {t('range.hint')}
+      </p>
+    </div>
+  );
+};
+
+export default RangeBrush;
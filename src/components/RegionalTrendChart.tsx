@@ -0,0 +1,281 @@
+import React, { useMemo, useRef } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend,
+  ScatterController,
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { ElectionData, PartyCode, Poll, RegionalData, SmoothingMethod } from '../types';
+import { averageLabel, calculatePollAverage } from '../utils/pollAverage';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { pollsWithShare } from '../utils/parties';
+import { getPollsterName } from '../utils/pollsters';
+import { datasetTable } from '../utils/chartTable';
+import { useIsMobile } from '../hooks/useIsMobile';
+import { useUrlState } from '../hooks/useUrlState';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { stringCodec } from '../utils/urlState';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ChartAlternative from './ChartAlternative';
+import './RegionalTrendChart.css';
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend,
+  ScatterController
+);
+
+interface RegionalTrendChartProps {
+  regionalData: RegionalData;
+  electionData: ElectionData;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+}
+
+// Regional polls are sparse, so the trend needs a wider window than the national one
+const WINDOW_DAYS = 60;
+// Days before the election compared against the national polls in the summary table
+const COMPARISON_DAYS = 180;
+
+const averageShare = (polls: Poll[], party: PartyCode): { average: number; count: number } | null => {
+  const recent = pollsWithShare(polls, party).filter(poll =>
+    poll.daysUntilElection >= 0 && poll.daysUntilElection <= COMPARISON_DAYS
+  );
+  if (recent.length === 0) return null;
+  return { average: recent.reduce((sum, poll) => sum + poll.share, 0) / recent.length, count: recent.length };
+};
+
+const RegionalTrendChart: React.FC<RegionalTrendChartProps> = ({ regionalData, electionData, party, smoothing, averageOptions }) => {
+  const isMobile = useIsMobile();
+  const { t, locale, formatNumber, formatPercent, formatChange, formatDate } = useI18n();
+  const theme = useTheme();
+  const trendLabel = averageLabel(smoothing, WINDOW_DAYS, t);
+  const chartRef = useRef<ChartJS<'scatter'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+
+  // Constituencies with the most polls first
+  const constituencies = useMemo(() =>
+    Object.entries(regionalData.constituencies)
+      .map(([name, data]) => ({
+        name,
+        label: data.label,
+        count: Object.values(data.elections).reduce((sum, election) => sum + election.polls.length, 0)
+      }))
+      .sort((a, b) => b.count - a.count),
+    [regionalData]
+  );
+
+  const [selected, setSelected] = useUrlState<string>(
+    'region',
+    regionalData.constituencies['Oslo'] ? 'Oslo' : (constituencies[0]?.name || ''),
+    stringCodec(Object.keys(regionalData.constituencies))
+  );
+  const constituency = regionalData.constituencies[selected];
+
+  if (!constituency) {
+    return <div className="regional-trend-chart">{t('regional.noData')}</div>;
+  }
+
+  const cycles = Object.entries(constituency.elections).sort(([a], [b]) => parseInt(a) - parseInt(b));
+  const datasets: any[] = [];
+
+  cycles.forEach(([year, election]) => {
+    const color = theme.yearColor(year);
+    const partyPolls = pollsWithShare(election.polls, party);
+
+    datasets.push({
+      label: t('historical.polls', { cycle: year }),
+      kind: 'polls',
+      data: partyPolls.map(poll => ({
+        x: poll.daysUntilElection,
+        y: poll.share,
+        pollDate: poll.date,
+        pollster: getPollsterName(poll),
+        client: poll.client,
+      })),
+      backgroundColor: color,
+      borderColor: color,
+      pointRadius: 3,
+      pointHoverRadius: 5,
+      showLine: false,
+      type: 'scatter' as const,
+      order: 2
+    });
+
+    const average = calculatePollAverage(smoothing, partyPolls, WINDOW_DAYS, party, averageOptions);
+    if (average.length > 0) {
+      datasets.push({
+        label: `${year} ${trendLabel}`,
+        data: average,
+        backgroundColor: 'transparent',
+        borderColor: color,
+        borderWidth: theme.lineWidth,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        showLine: true,
+        type: 'line' as const,
+        tension: 0.4,
+        order: 1
+      });
+    }
+  });
+
+  const maxDays = Math.max(50, ...datasets.flatMap(dataset => dataset.data.map((point: any) => point.x)));
+  const maxShare = Math.max(0, ...datasets.flatMap(dataset => dataset.data.map((point: any) => point.y)));
+
+  const options = {
+    locale,
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top' as const,
+        labels: {
+          font: { size: isMobile ? 10 : 13 },
+          usePointStyle: true,
+          padding: isMobile ? 8 : 16,
+          // One legend entry per cycle: the trend line
+          filter: (legendItem: any) => datasets[legendItem.datasetIndex].kind !== 'polls'
+        },
+      },
+      title: {
+        display: true,
+        text: t('regional.title', { party, constituency: constituency.label }),
+        font: { size: 18, weight: 'bold' as const },
+        padding: 20,
+      },
+      tooltip: {
+        callbacks: {
+          title: (context: any) => t('chart.daysBeforeElection', { days: Math.round(context[0].parsed.x) }),
+          label: (context: any) => {
+            const point = context.raw;
+            if (!point.pollDate) {
+              return `${trendLabel}: ${formatPercent(context.parsed.y)}`;
+            }
+            return [
+              `${party}: ${formatPercent(point.y)}`,
+              t('historical.pollDate', { date: formatDate(point.pollDate) }),
+              point.client
+                ? t('regional.pollsterFor', { name: point.pollster, client: point.client })
+                : t('chart.pollster', { name: point.pollster }),
+            ];
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        min: 0,
+        max: Math.ceil(maxDays / 50) * 50,
+        reverse: true, // Election day on the right
+        title: { display: true, text: t('chart.daysUntilElection'), font: { size: 14, weight: 'bold' as const } },
+        ticks: {
+          callback: (value: any) => (Number(value) === 0 ? t('chart.electionDay') : t('chart.days', { days: value })),
+        },
+      },
+      y: {
+        min: 0,
+        max: Math.max(10, Math.ceil(maxShare / 2) * 2 + 2),
+        title: { display: true, text: t('chart.pollingPercentage', { party }), font: { size: 14, weight: 'bold' as const } },
+        ticks: { callback: (value: any) => formatPercent(value, 0) },
+      },
+    },
+    interaction: {
+      intersect: false,
+      mode: 'point' as const,
+    },
+  };
+
+  // Regional average against the national polls over the same stretch of each campaign
+  const comparison = cycles.map(([year, election]) => {
+    const regional = averageShare(election.polls, party);
+    const national = electionData.elections[year] ? averageShare(electionData.elections[year].polls, party) : null;
+    return {
+      year,
+      pollCount: election.polls.length,
+      regional,
+      national,
+      difference: regional && national ? regional.average - national.average : null
+    };
+  });
+
+  // The newest cycle with regional polls in the comparison window
+  const latestComparison = comparison.filter(row => row.regional).pop();
+  const summary = latestComparison?.regional
+    ? t(latestComparison.national ? 'regional.summary' : 'regional.summaryRegionalOnly', {
+      party,
+      constituency: constituency.label,
+      year: latestComparison.year,
+      days: COMPARISON_DAYS,
+      regional: formatPercent(latestComparison.regional.average),
+      national: latestComparison.national ? formatPercent(latestComparison.national.average) : '',
+      difference: latestComparison.difference !== null ? formatChange(latestComparison.difference) : '',
+    })
+    : t('chart.summaryNoData', { party });
+  const table = datasetTable(
+    t('regional.title', { party, constituency: constituency.label }),
+    [t('a11y.series'), t('chart.daysUntilElection'), t('a11y.share', { party })],
+    datasets,
+    point => formatNumber(point.x),
+    point => formatPercent(point.y)
+  );
+
+  return (
+    <div className="regional-trend-chart">
+      <div className="region-selector">
+        <label htmlFor="region-select">{t('regional.constituency')}</label>
+        <select id="region-select" value={selected} onChange={(event) => setSelected(event.target.value)}>
+          {constituencies.map(({ name, label, count }) => (
+            <option key={name} value={name}>{label} {t('historical.pollCount', { count: formatNumber(count) })}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="chart-container">
+        <Chart ref={chartRef} type="scatter" data={{ datasets }} options={options} {...canvasProps(summary)} />
+      </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
+
+      <div className="regional-comparison">
+        <div className="table-header">
+          <span>{t('common.election')}</span>
+          <span>{t('regional.polls')}</span>
+          <span>{t('regional.regionalAverage', { days: COMPARISON_DAYS })}</span>
+          <span>{t('regional.nationalAverage', { days: COMPARISON_DAYS })}</span>
+          <span>{t('regional.difference')}</span>
+        </div>
+        {comparison.map(row => (
+          <div key={row.year} className="table-row">
+            <span className="election-year">{row.year}</span>
+            <span>{formatNumber(row.pollCount)}</span>
+            <span>{row.regional ? `${formatPercent(row.regional.average)} (${row.regional.count})` : t('common.notAvailable')}</span>
+            <span>{row.national ? `${formatPercent(row.national.average)} (${row.national.count})` : t('common.notAvailable')}</span>
+            <span style={{ color: (row.difference || 0) >= 0 ? theme.positive : theme.negative, fontWeight: 'bold' }}>
+              {row.difference !== null ? formatChange(row.difference) : t('common.notAvailable')}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <div className="chart-info">
+        <p>{t('regional.info')}</p>
+      </div>
+    </div>
+  );
+};
+
+export default RegionalTrendChart;
@@ -0,0 +1,291 @@
+import React, { useMemo, useRef } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { ElectionData, PartyCode, PartyShares, RegionalData, SmoothingMethod } from '../types';
+import { calculatePollAverage } from '../utils/pollAverage';
+import { PARTIES, pollsWithShare } from '../utils/parties';
+import { RollingAverageOptions, trendValueAt } from '../utils/rollingAverage';
+import {
+  LEVELING_THRESHOLD,
+  completeVoteShares,
+  estimateRegionalSwing,
+  getConstituencies,
+  projectSeats,
+} from '../utils/seatProjection';
+import { useIsMobile } from '../hooks/useIsMobile';
+import { useUrlState } from '../hooks/useUrlState';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { booleanCodec } from '../utils/urlState';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ChartAlternative from './ChartAlternative';
+import './SeatProjectionChart.css';
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend
+);
+
+interface SeatProjectionChartProps {
+  electionData: ElectionData;
+  regionalData?: RegionalData | null;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+}
+
+const SeatProjectionChart: React.FC<SeatProjectionChartProps> = ({ electionData, regionalData, party, smoothing, averageOptions }) => {
+  const isMobile = useIsMobile();
+  const { t, locale, formatNumber, formatPercent } = useI18n();
+  const theme = useTheme();
+  const [useSwing, setUseSwing] = useUrlState('seats-swing', false, booleanCodec);
+
+  // Parties the polls don't report are filled in from the previous election, so a cycle needs one before it
+  const cycles = useMemo(() => {
+    const years = Object.keys(electionData.elections).sort();
+    return years
+      .map(year => {
+        const previous = years
+          .filter(other => other < year && electionData.elections[other].results)
+          .pop();
+        return previous ? { year, baseline: electionData.elections[previous].results as PartyShares } : null;
+      })
+      .filter((cycle): cycle is { year: string; baseline: PartyShares } => cycle !== null);
+  }, [electionData]);
+
+  const [selectedYear, setSelectedYear] = useUrlState<string>('seats-year', cycles.length > 0 ? cycles[cycles.length - 1].year : '');
+  const cycle = cycles.find(entry => entry.year === selectedYear) || cycles[cycles.length - 1];
+
+  const swing = useMemo(() =>
+    regionalData && cycle ? estimateRegionalSwing(regionalData, electionData, cycle.year, party) : {},
+    [regionalData, electionData, cycle, party]
+  );
+  const swingConstituencies = Object.keys(swing);
+
+  const projection = useMemo(() => {
+    if (!cycle) return [];
+    const polls = electionData.elections[cycle.year].polls;
+    const constituencies = getConstituencies(cycle.year);
+
+    // A trend for every party that at least two polls report
+    const trends = PARTIES
+      .filter(({ code }) => pollsWithShare(polls, code).length >= 2)
+      .map(({ code }) => ({ code, trend: calculatePollAverage(smoothing, polls, 14, code, averageOptions) }));
+    const partyTrend = trends.find(({ code }) => code === party);
+    if (!partyTrend) return [];
+
+    return partyTrend.trend.map(point => {
+      const known: PartyShares = {};
+      trends.forEach(({ code, trend }) => {
+        const share = trendValueAt(trend, point.x);
+        if (share !== null) known[code] = share;
+      });
+      const result = projectSeats(completeVoteShares(known, cycle.baseline), useSwing ? swing : {}, constituencies);
+      return {
+        x: point.x,
+        share: point.y,
+        seats: result.seats[party] || 0,
+        leveling: result.levelingSeats[party] || 0,
+      };
+    });
+  }, [cycle, electionData, smoothing, averageOptions, party, swing, useSwing]);
+
+  const chartRef = useRef<ChartJS<'line'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+
+  if (!cycle || projection.length === 0) {
+    return <div className="seat-projection-chart">{t('seats.noData', { party })}</div>;
+  }
+
+  const latest = projection.reduce((closest, point) => (point.x < closest.x ? point : closest), projection[0]);
+  const maxDays = Math.max(...projection.map(point => point.x));
+  const maxSeats = Math.max(...projection.map(point => point.seats));
+
+  const chartData = {
+    datasets: [
+      {
+        label: t('seats.projectedSeats', { party }),
+        data: projection.map(point => ({ x: point.x, y: point.seats, leveling: point.leveling })),
+        borderColor: theme.accent,
+        backgroundColor: theme.accent,
+        borderWidth: theme.lineWidth,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        stepped: true,
+        type: 'line' as const,
+        yAxisID: 'y',
+      },
+      {
+        label: t('seats.share', { party }),
+        data: projection.map(point => ({ x: point.x, y: point.share })),
+        borderColor: theme.neutral,
+        backgroundColor: theme.neutral,
+        borderWidth: 2,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        tension: 0.4,
+        type: 'line' as const,
+        yAxisID: 'share',
+      },
+      {
+        label: t('seats.threshold', { threshold: formatPercent(LEVELING_THRESHOLD, 0) }),
+        data: [{ x: maxDays, y: LEVELING_THRESHOLD }, { x: 0, y: LEVELING_THRESHOLD }],
+        borderColor: theme.negative,
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        type: 'line' as const,
+        yAxisID: 'share',
+      },
+    ],
+  };
+
+  const options = {
+    locale,
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top' as const,
+        labels: {
+          font: { size: isMobile ? 10 : 13 },
+          usePointStyle: true,
+          padding: isMobile ? 8 : 16,
+        },
+      },
+      title: {
+        display: true,
+        text: t('seats.title', { party, year: cycle.year }),
+        font: { size: 18, weight: 'bold' as const },
+        padding: 20,
+      },
+      tooltip: {
+        callbacks: {
+          title: (context: any) => t('chart.daysBeforeElection', { days: Math.round(context[0].parsed.x) }),
+          label: (context: any) => {
+            if (context.dataset.yAxisID === 'share') {
+              return `${context.dataset.label}: ${formatPercent(context.parsed.y)}`;
+            }
+            return t('seats.seatsTooltip', { seats: context.parsed.y, leveling: context.raw.leveling });
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        min: 0,
+        max: Math.ceil(maxDays / 50) * 50,
+        reverse: true, // Election day on the right
+        title: { display: true, text: t('chart.daysUntilElection'), font: { size: 14, weight: 'bold' as const } },
+        ticks: {
+          callback: (value: any) => (Number(value) === 0 ? t('chart.electionDay') : t('chart.days', { days: value })),
+        },
+      },
+      y: {
+        position: 'left' as const,
+        min: 0,
+        max: Math.max(10, maxSeats + 2),
+        title: { display: true, text: t('seats.seats'), font: { size: 14, weight: 'bold' as const } },
+        ticks: { stepSize: 1, precision: 0 },
+      },
+      share: {
+        position: 'right' as const,
+        min: 0,
+        max: Math.max(8, Math.ceil(Math.max(...projection.map(point => point.share)) / 2) * 2),
+        title: { display: true, text: t('seats.shareAxis'), font: { size: 14, weight: 'bold' as const } },
+        ticks: { callback: (value: any) => formatPercent(value, 0) },
+        grid: { drawOnChartArea: false },
+      },
+    },
+    interaction: {
+      intersect: false,
+      mode: 'nearest' as const,
+      axis: 'x' as const,
+    },
+  };
+
+  const summary = t('seats.summary', {
+    party,
+    year: cycle.year,
+    days: Math.round(latest.x),
+    share: formatPercent(latest.share),
+    seats: latest.seats,
+    leveling: latest.leveling,
+  });
+  const table = {
+    caption: t('seats.title', { party, year: cycle.year }),
+    columns: [t('chart.daysUntilElection'), t('seats.seats'), t('seats.leveling'), t('seats.share', { party })],
+    rows: projection.map(point => [formatNumber(point.x), String(point.seats), String(point.leveling), formatPercent(point.share)]),
+  };
+
+  return (
+    <div className="seat-projection-chart">
+      <div className="seat-projection-controls">
+        <label htmlFor="seat-cycle-select">{t('seats.cycle')}</label>
+        <select id="seat-cycle-select" value={cycle.year} onChange={(event) => setSelectedYear(event.target.value)}>
+          {cycles.map(({ year }) => (
+            <option key={year} value={year}>{year}</option>
+          ))}
+        </select>
+        {swingConstituencies.length > 0 && (
+          <label className="swing-toggle">
+            <input type="checkbox" checked={useSwing} onChange={(event) => setUseSwing(event.target.checked)} />
+            {t('seats.regionalSwing', { count: swingConstituencies.length })}
+          </label>
+        )}
+      </div>
+
+      <div className="chart-container">
+        <Chart ref={chartRef} type="line" data={chartData} options={options} {...canvasProps(summary)} />
+      </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
+
+      <div className="seat-summary">
+        <div className="seat-summary-item">
+          <span className="seat-summary-label">{t('seats.latest')}</span>
+          <span className="seat-summary-value">{t('seats.seatCount', { seats: latest.seats })}</span>
+        </div>
+        <div className="seat-summary-item">
+          <span className="seat-summary-label">{t('seats.leveling')}</span>
+          <span className="seat-summary-value">{latest.leveling}</span>
+        </div>
+        <div className="seat-summary-item">
+          <span className="seat-summary-label">{t('seats.average')}</span>
+          <span
+            className="seat-summary-value"
+            style={{ color: latest.share >= LEVELING_THRESHOLD ? theme.positive : theme.negative }}
+          >
+            {formatPercent(latest.share)}
+          </span>
+        </div>
+      </div>
+
+      <div className="chart-info">
+        <p>
+          {t('seats.info', { threshold: formatPercent(LEVELING_THRESHOLD, 0), divisor: formatNumber(1.4, 1), year: cycle.year })}{' '}
+          {swingConstituencies.length > 0 && useSwing
+            ? t('seats.infoSwing', { constituencies: swingConstituencies.join(', '), party })
+            : t('seats.infoUniform')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SeatProjectionChart;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -10,11 +10,26 @@ import {
   Tooltip,
   Legend,
   ScatterController,
+  Filler,
 } from 'chart.js';
 import { Chart } from 'react-chartjs-2';
-import { ElectionData } from '../types';
-import { calculateRollingAverage, AveragePoint } from '../utils/rollingAverage';
+import { ElectionData, PartyCode, SmoothingMethod, TimelineRange } from '../types';
+import { AveragePoint, RollingAverageOptions } from '../utils/rollingAverage';
+import { averageLabel, calculatePollAverage } from '../utils/pollAverage';
+import { calculateJuneAverage, pollsWithShare, shareAxisMax } from '../utils/parties';
+import { marginOfError } from '../utils/marginOfError';
+import { errorBarsPlugin, rangeZoomPlugin, withAlpha } from '../utils/chartPlugins';
+import { dayTickStep, MIN_RANGE_DAYS } from '../utils/timelineRange';
 import { useIsMobile } from '../hooks/useIsMobile';
+import { useUrlState } from '../hooks/useUrlState';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { booleanCodec, listCodec, toggleListItem } from '../utils/urlState';
+import { datasetTable } from '../utils/chartTable';
+import { compareLatestCycle, describeCycleComparison } from '../utils/chartSummary';
+import ExportMenu from './ExportMenu';
+import ChartAlternative from './ChartAlternative';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
 import './ShortTimelineChart.css';
 
 ChartJS.register(
@@ -26,107 +41,155 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
-  ScatterController
+  ScatterController,
+  Filler,
+  errorBarsPlugin
 );
 
 interface ShortTimelineChartProps {
   data: ElectionData;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+  range?: TimelineRange | null; // Shared x range; the final 50 days when unset
+  rangeBounds?: TimelineRange;
+  onRangeChange?: (range: TimelineRange) => void;
 }
 
+// The window shown until a range is picked
+const DEFAULT_RANGE: TimelineRange = { min: 0, max: 50 };
+
 interface PollPoint {
   x: number;
   y: number;
+  yMin: number;
+  yMax: number;
+  margin: number;
   pollster: string;
   date: string;
   year: string;
 }
 
-const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data }) => {
+const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data, party, smoothing, averageOptions, range, rangeBounds, onRangeChange }) => {
   const isMobile = useIsMobile();
-  
-  // Color palette for different election years
-  const colorPalette = {
-    '2013': '#FF6384',
-    '2017': '#36A2EB', 
-    '2021': '#FFCE56',
-    '2025': '#4BC0C0'
-  };
+  const i18n = useI18n();
+  const { t, locale, formatNumber, formatPercent, formatDate } = i18n;
+  const theme = useTheme();
+  const chartRef = useRef<ChartJS<'scatter'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+  const [showPolls, setShowPolls] = useUrlState('short-polls', false, booleanCodec);
+  // Legend entries switched off, by series key, e.g. "2021 June"
+  const [hiddenSeries, setHiddenSeries] = useUrlState<string[]>('short-hidden', [], listCodec);
+  const xRange = range || DEFAULT_RANGE;
 
-  // Process data for the chart (50 days before election)
+  // Process data for the chart (the selected range, by default 50 days before election)
   const processedData = Object.entries(data.elections).map(([year, election]) => {
-    // Filter polls to only include those within 50 days of election
+    const partyPolls = pollsWithShare(election.polls, party);
+
+    // Filter polls to only include those within the selected range
     // daysUntilElection is positive (e.g., 50 means 50 days until election)
-    const recentPolls = election.polls.filter(poll => 
-      poll.daysUntilElection >= 0 && poll.daysUntilElection <= 50
+    const recentPolls = partyPolls.filter(poll => 
+      poll.daysUntilElection >= xRange.min && poll.daysUntilElection <= xRange.max
     );
 
     // Calculate June average (polls from June of election year)
-    const electionDate = new Date(election.electionDate);
-    const juneStart = new Date(electionDate.getFullYear(), 5, 1); // June 1st
-    const juneEnd = new Date(electionDate.getFullYear(), 5, 30); // June 30th
-    
-    const junePolls = election.polls.filter(poll => {
-      const pollDate = new Date(poll.date);
-      return pollDate >= juneStart && pollDate <= juneEnd;
-    });
-    
-    const juneAverage = junePolls.length > 0 ? 
-      junePolls.reduce((sum, poll) => sum + poll.mdgPercentage, 0) / junePolls.length : 
-      null;
+    const juneAverage = calculateJuneAverage(election, party);
 
-    const pollPoints: PollPoint[] = recentPolls.map(poll => ({
-      x: poll.daysUntilElection,
-      y: poll.mdgPercentage,
-      pollster: poll.pollster.replace('pollofpolls.no - ', ''),
-      date: poll.date,
-      year: year
-    }));
+    const pollPoints: PollPoint[] = recentPolls.map(poll => {
+      const margin = marginOfError(poll.share, poll.sampleSize);
+      return {
+        x: poll.daysUntilElection,
+        y: poll.share,
+        yMin: Math.max(0, poll.share - margin),
+        yMax: poll.share + margin,
+        margin,
+        pollster: poll.pollster.replace('pollofpolls.no - ', ''),
+        date: poll.date,
+        year: year
+      };
+    });
 
-    const rollingAverage = calculateRollingAverage(recentPolls);
+    const rollingAverage = calculatePollAverage(smoothing, recentPolls, 7, party, averageOptions);
 
     return {
       year,
       pollPoints,
       rollingAverage,
       juneAverage,
-      color: colorPalette[year as keyof typeof colorPalette] || '#999999'
+      color: theme.yearColor(year)
     };
   }).filter(item => item.pollPoints.length > 0);
 
   // Create datasets for Chart.js
   const datasets: any[] = [];
 
-  // Add individual poll datasets (scatter plots) - now hidden on all devices
+  // Add individual poll datasets (scatter plots with 95% whiskers) - hidden unless toggled on
   processedData.forEach(({ year, pollPoints, color }) => {
     datasets.push({
       label: `${year}`,
+      kind: 'polls',
       data: pollPoints,
       backgroundColor: color,
       borderColor: color,
-      pointRadius: 0, // Hide points on all devices
-      pointHoverRadius: 0,
+      pointRadius: showPolls ? 3 : 0,
+      pointHoverRadius: showPolls ? 5 : 0,
       showLine: false,
       type: 'scatter' as const,
       order: 2,
-      hidden: true // Hide the entire dataset on all devices
+      errorBars: true,
+      hidden: !showPolls
     });
   });
 
+  // Add shaded 95% bands around each rolling average, filled between the upper and lower edge
+  processedData.forEach(({ year, rollingAverage, color }) => {
+    if (rollingAverage.length > 0) {
+      const band = {
+        backgroundColor: withAlpha(color, 0.15),
+        borderColor: 'transparent',
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        pointHitRadius: 0,
+        showLine: true,
+        type: 'line' as const,
+        tension: 0.4,
+        order: 3
+      };
+      datasets.push({
+        ...band,
+        label: `${year} ${t('chart.bandUpper')}`,
+        data: rollingAverage.map(point => ({ x: point.x, y: point.y + point.margin })),
+        fill: false,
+        hidden: hiddenSeries.includes(`${year} Avg`)
+      });
+      datasets.push({
+        ...band,
+        label: `${year} ${t('chart.bandLower')}`,
+        data: rollingAverage.map(point => ({ x: point.x, y: Math.max(0, point.y - point.margin) })),
+        fill: '-1',
+        hidden: hiddenSeries.includes(`${year} Avg`)
+      });
+    }
+  });
+
   // Add rolling average datasets (line charts)
   processedData.forEach(({ year, rollingAverage, color }) => {
     if (rollingAverage.length > 0) {
       datasets.push({
-        label: `${year} Avg`,
+        label: `${year} ${t('short.average')}`,
+        kind: 'average',
+        seriesKey: `${year} Avg`,
         data: rollingAverage,
         backgroundColor: 'transparent',
         borderColor: color,
-        borderWidth: 3,
+        borderWidth: theme.lineWidth,
         pointRadius: 0,
         pointHoverRadius: 4,
         showLine: true,
         type: 'line' as const,
         tension: 0.4,
-        order: 1
+        order: 1,
+        hidden: hiddenSeries.includes(`${year} Avg`)
       });
     }
   });
@@ -135,10 +198,12 @@ const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data }) => {
   processedData.forEach(({ year, juneAverage, color }) => {
     if (juneAverage !== null) {
       datasets.push({
-        label: `${year} June`,
+        label: `${year} ${t('short.june')}`,
+        kind: 'june',
+        seriesKey: `${year} June`,
         data: [
-          { x: 50, y: juneAverage },
-          { x: 0, y: juneAverage }
+          { x: xRange.max, y: juneAverage },
+          { x: xRange.min, y: juneAverage }
         ],
         backgroundColor: 'transparent',
         borderColor: color,
@@ -149,15 +214,26 @@ const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data }) => {
         showLine: true,
         type: 'line' as const,
         order: 0, // Behind everything else
-        tension: 0
+        tension: 0,
+        hidden: hiddenSeries.includes(`${year} June`)
       });
     }
   });
 
+  // Larger parties poll well above MDG's range, so the axis follows the plotted values
+  const yMax = shareAxisMax(datasets);
+
   const chartOptions = {
+    locale,
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
+      rangeZoom: {
+        enabled: !!onRangeChange,
+        bounds: [rangeBounds?.min ?? 0, rangeBounds?.max ?? DEFAULT_RANGE.max],
+        minSpan: MIN_RANGE_DAYS,
+        onChange: (min: number, max: number) => onRangeChange?.({ min, max })
+      },
       title: {
         display: false
       },
@@ -175,32 +251,36 @@ const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data }) => {
           // Filter out individual poll datasets on all devices
           filter: function(legendItem: any, chartData: any) {
             // Only show averages and June baselines, hide individual polls
-            return legendItem.text.includes('Avg') || legendItem.text.includes('June');
+            return !!chartData.datasets[legendItem.datasetIndex].seriesKey;
           }
-        }
+        },
+        // Visibility is kept in the URL rather than in the chart
+        onClick: (event: any, legendItem: any, legend: any) =>
+          setHiddenSeries(toggleListItem(hiddenSeries, legend.chart.data.datasets[legendItem.datasetIndex].seriesKey))
       },
       tooltip: {
         callbacks: {
           title: (context: any) => {
             const point = context[0];
-            if (point.dataset.label.includes('Average')) {
-              return `${point.parsed.x} days before election`;
+            if (point.dataset.kind !== 'polls') {
+              return t('chart.daysBeforeElection', { days: Math.round(point.parsed.x) });
             } else {
               const pollData = point.raw as PollPoint;
-              return `${pollData.date} (${point.parsed.x} days before)`;
+              return t('chart.pollDate', { date: formatDate(pollData.date), days: point.parsed.x });
             }
           },
           label: (context: any) => {
-            const point = context.datasetIndex;
-            const dataset = datasets[point];
+            const dataset = context.dataset;
             
-            if (dataset.label.includes('Average')) {
-              return `7-day average: ${context.parsed.y.toFixed(1)}%`;
+            if (dataset.kind === 'average') {
+              return `${averageLabel(smoothing, 7, t)}: ${formatPercent(context.parsed.y)}`;
+            } else if (dataset.kind === 'june') {
+              return `${dataset.label}: ${formatPercent(context.parsed.y)}`;
             } else {
               const pollData = context.raw as PollPoint;
               return [
-                `MDG: ${context.parsed.y}%`,
-                `Pollster: ${pollData.pollster}`
+                `${party}: ${formatPercent(context.parsed.y)} (±${formatNumber(pollData.margin, 1)})`,
+                t('chart.pollster', { name: pollData.pollster })
               ];
             }
           }
@@ -212,35 +292,35 @@ const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data }) => {
         type: 'linear' as const,
         title: {
           display: true,
-          text: 'Days Until Election'
+          text: t('chart.daysUntilElection')
         },
-        min: 0,
-        max: 50,
+        min: xRange.min,
+        max: xRange.max,
         reverse: true, // Show election day (0) on the right
         ticks: {
           callback: (value: any) => {
-            if (value === 0) return 'Election Day';
-            return `${value} days`;
+            if (value === 0) return t('chart.electionDay');
+            return t('chart.days', { days: value });
           },
-          stepSize: 10
+          stepSize: dayTickStep(xRange.max - xRange.min)
         },
         grid: {
-          color: 'rgba(0,0,0,0.1)'
+          color: theme.grid
         }
       },
       y: {
         title: {
           display: true,
-          text: 'MDG Support (%)'
+          text: t('short.yAxis', { party })
         },
         min: 0,
-        max: 8,
+        max: yMax,
         ticks: {
-          callback: (value: any) => `${value}%`,
-          stepSize: 1
+          callback: (value: any) => formatPercent(value, 0),
+          stepSize: yMax > 10 ? undefined : 1
         },
         grid: {
-          color: 'rgba(0,0,0,0.1)'
+          color: theme.grid
         }
       }
     },
@@ -254,15 +334,34 @@ const ShortTimelineChart: React.FC<ShortTimelineChartProps> = ({ data }) => {
     datasets
   };
 
+  const comparison = compareLatestCycle(processedData.map(({ year, rollingAverage }) => ({ year, average: rollingAverage })));
+  const summary = comparison ? describeCycleComparison(comparison, party, i18n) : t('chart.summaryNoData', { party });
+  const table = datasetTable(
+    t('short.exportTitle', { party, days: xRange.max }),
+    [t('a11y.series'), t('chart.daysUntilElection'), t('a11y.share', { party })],
+    datasets,
+    point => formatNumber(point.x),
+    point => formatPercent(point.y)
+  );
+
   return (
     <div className="short-timeline-chart">
+      <label className="poll-toggle">
+        <input type="checkbox" checked={showPolls} onChange={(event) => setShowPolls(event.target.checked)} />
+        {t('chart.showPolls')}
+      </label>
+      <ExportMenu
+        chartRef={chartRef}
+        title={t('short.exportTitle', { party, days: xRange.max })}
+        filename={`${party}-final-${xRange.max}-days`}
+      />
       <div className="chart-container">
-        <Chart type="scatter" data={chartData} options={chartOptions} />
+        <Chart ref={chartRef} type="scatter" data={chartData} options={chartOptions} plugins={[rangeZoomPlugin]} {...canvasProps(summary)} />
       </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
       <div className="chart-info">
         <p>
-          Shows individual polls as dots and 7-day rolling averages as lines for the final 100 days before each election.
-          The rolling average smooths out daily fluctuations to reveal underlying trends.
+          {smoothing === 'model' ? t('short.infoModel') : t('short.infoRolling')}
         </p>
       </div>
     </div>
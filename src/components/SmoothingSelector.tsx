@@ -0,0 +1,56 @@
+import React from 'react';
+import { SmoothingMethod } from '../types';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { MessageKey, useI18n } from '../i18n';
+import './SmoothingSelector.css';
+
+interface SmoothingSelectorProps {
+  smoothing: SmoothingMethod;
+  averageOptions: RollingAverageOptions;
+  onChange: (smoothing: SmoothingMethod) => void;
+  onAverageOptionsChange: (options: RollingAverageOptions) => void;
+}
+
+const SMOOTHING_OPTIONS: { value: SmoothingMethod; name: MessageKey }[] = [
+  { value: 'rolling', name: 'controls.rolling' },
+  { value: 'model', name: 'controls.model' },
+];
+
+const SmoothingSelector: React.FC<SmoothingSelectorProps> = ({ smoothing, averageOptions, onChange, onAverageOptionsChange }) => {
+  const { t } = useI18n();
+  return (
+    <div className="smoothing-selector">
+      <label htmlFor="smoothing-select">{t('controls.smoothing')}</label>
+      <select
+        id="smoothing-select"
+        value={smoothing}
+        onChange={(event) => onChange(event.target.value as SmoothingMethod)}
+      >
+        {SMOOTHING_OPTIONS.map(({ value, name }) => (
+          <option key={value} value={value}>{t(name)}</option>
+        ))}
+      </select>
+      {/* The model weighs polls by their sampling error already, so only the rolling average offers weighting */}
+      {smoothing === 'rolling' && (
+        <label className="smoothing-option">
+          <input
+            type="checkbox"
+            checked={Boolean(averageOptions.weightBySampleSize)}
+            onChange={(event) => onAverageOptionsChange({ ...averageOptions, weightBySampleSize: event.target.checked })}
+          />
+          {t('controls.weightBySampleSize')}
+        </label>
+      )}
+      <label className="smoothing-option">
+        <input
+          type="checkbox"
+          checked={Boolean(averageOptions.useFieldworkMidpoint)}
+          onChange={(event) => onAverageOptionsChange({ ...averageOptions, useFieldworkMidpoint: event.target.checked })}
+        />
+        {t('controls.fieldworkMidpoint')}
+      </label>
+    </div>
+  );
+};
+
+export default SmoothingSelector;
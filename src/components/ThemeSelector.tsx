@@ -0,0 +1,25 @@
+import React from 'react';
+import { useI18n } from '../i18n';
+import { THEME_SETTINGS, ThemeSetting, useTheme } from '../theme';
+import './ThemeSelector.css';
+
+const ThemeSelector: React.FC = () => {
+  const { t } = useI18n();
+  const { setting, setSetting } = useTheme();
+  return (
+    <div className="theme-selector">
+      <label htmlFor="theme-select">{t('theme.label')}</label>
+      <select
+        id="theme-select"
+        value={setting}
+        onChange={(event) => setSetting(event.target.value as ThemeSetting)}
+      >
+        {THEME_SETTINGS.map(({ value, name }) => (
+          <option key={value} value={value}>{t(name)}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ThemeSelector;
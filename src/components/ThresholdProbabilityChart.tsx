@@ -0,0 +1,167 @@
+import React, { useMemo, useRef } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { ElectionData, PartyCode, SmoothingMethod } from '../types';
+import { DEFAULT_SIMULATIONS, calculateThresholdProbability } from '../utils/thresholdProbability';
+import { LEVELING_THRESHOLD } from '../utils/seatProjection';
+import { datasetTable } from '../utils/chartTable';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { useIsMobile } from '../hooks/useIsMobile';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { useI18n } from '../i18n';
+import { useTheme } from '../theme';
+import ChartAlternative from './ChartAlternative';
+import './ThresholdProbabilityChart.css';
+
+ChartJS.register(
+  LinearScale,
+  PointElement,
+  LineElement,
+  LineController,
+  Title,
+  Tooltip,
+  Legend
+);
+
+interface ThresholdProbabilityChartProps {
+  electionData: ElectionData;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+}
+
+const ThresholdProbabilityChart: React.FC<ThresholdProbabilityChartProps> = ({ electionData, party, smoothing, averageOptions }) => {
+  const isMobile = useIsMobile();
+  const { t, locale, formatNumber, formatPercent } = useI18n();
+  const theme = useTheme();
+  const threshold = formatPercent(LEVELING_THRESHOLD, 0);
+  const chartRef = useRef<ChartJS<'line'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+
+  const series = useMemo(() =>
+    Object.entries(electionData.elections)
+      .sort(([a], [b]) => parseInt(a) - parseInt(b))
+      .map(([year, election]) => ({
+        year,
+        probability: calculateThresholdProbability(election.polls, party, smoothing, LEVELING_THRESHOLD, averageOptions)
+      }))
+      .filter(({ probability }) => probability.length > 0),
+    [electionData, party, smoothing, averageOptions]
+  );
+
+  if (series.length === 0) {
+    return <div className="threshold-probability-chart">{t('threshold.noData', { party })}</div>;
+  }
+
+  const datasets: any[] = series.map(({ year, probability }) => ({
+    label: year,
+    data: probability,
+    borderColor: theme.yearColor(year),
+    backgroundColor: theme.yearColor(year),
+    borderWidth: theme.lineWidth,
+    pointRadius: 0,
+    pointHoverRadius: 4,
+    tension: 0.3,
+    type: 'line' as const,
+  }));
+
+  const maxDays = Math.max(...series.flatMap(({ probability }) => probability.map(point => point.x)));
+
+  const options = {
+    locale,
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top' as const,
+        labels: {
+          font: { size: isMobile ? 10 : 13 },
+          usePointStyle: true,
+          padding: isMobile ? 8 : 16,
+        },
+      },
+      title: {
+        display: true,
+        text: t('threshold.title', { party, threshold }),
+        font: { size: 18, weight: 'bold' as const },
+        padding: 20,
+      },
+      tooltip: {
+        callbacks: {
+          title: (context: any) => t('chart.daysBeforeElection', { days: Math.round(context[0].parsed.x) }),
+          label: (context: any) => `${context.dataset.label}: ${formatPercent(context.parsed.y, 0)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear' as const,
+        min: 0,
+        max: Math.ceil(maxDays / 50) * 50,
+        reverse: true, // Election day on the right
+        title: { display: true, text: t('chart.daysUntilElection'), font: { size: 14, weight: 'bold' as const } },
+        ticks: {
+          callback: (value: any) => (Number(value) === 0 ? t('chart.electionDay') : t('chart.days', { days: value })),
+        },
+      },
+      y: {
+        min: 0,
+        max: 100,
+        title: { display: true, text: t('threshold.yAxis'), font: { size: 14, weight: 'bold' as const } },
+        ticks: { stepSize: 25, callback: (value: any) => formatPercent(value, 0) },
+      },
+    },
+    interaction: {
+      intersect: false,
+      mode: 'nearest' as const,
+      axis: 'x' as const,
+    },
+  };
+
+  // The newest cycle's probability closest to election day
+  const latest = series[series.length - 1];
+  const latestPoint = latest.probability.reduce((closest, point) => (point.x < closest.x ? point : closest));
+  const summary = t('threshold.summary', {
+    party,
+    threshold,
+    probability: formatPercent(latestPoint.y, 0),
+    days: Math.round(latestPoint.x),
+    year: latest.year,
+  });
+  const table = datasetTable(
+    t('threshold.title', { party, threshold }),
+    [t('a11y.series'), t('chart.daysUntilElection'), t('threshold.yAxis')],
+    datasets,
+    point => formatNumber(point.x),
+    point => formatPercent(point.y, 0)
+  );
+
+  return (
+    <div className="threshold-probability-chart">
+      <div className="chart-container">
+        <Chart ref={chartRef} type="line" data={{ datasets }} options={options} {...canvasProps(summary)} />
+      </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
+      <div className="chart-info">
+        <p>
+          {t(smoothing === 'model' ? 'threshold.infoModel' : 'threshold.infoRolling', {
+            party,
+            threshold,
+            simulations: formatNumber(DEFAULT_SIMULATIONS),
+          })}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ThresholdProbabilityChart;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -13,9 +13,23 @@ import {
   ScatterController,
 } from 'chart.js';
 import { Chart } from 'react-chartjs-2';
-import { ElectionData } from '../types';
-import { calculateRollingAverage } from '../utils/rollingAverage';
+import { Election, ElectionData, PartyCode, SmoothingMethod, TimelineRange } from '../types';
+import { averageLabel, calculatePollAverage } from '../utils/pollAverage';
+import { RollingAverageOptions } from '../utils/rollingAverage';
+import { getActualResult, pollsWithShare } from '../utils/parties';
+import { getPollsterName } from '../utils/pollsters';
+import { rangeZoomPlugin } from '../utils/chartPlugins';
+import { dayTickStep, MIN_RANGE_DAYS } from '../utils/timelineRange';
 import { useIsMobile } from '../hooks/useIsMobile';
+import { useUrlState } from '../hooks/useUrlState';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
+import { listCodec, stringCodec, toggleListItem } from '../utils/urlState';
+import { datasetTable } from '../utils/chartTable';
+import { compareLatestCycle, describeCycleComparison } from '../utils/chartSummary';
+import ExportMenu from './ExportMenu';
+import ChartAlternative from './ChartAlternative';
+import { MessageKey, useI18n } from '../i18n';
+import { useTheme } from '../theme';
 import './UnifiedTimelineChart.css';
 
 ChartJS.register(
@@ -32,41 +46,90 @@ ChartJS.register(
 
 interface UnifiedTimelineChartProps {
   electionData: ElectionData;
+  localElectionData?: ElectionData | null;
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  averageOptions?: RollingAverageOptions;
+  range?: TimelineRange | null; // Shared x range; the full history when unset
+  rangeBounds?: TimelineRange;
+  onRangeChange?: (range: TimelineRange) => void;
 }
 
-const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionData }) => {
+// Which election cycles to plot: parliamentary only, local only, or both on one axis
+type CycleView = 'parliamentary' | 'local' | 'overlay';
+
+const CYCLE_VIEW_OPTIONS: { value: CycleView; name: MessageKey }[] = [
+  { value: 'parliamentary', name: 'historical.viewParliamentary' },
+  { value: 'local', name: 'historical.viewLocal' },
+  { value: 'overlay', name: 'historical.viewOverlay' },
+];
+
+const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({
+  electionData,
+  localElectionData,
+  party,
+  smoothing,
+  averageOptions,
+  range,
+  rangeBounds,
+  onRangeChange
+}) => {
   const isMobile = useIsMobile();
-  
-  // Color palette for different election years
-  const colorPalette: { [key: string]: string } = {
-    '2011': '#ef4444', // Red
-    '2013': '#f97316', // Orange  
-    '2017': '#eab308', // Yellow
-    '2021': '#22c55e', // Green
-    '2025': '#3b82f6', // Blue
-  };
+  const i18n = useI18n();
+  const { t, locale, formatNumber, formatPercent, formatChange, formatDate } = i18n;
+  const theme = useTheme();
+  const chartRef = useRef<ChartJS<'scatter'>>(null);
+  const { canvasProps, announcement } = useChartKeyboard(chartRef);
+  const [cycleView, setCycleView] = useUrlState<CycleView>(
+    'historical-view',
+    'parliamentary',
+    stringCodec(CYCLE_VIEW_OPTIONS.map(({ value }) => value))
+  );
+  // Cycles switched off in the legend, e.g. "2013" or "2019 local"
+  const [hiddenCycles, setHiddenCycles] = useUrlState<string[]>('historical-hidden', [], listCodec);
+  const trendLabel = averageLabel(smoothing, 14, t);
+  // The view selector is only offered once local polls have been fetched, never as an empty overlay
+  const hasLocalCycles = !!localElectionData && Object.keys(localElectionData.elections).length > 0;
+  const view = hasLocalCycles ? cycleView : 'parliamentary';
+  // Local cycles are keyed "2019 local"; this is how they read in the chosen language
+  const cycleName = (cycle: string) => (cycle.endsWith(' local') ? t('historical.localCycle', { year: cycle.split(' ')[0] }) : cycle);
+
+
+  // Cycles to plot, keyed by "2021" for parliamentary and "2019 local" for local elections
+  const visibleElections: { [key: string]: Election } = {};
+  if (view !== 'local') {
+    Object.assign(visibleElections, electionData.elections);
+  }
+  if (view !== 'parliamentary' && localElectionData) {
+    Object.entries(localElectionData.elections).forEach(([year, election]) => {
+      visibleElections[`${year} local`] = election;
+    });
+  }
 
   // Prepare datasets for each election
   const datasets: any[] = [];
   
-  Object.entries(electionData.elections)
+  Object.entries(visibleElections)
     .sort(([a], [b]) => parseInt(a) - parseInt(b)) // Sort by year
     .forEach(([year, data]) => {
-      const sortedPolls = [...data.polls].sort((a, b) => 
+      const sortedPolls = pollsWithShare(data.polls, party).sort((a, b) => 
         b.daysUntilElection - a.daysUntilElection // Sort by days until election (descending)
       );
 
-      const color = colorPalette[year] || '#6b7280';
+      const color = theme.yearColor(year);
+      const isLocal = year.endsWith('local');
       
       // Add scatter plot for individual polls - now hidden on all devices
       datasets.push({
-        label: `${year} Polls`,
+        label: t('historical.polls', { cycle: cycleName(year) }),
+        kind: 'polls',
+        cycle: year,
         data: sortedPolls.map(poll => ({
           x: poll.daysUntilElection,
-          y: poll.mdgPercentage,
+          y: poll.share,
           pollDate: poll.date,
           pollster: poll.pollster,
-          electionYear: year,
+          electionYear: cycleName(year),
         })),
         backgroundColor: color,
         borderColor: color,
@@ -78,21 +141,25 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         hidden: true // Hide individual polls on all devices
       });
       
-      // Add rolling average line
-      const rollingAverage = calculateRollingAverage(sortedPolls, 14); // 14-day window for longer timeline
+      // Add trend line
+      const rollingAverage = calculatePollAverage(smoothing, sortedPolls, 14, party, averageOptions); // 14-day window for longer timeline
       if (rollingAverage.length > 0) {
         datasets.push({
-          label: `${year} 14-day Average`,
+          label: `${cycleName(year)} ${trendLabel}`,
+          kind: 'average',
           data: rollingAverage,
           backgroundColor: 'transparent',
           borderColor: color,
-          borderWidth: 3,
+          borderWidth: theme.lineWidth,
           pointRadius: 0,
           pointHoverRadius: 4,
           showLine: true,
           type: 'line' as const,
           tension: 0.4,
-          order: 1
+          borderDash: isLocal ? [8, 4] : undefined, // Dashed lines tell local cycles apart when overlaid
+          order: 1,
+          cycle: year,
+          hidden: hiddenCycles.includes(year)
         });
       }
     });
@@ -101,23 +168,24 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
   const allDays = datasets.flatMap(dataset => dataset.data.map((point: any) => point.x));
   const maxDays = Math.max(...allDays);
   const minDays = Math.min(...allDays);
-  
-  // Create tick marks for major intervals
-  const xAxisTicks = [];
-  for (let days = Math.ceil(maxDays / 100) * 100; days >= 0; days -= 100) {
-    if (days <= maxDays) {
-      xAxisTicks.push(days);
-    }
-  }
+  const xRange = range || { min: 0, max: maxDays + 50 };
+  const tickStep = dayTickStep(xRange.max - xRange.min);
 
   const chartData = {
     datasets: datasets,
   };
 
   const options = {
+    locale,
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
+      rangeZoom: {
+        enabled: !!onRangeChange,
+        bounds: [rangeBounds?.min ?? 0, rangeBounds?.max ?? maxDays + 50],
+        minSpan: MIN_RANGE_DAYS,
+        onChange: (min: number, max: number) => onRangeChange?.({ min, max }),
+      },
       legend: {
         position: 'top' as const,
         align: 'center' as const,
@@ -133,13 +201,16 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
           // Filter out individual poll datasets on all devices
           filter: function(legendItem: any, chartData: any) {
             // Only show averages, hide individual polls
-            return legendItem.text.includes('Average');
+            return chartData.datasets[legendItem.datasetIndex].kind === 'average';
           }
         },
+        // Visibility is kept in the URL rather than in the chart
+        onClick: (event: any, legendItem: any, legend: any) =>
+          setHiddenCycles(toggleListItem(hiddenCycles, legend.chart.data.datasets[legendItem.datasetIndex].cycle)),
       },
               title: {
         display: true,
-        text: 'MDG Polling Trends - All Elections with Rolling Averages',
+        text: t(smoothing === 'model' ? 'historical.titleModel' : 'historical.titleRolling', { party }),
         font: {
           size: 18,
           weight: 'bold' as const,
@@ -150,24 +221,24 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         callbacks: {
           title: (context: any) => {
             const point = context[0];
-            if (point.dataset.label.includes('Average')) {
-              return `${Math.abs(point.parsed.x)} days before election`;
+            if (point.dataset.kind === 'average') {
+              return t('chart.daysBeforeElection', { days: Math.round(Math.abs(point.parsed.x)) });
             } else {
               const pollData = point.raw;
-              return `${pollData.electionYear} Election - ${Math.abs(point.parsed.x)} days before`;
+              return t('historical.pollTitle', { cycle: pollData.electionYear, days: Math.abs(point.parsed.x) });
             }
           },
           label: (context: any) => {
             const dataset = context.dataset;
             
-            if (dataset.label.includes('Average')) {
-              return `14-day average: ${context.parsed.y.toFixed(1)}%`;
+            if (dataset.kind === 'average') {
+              return `${trendLabel}: ${formatPercent(context.parsed.y)}`;
             } else {
               const point = context.raw;
               return [
-                `MDG: ${point.y}%`,
-                `Poll Date: ${new Date(point.pollDate).toLocaleDateString('en-GB')}`,
-                `Pollster: ${point.pollster}`,
+                `${party}: ${formatPercent(point.y)}`,
+                t('historical.pollDate', { date: formatDate(point.pollDate) }),
+                t('chart.pollster', { name: point.pollster }),
               ];
             }
           },
@@ -175,7 +246,7 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         backgroundColor: 'rgba(0, 0, 0, 0.8)',
         titleColor: '#ffffff',
         bodyColor: '#ffffff',
-        borderColor: '#22c55e',
+        borderColor: theme.accent,
         borderWidth: 1,
         cornerRadius: 8,
         displayColors: true,
@@ -187,36 +258,36 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         position: 'bottom' as const,
         title: {
           display: true,
-          text: 'Days Until Election',
+          text: t('chart.daysUntilElection'),
           font: {
             size: 16,
             weight: 'bold' as const,
           },
         },
-        min: 0,
-        max: maxDays + 50,
+        min: xRange.min,
+        max: xRange.max,
         reverse: true, // Show election day (0) on the right
         ticks: {
-          stepSize: 100,
+          stepSize: tickStep,
           font: {
             size: 12,
           },
           callback: function(value: any) {
             const numValue = Number(value);
-            if (numValue === 0) return 'Election Day';
-            if (numValue % 100 === 0) return `${numValue} days`;
+            if (numValue === 0) return t('chart.electionDay');
+            if (numValue % tickStep === 0) return t('chart.days', { days: numValue });
             return '';
           },
         },
         grid: {
-          color: 'rgba(0, 0, 0, 0.1)',
+          color: theme.grid,
         },
       },
       y: {
         display: true,
         title: {
           display: true,
-          text: 'MDG Polling Percentage (%)',
+          text: t('chart.pollingPercentage', { party }),
           font: {
             size: 16,
             weight: 'bold' as const,
@@ -229,11 +300,11 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
             size: 12,
           },
           callback: function(value: any) {
-            return value + '%';
+            return formatPercent(value, 0);
           },
         },
         grid: {
-          color: 'rgba(0, 0, 0, 0.1)',
+          color: theme.grid,
         },
       },
     },
@@ -243,54 +314,66 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
     },
   };
 
+  // Compared within one kind of election: local cycles in the local view, parliamentary ones otherwise
+  const comparison = compareLatestCycle(
+    datasets
+      .filter(dataset => dataset.kind === 'average' && dataset.cycle.endsWith(' local') === (view === 'local'))
+      .map(dataset => ({ year: dataset.cycle, average: dataset.data }))
+  );
+  const summary = comparison ? describeCycleComparison(comparison, party, i18n, cycleName) : t('chart.summaryNoData', { party });
+  const table = datasetTable(
+    t('historical.exportTitle', { party }),
+    [t('a11y.series'), t('chart.daysUntilElection'), t('a11y.share', { party })],
+    datasets,
+    point => formatNumber(point.x),
+    point => formatPercent(point.y)
+  );
+
   // Calculate summary statistics (only from poll datasets, not averages)
-  const pollDatasets = datasets.filter(d => d.label.includes('Polls'));
+  const pollDatasets = datasets.filter(d => d.kind === 'polls');
   const totalPolls = pollDatasets.reduce((sum, dataset) => sum + dataset.data.length, 0);
   const avgByElection = pollDatasets.map(dataset => {
-    const year = dataset.label.replace(' Polls', '');
-    const electionInfo = electionData.elections[year];
+    const year: string = dataset.cycle;
+    const electionInfo = visibleElections[year];
+    const actualResult = electionInfo ? getActualResult(electionInfo, party) : undefined;
     
     // Calculate 7-day and 30-day averages before election
     const pollsLast7Days = dataset.data.filter((poll: any) => poll.x >= 0 && poll.x <= 7);
     const pollsLast30Days = dataset.data.filter((poll: any) => poll.x >= 0 && poll.x <= 30);
     
     const avg7Day = pollsLast7Days.length > 0 ? 
-      (pollsLast7Days.reduce((sum: number, poll: any) => sum + poll.y, 0) / pollsLast7Days.length).toFixed(1) : 'N/A';
+      pollsLast7Days.reduce((sum: number, poll: any) => sum + poll.y, 0) / pollsLast7Days.length : null;
     
     const avg30Day = pollsLast30Days.length > 0 ? 
-      (pollsLast30Days.reduce((sum: number, poll: any) => sum + poll.y, 0) / pollsLast30Days.length).toFixed(1) : 'N/A';
+      pollsLast30Days.reduce((sum: number, poll: any) => sum + poll.y, 0) / pollsLast30Days.length : null;
     
     return {
       year,
       count: dataset.data.length,
-      peak: Math.max(...dataset.data.map((p: any) => p.y)).toFixed(1),
+      peak: Math.max(...dataset.data.map((p: any) => p.y)),
       avg7Day,
       avg30Day,
       pollsLast7DaysCount: pollsLast7Days.length,
       pollsLast30DaysCount: pollsLast30Days.length,
-      actualResult: electionInfo?.actualResult ? electionInfo.actualResult.toFixed(1) : 'N/A',
-      pollError7Day: electionInfo?.actualResult && avg7Day !== 'N/A' ? 
-        (electionInfo.actualResult - parseFloat(avg7Day)).toFixed(1) : 'N/A',
-      pollError30Day: electionInfo?.actualResult && avg30Day !== 'N/A' ? 
-        (electionInfo.actualResult - parseFloat(avg30Day)).toFixed(1) : 'N/A'
+      actualResult: actualResult || null,
+      pollError7Day: actualResult && avg7Day !== null ? actualResult - avg7Day : null,
+      pollError30Day: actualResult && avg30Day !== null ? actualResult - avg30Day : null
     };
   });
+  const notAvailable = t('common.notAvailable');
 
   // Calculate pollster analysis - average error by polling company for each cycle
   const pollsterAnalysis: { [year: string]: { [pollster: string]: { error: number; count: number; polls: any[]; error50Days: number; count50Days: number } } } = {};
   
-  Object.entries(electionData.elections).forEach(([year, electionInfo]) => {
-    if (!electionInfo.actualResult) return; // Skip if no actual result
+  Object.entries(visibleElections).forEach(([year, electionInfo]) => {
+    const actualResult = getActualResult(electionInfo, party);
+    if (!actualResult) return; // Skip if no actual result
     
     pollsterAnalysis[year] = {};
     
     // Group polls by pollster for this election
-    electionInfo.polls.forEach(poll => {
-      // Extract main pollster name (first word after the " - ")
-      const pollsterParts = poll.pollster.split(' - ');
-      const pollsterName = pollsterParts.length > 1 ? 
-        pollsterParts[1].split(' ')[0].trim() : 
-        poll.pollster.split(' ')[0].trim();
+    pollsWithShare(electionInfo.polls, party).forEach(poll => {
+      const pollsterName = getPollsterName(poll);
       
       if (!pollsterAnalysis[year][pollsterName]) {
         pollsterAnalysis[year][pollsterName] = { 
@@ -302,7 +385,7 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         };
       }
       
-      const error = poll.mdgPercentage - (electionInfo.actualResult || 0);
+      const error = poll.share - actualResult;
       pollsterAnalysis[year][pollsterName].polls.push({ ...poll, error });
       pollsterAnalysis[year][pollsterName].error += error;
       pollsterAnalysis[year][pollsterName].count += 1;
@@ -322,35 +405,37 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
     });
   });
 
-  // Calculate MDG change from June baseline to final 50 days for each cycle
-  const mdgChangeAnalysis = Object.entries(electionData.elections).map(([year, electionInfo]) => {
+  // Calculate the party's change from June baseline to final 50 days for each cycle
+  const partyChangeAnalysis = Object.entries(visibleElections).map(([year, electionInfo]) => {
+    const partyPolls = pollsWithShare(electionInfo.polls, party);
+
     // Calculate June average
     const electionDate = new Date(electionInfo.electionDate);
     const juneStart = new Date(electionDate.getFullYear(), 5, 1); // June 1st
     const juneEnd = new Date(electionDate.getFullYear(), 5, 30); // June 30th
     
-    const junePolls = electionInfo.polls.filter(poll => {
+    const junePolls = partyPolls.filter(poll => {
       const pollDate = new Date(poll.date);
       return pollDate >= juneStart && pollDate <= juneEnd;
     });
     
     const juneAverage = junePolls.length > 0 ? 
-      junePolls.reduce((sum, poll) => sum + poll.mdgPercentage, 0) / junePolls.length : 
+      junePolls.reduce((sum, poll) => sum + poll.share, 0) / junePolls.length : 
       null;
 
     // Calculate final 50-day average
-    const final50DayPolls = electionInfo.polls.filter(poll => 
+    const final50DayPolls = partyPolls.filter(poll => 
       poll.daysUntilElection >= 0 && poll.daysUntilElection <= 50
     );
     
     const final50DayAverage = final50DayPolls.length > 0 ? 
-      final50DayPolls.reduce((sum, poll) => sum + poll.mdgPercentage, 0) / final50DayPolls.length : 
+      final50DayPolls.reduce((sum, poll) => sum + poll.share, 0) / final50DayPolls.length : 
       null;
 
     const change = (juneAverage !== null && final50DayAverage !== null) ? 
       final50DayAverage - juneAverage : null;
 
-    const actualResult = electionInfo.actualResult || null;
+    const actualResult = getActualResult(electionInfo, party) || null;
     const juneToActualChange = (juneAverage !== null && actualResult !== null) ? 
       actualResult - juneAverage : null;
 
@@ -368,47 +453,66 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
 
   return (
     <div className="unified-timeline-chart">
+      {hasLocalCycles && (
+        <div className="cycle-view-selector">
+          <label htmlFor="cycle-view-select">{t('historical.cycles')}</label>
+          <select
+            id="cycle-view-select"
+            value={cycleView}
+            onChange={(event) => setCycleView(event.target.value as CycleView)}
+          >
+            {CYCLE_VIEW_OPTIONS.map(({ value, name }) => (
+              <option key={value} value={value}>{t(name)}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <ExportMenu chartRef={chartRef} title={t('historical.exportTitle', { party })} filename={`${party}-historical`} />
       <div className="chart-container">
-        <Chart type="scatter" data={chartData} options={options} />
+        <Chart ref={chartRef} type="scatter" data={chartData} options={options} plugins={[rangeZoomPlugin]} {...canvasProps(summary)} />
       </div>
+      <ChartAlternative summary={summary} table={table} announcement={announcement} />
       
       <div className="chart-analysis">
-        <h3>Election Cycle Analysis</h3>
+        <h3>{t('historical.cycleAnalysis')}</h3>
         <div className="analysis-grid">
           {avgByElection.map(election => (
             <div key={election.year} className="election-stats">
-              <h4>{election.year}</h4>
+              <h4>
+                <span className="election-color" style={{ color: theme.yearColor(election.year) }} aria-hidden="true">●</span>
+                {cycleName(election.year)}
+              </h4>
               <div className="stats-row">
-                <span className="stat-label">Polls:</span>
-                <span className="stat-value">{election.count}</span>
+                <span className="stat-label">{t('historical.statPolls')}</span>
+                <span className="stat-value">{formatNumber(election.count)}</span>
               </div>
               <div className="stats-row">
-                <span className="stat-label">Peak:</span>
-                <span className="stat-value">{election.peak}%</span>
+                <span className="stat-label">{t('historical.statPeak')}</span>
+                <span className="stat-value">{formatPercent(election.peak)}</span>
               </div>
               <div className="stats-row">
-                <span className="stat-label">Final 7 Days:</span>
+                <span className="stat-label">{t('historical.statFinal7')}</span>
                 <span className="stat-value">
-                  {election.avg7Day}% {election.avg7Day !== 'N/A' && `(${election.pollsLast7DaysCount})`}
+                  {election.avg7Day !== null ? `${formatPercent(election.avg7Day)} (${election.pollsLast7DaysCount})` : notAvailable}
                 </span>
               </div>
               <div className="stats-row">
-                <span className="stat-label">Final 30 Days:</span>
+                <span className="stat-label">{t('historical.statFinal30')}</span>
                 <span className="stat-value">
-                  {election.avg30Day}% {election.avg30Day !== 'N/A' && `(${election.pollsLast30DaysCount})`}
+                  {election.avg30Day !== null ? `${formatPercent(election.avg30Day)} (${election.pollsLast30DaysCount})` : notAvailable}
                 </span>
               </div>
               <div className="stats-row">
-                <span className="stat-label">Actual Result:</span>
-                <span className="stat-value" style={{fontWeight: 'bold', color: election.actualResult !== 'N/A' ? '#22c55e' : 'inherit'}}>
-                  {election.actualResult}%
+                <span className="stat-label">{t('historical.statActual')}</span>
+                <span className="stat-value" style={{fontWeight: 'bold', color: election.actualResult !== null ? theme.accent : 'inherit'}}>
+                  {election.actualResult !== null ? formatPercent(election.actualResult) : notAvailable}
                 </span>
               </div>
-              {election.pollError7Day !== 'N/A' && (
+              {election.pollError7Day !== null && (
                 <div className="stats-row">
-                  <span className="stat-label">7-Day Error:</span>
-                  <span className="stat-value" style={{color: parseFloat(election.pollError7Day) < 0 ? '#ef4444' : '#22c55e'}}>
-                    {parseFloat(election.pollError7Day) > 0 ? '+' : ''}{election.pollError7Day}%
+                  <span className="stat-label">{t('historical.statError7')}</span>
+                  <span className="stat-value" style={{color: election.pollError7Day < 0 ? theme.negative : theme.positive}}>
+                    {formatChange(election.pollError7Day)}
                   </span>
                 </div>
               )}
@@ -417,14 +521,12 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         </div>
         
         <div className="pollster-analysis">
-          <h3>Pollster Analysis</h3>
-          <p className="analysis-description">
-            Final 50-day polling error vs actual results. Red = overestimated, Green = underestimated.
-          </p>
+          <h3>{t('historical.pollsterAnalysis')}</h3>
+          <p className="analysis-description">{t('historical.pollsterDescription')}</p>
           <div className="pollster-grid">
             {Object.entries(pollsterAnalysis).map(([year, pollsters]) => (
               <div key={year} className="pollster-year">
-                <h4>{year}</h4>
+                <h4>{cycleName(year)}</h4>
                 <div className="pollster-stats">
                   {Object.entries(pollsters)
                     .filter(([, data]) => data.count50Days >= 2) // Only show pollsters with 2+ polls in last 50 days
@@ -433,11 +535,11 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
                       <div key={pollster} className="pollster-row">
                         <span className="pollster-name">{pollster}</span>
                         <span className="pollster-error" style={{
-                          color: data.error50Days > 0 ? '#ef4444' : '#22c55e'
+                          color: data.error50Days > 0 ? theme.negative : theme.positive
                         }}>
-                          {data.error50Days > 0 ? '+' : ''}{data.error50Days.toFixed(1)}%
+                          {formatChange(data.error50Days)}
                         </span>
-                        <span className="pollster-count">({data.count50Days} polls)</span>
+                        <span className="pollster-count">{t('historical.pollCount', { count: data.count50Days })}</span>
                       </div>
                     ))}
                 </div>
@@ -447,46 +549,43 @@ const UnifiedTimelineChart: React.FC<UnifiedTimelineChartProps> = ({ electionDat
         </div>
         
         <div className="mdg-change-analysis">
-          <h3>MDG Polling Change Analysis</h3>
-          <p className="analysis-description">Campaign momentum from June to election day</p>
+          <h3>{t('historical.changeAnalysis', { party })}</h3>
+          <p className="analysis-description">{t('historical.changeDescription')}</p>
           <div className="change-table">
             <div className="table-header">
-              <span>Election</span>
-              <span>June Baseline</span>
-              <span>Final 50 Days</span>
-              <span>Actual Result</span>
-              <span>June→Final</span>
-              <span>June→Actual</span>
+              <span>{t('common.election')}</span>
+              <span>{t('historical.juneBaseline')}</span>
+              <span>{t('historical.final50')}</span>
+              <span>{t('common.actualResult')}</span>
+              <span>{t('historical.juneToFinal')}</span>
+              <span>{t('historical.juneToActual')}</span>
             </div>
-            {mdgChangeAnalysis.map(item => (
+            {partyChangeAnalysis.map(item => (
               <div key={item.year} className="table-row">
-                <span className="election-year">{item.year}</span>
+                <span className="election-year">{cycleName(item.year)}</span>
                 <span className="baseline-value">
-                  {item.juneAverage?.toFixed(1)}% ({item.juneCount})
+                  {formatPercent(item.juneAverage as number)} ({item.juneCount})
                 </span>
                 <span className="final-value">
-                  {item.final50DayAverage?.toFixed(1)}% ({item.final50DayCount})
+                  {formatPercent(item.final50DayAverage as number)} ({item.final50DayCount})
                 </span>
                 <span className="actual-result" style={{
                   fontWeight: 'bold',
-                  color: item.actualResult !== null ? '#1f2937' : '#6b7280'
+                  color: item.actualResult !== null ? theme.text : theme.mutedText
                 }}>
-                  {item.actualResult?.toFixed(1)}%
+                  {item.actualResult !== null ? formatPercent(item.actualResult) : notAvailable}
                 </span>
                 <span className="change-value" style={{
-                  color: (item.change || 0) > 0 ? '#22c55e' : '#ef4444',
+                  color: (item.change || 0) > 0 ? theme.positive : theme.negative,
                   fontWeight: 'bold'
                 }}>
-                  {(item.change || 0) > 0 ? '+' : ''}{item.change?.toFixed(1)}%
+                  {formatChange(item.change as number)}
                 </span>
                 <span className="june-actual-change" style={{
-                  color: (item.juneToActualChange || 0) > 0 ? '#22c55e' : '#ef4444',
+                  color: (item.juneToActualChange || 0) > 0 ? theme.positive : theme.negative,
                   fontWeight: 'bold'
                 }}>
-                  {item.juneToActualChange !== null ? 
-                    `${(item.juneToActualChange || 0) > 0 ? '+' : ''}${item.juneToActualChange?.toFixed(1)}%` : 
-                    'N/A'
-                  }
+                  {item.juneToActualChange !== null ? formatChange(item.juneToActualChange) : notAvailable}
                 </span>
               </div>
             ))}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Chart as ChartJS } from 'chart.js';
+import { useI18n } from '../i18n';
+
+interface PointRef {
+  datasetIndex: number;
+  index: number;
+}
+
+const NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Escape'];
+
+// Visible datasets with points that react to the pointer, so band edges are skipped
+const navigableDatasets = (chart: ChartJS) =>
+  chart.data.datasets
+    .map((_, i) => i)
+    .filter(i => chart.isDatasetVisible(i) && (chart.data.datasets[i] as any).pointHitRadius !== 0 && chart.getDatasetMeta(i).data.length > 0);
+
+// A dataset's point indices from left to right on screen, so the arrows follow reversed axes
+const pointsOnScreen = (chart: ChartJS, datasetIndex: number) =>
+  chart
+    .getDatasetMeta(datasetIndex)
+    .data.map((element, index) => ({ index, x: element.x }))
+    .sort((a, b) => a.x - b.x);
+
+// What the tooltip shows for the active point, as one line for screen readers
+const describeTooltip = (chart: ChartJS, point: PointRef) => {
+  const tooltip: any = chart.tooltip;
+  const lines = [
+    ...(tooltip?.title || []),
+    ...(tooltip?.body || []).flatMap((item: any) => [...item.before, ...item.lines, ...item.after])
+  ];
+  return `${chart.data.datasets[point.datasetIndex].label}: ${lines.join(', ')}`;
+};
+
+/**
+ * Makes a chart's canvas focusable and lets the arrow keys step through its
+ * points: left and right within a series, up and down between series, Home
+ * and End to the ends and Escape to clear. The tooltip follows the active
+ * point and its text is returned as an announcement for a live region.
+ * canvasProps takes the chart's label, usually its plain-language summary.
+ */
+export const useChartKeyboard = (chartRef: React.RefObject<ChartJS<any, any, any> | null>) => {
+  const { t } = useI18n();
+  const [active, setActive] = useState<PointRef | null>(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  const show = (chart: ChartJS, point: PointRef | null) => {
+    const elements = point ? [point] : [];
+    const element = point && chart.getDatasetMeta(point.datasetIndex).data[point.index];
+    chart.setActiveElements(elements);
+    chart.tooltip?.setActiveElements(elements, { x: element?.x ?? 0, y: element?.y ?? 0 });
+    chart.update();
+    setActive(point);
+    setAnnouncement(point ? describeTooltip(chart, point) : '');
+  };
+
+  const onKeyDown = (event: React.KeyboardEvent) => {
+    const chart = chartRef.current;
+    if (!chart || !NAVIGATION_KEYS.includes(event.key)) return;
+    const datasets = navigableDatasets(chart);
+    if (datasets.length === 0) return;
+    event.preventDefault();
+
+    if (event.key === 'Escape') {
+      show(chart, null);
+      return;
+    }
+
+    // Start from the first series' first point, or carry on from where the reader left off
+    const current =
+      active && datasets.includes(active.datasetIndex) && active.index < chart.getDatasetMeta(active.datasetIndex).data.length
+        ? active
+        : null;
+    if (!current) {
+      show(chart, { datasetIndex: datasets[0], index: pointsOnScreen(chart, datasets[0])[0].index });
+      return;
+    }
+
+    const points = pointsOnScreen(chart, current.datasetIndex);
+    const position = points.findIndex(point => point.index === current.index);
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight' || event.key === 'Home' || event.key === 'End') {
+      const next =
+        event.key === 'Home' ? 0
+        : event.key === 'End' ? points.length - 1
+        : Math.min(points.length - 1, Math.max(0, position + (event.key === 'ArrowRight' ? 1 : -1)));
+      show(chart, { datasetIndex: current.datasetIndex, index: points[next].index });
+      return;
+    }
+
+    // Up and down change series, landing on the point closest to the same place on the x axis
+    const seriesPosition = datasets.indexOf(current.datasetIndex) + (event.key === 'ArrowDown' ? 1 : -1);
+    const datasetIndex = datasets[(seriesPosition + datasets.length) % datasets.length];
+    const x = points[position].x;
+    const closest = pointsOnScreen(chart, datasetIndex).reduce((best, point) =>
+      Math.abs(point.x - x) < Math.abs(best.x - x) ? point : best
+    );
+    show(chart, { datasetIndex, index: closest.index });
+  };
+
+  const canvasProps = (label: string) => ({
+    tabIndex: 0,
+    role: 'application',
+    'aria-roledescription': t('a11y.chart'),
+    'aria-label': `${label} ${t('a11y.keyboardHint')}`,
+    onKeyDown,
+    onBlur: () => chartRef.current && active && show(chartRef.current, null)
+  });
+
+  return { canvasProps, announcement };
+};
@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+
+// Whether a media query such as "(prefers-color-scheme: dark)" matches, updated when it changes
+export const useMediaQuery = (query: string): boolean => {
+  const [matches, setMatches] = useState<boolean>(() => window.matchMedia?.(query).matches ?? false);
+
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const mediaQuery = window.matchMedia(query);
+    const update = () => setMatches(mediaQuery.matches);
+
+    update();
+    mediaQuery.addEventListener('change', update);
+    return () => mediaQuery.removeEventListener('change', update);
+  }, [query]);
+
+  return matches;
+};
@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Tracks what the service worker has to tell the page: whether a data file
+ * changed on the server after the cached copy was shown, whether a new build
+ * of the site is waiting to take over, and whether the browser is online.
+ */
+export const useServiceWorkerUpdates = () => {
+  const [dataUpdated, setDataUpdated] = useState(false);
+  const [waitingWorker, setWaitingWorker] = useState<ServiceWorker | null>(null);
+  const [online, setOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const onConnectivity = () => setOnline(navigator.onLine);
+    window.addEventListener('online', onConnectivity);
+    window.addEventListener('offline', onConnectivity);
+    const removeConnectivity = () => {
+      window.removeEventListener('online', onConnectivity);
+      window.removeEventListener('offline', onConnectivity);
+    };
+    if (!('serviceWorker' in navigator)) return removeConnectivity;
+
+    // Sent by workbox-broadcast-update when a revalidated data file differs from the cached one
+    const onMessage = (event: MessageEvent) => {
+      if (event.data?.type === 'CACHE_UPDATED') {
+        setDataUpdated(true);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', onMessage);
+
+    // A new worker that installs while an older one controls the page waits until it is told to skip waiting
+    let registration: ServiceWorkerRegistration | null = null;
+    let mounted = true;
+    const onUpdateFound = () => {
+      const installing = registration?.installing;
+      installing?.addEventListener('statechange', () => {
+        if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+          setWaitingWorker(installing);
+        }
+      });
+    };
+    navigator.serviceWorker.ready.then(ready => {
+      if (!mounted) return;
+      registration = ready;
+      if (ready.waiting && navigator.serviceWorker.controller) {
+        setWaitingWorker(ready.waiting);
+      }
+      ready.addEventListener('updatefound', onUpdateFound);
+    });
+
+    return () => {
+      mounted = false;
+      removeConnectivity();
+      navigator.serviceWorker.removeEventListener('message', onMessage);
+      registration?.removeEventListener('updatefound', onUpdateFound);
+    };
+  }, []);
+
+  // Activates the waiting worker and reloads once it controls the page
+  const applyAppUpdate = () => {
+    if (!waitingWorker) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  return { dataUpdated, clearDataUpdated: () => setDataUpdated(false), appUpdateWaiting: waitingWorker !== null, applyAppUpdate, online };
+};
@@ -0,0 +1,26 @@
+import { useState } from 'react';
+import { readUrlParams, stringCodec, UrlCodec, writeUrlParams } from '../utils/urlState';
+
+/**
+ * useState backed by a URL hash parameter: the initial value is read from the
+ * URL and every change is written back. Default values are left out of the URL.
+ */
+export const useUrlState = <T,>(
+  key: string,
+  defaultValue: T,
+  codec: UrlCodec<T> = stringCodec() as unknown as UrlCodec<T>
+): [T, (value: T) => void] => {
+  const [value, setValue] = useState<T>(() => {
+    const raw = readUrlParams().get(key);
+    const parsed = raw === null ? null : codec.parse(raw);
+    return parsed === null ? defaultValue : parsed;
+  });
+
+  const update = (next: T) => {
+    setValue(next);
+    const serialized = codec.stringify(next);
+    writeUrlParams({ [key]: serialized === codec.stringify(defaultValue) ? null : serialized });
+  };
+
+  return [value, update];
+};
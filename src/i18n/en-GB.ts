@@ -0,0 +1,309 @@
+// English strings; the keys of this catalogue are the message keys every other catalogue must provide
+const enGB = {
+  'app.loading': 'Loading MDG polling data...',
+  'app.error': 'Error: {error}',
+  'app.noData': 'No polling data available',
+  'app.title': 'MDG Polling Analysis',
+  'app.subtitle': 'Norwegian election polling trends and predictions',
+  'app.thresholdHeadline': 'chance {party} is at or above {threshold} ({share} average, {days} days before the {year} election)',
+  'app.thresholdHeadlineFinal': 'final pre-election estimate of the chance {party} was at or above {threshold} in {year} ({share} average, {days} days before the election)',
+  'app.regionalDescription': '{party}\'s polling in individual constituencies, compared with the national polls over the same period',
+  'app.dataSource': 'Data source:',
+  'app.github': 'View on GitHub',
+  'app.short': 'Final 50 Days',
+  'app.historical': 'Historical Analysis',
+  'app.forecast': 'Result Forecast',
+  'app.threshold': 'Threshold Probability',
+  'app.seats': 'Seat Projection',
+  'app.regional': 'Regional Trends',
+  'app.elections': 'Individual Elections',
+  'app.donations': 'Party Donations',
+  'app.houseEffects': 'Pollster House Effects',
+  'app.corrected': '2025 Bias-Corrected',
+
+  'controls.party': 'Party:',
+  'controls.rolling': 'Rolling average',
+  'controls.model': 'State-space model',
+  'controls.smoothing': 'Smoothing:',
+  'controls.weightBySampleSize': 'Weight by sample size',
+  'controls.fieldworkMidpoint': 'Date polls by fieldwork',
+  'controls.language': 'Language:',
+
+  'theme.label': 'Theme:',
+  'theme.auto': 'Automatic',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.highContrast': 'High contrast',
+
+  'dataStatus.asOf': 'Data as of {date}',
+  'dataStatus.bundled': 'Showing the data bundled with the site',
+  'dataStatus.bundledTag': 'Bundled copy',
+  'dataStatus.updated': 'Updated {date}',
+  'dataStatus.newestPoll': 'newest poll {date}',
+  'dataStatus.lastChecked': 'checked for new polls {date}',
+  'dataStatus.details': 'About this data',
+  'dataStatus.pollCounts': 'Polls per cycle',
+  'dataStatus.pollCount': '{year}: {count}',
+  'dataStatus.scraperVersion': 'Scraper version',
+  'dataStatus.highestScannedId': 'Highest gallupid checked',
+  'dataStatus.stale': 'No poll has been added since {date}; if newer polls have been published, the update job may have stopped.',
+  'dataStatus.unchecked': 'No check for new polls has run since {date}; the update job may have stopped.',
+  'dataStatus.offline': 'Offline',
+  'dataStatus.newData': 'Newer polling data is available.',
+  'dataStatus.newApp': 'A new version of the site is available.',
+  'dataStatus.refresh': 'Refresh',
+
+  'common.actualResult': 'Actual Result',
+  'common.election': 'Election',
+  'common.notAvailable': 'N/A',
+
+  'chart.bandUpper': 'band (upper)',
+  'chart.bandLower': 'band (lower)',
+  'chart.daysBeforeElection': '{days} days before election',
+  'chart.pollDate': '{date} ({days} days before)',
+  'chart.pollster': 'Pollster: {name}',
+  'chart.daysUntilElection': 'Days Until Election',
+  'chart.electionDay': 'Election Day',
+  'chart.days': '{days} days',
+  'chart.pollingPercentage': '{party} Polling Percentage (%)',
+  'chart.showPolls': 'Show individual polls with 95% margin of error',
+  'chart.summaryLatest': '{party} averaged {share} {days} days before the {year} election.',
+  'chart.summaryAbove': '{party} averaged {share} {days} days before the {year} election, {difference} points above {previous} at the same point.',
+  'chart.summaryBelow': '{party} averaged {share} {days} days before the {year} election, {difference} points below {previous} at the same point.',
+  'chart.summaryLevel': '{party} averaged {share} {days} days before the {year} election, level with {previous} at the same point.',
+  'chart.summaryNoData': 'There are no {party} polls in this chart.',
+
+  'a11y.chart': 'chart',
+  'a11y.keyboardHint': 'Use the left and right arrow keys to move between points and the up and down arrow keys to change series.',
+  'a11y.showTable': 'Show the data as a table ({count} rows)',
+  'a11y.series': 'Series',
+  'a11y.share': '{party} share',
+
+  'average.model': 'Model Average',
+  'average.rolling': '{days}-day Rolling Average',
+
+  'range.showing': 'Showing {from} to {to} days before election',
+  'range.default': 'Showing each chart\'s default span',
+  'range.reset': 'Reset',
+  'range.window': 'Selected range',
+  'range.start': 'Range start (days before election)',
+  'range.end': 'Range end (days before election)',
+  'range.hint': 'Drag the window or its edges, or scroll, drag and pinch on the charts below to zoom and pan.',
+
+  'copyLink.prompt': 'Copy this link:',
+  'copyLink.title': 'Copy a link to this view',
+  'copyLink.copied': 'Link copied',
+  'copyLink.copy': 'Copy link',
+
+  'export.png': 'PNG image (high resolution)',
+  'export.svg': 'SVG image',
+  'export.csv': 'CSV data',
+  'export.footer': 'Source: {source} · Exported {date}',
+  'export.button': 'Export',
+
+  'short.average': 'Avg',
+  'short.june': 'June',
+  'short.yAxis': '{party} Support (%)',
+  'short.exportTitle': '{party} polling, {days} days to election day',
+  'short.infoModel': 'Shows the model estimate as lines for the final 50 days before each election. The model treats true support as a slowly drifting level and weighs each poll by its sampling error, using polls on both sides of each day. Shaded bands show the 95% credible interval; polls without a reported sample size are treated as 1,000 respondents.',
+  'short.infoRolling': 'Shows 7-day rolling averages as lines for the final 50 days before each election. The rolling average smooths out daily fluctuations to reveal underlying trends. Shaded bands show the 95% margin of error of each average; polls without a reported sample size are treated as 1,000 respondents.',
+
+  'historical.viewParliamentary': 'Parliamentary',
+  'historical.viewLocal': 'Local',
+  'historical.viewOverlay': 'Both (overlay)',
+  'historical.localCycle': '{year} local',
+  'historical.polls': '{cycle} Polls',
+  'historical.titleModel': '{party} Polling Trends - All Elections with Model Averages',
+  'historical.titleRolling': '{party} Polling Trends - All Elections with Rolling Averages',
+  'historical.pollTitle': '{cycle} Election - {days} days before',
+  'historical.pollDate': 'Poll Date: {date}',
+  'historical.cycles': 'Election cycles:',
+  'historical.exportTitle': '{party} polling across election cycles',
+  'historical.cycleAnalysis': 'Election Cycle Analysis',
+  'historical.statPolls': 'Polls:',
+  'historical.statPeak': 'Peak:',
+  'historical.statFinal7': 'Final 7 Days:',
+  'historical.statFinal30': 'Final 30 Days:',
+  'historical.statActual': 'Actual Result:',
+  'historical.statError7': '7-Day Error:',
+  'historical.pollsterAnalysis': 'Pollster Analysis',
+  'historical.pollsterDescription': 'Final 50-day polling error vs actual results. Red = overestimated, Green = underestimated.',
+  'historical.pollCount': '({count} polls)',
+  'historical.changeAnalysis': '{party} Polling Change Analysis',
+  'historical.changeDescription': 'Campaign momentum from June to election day',
+  'historical.juneBaseline': 'June Baseline',
+  'historical.final50': 'Final 50 Days',
+  'historical.juneToFinal': 'June→Final',
+  'historical.juneToActual': 'June→Actual',
+
+  'forecast.noData': 'Not enough past cycles to forecast {party}\'s {year} result',
+  'forecast.interval90': '90% interval',
+  'forecast.interval50': '50% interval',
+  'forecast.forecast': 'Forecast',
+  'forecast.actualResult': 'Actual result',
+  'forecast.title': '{party} {year} Result Forecast',
+  'forecast.yAxis': 'Forecast {party} Result (%)',
+  'forecast.currentAverage': 'Current average',
+  'forecast.averageAt': 'Average {days} days out',
+  'forecast.error': 'Result − average',
+  'forecast.infoModel': 'The forecast adds to today\'s model average how far the final result landed from the average at the same number of days out in earlier cycles. The intervals are quantiles of those past errors, so with {cycles} past cycles they are rough and understate the real uncertainty.',
+  'forecast.infoRolling': 'The forecast adds to today\'s 14-day rolling average how far the final result landed from the average at the same number of days out in earlier cycles. The intervals are quantiles of those past errors, so with {cycles} past cycles they are rough and understate the real uncertainty.',
+  'forecast.summary': '{days} days before the {year} election, {party} is forecast to get {predicted}, with a 50% interval of {low50} to {high50} and a 90% interval of {low90} to {high90}.',
+  'forecast.summaryResult': 'The actual result was {result}.',
+
+  'threshold.noData': 'Not enough polls to estimate {party}\'s chances',
+  'threshold.title': 'Probability {party} Is at or Above {threshold}',
+  'threshold.yAxis': 'Probability (%)',
+  'threshold.infoModel': 'Each point is the share of {simulations} simulated outcomes in which {party} is at or above the {threshold} leveling-seat threshold (sperregrensen). The outcomes are drawn around the model average using its 95% margin of error, so the probability reflects sampling error only, not house effects or late swings.',
+  'threshold.infoRolling': 'Each point is the share of {simulations} simulated outcomes in which {party} is at or above the {threshold} leveling-seat threshold (sperregrensen). The outcomes are drawn around the rolling average using its 95% margin of error, so the probability reflects sampling error only, not house effects or late swings.',
+  'threshold.summary': 'In the {year} cycle, {party} had a {probability} chance of being at or above {threshold} {days} days before the election.',
+
+  'seats.noData': 'Not enough polls to project seats for {party}',
+  'seats.projectedSeats': '{party} projected seats',
+  'seats.share': '{party} share',
+  'seats.threshold': '{threshold} threshold',
+  'seats.title': '{party} Projected Seats - {year} Cycle',
+  'seats.seatsTooltip': 'Seats: {seats} ({leveling} leveling)',
+  'seats.seats': 'Seats',
+  'seats.shareAxis': 'Share (%)',
+  'seats.cycle': 'Cycle:',
+  'seats.regionalSwing': 'Regional swing ({count} constituencies)',
+  'seats.latest': 'Latest projection',
+  'seats.seatCount': '{seats} seats',
+  'seats.leveling': 'Leveling seats',
+  'seats.average': 'Polling average',
+  'seats.info': 'Seats follow the Norwegian allocation: modified Sainte-Laguë (first divisor {divisor}) in 19 constituencies, and leveling seats for parties at or above {threshold} nationally. Parties the polls don\'t report are filled in from the {year} cycle\'s previous election result.',
+  'seats.infoSwing': 'Constituencies with regional polls ({constituencies}) are shifted by {party}\'s regional swing; the rest vote like the nation.',
+  'seats.infoUniform': 'Every constituency votes like the nation.',
+  'seats.summary': '{days} days before the {year} election, {party}\'s polling average of {share} projects to {seats} seats, {leveling} of them leveling seats.',
+
+  'regional.noData': 'No regional polls available',
+  'regional.title': '{party} in {constituency} - Regional Polls',
+  'regional.pollsterFor': 'Pollster: {name} for {client}',
+  'regional.constituency': 'Constituency:',
+  'regional.polls': 'Polls',
+  'regional.regionalAverage': 'Regional (final {days} days)',
+  'regional.nationalAverage': 'National (final {days} days)',
+  'regional.difference': 'Difference',
+  'regional.info': 'Regional polls are matched to a constituency (valgdistrikt) by the area on the poll page or the outlet that commissioned them. Polls for a merged county count towards its largest constituency, e.g. Vestland towards Hordaland.',
+  'regional.summary': '{party} averaged {regional} in {constituency} polls over the final {days} days of the {year} cycle, against {national} in the national polls ({difference}).',
+  'regional.summaryRegionalOnly': '{party} averaged {regional} in {constituency} polls over the final {days} days of the {year} cycle.',
+
+  'election.polls': 'Individual Polls',
+  'election.bandUpper': 'Uncertainty Band (upper)',
+  'election.bandLower': 'Uncertainty Band (lower)',
+  'election.title': '{party} Polling Trend with {average} - {year} Election',
+  'election.date': 'Date: {date}',
+  'election.sample': 'Sample: {size}',
+  'election.sampleAssumed': 'Sample: not reported ({size} assumed)',
+  'election.daysUntil': 'Days until election: {days}',
+  'election.xAxis': 'Date',
+  'election.yAxis': 'Polling Percentage (%)',
+  'election.noData': 'No {party} polling data available for the {year} election cycle.',
+  'election.exportTitle': '{party} polling, {year} election',
+  'election.totalPolls': 'Total Polls:',
+  'election.latestPoll': 'Latest Poll:',
+  'election.average': 'Average:',
+  'election.range': 'Range:',
+  'election.summary': '{count} polls reported {party} in the {year} cycle, ranging from {low} to {high}; the latest put {party} at {latest}.',
+  'election.summaryAverage': 'The {average} ended at {share}.',
+
+  'donations.unions': 'Labor Unions',
+  'donations.companies': 'Companies',
+  'donations.individuals': 'Individual Donors',
+  'donations.organizations': 'Other Organizations',
+  'donations.partyOrganizations': 'Party Organizations',
+  'donations.other': 'Other/Unknown',
+  'donations.loadError': 'Unable to load detailed donation data. Please run the analysis script.',
+  'donations.loading': 'Loading detailed donation data...',
+  'donations.noData': 'No detailed donation data available',
+  'donations.chartTitle': 'Donations by donor type, {year}',
+  'donations.amountAxis': 'Amount (NOK)',
+  'donations.title': 'Political Party Donations {year}',
+  'donations.subtitle': 'Detailed donor type analysis from partifinansiering.no',
+  'donations.lastUpdated': 'Last updated: {date}',
+  'donations.exportTitle': 'Party donations by donor type, {year}',
+  'donations.donationCount': '{count} donations',
+  'donations.donorCount': '{count} donors',
+  'donations.insights': 'Key Insights',
+  'donations.unionTitle': 'Labor Union Influence',
+  'donations.unionText': 'Arbeiderpartiet receives 83% of funding from unions (38M NOK), while SV gets 73% (11M NOK). This reflects traditional Norwegian labor-left political alliances.',
+  'donations.businessTitle': 'Business Support',
+  'donations.businessText': 'Right-wing parties like Høyre (75% from companies) and FrP (45% from companies) receive significant business funding, with major donations from Sundt AS, Watrium AS, and others.',
+  'donations.grassrootsTitle': 'Grassroots vs. Institutional',
+  'donations.grassrootsText': 'MDG shows the most grassroots support with 88% individual donors, while established parties rely more on institutional funding from unions, companies, and party organizations.',
+  'donations.partyOrganizationsTitle': 'Party Organizations',
+  'donations.partyOrganizationsText': 'Regional and local party branches contribute significantly to their national organizations, showing internal party coordination in fundraising efforts.',
+  'donations.sourceTitle': 'Data Source & Methodology',
+  'donations.realDataLabel': 'Real Data:',
+  'donations.realDataSource': 'This analysis uses official donation data from',
+  'donations.realDataText': ', Norway\'s official registry for political party financing. All donations over NOK 10,000 must be publicly reported by law.',
+  'donations.classificationLabel': 'Donor Classification:',
+  'donations.classificationText': 'Donors are categorized as labor unions, companies, individuals, other organizations, party organizations (regional/local branches), and other/unknown based on name patterns and organizational structure.',
+  'donations.coverageLabel': 'Coverage:',
+  'donations.coverageText': 'Analysis focuses on the 9 major parliamentary parties. Regional and local party donations are aggregated under their national organizations where appropriate.',
+
+  'houseEffects.noData': 'No pollster has enough {party} polls to estimate a house effect.',
+  'houseEffects.effect': 'House effect',
+  'houseEffects.effectTooltip': 'House effect: {effect} pp',
+  'houseEffects.intervalTooltip': '95% interval: {lower} to {upper} pp',
+  'houseEffects.pollsTooltip': 'Polls: {count}',
+  'houseEffects.yAxis': 'Deviation from consensus on {party} (pp)',
+  'houseEffects.pollster': 'Pollster',
+  'houseEffects.interval': '95% interval',
+  'houseEffects.polls': 'Polls',
+  'houseEffects.points': '{effect} pp',
+  'houseEffects.intervalRange': '{lower} to {upper}',
+  'houseEffects.info': 'Each pollster\'s average distance from the consensus of all other pollsters, measured on every poll in every cycle. The consensus is the state-space model trend fitted without that pollster\'s own polls, so it does not rely on how any one election turned out. Positive values mean the pollster tends to show {party} higher than the rest. Whiskers are 95% intervals; polls close together in time are not fully independent, so the true uncertainty is somewhat wider. Pollsters with fewer than {minPolls} polls are left out.',
+  'houseEffects.summary': '{count} pollsters have enough polls to estimate a house effect. {highest} shows {party} highest against the consensus ({highestEffect} pp) and {lowest} lowest ({lowestEffect} pp).',
+
+  'corrected.noData': 'No 2025 data available',
+  'corrected.original': 'Original',
+  'corrected.corrected': 'Corrected',
+  'corrected.originalAverage': 'Original Avg',
+  'corrected.correctedAverage': 'Corrected Avg',
+  'corrected.daysUntil': '{days} days until election',
+  'corrected.correctedBy': 'Corrected by {correction}',
+  'corrected.uncorrected': 'No 2021 data - uncorrected',
+  'corrected.exportTitle': '{party} 2025 polls corrected for 2021 pollster errors',
+  'corrected.summary': 'Correction Summary',
+  'corrected.method': 'Method',
+  'corrected.methodDescription': 'Adjusts 2025 polls using each pollster\'s 2021 bias pattern.',
+  'corrected.coverage': 'Coverage',
+  'corrected.pollsCorrected': '{count} polls corrected',
+  'corrected.pollsUnchanged': '{count} polls unchanged',
+  'corrected.averageCorrection': 'Avg correction: {points}pp',
+  'corrected.finalAverages': 'Final Averages',
+  'corrected.originalModel': 'Original model',
+  'corrected.originalRolling': 'Original 7-day',
+  'corrected.correctedModel': 'Corrected model',
+  'corrected.correctedRolling': 'Corrected 7-day',
+  'corrected.netAdjustment': 'Net adjustment:',
+  'corrected.points': '{points} points',
+  'corrected.pollsterBias': 'Pollster Bias (2021)',
+  'corrected.chartSummary': '{count} of the {total} {party} polls in the final {days} days before the 2025 election were corrected by their pollster\'s 2021 error.',
+  'corrected.chartSummaryAverages': 'The corrected average ends at {corrected}, against {original} without corrections.',
+
+  'backtest.raw': 'Raw average',
+  'backtest.corrected': 'Bias-corrected',
+  'backtest.juneBaseline': 'June baseline',
+  'backtest.noData': 'No past cycles with results to backtest for {party}',
+  'backtest.title': 'Backtest: Does the Correction Work?',
+  'backtest.description': 'Each cycle is corrected with the pollster errors from the cycle before it. The table shows each method\'s election-day estimate minus the actual result, in percentage points.',
+  'backtest.trainedOn': 'Trained on',
+  'backtest.actual': 'Actual',
+  'backtest.meanError': 'Mean abs. error',
+  'backtest.points': '{points} pts',
+  'backtest.best': 'Most accurate over {count} cycles:',
+  'backtest.download': 'Download report (JSON)',
+
+  'embed.loading': 'Loading polling data...',
+  'embed.noData': 'No polls for the requested cycles',
+  'embed.data': 'Data:',
+  'embed.fullAnalysis': 'Full polling analysis',
+};
+
+export type MessageKey = keyof typeof enGB;
+export type Messages = { [key in MessageKey]: string };
+
+export default enGB;
@@ -0,0 +1,93 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { Locale as DateLocale } from 'date-fns';
+import { enGB as enGBDates, nb as nbDates } from 'date-fns/locale';
+import { useUrlState } from '../hooks/useUrlState';
+import { stringCodec } from '../utils/urlState';
+import enGB, { MessageKey, Messages } from './en-GB';
+import nbNO from './nb-NO';
+
+export type Locale = 'nb-NO' | 'en-GB';
+export type { MessageKey };
+
+export const LOCALES: { value: Locale; name: string }[] = [
+  { value: 'nb-NO', name: 'Norsk (bokmål)' },
+  { value: 'en-GB', name: 'English' },
+];
+
+const CATALOGUES: { [locale in Locale]: Messages } = {
+  'nb-NO': nbNO,
+  'en-GB': enGB,
+};
+
+// Month names on the charts' time axes
+const DATE_LOCALES: { [locale in Locale]: DateLocale } = {
+  'nb-NO': nbDates,
+  'en-GB': enGBDates,
+};
+
+export type TranslationParams = { [name: string]: string | number };
+export type Translate = (key: MessageKey, params?: TranslationParams) => string;
+
+export interface I18n {
+  locale: Locale;
+  setLocale: (locale: Locale) => void;
+  t: Translate;
+  dateLocale: DateLocale; // For chartjs-adapter-date-fns: scales.x.adapters.date.locale
+  formatNumber: (value: number, digits?: number) => string;
+  formatPercent: (value: number, digits?: number) => string; // Value in percent, e.g. 3.9 -> "3,9 %"
+  formatChange: (value: number, digits?: number) => string; // Signed, e.g. 0.4 -> "+0,4 %"
+  formatDate: (date: string | Date) => string;
+  formatDateTime: (date: string | Date) => string;
+}
+
+// Norwegian browsers (bokmål, nynorsk or plain "no") get the Norwegian catalogue
+export const detectLocale = (): Locale =>
+  (navigator.languages || [navigator.language]).some(language => /^(nb|nn|no)\b/i.test(language)) ? 'nb-NO' : 'en-GB';
+
+// Fills "{name}" placeholders; numbers should be formatted by the caller so years don't get digit grouping
+const interpolate = (message: string, params?: TranslationParams) =>
+  params ? message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match)) : message;
+
+export const createI18n = (locale: Locale, setLocale: (locale: Locale) => void = () => {}): I18n => {
+  const messages = CATALOGUES[locale];
+  const numberFormats: { [digits: number]: Intl.NumberFormat } = {};
+  const numberFormat = (digits: number) =>
+    numberFormats[digits] ||
+    (numberFormats[digits] = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+  const percentFormat = (digits: number) =>
+    new Intl.NumberFormat(locale, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  return {
+    locale,
+    setLocale,
+    t: (key, params) => interpolate(messages[key] ?? enGB[key], params),
+    dateLocale: DATE_LOCALES[locale],
+    formatNumber: (value, digits = 0) => numberFormat(digits).format(value),
+    formatPercent: (value, digits = 1) => percentFormat(digits).format(value / 100),
+    formatChange: (value, digits = 1) => `${value > 0 ? '+' : ''}${percentFormat(digits).format(value / 100)}`,
+    formatDate: date => new Date(date).toLocaleDateString(locale, { day: 'numeric', month: 'short', year: 'numeric' }),
+    formatDateTime: date => new Date(date).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }),
+  };
+};
+
+const I18nContext = createContext<I18n>(createI18n('en-GB'));
+
+interface I18nProviderProps {
+  locale?: Locale; // Fixed language, e.g. from an embed's query string
+  children: React.ReactNode;
+}
+
+// The chosen language is kept in the URL (lang=en-GB) like the rest of the view state
+export const I18nProvider: React.FC<I18nProviderProps> = ({ locale: fixedLocale, children }) => {
+  const [urlLocale, setLocale] = useUrlState<Locale>('lang', detectLocale(), stringCodec(LOCALES.map(({ value }) => value)));
+  const locale = fixedLocale || urlLocale;
+  const i18n = useMemo(() => createI18n(locale, setLocale), [locale, setLocale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale.split('-')[0];
+  }, [locale]);
+
+  return <I18nContext.Provider value={i18n}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = (): I18n => useContext(I18nContext);
@@ -0,0 +1,307 @@
+import { Messages } from './en-GB';
+
+const nbNO: Messages = {
+  'app.loading': 'Laster inn MDG-målinger …',
+  'app.error': 'Feil: {error}',
+  'app.noData': 'Ingen målinger tilgjengelig',
+  'app.title': 'MDG-målinger',
+  'app.subtitle': 'Trender og prognoser fra norske meningsmålinger',
+  'app.thresholdHeadline': 'sjanse for at {party} er på eller over {threshold} ({share} i snitt, {days} dager før valget i {year})',
+  'app.thresholdHeadlineFinal': 'siste anslag før valget i {year} på sjansen for at {party} var på eller over {threshold} ({share} i snitt, {days} dager før valget)',
+  'app.regionalDescription': '{party} i målinger for enkeltvalgdistrikter, sammenlignet med de nasjonale målingene i samme periode',
+  'app.dataSource': 'Datakilde:',
+  'app.github': 'Se på GitHub',
+  'app.short': 'De siste 50 dagene',
+  'app.historical': 'Historisk analyse',
+  'app.forecast': 'Resultatprognose',
+  'app.threshold': 'Sannsynlighet over sperregrensen',
+  'app.seats': 'Mandatfremskrivning',
+  'app.regional': 'Regionale trender',
+  'app.elections': 'Enkeltvalg',
+  'app.donations': 'Partibidrag',
+  'app.houseEffects': 'Husforskjeller mellom byråene',
+  'app.corrected': '2025 korrigert for byråfeil',
+
+  'controls.party': 'Parti:',
+  'controls.rolling': 'Glidende snitt',
+  'controls.model': 'Tilstandsrommodell',
+  'controls.smoothing': 'Utjevning:',
+  'controls.weightBySampleSize': 'Vekt etter utvalgsstørrelse',
+  'controls.fieldworkMidpoint': 'Dater målinger etter feltarbeid',
+  'controls.language': 'Språk:',
+
+  'theme.label': 'Tema:',
+  'theme.auto': 'Automatisk',
+  'theme.light': 'Lyst',
+  'theme.dark': 'Mørkt',
+  'theme.highContrast': 'Høy kontrast',
+
+  'dataStatus.asOf': 'Data per {date}',
+  'dataStatus.bundled': 'Viser dataene som fulgte med nettstedet',
+  'dataStatus.bundledTag': 'Innebygd kopi',
+  'dataStatus.updated': 'Oppdatert {date}',
+  'dataStatus.newestPoll': 'nyeste måling {date}',
+  'dataStatus.lastChecked': 'sjekket for nye målinger {date}',
+  'dataStatus.details': 'Om dataene',
+  'dataStatus.pollCounts': 'Målinger per valgperiode',
+  'dataStatus.pollCount': '{year}: {count}',
+  'dataStatus.scraperVersion': 'Innhentingsversjon',
+  'dataStatus.highestScannedId': 'Høyeste gallupid sjekket',
+  'dataStatus.stale': 'Ingen måling er lagt til siden {date}; hvis nyere målinger er publisert, kan oppdateringsjobben ha stoppet.',
+  'dataStatus.unchecked': 'Det er ikke sjekket etter nye målinger siden {date}; oppdateringsjobben kan ha stoppet.',
+  'dataStatus.offline': 'Frakoblet',
+  'dataStatus.newData': 'Nyere målinger er tilgjengelige.',
+  'dataStatus.newApp': 'En ny versjon av nettstedet er tilgjengelig.',
+  'dataStatus.refresh': 'Oppdater',
+
+  'common.actualResult': 'Valgresultat',
+  'common.election': 'Valg',
+  'common.notAvailable': '–',
+
+  'chart.bandUpper': 'bånd (øvre)',
+  'chart.bandLower': 'bånd (nedre)',
+  'chart.daysBeforeElection': '{days} dager før valget',
+  'chart.pollDate': '{date} ({days} dager før)',
+  'chart.pollster': 'Byrå: {name}',
+  'chart.daysUntilElection': 'Dager til valget',
+  'chart.electionDay': 'Valgdagen',
+  'chart.days': '{days} dager',
+  'chart.pollingPercentage': '{party} i målingene (%)',
+  'chart.showPolls': 'Vis enkeltmålinger med 95 % feilmargin',
+  'chart.summaryLatest': '{party} lå i snitt på {share} {days} dager før valget i {year}.',
+  'chart.summaryAbove': '{party} lå i snitt på {share} {days} dager før valget i {year}, {difference} prosentpoeng over {previous} på samme tidspunkt.',
+  'chart.summaryBelow': '{party} lå i snitt på {share} {days} dager før valget i {year}, {difference} prosentpoeng under {previous} på samme tidspunkt.',
+  'chart.summaryLevel': '{party} lå i snitt på {share} {days} dager før valget i {year}, likt med {previous} på samme tidspunkt.',
+  'chart.summaryNoData': 'Det er ingen målinger for {party} i denne grafen.',
+
+  'a11y.chart': 'graf',
+  'a11y.keyboardHint': 'Bruk piltastene venstre og høyre for å gå mellom punktene, og opp og ned for å bytte serie.',
+  'a11y.showTable': 'Vis dataene som tabell ({count} rader)',
+  'a11y.series': 'Serie',
+  'a11y.share': 'Oppslutning for {party}',
+
+  'average.model': 'Modellsnitt',
+  'average.rolling': 'Glidende snitt over {days} dager',
+
+  'range.showing': 'Viser {from} til {to} dager før valget',
+  'range.default': 'Viser hver grafs standardperiode',
+  'range.reset': 'Tilbakestill',
+  'range.window': 'Valgt periode',
+  'range.start': 'Periodens start (dager før valget)',
+  'range.end': 'Periodens slutt (dager før valget)',
+  'range.hint': 'Dra i vinduet eller kantene, eller scroll, dra og knip i grafene under for å zoome og panorere.',
+
+  'copyLink.prompt': 'Kopier denne lenken:',
+  'copyLink.title': 'Kopier en lenke til denne visningen',
+  'copyLink.copied': 'Lenke kopiert',
+  'copyLink.copy': 'Kopier lenke',
+
+  'export.png': 'PNG-bilde (høy oppløsning)',
+  'export.svg': 'SVG-bilde',
+  'export.csv': 'CSV-data',
+  'export.footer': 'Kilde: {source} · Eksportert {date}',
+  'export.button': 'Eksporter',
+
+  'short.average': 'snitt',
+  'short.june': 'juni',
+  'short.yAxis': 'Oppslutning for {party} (%)',
+  'short.exportTitle': 'Målinger for {party}, {days} dager før valgdagen',
+  'short.infoModel': 'Linjene viser modellestimatet de siste 50 dagene før hvert valg. Modellen behandler den sanne oppslutningen som et nivå som endrer seg sakte, og vekter hver måling etter utvalgsfeilen, med målinger på begge sider av hver dag. De skraverte båndene viser 95 % troverdighetsintervall; målinger uten oppgitt utvalg regnes som 1 000 respondenter.',
+  'short.infoRolling': 'Linjene viser glidende snitt over 7 dager de siste 50 dagene før hvert valg. Det glidende snittet jevner ut svingninger fra dag til dag og får frem de underliggende trendene. De skraverte båndene viser 95 % feilmargin for hvert snitt; målinger uten oppgitt utvalg regnes som 1 000 respondenter.',
+
+  'historical.viewParliamentary': 'Stortingsvalg',
+  'historical.viewLocal': 'Lokalvalg',
+  'historical.viewOverlay': 'Begge (overlagt)',
+  'historical.localCycle': '{year} lokalvalg',
+  'historical.polls': '{cycle} målinger',
+  'historical.titleModel': '{party} i målingene – alle valg med modellsnitt',
+  'historical.titleRolling': '{party} i målingene – alle valg med glidende snitt',
+  'historical.pollTitle': 'Valget {cycle} – {days} dager før',
+  'historical.pollDate': 'Måledato: {date}',
+  'historical.cycles': 'Valgperioder:',
+  'historical.exportTitle': 'Målinger for {party} på tvers av valgperioder',
+  'historical.cycleAnalysis': 'Analyse per valgperiode',
+  'historical.statPolls': 'Målinger:',
+  'historical.statPeak': 'Toppnivå:',
+  'historical.statFinal7': 'Siste 7 dager:',
+  'historical.statFinal30': 'Siste 30 dager:',
+  'historical.statActual': 'Valgresultat:',
+  'historical.statError7': 'Feil siste 7 dager:',
+  'historical.pollsterAnalysis': 'Analyse per byrå',
+  'historical.pollsterDescription': 'Målefeil de siste 50 dagene mot valgresultatet. Rødt = overvurdert, grønt = undervurdert.',
+  'historical.pollCount': '({count} målinger)',
+  'historical.changeAnalysis': 'Endring i målingene for {party}',
+  'historical.changeDescription': 'Utvikling i valgkampen fra juni til valgdagen',
+  'historical.juneBaseline': 'Utgangspunkt i juni',
+  'historical.final50': 'Siste 50 dager',
+  'historical.juneToFinal': 'Juni→slutt',
+  'historical.juneToActual': 'Juni→resultat',
+
+  'forecast.noData': 'For få tidligere valg til å gi en prognose for {party} i {year}',
+  'forecast.interval90': '90 %-intervall',
+  'forecast.interval50': '50 %-intervall',
+  'forecast.forecast': 'Prognose',
+  'forecast.actualResult': 'Valgresultat',
+  'forecast.title': 'Prognose for {party} ved valget i {year}',
+  'forecast.yAxis': 'Prognose for {party} (%)',
+  'forecast.currentAverage': 'Nåværende snitt',
+  'forecast.averageAt': 'Snitt {days} dager før',
+  'forecast.error': 'Resultat − snitt',
+  'forecast.infoModel': 'Prognosen legger til dagens modellsnitt hvor langt valgresultatet havnet fra snittet like mange dager før valget i tidligere valgperioder. Intervallene er kvantiler av disse tidligere avvikene, så med {cycles} tidligere valg er de grove og undervurderer den reelle usikkerheten.',
+  'forecast.infoRolling': 'Prognosen legger til dagens glidende snitt over 14 dager hvor langt valgresultatet havnet fra snittet like mange dager før valget i tidligere valgperioder. Intervallene er kvantiler av disse tidligere avvikene, så med {cycles} tidligere valg er de grove og undervurderer den reelle usikkerheten.',
+  'forecast.summary': '{days} dager før valget i {year} er prognosen for {party} {predicted}, med et 50 %-intervall fra {low50} til {high50} og et 90 %-intervall fra {low90} til {high90}.',
+  'forecast.summaryResult': 'Det faktiske resultatet ble {result}.',
+
+  'threshold.noData': 'For få målinger til å anslå sjansene til {party}',
+  'threshold.title': 'Sannsynlighet for at {party} er på eller over {threshold}',
+  'threshold.yAxis': 'Sannsynlighet (%)',
+  'threshold.infoModel': 'Hvert punkt er andelen av {simulations} simulerte utfall der {party} er på eller over sperregrensen på {threshold}. Utfallene trekkes rundt modellsnittet med dets 95 % feilmargin, så sannsynligheten tar bare høyde for utvalgsfeil, ikke husforskjeller eller sene svingninger.',
+  'threshold.infoRolling': 'Hvert punkt er andelen av {simulations} simulerte utfall der {party} er på eller over sperregrensen på {threshold}. Utfallene trekkes rundt det glidende snittet med dets 95 % feilmargin, så sannsynligheten tar bare høyde for utvalgsfeil, ikke husforskjeller eller sene svingninger.',
+  'threshold.summary': '{days} dager før valget i {year} hadde {party} {probability} sjanse for å ligge på eller over {threshold}.',
+
+  'seats.noData': 'For få målinger til å fremskrive mandater for {party}',
+  'seats.projectedSeats': 'Fremskrevne mandater for {party}',
+  'seats.share': 'Oppslutning for {party}',
+  'seats.threshold': 'Sperregrense på {threshold}',
+  'seats.title': 'Mandatfremskrivning for {party} – valgperioden {year}',
+  'seats.seatsTooltip': 'Mandater: {seats} ({leveling} utjevning)',
+  'seats.seats': 'Mandater',
+  'seats.shareAxis': 'Oppslutning (%)',
+  'seats.cycle': 'Valgperiode:',
+  'seats.regionalSwing': 'Regional svingning ({count} valgdistrikter)',
+  'seats.latest': 'Siste fremskrivning',
+  'seats.seatCount': '{seats} mandater',
+  'seats.leveling': 'Utjevningsmandater',
+  'seats.average': 'Snitt i målingene',
+  'seats.info': 'Mandatene fordeles etter den norske ordningen: modifisert Sainte-Laguë (første divisor {divisor}) i 19 valgdistrikter, og utjevningsmandater til partier på eller over {threshold} nasjonalt. Partier målingene ikke oppgir, fylles inn fra resultatet ved valget før valgperioden {year}.',
+  'seats.infoSwing': 'Valgdistrikter med regionale målinger ({constituencies}) forskyves med den regionale svingningen for {party}; resten stemmer som landet.',
+  'seats.infoUniform': 'Alle valgdistrikter stemmer som landet.',
+  'seats.summary': '{days} dager før valget i {year} gir {party}s snitt på {share} {seats} mandater, hvorav {leveling} utjevningsmandater.',
+
+  'regional.noData': 'Ingen regionale målinger tilgjengelig',
+  'regional.title': '{party} i {constituency} – regionale målinger',
+  'regional.pollsterFor': 'Byrå: {name} for {client}',
+  'regional.constituency': 'Valgdistrikt:',
+  'regional.polls': 'Målinger',
+  'regional.regionalAverage': 'Regionalt (siste {days} dager)',
+  'regional.nationalAverage': 'Nasjonalt (siste {days} dager)',
+  'regional.difference': 'Differanse',
+  'regional.info': 'Regionale målinger knyttes til et valgdistrikt ut fra området på målingssiden eller mediet som bestilte dem. Målinger for et sammenslått fylke teller mot det største valgdistriktet, f.eks. Vestland mot Hordaland.',
+  'regional.summary': '{party} hadde et snitt på {regional} i målinger fra {constituency} de siste {days} dagene før valget i {year}, mot {national} i de nasjonale målingene ({difference}).',
+  'regional.summaryRegionalOnly': '{party} hadde et snitt på {regional} i målinger fra {constituency} de siste {days} dagene før valget i {year}.',
+
+  'election.polls': 'Enkeltmålinger',
+  'election.bandUpper': 'Usikkerhetsbånd (øvre)',
+  'election.bandLower': 'Usikkerhetsbånd (nedre)',
+  'election.title': '{party} i målingene med {average} – valget i {year}',
+  'election.date': 'Dato: {date}',
+  'election.sample': 'Utvalg: {size}',
+  'election.sampleAssumed': 'Utvalg: ikke oppgitt ({size} antatt)',
+  'election.daysUntil': 'Dager til valget: {days}',
+  'election.xAxis': 'Dato',
+  'election.yAxis': 'Oppslutning i målingene (%)',
+  'election.noData': 'Ingen målinger for {party} tilgjengelig for valget i {year}.',
+  'election.exportTitle': 'Målinger for {party}, valget i {year}',
+  'election.totalPolls': 'Antall målinger:',
+  'election.latestPoll': 'Siste måling:',
+  'election.average': 'Snitt:',
+  'election.range': 'Spenn:',
+  'election.summary': '{count} målinger oppga {party} i valgperioden {year}, fra {low} til {high}; den siste ga {party} {latest}.',
+  'election.summaryAverage': 'Snittet ({average}) endte på {share}.',
+
+  'donations.unions': 'Fagforeninger',
+  'donations.companies': 'Bedrifter',
+  'donations.individuals': 'Privatpersoner',
+  'donations.organizations': 'Andre organisasjoner',
+  'donations.partyOrganizations': 'Partiledd',
+  'donations.other': 'Annet/ukjent',
+  'donations.loadError': 'Kunne ikke laste inn bidragsdataene. Kjør analyseskriptet.',
+  'donations.loading': 'Laster inn bidragsdata …',
+  'donations.noData': 'Ingen bidragsdata tilgjengelig',
+  'donations.chartTitle': 'Bidrag etter givertype, {year}',
+  'donations.amountAxis': 'Beløp (NOK)',
+  'donations.title': 'Bidrag til politiske partier {year}',
+  'donations.subtitle': 'Detaljert analyse av givertyper fra partifinansiering.no',
+  'donations.lastUpdated': 'Sist oppdatert: {date}',
+  'donations.exportTitle': 'Partibidrag etter givertype, {year}',
+  'donations.donationCount': '{count} bidrag',
+  'donations.donorCount': '{count} givere',
+  'donations.insights': 'Hovedfunn',
+  'donations.unionTitle': 'Fagbevegelsens innflytelse',
+  'donations.unionText': 'Arbeiderpartiet får 83 % av bidragene fra fagforeninger (38 mill. kr), mens SV får 73 % (11 mill. kr). Dette speiler de tradisjonelle alliansene mellom fagbevegelsen og venstresiden.',
+  'donations.businessTitle': 'Støtte fra næringslivet',
+  'donations.businessText': 'Partier på høyresiden som Høyre (75 % fra bedrifter) og FrP (45 % fra bedrifter) får betydelig støtte fra næringslivet, med store bidrag fra blant andre Sundt AS og Watrium AS.',
+  'donations.grassrootsTitle': 'Grasrot eller institusjoner',
+  'donations.grassrootsText': 'MDG har mest grasrotstøtte med 88 % private givere, mens de etablerte partiene i større grad er avhengige av institusjonelle bidrag fra fagforeninger, bedrifter og partiledd.',
+  'donations.partyOrganizationsTitle': 'Partiledd',
+  'donations.partyOrganizationsText': 'Fylkes- og lokallag bidrar betydelig til sine sentrale partiorganisasjoner, noe som viser intern koordinering av innsamlingen.',
+  'donations.sourceTitle': 'Datakilde og metode',
+  'donations.realDataLabel': 'Faktiske data:',
+  'donations.realDataSource': 'Analysen bruker offisielle bidragsdata fra',
+  'donations.realDataText': ', Norges offisielle register over partifinansiering. Alle bidrag over 10 000 kr skal etter loven rapporteres offentlig.',
+  'donations.classificationLabel': 'Klassifisering av givere:',
+  'donations.classificationText': 'Givere deles inn i fagforeninger, bedrifter, privatpersoner, andre organisasjoner, partiledd (fylkes- og lokallag) og annet/ukjent ut fra navnemønstre og organisasjonsform.',
+  'donations.coverageLabel': 'Omfang:',
+  'donations.coverageText': 'Analysen dekker de 9 store stortingspartiene. Bidrag til fylkes- og lokallag er slått sammen under den sentrale partiorganisasjonen der det passer.',
+
+  'houseEffects.noData': 'Ingen byråer har nok målinger for {party} til å anslå en husforskjell.',
+  'houseEffects.effect': 'Husforskjell',
+  'houseEffects.effectTooltip': 'Husforskjell: {effect} p.p.',
+  'houseEffects.intervalTooltip': '95 %-intervall: {lower} til {upper} p.p.',
+  'houseEffects.pollsTooltip': 'Målinger: {count}',
+  'houseEffects.yAxis': 'Avvik fra konsensus for {party} (p.p.)',
+  'houseEffects.pollster': 'Byrå',
+  'houseEffects.interval': '95 %-intervall',
+  'houseEffects.polls': 'Målinger',
+  'houseEffects.points': '{effect} p.p.',
+  'houseEffects.intervalRange': '{lower} til {upper}',
+  'houseEffects.info': 'Hvert byrås gjennomsnittlige avstand fra konsensus blant alle de andre byråene, målt på hver måling i hver valgperiode. Konsensus er trenden fra tilstandsrommodellen tilpasset uten byråets egne målinger, så den avhenger ikke av hvordan et enkelt valg endte. Positive verdier betyr at byrået pleier å måle {party} høyere enn de andre. Feilstolpene er 95 %-intervaller; målinger tett i tid er ikke helt uavhengige, så den reelle usikkerheten er noe større. Byråer med færre enn {minPolls} målinger er utelatt.',
+  'houseEffects.summary': '{count} byråer har nok målinger til å anslå en husforskjell. {highest} viser {party} høyest sammenlignet med konsensus ({highestEffect} p.p.) og {lowest} lavest ({lowestEffect} p.p.).',
+
+  'corrected.noData': 'Ingen data for 2025 tilgjengelig',
+  'corrected.original': 'Opprinnelig',
+  'corrected.corrected': 'Korrigert',
+  'corrected.originalAverage': 'Opprinnelig snitt',
+  'corrected.correctedAverage': 'Korrigert snitt',
+  'corrected.daysUntil': '{days} dager til valget',
+  'corrected.correctedBy': 'Korrigert med {correction}',
+  'corrected.uncorrected': 'Ingen data fra 2021 – ikke korrigert',
+  'corrected.exportTitle': 'Målinger for {party} i 2025 korrigert for byråenes feil i 2021',
+  'corrected.summary': 'Oppsummering av korreksjonen',
+  'corrected.method': 'Metode',
+  'corrected.methodDescription': 'Justerer målingene fra 2025 etter hvert byrås skjevhet i 2021.',
+  'corrected.coverage': 'Dekning',
+  'corrected.pollsCorrected': '{count} målinger korrigert',
+  'corrected.pollsUnchanged': '{count} målinger uendret',
+  'corrected.averageCorrection': 'Snittkorreksjon: {points} p.p.',
+  'corrected.finalAverages': 'Endelige snitt',
+  'corrected.originalModel': 'Opprinnelig modell',
+  'corrected.originalRolling': 'Opprinnelig 7 dager',
+  'corrected.correctedModel': 'Korrigert modell',
+  'corrected.correctedRolling': 'Korrigert 7 dager',
+  'corrected.netAdjustment': 'Netto justering:',
+  'corrected.points': '{points} prosentpoeng',
+  'corrected.pollsterBias': 'Byråenes skjevhet (2021)',
+  'corrected.chartSummary': '{count} av de {total} målingene for {party} de siste {days} dagene før valget i 2025 ble korrigert for byråets feil i 2021.',
+  'corrected.chartSummaryAverages': 'Det korrigerte snittet ender på {corrected}, mot {original} uten korrigering.',
+
+  'backtest.raw': 'Rått snitt',
+  'backtest.corrected': 'Skjevhetskorrigert',
+  'backtest.juneBaseline': 'Utgangspunkt i juni',
+  'backtest.noData': 'Ingen tidligere valg med resultater å teste bakover for {party}',
+  'backtest.title': 'Tilbaketesting: virker korreksjonen?',
+  'backtest.description': 'Hver valgperiode korrigeres med byråenes feil fra perioden før. Tabellen viser hver metodes anslag på valgdagen minus valgresultatet, i prosentpoeng.',
+  'backtest.trainedOn': 'Trent på',
+  'backtest.actual': 'Resultat',
+  'backtest.meanError': 'Gj.snittlig abs. feil',
+  'backtest.points': '{points} p.p.',
+  'backtest.best': 'Mest treffsikker over {count} valg:',
+  'backtest.download': 'Last ned rapport (JSON)',
+
+  'embed.loading': 'Laster inn målinger …',
+  'embed.noData': 'Ingen målinger for de valgte valgperiodene',
+  'embed.data': 'Data:',
+  'embed.fullAnalysis': 'Full analyse av målingene',
+};
+
+export default nbNO;
@@ -1,14 +1,32 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
-import App from './App';
+import { embedChartFromPath, embedLocale, embedTheme } from './utils/embed';
+import { I18nProvider } from './i18n';
+import { ThemeProvider } from './theme';
+import { register } from './serviceWorkerRegistration';
+
+// /embed/<chart> pages render one chart for iframes; everything else is the full app.
+// Each is its own chunk, so embeds don't download the rest of the app and its bundled regional data
+const App = React.lazy(() => import('./App'));
+const Embed = React.lazy(() => import('./Embed'));
+const embedChart = embedChartFromPath(window.location.pathname);
 
 const root = ReactDOM.createRoot(
   document.getElementById('root') as HTMLElement
 );
 root.render(
   <React.StrictMode>
-    <App />
+    <I18nProvider locale={embedChart ? embedLocale(window.location.search) : undefined}>
+      <ThemeProvider setting={embedChart ? embedTheme(window.location.search) : undefined}>
+        <React.Suspense fallback={null}>
+          {embedChart ? <Embed chart={embedChart} /> : <App />}
+        </React.Suspense>
+      </ThemeProvider>
+    </I18nProvider>
   </React.StrictMode>
 );
 
+// Caches the site and its data so it keeps working on a poor connection
+register();
+
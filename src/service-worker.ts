@@ -0,0 +1,50 @@
+/// <reference lib="webworker" />
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts (Workbox InjectManifest) into build/service-worker.js; only registered in production
+import { clientsClaim } from 'workbox-core';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import { BroadcastUpdatePlugin } from 'workbox-broadcast-update';
+import { warmStrategyCache } from 'workbox-recipes';
+import { DATA_CACHE, DATA_FILES, dataUrl } from './utils/dataLoader';
+
+declare const self: ServiceWorkerGlobalScope;
+
+clientsClaim();
+
+// The app shell: index.html and the hashed JS and CSS from the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page, /embed/<chart>/ included, is the same index.html, so navigations work offline.
+// Files opened directly, e.g. /data/polling-data.json, are left to the network
+registerRoute(
+  new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), { denylist: [/\/[^/]+\.[^/]+$/] })
+);
+
+/*
+ * Data files are answered from the cache straight away and fetched again in
+ * the background. When the fetched copy differs from the cached one (by its
+ * Last-Modified, ETag or Content-Length header) the open pages get a message
+ * so they can offer the newer data.
+ */
+const dataStrategy = new StaleWhileRevalidate({
+  cacheName: DATA_CACHE,
+  plugins: [new BroadcastUpdatePlugin()]
+});
+const dataPath = new URL(dataUrl(''), self.location.href).pathname;
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith(dataPath) && url.pathname.endsWith('.json'),
+  dataStrategy
+);
+
+// Fetch the data on install too, so the first offline visit has it without the page having asked first
+warmStrategyCache({ urls: DATA_FILES.map(dataUrl), strategy: dataStrategy });
+
+// The page asks a waiting worker to take over when the reader accepts a new version
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,10 @@
+// Registers build/service-worker.js (from src/service-worker.ts); the dev server has no worker to register
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.warn('Service worker registration failed:', err));
+  });
+};
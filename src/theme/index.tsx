@@ -0,0 +1,151 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { Chart as ChartJS } from 'chart.js';
+import { useMediaQuery } from '../hooks/useMediaQuery';
+import { useUrlState } from '../hooks/useUrlState';
+import { stringCodec } from '../utils/urlState';
+import { MessageKey } from '../i18n';
+
+export type ThemeName = 'light' | 'dark' | 'high-contrast';
+export type ThemeSetting = 'auto' | ThemeName; // auto follows the operating system
+
+export const THEME_SETTINGS: { value: ThemeSetting; name: MessageKey }[] = [
+  { value: 'auto', name: 'theme.auto' },
+  { value: 'light', name: 'theme.light' },
+  { value: 'dark', name: 'theme.dark' },
+  { value: 'high-contrast', name: 'theme.highContrast' },
+];
+
+interface Palette {
+  background: string; // Page
+  surface: string; // Cards the charts sit on, and the background of exported images
+  text: string;
+  mutedText: string; // Axis ticks and secondary text
+  grid: string;
+  accent: string; // Series without a year of their own, e.g. the forecast
+  secondary: string; // Compared against the accent, e.g. original vs corrected polls
+  positive: string;
+  negative: string;
+  neutral: string;
+  years: string[]; // Election cycle colours, see yearColor
+  lineWidth: number; // Trend lines
+}
+
+export interface Theme extends Palette {
+  name: ThemeName;
+  setting: ThemeSetting;
+  setSetting: (setting: ThemeSetting) => void;
+  yearColor: (year: string) => string;
+}
+
+/*
+ * Cycle colours are the Okabe–Ito palette, which stays distinguishable with the
+ * common forms of colour blindness, lightened for the dark backgrounds. The slots
+ * keep the same hue in every theme: orange, yellow, reddish purple, sky blue,
+ * bluish green, vermillion, blue and grey.
+ */
+const PALETTES: { [name in ThemeName]: Palette } = {
+  light: {
+    background: '#f8fafc',
+    surface: '#ffffff',
+    text: '#1f2937',
+    mutedText: '#6b7280',
+    grid: 'rgba(0, 0, 0, 0.1)',
+    accent: '#16a34a',
+    secondary: '#0072b2',
+    positive: '#16a34a',
+    negative: '#dc2626',
+    neutral: '#6b7280',
+    years: ['#e69f00', '#a89600', '#cc79a7', '#56b4e9', '#009e73', '#d55e00', '#0072b2', '#6b7280'],
+    lineWidth: 3,
+  },
+  dark: {
+    background: '#0f172a',
+    surface: '#1e293b',
+    text: '#e5e7eb',
+    mutedText: '#9ca3af',
+    grid: 'rgba(255, 255, 255, 0.12)',
+    accent: '#4ade80',
+    secondary: '#5aa9e6',
+    positive: '#4ade80',
+    negative: '#f87171',
+    neutral: '#9ca3af',
+    years: ['#f5b94a', '#f0e442', '#e8a3c9', '#7cc8f2', '#2fd0a0', '#ff8a4c', '#5aa9e6', '#9ca3af'],
+    lineWidth: 3,
+  },
+  'high-contrast': {
+    background: '#000000',
+    surface: '#000000',
+    text: '#ffffff',
+    mutedText: '#ffffff',
+    grid: 'rgba(255, 255, 255, 0.35)',
+    accent: '#3df2b5',
+    secondary: '#6fb7ff',
+    positive: '#3df2b5',
+    negative: '#ff7b3a',
+    neutral: '#ffffff',
+    years: ['#ffb000', '#fff35c', '#ff9bd2', '#8fdbff', '#3df2b5', '#ff7b3a', '#6fb7ff', '#ffffff'],
+    lineWidth: 4,
+  },
+};
+
+// Cycles two years apart step through the palette from 2013, so parliamentary and
+// local cycles alternate and 2021 is bluish green in every chart
+const FIRST_CYCLE = 2013;
+
+export const createTheme = (
+  name: ThemeName,
+  setting: ThemeSetting = name,
+  setSetting: (setting: ThemeSetting) => void = () => {}
+): Theme => {
+  const palette = PALETTES[name];
+  return {
+    ...palette,
+    name,
+    setting,
+    setSetting,
+    yearColor: year => {
+      const start = parseInt(year, 10);
+      if (isNaN(start)) return palette.neutral;
+      const slot = Math.floor((start - FIRST_CYCLE) / 2) % palette.years.length;
+      return palette.years[(slot + palette.years.length) % palette.years.length];
+    },
+  };
+};
+
+// Chart.js draws ticks, titles and grid lines in its default colours unless a chart overrides them
+const applyChartDefaults = (theme: Theme) => {
+  ChartJS.defaults.color = theme.mutedText;
+  ChartJS.defaults.borderColor = theme.grid;
+};
+
+const ThemeContext = createContext<Theme>(createTheme('light'));
+
+interface ThemeProviderProps {
+  setting?: ThemeSetting; // Fixed theme, e.g. from an embed's query string
+  children: React.ReactNode;
+}
+
+// The chosen theme is kept in the URL (theme=dark) like the language
+export const ThemeProvider: React.FC<ThemeProviderProps> = ({ setting: fixedSetting, children }) => {
+  const [urlSetting, setSetting] = useUrlState<ThemeSetting>('theme', 'auto', stringCodec(THEME_SETTINGS.map(({ value }) => value)));
+  const setting = fixedSetting || urlSetting;
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const prefersContrast = useMediaQuery('(prefers-contrast: more)');
+  const name: ThemeName = setting !== 'auto' ? setting : prefersContrast ? 'high-contrast' : prefersDark ? 'dark' : 'light';
+
+  const theme = useMemo(() => {
+    const created = createTheme(name, setting, setSetting);
+    // Before the charts below render with it
+    applyChartDefaults(created);
+    return created;
+  }, [name, setting, setSetting]);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = name;
+    document.documentElement.style.colorScheme = name === 'light' ? 'light' : 'dark';
+  }, [name]);
+
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+};
+
+export const useTheme = (): Theme => useContext(ThemeContext);
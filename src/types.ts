@@ -1,22 +1,85 @@
+// Party codes as used in pollofpolls.no mandate calculator links
+export type PartyCode = 'A' | 'H' | 'FrP' | 'SV' | 'Sp' | 'R' | 'V' | 'KrF' | 'MDG' | 'Andre';
+
+// How poll series are smoothed into a trend line: boxcar window or state-space model
+export type SmoothingMethod = 'rolling' | 'model';
+
+export type PartyShares = {
+  [party in PartyCode]?: number;
+};
+
 export interface Poll {
   date: string;
+  fieldworkStart?: string; // First day of fieldwork, when the poll page lists it
+  fieldworkEnd?: string; // Last day of fieldwork
+  sampleSize?: number; // Number of respondents
   mdgPercentage: number;
-  pollster: string;
+  parties?: PartyShares; // Every party's share from the poll (optional since older data only has MDG)
+  pollster: string; // Full title, e.g. "pollofpolls.no - Norstat for NRK 13. oktober 2011"
+  firm?: string; // Polling firm under its current name, e.g. "Verian" for TNS Gallup/Kantar polls
+  client?: string | null; // Commissioning outlet(s), joined with " / "
   daysUntilElection: number;
   rssTitle?: string; // Optional since historical data might not have this
   url: string;
   scope?: 'national' | 'regional' | 'unknown'; // Geographic scope of the poll (optional during migration)
-  region?: string; // Specific region if regional poll
+  region?: string; // Constituency (valgdistrikt) if regional poll, e.g. "Hordaland"
 }
 
 export interface Election {
   electionDate: string;
   polls: Poll[];
   actualResult?: number; // MDG's actual election result percentage
+  results?: PartyShares; // Every party's actual result, from the election registry
+}
+
+// Written into polling-data.json by sync-data; all but lastCheckedAt only change along with the polls
+export interface DataMeta {
+  generatedAt: string; // ISO timestamp of the run that last changed the polls
+  lastCheckedAt?: string; // Date (YYYY-MM-DD) of the latest update run, missing from data written before it was added
+  newestPollDate: string | null;
+  pollCounts: { [year: string]: number };
+  scraperVersion: string; // package version and commit, e.g. "1.0.0+bdafab5"
+  highestScannedId: number; // Furthest pollofpolls.no gallupid checked
 }
 
 export interface ElectionData {
   elections: {
     [year: string]: Election;
   };
+  meta?: DataMeta; // Only in polling-data.json, and missing from data generated before it was added
+}
+
+// Regional polls for one constituency, by election year
+export interface ConstituencyData extends ElectionData {
+  label: string; // Display name, e.g. "Hordaland/Vestland" when polls for the merged county are included
+  covers?: string[]; // For a merged county kept as its own group, the constituencies its polls stand for
+}
+
+// regional-polling-data.json: regional polls grouped by constituency
+export interface RegionalData {
+  constituencies: {
+    [name: string]: ConstituencyData;
+  };
+  unassigned: ElectionData; // Regional polls whose constituency could not be determined
+}
+
+export type ElectionType = 'parliamentary' | 'local';
+
+// One entry in data/elections.json
+export interface ElectionRecord {
+  year: number;
+  type: ElectionType;
+  name: string;
+  date: string;
+  results: PartyShares; // Empty until the election has been held
+}
+
+export interface ElectionRegistry {
+  elections: ElectionRecord[];
+}
+
+// A span of the shared timeline axis, in days until election
+export interface TimelineRange {
+  min: number;
+  max: number;
 }
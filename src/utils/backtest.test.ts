@@ -0,0 +1,62 @@
+import { ElectionData } from '../types';
+import { runBacktest } from './backtest';
+import { firmPoll } from './testPolls';
+
+const poll = (firm: string, date: string, daysUntilElection: number, share: number) =>
+  firmPoll(firm, daysUntilElection, share, { date });
+
+// Norstat overstated MDG by 1 point in 2017 and does so again in 2021; Opinion was right both times
+const electionData: ElectionData = {
+  elections: {
+    2017: {
+      electionDate: '2017-09-11',
+      actualResult: 3,
+      polls: [
+        poll('Norstat', '2017-08-22', 20, 4),
+        poll('Norstat', '2017-09-01', 10, 4),
+        poll('Opinion', '2017-08-27', 15, 3),
+        poll('Opinion', '2017-09-06', 5, 3)
+      ]
+    },
+    2021: {
+      electionDate: '2021-09-13',
+      actualResult: 4,
+      polls: [
+        poll('Opinion', '2021-06-15', 90, 3.5),
+        poll('Norstat', '2021-06-20', 85, 4.5),
+        poll('Norstat', '2021-08-24', 20, 5),
+        poll('Opinion', '2021-08-29', 15, 4),
+        poll('Opinion', '2021-09-05', 8, 4),
+        poll('Norstat', '2021-09-10', 3, 5)
+      ]
+    }
+  }
+};
+
+describe('runBacktest', () => {
+  const report = runBacktest(electionData, 'MDG', 'rolling');
+
+  it('corrects each cycle with the errors from the one before', () => {
+    expect(report.cycles).toHaveLength(1);
+    expect(report.cycles[0]).toMatchObject({ year: '2021', trainingYear: '2017', actualResult: 4, correctedPollsters: 2 });
+  });
+
+  it('scores the raw, corrected and June estimates', () => {
+    const [{ estimates, errors }] = report.cycles;
+
+    expect(estimates.corrected).toBeCloseTo(4);
+    expect(errors.corrected).toBeCloseTo(0);
+    // The last poll is Norstat's, so the raw estimate carries its full error
+    expect(errors.raw).toBeCloseTo(1);
+    expect(estimates.juneBaseline).toBeCloseTo(4);
+    expect(report.meanAbsoluteError.corrected).toBeCloseTo(0);
+  });
+
+  it('skips cycles without a result', () => {
+    const { 2021: current, ...rest } = electionData.elections;
+    const withoutResult = { elections: { ...rest, 2021: { ...current, actualResult: undefined } } };
+
+    expect(runBacktest(withoutResult, 'MDG', 'rolling').cycles).toEqual([]);
+    expect(runBacktest(withoutResult, 'MDG', 'rolling').meanAbsoluteError.raw).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+import { ElectionData, PartyCode, SmoothingMethod } from '../types';
+import { BIAS_WINDOW_DAYS, applyPollsterCorrections, calculatePollsterErrors } from './biasCorrection';
+import { calculateJuneAverage, getActualResult } from './parties';
+import { calculatePollAverage } from './pollAverage';
+import { RollingAverageOptions } from './rollingAverage';
+
+export type BacktestMethod = 'raw' | 'corrected' | 'juneBaseline';
+
+export interface BacktestCycle {
+  year: string;
+  trainingYear: string; // Cycle the pollster errors were measured in
+  actualResult: number;
+  estimates: { [method in BacktestMethod]: number | null };
+  errors: { [method in BacktestMethod]: number | null }; // Estimate − actual result
+  correctedPollsters: number;
+}
+
+export interface BacktestReport {
+  party: PartyCode;
+  smoothing: SmoothingMethod;
+  generatedAt: string;
+  cycles: BacktestCycle[];
+  meanAbsoluteError: { [method in BacktestMethod]: number | null };
+}
+
+export const BACKTEST_METHODS: BacktestMethod[] = ['raw', 'corrected', 'juneBaseline'];
+
+// Same window the bias-corrected chart uses for its trend lines
+const TREND_WINDOW_DAYS = 7;
+
+// Value of the final-stretch average closest to election day
+const finalAverage = (polls: any[], party: PartyCode, smoothing: SmoothingMethod, options: RollingAverageOptions): number | null => {
+  const average = calculatePollAverage(smoothing, polls, TREND_WINDOW_DAYS, party, options);
+  if (average.length === 0) return null;
+  return average.reduce((closest, point) => (point.x < closest.x ? point : closest), average[0]).y;
+};
+
+/**
+ * Replays the bias correction on every past cycle: pollster errors from the
+ * previous election correct the final 50 days of polls, and the resulting
+ * election-day estimate is scored against the actual result, next to the
+ * uncorrected average and the June baseline.
+ */
+export const runBacktest = (
+  electionData: ElectionData,
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  options: RollingAverageOptions = {}
+): BacktestReport => {
+  const years = Object.keys(electionData.elections).sort();
+  const cycles: BacktestCycle[] = [];
+
+  years.forEach((year, index) => {
+    if (index === 0) return;
+    const trainingYear = years[index - 1];
+    const election = electionData.elections[year];
+    const actualResult = getActualResult(election, party);
+    if (!actualResult) return;
+
+    const errors = calculatePollsterErrors(electionData.elections[trainingYear], party);
+    const finalPolls = applyPollsterCorrections(election.polls, errors, party)
+      .filter(poll => poll.daysUntilElection >= 0 && poll.daysUntilElection <= BIAS_WINDOW_DAYS);
+
+    const estimates = {
+      raw: finalAverage(finalPolls.map(poll => ({ ...poll, parties: { [party]: poll.originalPercentage } })), party, smoothing, options),
+      corrected: finalAverage(finalPolls.map(poll => ({ ...poll, parties: { [party]: poll.correctedPercentage } })), party, smoothing, options),
+      juneBaseline: calculateJuneAverage(election, party)
+    };
+
+    cycles.push({
+      year,
+      trainingYear,
+      actualResult,
+      estimates,
+      errors: {
+        raw: estimates.raw !== null ? estimates.raw - actualResult : null,
+        corrected: estimates.corrected !== null ? estimates.corrected - actualResult : null,
+        juneBaseline: estimates.juneBaseline !== null ? estimates.juneBaseline - actualResult : null
+      },
+      correctedPollsters: Object.keys(errors).length
+    });
+  });
+
+  const meanAbsoluteError = {} as BacktestReport['meanAbsoluteError'];
+  BACKTEST_METHODS.forEach(method => {
+    const methodErrors = cycles
+      .map(cycle => cycle.errors[method])
+      .filter((error): error is number => error !== null);
+    meanAbsoluteError[method] = methodErrors.length > 0
+      ? methodErrors.reduce((sum, error) => sum + Math.abs(error), 0) / methodErrors.length
+      : null;
+  });
+
+  return { party, smoothing, generatedAt: new Date().toISOString(), cycles, meanAbsoluteError };
+};
@@ -0,0 +1,51 @@
+import { Election } from '../types';
+import { applyPollsterCorrections, calculatePollsterErrors } from './biasCorrection';
+import { firmPoll as poll } from './testPolls';
+
+// MDG got 3.2% in 2017
+const election2017: Election = {
+  electionDate: '2017-09-11',
+  actualResult: 3.2,
+  polls: [
+    poll('Norstat', 30, 4.2),
+    poll('Norstat', 10, 4.0),
+    poll('Opinion', 20, 3.2),
+    poll('Opinion', 5, 3.2),
+    poll('Sentio', 15, 6.0), // Only one poll in the window
+    poll('Respons Analyse', 120, 9.0) // Outside the final 50 days
+  ]
+};
+
+describe('calculatePollsterErrors', () => {
+  const errors = calculatePollsterErrors(election2017, 'MDG');
+
+  it('averages each pollster\'s error over the final stretch', () => {
+    expect(errors.Norstat).toBeCloseTo(0.9);
+    expect(errors.Opinion).toBeCloseTo(0);
+  });
+
+  it('leaves out pollsters with too few polls in the window', () => {
+    expect(errors).not.toHaveProperty('Sentio');
+    expect(errors).not.toHaveProperty('Respons Analyse');
+  });
+
+  it('is empty without a result', () => {
+    expect(calculatePollsterErrors({ ...election2017, actualResult: undefined }, 'MDG')).toEqual({});
+    expect(calculatePollsterErrors(election2017, 'H')).toEqual({});
+  });
+});
+
+describe('applyPollsterCorrections', () => {
+  it('subtracts the pollster\'s past error and keeps the original', () => {
+    const [norstat, sentio] = applyPollsterCorrections([poll('Norstat', 10, 4.5), poll('Sentio', 8, 5)], { Norstat: 0.9 }, 'MDG');
+
+    expect(norstat).toMatchObject({ originalPercentage: 4.5, correction: 0.9, pollsterName: 'Norstat' });
+    expect(norstat.correctedPercentage).toBeCloseTo(3.6);
+    expect(sentio).toMatchObject({ originalPercentage: 5, correctedPercentage: 5, correction: 0 });
+  });
+
+  it('never goes below zero', () => {
+    const [corrected] = applyPollsterCorrections([poll('Norstat', 10, 0.5)], { Norstat: 0.9 }, 'MDG');
+    expect(corrected.correctedPercentage).toBe(0);
+  });
+});
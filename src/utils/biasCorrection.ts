@@ -0,0 +1,59 @@
+import { Election, PartyCode, Poll } from '../types';
+import { getActualResult, pollsWithShare, PartyPoll } from './parties';
+import { getPollsterName } from './pollsters';
+
+// Pollster errors are measured over the final stretch of the campaign
+export const BIAS_WINDOW_DAYS = 50;
+// Pollsters with fewer polls in that window are left uncorrected
+export const MIN_POLLS_FOR_CORRECTION = 2;
+
+export interface CorrectedPoll extends PartyPoll {
+  originalPercentage: number;
+  correctedPercentage: number;
+  pollsterName: string;
+  correction: number; // Pollster's error in the training cycle, subtracted from the poll
+}
+
+// Each pollster's mean error (poll − result) over the final days of a past election
+export const calculatePollsterErrors = (election: Election, party: PartyCode): { [pollster: string]: number } => {
+  const errors: { [pollster: string]: number } = {};
+  const actualResult = getActualResult(election, party);
+  if (!actualResult) return errors;
+
+  const pollsterData: { [pollster: string]: { error: number; count: number } } = {};
+  pollsWithShare(election.polls, party).forEach(poll => {
+    if (poll.daysUntilElection >= 0 && poll.daysUntilElection <= BIAS_WINDOW_DAYS) {
+      const pollsterName = getPollsterName(poll);
+      if (!pollsterData[pollsterName]) {
+        pollsterData[pollsterName] = { error: 0, count: 0 };
+      }
+      pollsterData[pollsterName].error += poll.share - actualResult;
+      pollsterData[pollsterName].count += 1;
+    }
+  });
+
+  Object.entries(pollsterData).forEach(([pollster, data]) => {
+    if (data.count >= MIN_POLLS_FOR_CORRECTION) {
+      errors[pollster] = data.error / data.count;
+    }
+  });
+  return errors;
+};
+
+// Subtracts each pollster's past error from its polls; pollsters without one are unchanged
+export const applyPollsterCorrections = (
+  polls: Poll[],
+  errors: { [pollster: string]: number },
+  party: PartyCode
+): CorrectedPoll[] =>
+  pollsWithShare(polls, party).map(poll => {
+    const pollsterName = getPollsterName(poll);
+    const correction = errors[pollsterName] || 0;
+    return {
+      ...poll,
+      originalPercentage: poll.share,
+      correctedPercentage: Math.max(0, poll.share - correction), // Don't go below 0%
+      pollsterName,
+      correction
+    };
+  });
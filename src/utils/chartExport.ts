@@ -0,0 +1,290 @@
+import { Chart as ChartJS, ChartConfiguration } from 'chart.js';
+
+export interface ExportDetails {
+  title: string;
+  footer: string; // Source and export time, in the reader's language
+  filename: string; // Without extension
+  colors: { background: string; text: string; mutedText: string }; // From the theme the chart is shown in
+}
+
+// Chart size for configs that are not on the page
+const DEFAULT_WIDTH = 1000;
+const DEFAULT_HEIGHT = 600;
+const PNG_SCALE = 3;
+const HEADER_HEIGHT = 44;
+const FOOTER_HEIGHT = 28;
+const FONT = 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+export const downloadBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight after the click can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * A copy of a live chart's configuration, with the datasets the user has
+ * hidden in the legend marked as hidden so the export matches the screen.
+ */
+export const configFromChart = (chart: ChartJS): ChartConfiguration => ({
+  type: (chart.config as any).type,
+  data: {
+    labels: chart.data.labels ? [...chart.data.labels] : undefined,
+    datasets: chart.data.datasets.map((dataset, i) => ({
+      ...dataset,
+      data: [...dataset.data],
+      hidden: !chart.isDatasetVisible(i)
+    }))
+  } as any,
+  options: chart.config.options as any,
+  plugins: chart.config.plugins
+});
+
+export const chartSize = (chart: ChartJS | null | undefined) => ({
+  width: chart?.width || DEFAULT_WIDTH,
+  height: chart?.height || DEFAULT_HEIGHT
+});
+
+// Draws a config on a detached canvas; the caller destroys the chart
+const renderOffscreen = (config: ChartConfiguration, width: number, height: number, scale: number): ChartJS => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return new ChartJS(canvas, {
+    ...config,
+    options: {
+      ...config.options,
+      responsive: false,
+      animation: false,
+      devicePixelRatio: scale
+    } as any
+  });
+};
+
+// High-resolution PNG with the title above the chart and source and timestamp below it
+export const exportPng = (config: ChartConfiguration, size: { width: number; height: number }, details: ExportDetails) => {
+  const chart = renderOffscreen(config, size.width, size.height, PNG_SCALE);
+
+  const output = document.createElement('canvas');
+  output.width = size.width * PNG_SCALE;
+  output.height = (size.height + HEADER_HEIGHT + FOOTER_HEIGHT) * PNG_SCALE;
+  const ctx = output.getContext('2d')!;
+  ctx.scale(PNG_SCALE, PNG_SCALE);
+  ctx.fillStyle = details.colors.background;
+  ctx.fillRect(0, 0, size.width, size.height + HEADER_HEIGHT + FOOTER_HEIGHT);
+
+  ctx.fillStyle = details.colors.text;
+  ctx.font = `bold 20px ${FONT}`;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(details.title, 16, HEADER_HEIGHT / 2);
+  ctx.drawImage(chart.canvas, 0, HEADER_HEIGHT, size.width, size.height);
+  ctx.fillStyle = details.colors.mutedText;
+  ctx.font = `12px ${FONT}`;
+  ctx.fillText(details.footer, 16, HEADER_HEIGHT + size.height + FOOTER_HEIGHT / 2);
+  chart.destroy();
+
+  output.toBlob(blob => {
+    if (blob) downloadBlob(blob, `${details.filename}.png`);
+  }, 'image/png');
+};
+
+const escapeXml = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const colorOf = (value: any, fallback: string) => (typeof value === 'string' ? value : fallback);
+const round = (value: number) => Math.round(value * 10) / 10;
+
+const text = (x: number, y: number, content: string, attributes = '') =>
+  `<text x="${round(x)}" y="${round(y)}" ${attributes}>${escapeXml(content)}</text>`;
+
+// Line path through a dataset's points, following Chart.js's bezier control points where tension is set
+const linePath = (points: any[]) =>
+  points
+    .map((point, i) => {
+      const previous = points[i - 1];
+      if (i === 0) return `M${round(point.x)},${round(point.y)}`;
+      if (previous.cp2x !== undefined && point.cp1x !== undefined) {
+        return `C${round(previous.cp2x)},${round(previous.cp2y)} ${round(point.cp1x)},${round(point.cp1y)} ${round(point.x)},${round(point.y)}`;
+      }
+      return `L${round(point.x)},${round(point.y)}`;
+    })
+    .join(' ');
+
+const scaleSvg = (scale: any, area: { left: number; right: number; top: number; bottom: number }): string[] => {
+  const parts: string[] = [];
+  const horizontal = scale.isHorizontal();
+  const grid = colorOf(scale.options.grid?.color, 'rgba(0,0,0,0.1)');
+
+  scale.ticks.forEach((tick: any, i: number) => {
+    const pixel = scale.getPixelForTick(i);
+    const label = Array.isArray(tick.label) ? tick.label.join(' ') : String(tick.label ?? '');
+    if (horizontal) {
+      parts.push(`<line x1="${round(pixel)}" y1="${area.top}" x2="${round(pixel)}" y2="${area.bottom}" stroke="${grid}" />`);
+      if (label) parts.push(text(pixel, area.bottom + 16, label, 'text-anchor="middle" font-size="11"'));
+    } else {
+      if (scale.options.grid?.display !== false) {
+        parts.push(`<line x1="${area.left}" y1="${round(pixel)}" x2="${area.right}" y2="${round(pixel)}" stroke="${grid}" />`);
+      }
+      const right = scale.position === 'right';
+      if (label) {
+        parts.push(text(right ? scale.left + 6 : scale.right - 6, pixel + 4, label,
+          `text-anchor="${right ? 'start' : 'end'}" font-size="11"`));
+      }
+    }
+  });
+
+  const title = scale.options.title;
+  if (title?.display && title.text) {
+    parts.push(horizontal
+      ? text((area.left + area.right) / 2, scale.bottom - 4, title.text, 'text-anchor="middle" font-size="13" font-weight="bold"')
+      : text(0, 0, title.text,
+        `text-anchor="middle" font-size="13" font-weight="bold" transform="translate(${round(scale.position === 'right' ? scale.right - 6 : scale.left + 14)},${round((area.top + area.bottom) / 2)}) rotate(-90)"`));
+  }
+  return parts;
+};
+
+// Error bars are drawn faded so overlapping whiskers stay readable
+const withOpacity = (color: string) => (color.startsWith('#') && color.length === 7 ? `${color}80` : color);
+
+const datasetSvg = (chart: ChartJS, index: number): string[] => {
+  const dataset: any = chart.data.datasets[index];
+  const meta = chart.getDatasetMeta(index);
+  const elements: any[] = meta.data;
+  const parts: string[] = [];
+  const stroke = colorOf(dataset.borderColor, '#6b7280');
+  const fill = colorOf(dataset.backgroundColor, stroke);
+
+  if (meta.type === 'bar') {
+    elements.forEach(bar => {
+      const { x, y, base, width, height, horizontal } = bar.getProps(['x', 'y', 'base', 'width', 'height', 'horizontal']);
+      const rect = horizontal
+        ? { x: Math.min(x, base), y: y - height / 2, width: Math.abs(x - base), height }
+        : { x: x - width / 2, y: Math.min(y, base), width, height: Math.abs(base - y) };
+      parts.push(`<rect x="${round(rect.x)}" y="${round(rect.y)}" width="${round(rect.width)}" height="${round(rect.height)}" fill="${colorOf(bar.options.backgroundColor, fill)}" />`);
+    });
+    return parts;
+  }
+
+  // Bands fill down to the previous dataset, like Chart.js's fill: '-1'
+  if (dataset.fill === '-1' && index > 0 && chart.isDatasetVisible(index - 1)) {
+    const previous = chart.getDatasetMeta(index - 1).data as any[];
+    const outline = [...elements, ...[...previous].reverse()].map(point => `${round(point.x)},${round(point.y)}`).join(' ');
+    parts.push(`<polygon points="${outline}" fill="${fill}" stroke="none" />`);
+  }
+
+  const showLine = meta.type === 'line' ? dataset.showLine !== false : dataset.showLine === true;
+  if (showLine && elements.length > 1 && stroke !== 'transparent') {
+    const dash = dataset.borderDash?.length ? ` stroke-dasharray="${dataset.borderDash.join(' ')}"` : '';
+    parts.push(`<path d="${linePath(elements)}" fill="none" stroke="${stroke}" stroke-width="${dataset.borderWidth ?? 3}"${dash} />`);
+  }
+
+  elements.forEach((point, i) => {
+    const raw: any = dataset.data[i];
+    // Whiskers drawn by the error bars plugin
+    if (dataset.errorBars && raw && raw.yMin !== undefined && raw.yMax !== undefined) {
+      const yScale = chart.scales[meta.yAxisID as string];
+      parts.push(`<line x1="${round(point.x)}" y1="${round(yScale.getPixelForValue(raw.yMin))}" x2="${round(point.x)}" y2="${round(yScale.getPixelForValue(raw.yMax))}" stroke="${withOpacity(stroke)}" />`);
+    }
+    const radius = point.options?.radius ?? 0;
+    if (radius > 0) {
+      parts.push(`<circle cx="${round(point.x)}" cy="${round(point.y)}" r="${radius}" fill="${colorOf(point.options.backgroundColor, fill)}" />`);
+    }
+  });
+  return parts;
+};
+
+const legendSvg = (chart: ChartJS): string[] => {
+  const legend: any = chart.legend;
+  if (!legend || !legend.options.display || !legend.legendItems) return [];
+  return legend.legendItems.flatMap((item: any, i: number) => {
+    const box = legend.legendHitBoxes[i];
+    if (!box) return [];
+    const color = colorOf(item.strokeStyle, colorOf(item.fillStyle, '#6b7280'));
+    const decoration = item.hidden ? ' text-decoration="line-through"' : '';
+    return [
+      `<circle cx="${round(box.left + 6)}" cy="${round(box.top + box.height / 2)}" r="5" fill="${color}" />`,
+      text(box.left + 16, box.top + box.height / 2 + 4, item.text, `font-size="12"${decoration}`)
+    ];
+  });
+};
+
+/**
+ * SVG built from the geometry Chart.js computes (scales, points, bars and
+ * legend), with the same title and footer as the PNG. Tooltips and
+ * animations have no equivalent and are left out.
+ */
+export const exportSvg = (config: ChartConfiguration, size: { width: number; height: number }, details: ExportDetails) => {
+  const chart = renderOffscreen(config, size.width, size.height, 1);
+  const area = chart.chartArea;
+  const height = size.height + HEADER_HEIGHT + FOOTER_HEIGHT;
+
+  const chartTitle: any = (chart as any).titleBlock;
+  const body = [
+    ...Object.values(chart.scales).flatMap(scale => (scale.options.display === false ? [] : scaleSvg(scale, area))),
+    `<g clip-path="url(#chart-area)">`,
+    ...chart.data.datasets
+      .map((_, i) => i)
+      .filter(i => chart.isDatasetVisible(i))
+      .sort((a, b) => ((chart.data.datasets[b] as any).order ?? 0) - ((chart.data.datasets[a] as any).order ?? 0))
+      .flatMap(i => datasetSvg(chart, i)),
+    `</g>`,
+    ...legendSvg(chart),
+    ...(chartTitle?.options?.display
+      ? [text(chartTitle.left + chartTitle.width / 2, chartTitle.top + chartTitle.height / 2 + 6, String(chartTitle.options.text),
+        'text-anchor="middle" font-size="16" font-weight="bold"')]
+      : [])
+  ];
+  chart.destroy();
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${height}" viewBox="0 0 ${size.width} ${height}" font-family='${FONT}' fill="${details.colors.mutedText}">`,
+    `<rect width="100%" height="100%" fill="${details.colors.background}" />`,
+    text(16, HEADER_HEIGHT / 2 + 7, details.title, `font-size="20" font-weight="bold" fill="${details.colors.text}"`),
+    `<defs><clipPath id="chart-area"><rect x="${round(area.left)}" y="${round(area.top)}" width="${round(area.right - area.left)}" height="${round(area.bottom - area.top)}" /></clipPath></defs>`,
+    `<g transform="translate(0,${HEADER_HEIGHT})">`,
+    ...body,
+    `</g>`,
+    text(16, HEADER_HEIGHT + size.height + FOOTER_HEIGHT / 2 + 4, details.footer, 'font-size="12"'),
+    `</svg>`
+  ].join('\n');
+
+  downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${details.filename}.svg`);
+};
+
+const csvCell = (value: any): string => {
+  if (value === null || value === undefined) return '';
+  const cell = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * One row per plotted point, including computed averages and bands. Point
+ * fields beyond x and y (pollster, date, margin, ...) get their own columns.
+ */
+export const chartCsv = (config: ChartConfiguration): string => {
+  const labels = (config.data.labels || []) as any[];
+  const datasets = config.data.datasets.filter((dataset: any) => !dataset.hidden);
+  const extraColumns = Array.from(new Set(
+    datasets.flatMap(dataset => (dataset.data as any[])
+      .filter(point => point && typeof point === 'object' && !Array.isArray(point))
+      .flatMap(point => Object.keys(point).filter(key => key !== 'x' && key !== 'y')))
+  ));
+
+  const rows = datasets.flatMap(dataset => (dataset.data as any[]).map((point, i) => {
+    const isObject = point && typeof point === 'object' && !Array.isArray(point);
+    return [
+      dataset.label,
+      isObject ? point.x : labels[i],
+      isObject ? point.y : point,
+      ...extraColumns.map(column => (isObject ? point[column] : undefined))
+    ];
+  }));
+
+  return [['dataset', 'x', 'y', ...extraColumns], ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+export const exportCsv = (config: ChartConfiguration, details: ExportDetails) =>
+  downloadBlob(new Blob([chartCsv(config)], { type: 'text/csv;charset=utf-8' }), `${details.filename}.csv`);
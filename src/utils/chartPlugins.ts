@@ -0,0 +1,183 @@
+import { Chart, Plugin } from 'chart.js';
+
+// Draws vertical whiskers from yMin to yMax on every point of datasets flagged with `errorBars: true`
+export const errorBarsPlugin: Plugin = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart: Chart) {
+    const { ctx } = chart;
+    const yScale = chart.scales.y;
+    if (!yScale) return;
+
+    chart.data.datasets.forEach((dataset: any, datasetIndex) => {
+      if (!dataset.errorBars || !chart.isDatasetVisible(datasetIndex)) return;
+
+      const meta = chart.getDatasetMeta(datasetIndex);
+      ctx.save();
+      ctx.strokeStyle = dataset.borderColor;
+      ctx.lineWidth = 1;
+
+      meta.data.forEach((element, index) => {
+        const point = dataset.data[index];
+        if (!point || point.yMin === undefined || point.yMax === undefined) return;
+
+        const x = element.x;
+        const top = yScale.getPixelForValue(point.yMax);
+        const bottom = yScale.getPixelForValue(point.yMin);
+        const capWidth = 3;
+
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.moveTo(x - capWidth, top);
+        ctx.lineTo(x + capWidth, top);
+        ctx.moveTo(x - capWidth, bottom);
+        ctx.lineTo(x + capWidth, bottom);
+        ctx.stroke();
+      });
+
+      ctx.restore();
+    });
+  }
+};
+
+// "#22c55e" -> "rgba(34, 197, 94, 0.15)"
+export const withAlpha = (hexColor: string, alpha: number): string => {
+  const hex = hexColor.replace('#', '');
+  const red = parseInt(hex.substring(0, 2), 16);
+  const green = parseInt(hex.substring(2, 4), 16);
+  const blue = parseInt(hex.substring(4, 6), 16);
+  return `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+};
+
+export interface RangeZoomOptions {
+  enabled?: boolean;
+  bounds: [number, number]; // Widest x range the user can zoom out to
+  minSpan?: number; // Narrowest x range the user can zoom in to
+  onChange?: (min: number, max: number) => void; // Called once a wheel, drag or pinch gesture ends
+}
+
+interface RangeZoomState {
+  pointers: Map<number, number>; // Active pointer id -> x position in pixels
+  moved: boolean; // Plain clicks, e.g. on the legend, leave the range alone
+  start: { min: number; max: number; x: number; value: number; distance: number } | null; // Range and pointers when the gesture began
+  wheelTimer?: ReturnType<typeof setTimeout>;
+  listeners: [string, (event: any) => void, AddEventListenerOptions?][];
+}
+
+const WHEEL_ZOOM_FACTOR = 1.2;
+const WHEEL_SETTLE_MS = 150;
+
+const rangeZoomOptions = (chart: Chart): RangeZoomOptions | undefined =>
+  (chart.options.plugins as any)?.rangeZoom;
+
+// Sets the x range in place, clamped to the bounds, without waiting for React to re-render
+const setXRange = (chart: Chart, min: number, max: number) => {
+  const options = rangeZoomOptions(chart);
+  if (!options) return;
+  const [lower, upper] = options.bounds;
+  const span = Math.min(Math.max(max - min, options.minSpan || 1), upper - lower);
+  const clampedMin = Math.min(Math.max(min, lower), upper - span);
+
+  const xOptions = chart.options.scales?.x as any;
+  xOptions.min = clampedMin;
+  xOptions.max = clampedMin + span;
+  chart.update('none');
+};
+
+const commitRange = (chart: Chart) => {
+  const options = rangeZoomOptions(chart);
+  const xScale = chart.scales.x;
+  if (options?.onChange && xScale) options.onChange(xScale.min, xScale.max);
+};
+
+// Zooms a range by a factor around a value, so that value stays put
+const zoomAround = (chart: Chart, value: number, factor: number, from: { min: number; max: number }) =>
+  setXRange(chart, value - (value - from.min) * factor, value + (from.max - value) * factor);
+
+/**
+ * Mouse-wheel zoom, drag to pan and two-finger pinch zoom on the x axis.
+ * Configure under `options.plugins.rangeZoom`; the chart updates live and
+ * reports the new range through `onChange` when the gesture ends.
+ */
+export const rangeZoomPlugin: Plugin = {
+  id: 'rangeZoom',
+  afterInit(chart: Chart) {
+    const canvas = chart.canvas;
+    const state: RangeZoomState = { pointers: new Map(), moved: false, start: null, listeners: [] };
+    (chart as any).$rangeZoom = state;
+    canvas.style.touchAction = 'pan-y'; // Keep vertical page scrolling, handle pinch and horizontal drags here
+
+    const enabled = () => rangeZoomOptions(chart)?.enabled !== false && !!rangeZoomOptions(chart);
+    const currentRange = () => ({ min: chart.scales.x.min, max: chart.scales.x.max });
+    const pointerSpread = () => {
+      const positions = Array.from(state.pointers.values());
+      return positions.length >= 2 ? Math.abs(positions[0] - positions[1]) : 0;
+    };
+    const pointerCentre = () => {
+      const positions = Array.from(state.pointers.values());
+      return positions.reduce((sum, x) => sum + x, 0) / positions.length;
+    };
+    const restart = () => {
+      const x = pointerCentre();
+      state.start = state.pointers.size > 0
+        ? { ...currentRange(), x, value: chart.scales.x.getValueForPixel(x) ?? 0, distance: pointerSpread() }
+        : null;
+    };
+
+    const onWheel = (event: WheelEvent) => {
+      if (!enabled()) return;
+      event.preventDefault();
+      const factor = event.deltaY > 0 ? WHEEL_ZOOM_FACTOR : 1 / WHEEL_ZOOM_FACTOR;
+      zoomAround(chart, chart.scales.x.getValueForPixel(event.offsetX) ?? 0, factor, currentRange());
+      clearTimeout(state.wheelTimer);
+      state.wheelTimer = setTimeout(() => commitRange(chart), WHEEL_SETTLE_MS);
+    };
+
+    const onPointerDown = (event: PointerEvent) => {
+      if (!enabled()) return;
+      state.pointers.set(event.pointerId, event.offsetX);
+      canvas.setPointerCapture(event.pointerId);
+      restart();
+    };
+
+    const onPointerMove = (event: PointerEvent) => {
+      if (!state.start || !state.pointers.has(event.pointerId)) return;
+      state.pointers.set(event.pointerId, event.offsetX);
+      state.moved = true;
+
+      const start = state.start;
+      if (state.pointers.size >= 2 && start.distance > 0) {
+        zoomAround(chart, start.value, start.distance / Math.max(pointerSpread(), 1), start);
+      } else {
+        // Panning keeps the span, so the current scale converts pixels to days the same as the starting one
+        const xScale = chart.scales.x;
+        const shift = (xScale.getValueForPixel(start.x) ?? 0) - (xScale.getValueForPixel(event.offsetX) ?? 0);
+        setXRange(chart, start.min + shift, start.max + shift);
+      }
+    };
+
+    const onPointerUp = (event: PointerEvent) => {
+      if (!state.pointers.delete(event.pointerId)) return;
+      if (state.pointers.size === 0 && state.moved) {
+        state.moved = false;
+        commitRange(chart);
+      }
+      restart();
+    };
+
+    state.listeners = [
+      ['wheel', onWheel, { passive: false }],
+      ['pointerdown', onPointerDown],
+      ['pointermove', onPointerMove],
+      ['pointerup', onPointerUp],
+      ['pointercancel', onPointerUp],
+    ];
+    state.listeners.forEach(([type, listener, options]) => canvas.addEventListener(type, listener, options));
+  },
+  beforeDestroy(chart: Chart) {
+    const state: RangeZoomState | undefined = (chart as any).$rangeZoom;
+    if (!state) return;
+    clearTimeout(state.wheelTimer);
+    state.listeners.forEach(([type, listener]) => chart.canvas.removeEventListener(type, listener));
+  }
+};
@@ -0,0 +1,47 @@
+import { PartyCode } from '../types';
+import { I18n } from '../i18n';
+import { AveragePoint, trendValueAt } from './rollingAverage';
+
+export interface CycleComparison {
+  year: string;
+  days: number;
+  share: number;
+  previousYear: string | null;
+  previousShare: number | null; // The previous cycle's average on the same day, when it reaches that far
+}
+
+// The newest cycle's average at its point closest to election day, and where the cycle before stood on the same day
+export const compareLatestCycle = (cycles: { year: string; average: AveragePoint[] }[]): CycleComparison | null => {
+  const withAverage = cycles
+    .filter(cycle => cycle.average.length > 0)
+    .sort((a, b) => parseInt(a.year) - parseInt(b.year));
+  const latest = withAverage[withAverage.length - 1];
+  if (!latest) return null;
+
+  const point = latest.average.reduce((closest, candidate) => (candidate.x < closest.x ? candidate : closest));
+  const previous = withAverage[withAverage.length - 2];
+  return {
+    year: latest.year,
+    days: Math.round(point.x),
+    share: point.y,
+    previousYear: previous ? previous.year : null,
+    previousShare: previous ? trendValueAt([...previous.average].sort((a, b) => a.x - b.x), point.x) : null
+  };
+};
+
+// E.g. "MDG averaged 3.6% 50 days before the 2025 election, 0.4 points below 2021 at the same point."
+export const describeCycleComparison = (
+  comparison: CycleComparison,
+  party: PartyCode,
+  { t, formatPercent, formatNumber }: I18n,
+  cycleName: (year: string) => string = year => year
+): string => {
+  const params = { party, share: formatPercent(comparison.share), days: comparison.days, year: cycleName(comparison.year) };
+  if (comparison.previousYear === null || comparison.previousShare === null) {
+    return t('chart.summaryLatest', params);
+  }
+
+  const difference = Math.round((comparison.share - comparison.previousShare) * 10) / 10;
+  const key = difference > 0 ? 'chart.summaryAbove' : difference < 0 ? 'chart.summaryBelow' : 'chart.summaryLevel';
+  return t(key, { ...params, difference: formatNumber(Math.abs(difference), 1), previous: cycleName(comparison.previousYear) });
+};
@@ -0,0 +1,25 @@
+// Text version of a chart, shown in a collapsible table under it
+export interface ChartTable {
+  caption: string;
+  columns: string[]; // The first column labels each row
+  rows: string[][];
+}
+
+// Datasets a reader can step through: shown, with points that react to the pointer (not band edges)
+export const isNavigableDataset = (dataset: any): boolean =>
+  !dataset.hidden && dataset.pointHitRadius !== 0 && dataset.data.length > 0;
+
+// One row per plotted point: the series, its x value and its y value
+export const datasetTable = (
+  caption: string,
+  columns: [string, string, string],
+  datasets: any[],
+  formatX: (point: any) => string,
+  formatY: (point: any) => string
+): ChartTable => ({
+  caption,
+  columns,
+  rows: datasets
+    .filter(isNavigableDataset)
+    .flatMap(dataset => dataset.data.map((point: any) => [dataset.label, formatX(point), formatY(point)]))
+});
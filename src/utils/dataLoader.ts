@@ -0,0 +1,39 @@
+// Cache the service worker keeps the data files in
+export const DATA_CACHE = 'polling-data';
+
+// Files in public/data the service worker fetches on install, so the site works offline from the first visit
+export const DATA_FILES = [
+  'polling-data.json',
+  'local-polling-data.json',
+  'regional-polling-data.json',
+  'elections.json',
+  'donor-type-analysis.json'
+];
+
+export const dataUrl = (file: string) => `${process.env.PUBLIC_URL}/data/${file}`;
+
+export interface LoadedJson<T> {
+  data: T;
+  asOf: Date | null; // When the server's copy was last changed; null for the bundled fallback
+}
+
+// Fetches a JSON file from public/data, falling back to the copy bundled from src/data
+export const loadJson = async <T,>(file: string, fallback: T): Promise<LoadedJson<T>> => {
+  try {
+    // Try to fetch the JSON file from the public directory (or the service worker's cached copy)
+    const response = await fetch(dataUrl(file));
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${file}: ${response.status} ${response.statusText}`);
+    }
+
+    const text = await response.text();
+    const modified = response.headers.get('Last-Modified') || response.headers.get('Date');
+    return { data: JSON.parse(text), asOf: modified ? new Date(modified) : null };
+  } catch (err) {
+    console.warn(`Failed to fetch ${file} from public directory, using fallback data:`, err);
+    // Use fallback data imported directly
+    return { data: fallback, asOf: null };
+  }
+};
+
+export const fetchJson = async <T,>(file: string, fallback: T): Promise<T> => (await loadJson(file, fallback)).data;
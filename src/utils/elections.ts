@@ -0,0 +1,31 @@
+import { ElectionData, ElectionRegistry, ElectionType } from '../types';
+
+export const getRegistryElections = (registry: ElectionRegistry, type: ElectionType = 'parliamentary') =>
+  registry.elections
+    .filter(election => election.type === type)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// Takes election dates and results from the registry, so polling-data.json only has to carry polls.
+// Elections still to be held have empty results in the registry and are left without them
+export const applyElectionRegistry = (
+  data: ElectionData,
+  registry: ElectionRegistry,
+  type: ElectionType = 'parliamentary'
+): ElectionData => {
+  const elections: ElectionData['elections'] = {};
+
+  Object.entries(data.elections).forEach(([year, election]) => {
+    const record = getRegistryElections(registry, type).find(entry => String(entry.year) === year);
+    const held = record && Object.keys(record.results).length > 0;
+    elections[year] = record
+      ? {
+          ...election,
+          electionDate: record.date,
+          actualResult: record.results.MDG ?? election.actualResult,
+          results: held ? record.results : election.results
+        }
+      : election;
+  });
+
+  return { ...data, elections };
+};
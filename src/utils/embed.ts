@@ -0,0 +1,28 @@
+import { Locale, LOCALES } from '../i18n';
+import { THEME_SETTINGS, ThemeSetting } from '../theme';
+import embedCharts from '../embedCharts.json';
+
+// Charts served at /embed/<chart>; scripts/build-embed.js reads the same list to write a page for each
+export const EMBED_CHARTS: readonly string[] = embedCharts;
+export type EmbedChart = string; // One of EMBED_CHARTS
+
+// The chart an /embed/<chart> path asks for, or null for the full app
+export const embedChartFromPath = (pathname: string): EmbedChart | null => {
+  const match = pathname.match(/\/embed\/([a-z-]+)\/?$/);
+  return match && EMBED_CHARTS.includes(match[1]) ? match[1] : null;
+};
+
+// Message the embed script listens for to size the iframe to the chart
+export const EMBED_RESIZE_MESSAGE = 'mdg-embed-resize';
+
+// Language from ?lang=en-GB, or undefined to follow the browser
+export const embedLocale = (search: string): Locale | undefined => {
+  const lang = new URLSearchParams(search).get('lang');
+  return LOCALES.some(({ value }) => value === lang) ? (lang as Locale) : undefined;
+};
+
+// Theme from ?theme=dark, or undefined to follow the operating system
+export const embedTheme = (search: string): ThemeSetting | undefined => {
+  const theme = new URLSearchParams(search).get('theme');
+  return THEME_SETTINGS.some(({ value }) => value === theme) ? (theme as ThemeSetting) : undefined;
+};
@@ -0,0 +1,60 @@
+import { ElectionData } from '../types';
+import { forecastPath, forecastResult, pastCycleErrors } from './forecast';
+import { makePoll } from './testPolls';
+
+// Every cycle polls flat at one share, on the same days out
+const cycle = (electionDate: string, share: number, actualResult?: number) => ({
+  electionDate,
+  actualResult,
+  polls: [60, 50, 40, 30, 20, 10, 3].map(daysUntilElection => makePoll(daysUntilElection, share, { date: electionDate }))
+});
+
+const electionData: ElectionData = {
+  elections: {
+    2013: cycle('2013-09-09', 3, 2.8),
+    2017: cycle('2017-09-11', 4, 3.2),
+    2021: cycle('2021-09-13', 4, 3.9),
+    2025: cycle('2025-09-08', 4)
+  }
+};
+
+describe('pastCycleErrors', () => {
+  it('measures earlier cycles at the same distance from election day', () => {
+    const errors = pastCycleErrors(electionData, '2021', 'MDG', 'rolling', 30);
+
+    expect(errors.map(entry => entry.year)).toEqual(['2013', '2017']);
+    expect(errors[0].average).toBeCloseTo(3);
+    expect(errors[0].error).toBeCloseTo(-0.2);
+    expect(errors[1].error).toBeCloseTo(-0.8);
+  });
+
+  it('skips cycles without a result', () => {
+    expect(pastCycleErrors(electionData, '2030', 'MDG', 'rolling', 30).map(entry => entry.year)).toEqual(['2013', '2017', '2021']);
+  });
+});
+
+describe('forecastResult', () => {
+  it('adds the median past error to the latest average', () => {
+    const forecast = forecastResult(electionData, '2025', 'MDG', 'rolling');
+
+    expect(forecast?.average).toBeCloseTo(4);
+    expect(forecast?.predicted).toBeCloseTo(3.8);
+    expect(forecast?.interval50[0]).toBeCloseTo(3.5);
+    expect(forecast?.interval50[1]).toBeCloseTo(3.85);
+    expect(forecast?.interval90[0]).toBeLessThanOrEqual(forecast?.interval50[0] as number);
+    expect(forecast?.interval90[1]).toBeGreaterThanOrEqual(forecast?.interval50[1] as number);
+  });
+
+  it('needs an earlier cycle to learn from', () => {
+    expect(forecastResult(electionData, '2013', 'MDG', 'rolling')).toBeNull();
+  });
+});
+
+describe('forecastPath', () => {
+  it('stays level on a flat cycle with the same past errors throughout', () => {
+    const path = forecastPath(electionData, '2025', 'MDG', 'rolling');
+
+    expect(path.length).toBeGreaterThan(0);
+    path.forEach(point => expect(point.predicted).toBeCloseTo(3.8));
+  });
+});
@@ -0,0 +1,133 @@
+import { ElectionData, PartyCode, SmoothingMethod } from '../types';
+import { getActualResult, pollsWithShare } from './parties';
+import { calculatePollAverage } from './pollAverage';
+import { AveragePoint, RollingAverageOptions, trendValueAt } from './rollingAverage';
+
+// Same window the historical chart lines cycles up with
+export const FORECAST_WINDOW_DAYS = 14;
+
+export interface PastCycleError {
+  year: string;
+  average: number; // The cycle's average at the same number of days out
+  actualResult: number;
+  error: number; // Actual result − average
+}
+
+export interface Forecast {
+  daysUntilElection: number;
+  average: number;
+  predicted: number;
+  interval50: [number, number];
+  interval90: [number, number];
+  pastErrors: PastCycleError[];
+}
+
+export interface ForecastPoint {
+  x: number;
+  predicted: number;
+  interval50: [number, number];
+  interval90: [number, number];
+}
+
+// Quantile of a sorted sample, interpolating linearly between order statistics
+const quantile = (sorted: number[], p: number): number => {
+  if (sorted.length === 1) return sorted[0];
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+};
+
+const cycleAverage = (
+  electionData: ElectionData,
+  year: string,
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  options: RollingAverageOptions
+): AveragePoint[] =>
+  calculatePollAverage(smoothing, pollsWithShare(electionData.elections[year].polls, party), FORECAST_WINDOW_DAYS, party, options);
+
+/**
+ * Errors of earlier cycles' averages at the given number of days out: how far
+ * the final result landed from where the average stood at that point.
+ */
+export const pastCycleErrors = (
+  electionData: ElectionData,
+  beforeYear: string,
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  daysUntilElection: number,
+  averages: { [year: string]: AveragePoint[] } = {},
+  options: RollingAverageOptions = {}
+): PastCycleError[] =>
+  Object.keys(electionData.elections)
+    .filter(year => year < beforeYear)
+    .sort()
+    .map(year => {
+      const actualResult = getActualResult(electionData.elections[year], party);
+      if (!actualResult) return null;
+
+      const trend = averages[year] || cycleAverage(electionData, year, party, smoothing, options);
+      const average = trendValueAt(trend, daysUntilElection);
+      return average === null ? null : { year, average, actualResult, error: actualResult - average };
+    })
+    .filter((entry): entry is PastCycleError => entry !== null);
+
+// The average plus the median past error, with intervals from the spread of past errors
+const applyErrors = (average: number, errors: number[]) => {
+  const sorted = [...errors].sort((a, b) => a - b);
+  const at = (p: number) => Math.max(0, average + quantile(sorted, p));
+  return {
+    predicted: at(0.5),
+    interval50: [at(0.25), at(0.75)] as [number, number],
+    interval90: [at(0.05), at(0.95)] as [number, number]
+  };
+};
+
+/**
+ * Forecast of the final result from a cycle's latest average and the errors earlier
+ * cycles' averages had at the same distance from election day. With only a handful
+ * of past cycles the intervals are rough; they widen as more cycles are added.
+ */
+export const forecastResult = (
+  electionData: ElectionData,
+  year: string,
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  options: RollingAverageOptions = {}
+): Forecast | null => {
+  const average = cycleAverage(electionData, year, party, smoothing, options);
+  if (average.length === 0) return null;
+
+  const latest = average.reduce((closest, point) => (point.x < closest.x ? point : closest), average[0]);
+  const pastErrors = pastCycleErrors(electionData, year, party, smoothing, latest.x, {}, options);
+  if (pastErrors.length === 0) return null;
+
+  return {
+    daysUntilElection: latest.x,
+    average: latest.y,
+    ...applyErrors(latest.y, pastErrors.map(entry => entry.error)),
+    pastErrors
+  };
+};
+
+// The forecast as it would have stood on each day of the cycle
+export const forecastPath = (
+  electionData: ElectionData,
+  year: string,
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  options: RollingAverageOptions = {}
+): ForecastPoint[] => {
+  const averages: { [year: string]: AveragePoint[] } = {};
+  Object.keys(electionData.elections)
+    .filter(other => other <= year)
+    .forEach(other => { averages[other] = cycleAverage(electionData, other, party, smoothing, options); });
+
+  return averages[year]
+    .map(point => {
+      const errors = pastCycleErrors(electionData, year, party, smoothing, point.x, averages, options).map(entry => entry.error);
+      return errors.length > 0 ? { x: point.x, ...applyErrors(point.y, errors) } : null;
+    })
+    .filter((point): point is ForecastPoint => point !== null);
+};
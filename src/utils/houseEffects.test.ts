@@ -0,0 +1,44 @@
+import { ElectionData } from '../types';
+import { MIN_POLLS_FOR_HOUSE_EFFECT, estimateHouseEffects } from './houseEffects';
+import { firmPoll as poll } from './testPolls';
+
+// Norstat, Opinion and Sentio agree on 4% and Respons Analyse always says 5%, but Sentio only polled twice
+const polls = Array.from({ length: 10 }, (_, index) => {
+  const day = 100 - index * 9;
+  return [poll('Norstat', day, 4), poll('Opinion', day - 3, 4), poll('Respons Analyse', day - 6, 5)];
+}).flat().concat([poll('Sentio', 50, 4), poll('Sentio', 40, 4)]);
+
+const electionData: ElectionData = {
+  elections: {
+    2021: { electionDate: '2021-09-13', polls: polls.slice(0, 15) },
+    2025: { electionDate: '2025-09-08', polls: polls.slice(15) }
+  }
+};
+
+describe('estimateHouseEffects', () => {
+  const effects = estimateHouseEffects(electionData, 'MDG');
+  const effectOf = (pollster: string) => effects.find(effect => effect.pollster === pollster);
+
+  it('measures a pollster against the others', () => {
+    expect(effectOf('Respons Analyse')?.effect).toBeCloseTo(1, 1);
+    expect(effects[0].pollster).toBe('Respons Analyse');
+  });
+
+  it('splits the effect by cycle', () => {
+    const respons = effectOf('Respons Analyse');
+    expect(Object.keys(respons?.cycles || {})).toEqual(['2021', '2025']);
+    expect(respons?.cycles['2021'].count).toBeGreaterThan(0);
+  });
+
+  it('leaves out pollsters with too few polls', () => {
+    expect(MIN_POLLS_FOR_HOUSE_EFFECT).toBeGreaterThan(2);
+    expect(effectOf('Sentio')).toBeUndefined();
+  });
+
+  it('puts the estimate inside its interval', () => {
+    effects.forEach(({ effect, lower, upper }) => {
+      expect(lower).toBeLessThanOrEqual(effect);
+      expect(upper).toBeGreaterThanOrEqual(effect);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { ElectionData, PartyCode } from '../types';
+import { pollsWithShare } from './parties';
+import { getPollsterName } from './pollsters';
+import { trendValueAt } from './rollingAverage';
+import { calculateModelAverage } from './stateSpaceModel';
+import { Z_95 } from './marginOfError';
+
+export interface CycleHouseEffect {
+  effect: number; // Mean deviation from the consensus in this cycle (pp)
+  count: number;
+}
+
+export interface HouseEffect {
+  pollster: string;
+  effect: number; // Mean deviation from the consensus over all cycles (pp), positive = overstates the party
+  standardError: number;
+  lower: number; // 95% interval
+  upper: number;
+  count: number;
+  cycles: { [year: string]: CycleHouseEffect };
+}
+
+// Pollsters with fewer polls than this get too wide an interval to say anything
+export const MIN_POLLS_FOR_HOUSE_EFFECT = 5;
+
+/**
+ * Estimates each pollster's persistent deviation from the consensus across every cycle.
+ * The consensus for a poll is the state-space trend of all *other* pollsters in that cycle,
+ * so a firm's own polls never pull the yardstick towards itself. The interval treats the
+ * deviations as independent, which makes it a lower bound on the real uncertainty.
+ */
+export const estimateHouseEffects = (electionData: ElectionData, party: PartyCode = 'MDG'): HouseEffect[] => {
+  const residuals: { [pollster: string]: { year: string; residual: number }[] } = {};
+
+  Object.entries(electionData.elections).forEach(([year, election]) => {
+    const polls = pollsWithShare(election.polls, party);
+    const pollsters = Array.from(new Set(polls.map(getPollsterName)));
+
+    pollsters.forEach(pollster => {
+      const ownPolls = polls.filter(poll => getPollsterName(poll) === pollster);
+      const consensus = calculateModelAverage(polls.filter(poll => getPollsterName(poll) !== pollster), party);
+
+      ownPolls.forEach(poll => {
+        const expected = trendValueAt(consensus, poll.daysUntilElection);
+        if (expected === null) return;
+
+        if (!residuals[pollster]) residuals[pollster] = [];
+        residuals[pollster].push({ year, residual: poll.share - expected });
+      });
+    });
+  });
+
+  return Object.entries(residuals)
+    .filter(([, values]) => values.length >= MIN_POLLS_FOR_HOUSE_EFFECT)
+    .map(([pollster, values]) => {
+      const count = values.length;
+      const effect = values.reduce((sum, { residual }) => sum + residual, 0) / count;
+      const variance = values.reduce((sum, { residual }) => sum + (residual - effect) ** 2, 0) / (count - 1);
+      const standardError = Math.sqrt(variance / count);
+
+      const cycles: { [year: string]: CycleHouseEffect } = {};
+      values.forEach(({ year, residual }) => {
+        if (!cycles[year]) cycles[year] = { effect: 0, count: 0 };
+        cycles[year].effect += residual;
+        cycles[year].count += 1;
+      });
+      Object.values(cycles).forEach(cycle => {
+        cycle.effect /= cycle.count;
+      });
+
+      return {
+        pollster,
+        effect,
+        standardError,
+        lower: effect - Z_95 * standardError,
+        upper: effect + Z_95 * standardError,
+        count,
+        cycles
+      };
+    })
+    .sort((a, b) => b.effect - a.effect);
+};
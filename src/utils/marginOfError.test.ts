@@ -0,0 +1,36 @@
+import { combinedMarginOfError, marginOfError } from './marginOfError';
+
+describe('marginOfError', () => {
+  it('matches the textbook 95% margin', () => {
+    expect(marginOfError(50, 1000)).toBeCloseTo(3.1, 1);
+    expect(marginOfError(4, 1000)).toBeCloseTo(1.21, 2);
+  });
+
+  it('assumes a sample of 1000 when the poll does not report one', () => {
+    expect(marginOfError(4)).toBe(marginOfError(4, 1000));
+  });
+
+  it('shrinks with the square root of the sample size', () => {
+    expect(marginOfError(10, 4000)).toBeCloseTo(marginOfError(10, 1000) / 2);
+  });
+
+  it('is zero for shares of 0 or 100', () => {
+    expect(marginOfError(0)).toBe(0);
+    expect(marginOfError(100)).toBe(0);
+  });
+});
+
+describe('combinedMarginOfError', () => {
+  it('is the single poll margin for one poll', () => {
+    expect(combinedMarginOfError([{ share: 4, sampleSize: 800, weight: 1 }])).toBeCloseTo(marginOfError(4, 800));
+  });
+
+  it('averages equal polls down by the square root of their number', () => {
+    const polls = Array.from({ length: 4 }, () => ({ share: 4, weight: 1 }));
+    expect(combinedMarginOfError(polls)).toBeCloseTo(marginOfError(4) / 2);
+  });
+
+  it('is zero without weight', () => {
+    expect(combinedMarginOfError([])).toBe(0);
+  });
+});
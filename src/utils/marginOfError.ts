@@ -0,0 +1,24 @@
+// z-score for a two-sided 95% interval
+export const Z_95 = 1.96;
+
+// Typical national sample, used for polls that don't report their size
+export const DEFAULT_SAMPLE_SIZE = 1000;
+
+// Half-width of the 95% confidence interval for a poll share, in percentage points
+export const marginOfError = (share: number, sampleSize: number = DEFAULT_SAMPLE_SIZE): number => {
+  const proportion = Math.min(Math.max(share / 100, 0), 1);
+  return Z_95 * Math.sqrt(proportion * (1 - proportion) / sampleSize) * 100;
+};
+
+// Margin of error of a weighted mean of polls, from each poll's sampling error
+export const combinedMarginOfError = (polls: { share: number; sampleSize?: number; weight: number }[]): number => {
+  const totalWeight = polls.reduce((sum, poll) => sum + poll.weight, 0);
+  if (totalWeight === 0) return 0;
+
+  const variance = polls.reduce((sum, poll) => {
+    const standardError = marginOfError(poll.share, poll.sampleSize) / Z_95;
+    return sum + (poll.weight * standardError) ** 2;
+  }, 0);
+
+  return Z_95 * Math.sqrt(variance) / totalWeight;
+};
@@ -0,0 +1,67 @@
+import { Election, PartyCode, Poll } from '../types';
+
+export interface PartyInfo {
+  code: PartyCode;
+  name: string;
+}
+
+// Parties in the order pollofpolls.no lists them
+export const PARTIES: PartyInfo[] = [
+  { code: 'A', name: 'Arbeiderpartiet' },
+  { code: 'H', name: 'Høyre' },
+  { code: 'FrP', name: 'Fremskrittspartiet' },
+  { code: 'SV', name: 'Sosialistisk Venstreparti' },
+  { code: 'Sp', name: 'Senterpartiet' },
+  { code: 'R', name: 'Rødt' },
+  { code: 'V', name: 'Venstre' },
+  { code: 'KrF', name: 'Kristelig Folkeparti' },
+  { code: 'MDG', name: 'Miljøpartiet De Grønne' },
+  { code: 'Andre', name: 'Andre' },
+];
+
+export interface PartyPoll extends Poll {
+  share: number;
+}
+
+export const getPartyShare = (poll: Poll, party: PartyCode): number | null => {
+  const share = poll.parties?.[party];
+  if (share !== undefined) return share;
+
+  // Older polls only carry MDG's share
+  return party === 'MDG' ? poll.mdgPercentage : null;
+};
+
+// Polls that report a share for the party, with that share attached
+export const pollsWithShare = (polls: Poll[], party: PartyCode): PartyPoll[] =>
+  polls
+    .map(poll => ({ ...poll, share: getPartyShare(poll, party) }))
+    .filter((poll): poll is PartyPoll => poll.share !== null);
+
+// Actual result from the election registry, falling back to the MDG result stored with the polls
+export const getActualResult = (election: Election, party: PartyCode): number | undefined => {
+  const result = election.results?.[party];
+  if (result !== undefined) return result;
+
+  return party === 'MDG' ? election.actualResult : undefined;
+};
+
+// Top of a share axis: the highest plotted value plus 10%, rounded up to an even number, and never below minimum
+export const shareAxisMax = (datasets: any[], minimum = 8): number => {
+  const values = datasets.flatMap(dataset => dataset.data.map((point: any) => point.yMax ?? point.y));
+  const highest = values.length > 0 ? Math.max(...values) : 0;
+  return Math.max(minimum, Math.ceil((highest * 1.1) / 2) * 2);
+};
+
+// Mean share in the June polls of the election year, the campaign's starting baseline
+export const calculateJuneAverage = (election: Election, party: PartyCode): number | null => {
+  const electionYear = new Date(election.electionDate).getFullYear();
+  const juneStart = new Date(electionYear, 5, 1); // June 1st
+  const juneEnd = new Date(electionYear, 5, 30); // June 30th
+
+  const junePolls = pollsWithShare(election.polls, party).filter(poll => {
+    const pollDate = new Date(poll.date);
+    return pollDate >= juneStart && pollDate <= juneEnd;
+  });
+
+  return junePolls.length > 0 ? junePolls.reduce((sum, poll) => sum + poll.share, 0) / junePolls.length : null;
+};
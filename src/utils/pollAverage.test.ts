@@ -0,0 +1,37 @@
+import { averageLabel, calculatePollAverage } from './pollAverage';
+import { calculateRollingAverage } from './rollingAverage';
+import { calculateModelAverage } from './stateSpaceModel';
+import { makePoll } from './testPolls';
+import { Translate } from '../i18n';
+
+const polls = [30, 24, 18, 12, 6].map((daysUntilElection, index) =>
+  makePoll(daysUntilElection, 3 + index * 0.5, { parties: { MDG: 3 + index * 0.5, H: 20 } })
+);
+
+describe('calculatePollAverage', () => {
+  it('uses the rolling average with its window', () => {
+    expect(calculatePollAverage('rolling', polls, 14, 'MDG')).toEqual(calculateRollingAverage(polls, 14, 'MDG'));
+  });
+
+  it('passes the averaging options on to the rolling average', () => {
+    const sizedPolls = polls.map((poll, index) => ({ ...poll, sampleSize: 500 + index * 500 }));
+    const options = { weightBySampleSize: true };
+
+    expect(calculatePollAverage('rolling', sizedPolls, 14, 'MDG', options)).toEqual(calculateRollingAverage(sizedPolls, 14, 'MDG', options));
+    expect(calculatePollAverage('rolling', sizedPolls, 14, 'MDG', options)).not.toEqual(calculatePollAverage('rolling', sizedPolls, 14, 'MDG'));
+  });
+
+  it('uses the state-space model, which has no window', () => {
+    expect(calculatePollAverage('model', polls, 14, 'H')).toEqual(calculateModelAverage(polls, 'H'));
+  });
+});
+
+describe('averageLabel', () => {
+  const t = ((key: string, values?: { [name: string]: string | number }) =>
+    values ? `${key}:${JSON.stringify(values)}` : key) as Translate;
+
+  it('names the window for the rolling average only', () => {
+    expect(averageLabel('rolling', 7, t)).toBe('average.rolling:{"days":7}');
+    expect(averageLabel('model', 7, t)).toBe('average.model');
+  });
+});
@@ -0,0 +1,21 @@
+import { PartyCode, SmoothingMethod } from '../types';
+import { AveragePoint, RollingAverageOptions, calculateRollingAverage } from './rollingAverage';
+import { Translate } from '../i18n';
+import { calculateModelAverage } from './stateSpaceModel';
+
+export const SMOOTHING_METHODS: SmoothingMethod[] = ['rolling', 'model'];
+
+// Trend line for a set of polls with the chosen smoothing; windowDays only applies to the rolling average
+export const calculatePollAverage = (
+  smoothing: SmoothingMethod,
+  polls: any[],
+  windowDays: number,
+  party: PartyCode = 'MDG',
+  options: RollingAverageOptions = {}
+): AveragePoint[] =>
+  smoothing === 'model'
+    ? calculateModelAverage(polls, party, { useFieldworkMidpoint: options.useFieldworkMidpoint })
+    : calculateRollingAverage(polls, windowDays, party, options);
+
+export const averageLabel = (smoothing: SmoothingMethod, windowDays: number, t: Translate): string =>
+  smoothing === 'model' ? t('average.model') : t('average.rolling', { days: windowDays });
@@ -0,0 +1,18 @@
+import { getPollsterName } from './pollsters';
+import { firmPoll, makePoll } from './testPolls';
+
+describe('getPollsterName', () => {
+  it('uses the stored firm', () => {
+    expect(getPollsterName(makePoll(10, 3, { firm: 'Opinion' }))).toBe('Opinion');
+  });
+
+  it('maps former firm names in titles to the current name', () => {
+    expect(getPollsterName(firmPoll('TNS Gallup', 10, 3))).toBe('Verian');
+    expect(getPollsterName(firmPoll('Synovate MMI', 10, 3))).toBe('Ipsos');
+    expect(getPollsterName(firmPoll('Verian', 10, 3))).toBe('Verian');
+  });
+
+  it('reads the firm from titles without a client', () => {
+    expect(getPollsterName(makePoll(10, 3, { pollster: 'pollofpolls.no - Kantar TNS 2. oktober 2017' }))).toBe('Verian');
+  });
+});
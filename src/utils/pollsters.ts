@@ -0,0 +1,22 @@
+import { Poll } from '../types';
+import firmAliases from '../firmAliases.json';
+
+// Former or alternative names (lower case) -> the firm's current name, shared with scripts/lib/pollsters.js
+const FIRM_ALIASES: { [name: string]: string } = firmAliases;
+
+const normaliseFirm = (name: string): string => {
+  const firm = name.replace(/\s+/g, ' ').trim();
+  return FIRM_ALIASES[firm.toLowerCase()] || firm;
+};
+
+// Polling firm of a poll. Data written by the scrapers carries it as `firm`, with rebrands already
+// mapped to one name; older data falls back to the title, "pollofpolls.no - Respons Analyse for VG 2. oktober 2017",
+// mapped through the same aliases so a firm's polls are grouped under one name across cycles
+export const getPollsterName = (poll: Poll): string => {
+  if (poll.firm) return normaliseFirm(poll.firm);
+
+  const title = poll.pollster.replace(/^pollofpolls\.no\s*-\s*/i, '');
+  const [firm] = title.split(' for ');
+  // Titles without a client still end in the publication date
+  return normaliseFirm(firm.replace(/\s*\d{1,2}\.\s*[a-zæøå]+\s*\d{4}.*$/i, '').trim() || title.trim());
+};
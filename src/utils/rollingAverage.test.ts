@@ -0,0 +1,63 @@
+import { calculateRollingAverage, getFieldworkMidpointDay, trendValueAt } from './rollingAverage';
+import { makePoll as poll } from './testPolls';
+
+describe('calculateRollingAverage', () => {
+  it('needs at least two polls reporting the party', () => {
+    expect(calculateRollingAverage([poll(10, 4)])).toEqual([]);
+    expect(calculateRollingAverage([poll(10, 4), poll(5, 4)], 7, 'H')).toEqual([]);
+  });
+
+  it('is flat for polls that all agree', () => {
+    const polls = [30, 27, 24, 21, 18, 15, 12, 9, 6, 3].map(day => poll(day, 4.5));
+    const average = calculateRollingAverage(polls, 7);
+
+    expect(average.length).toBeGreaterThan(0);
+    average.forEach(point => expect(point.y).toBeCloseTo(4.5));
+  });
+
+  it('weights larger polls more when asked to', () => {
+    const polls = [poll(10, 4, { sampleSize: 3000 }), poll(10, 8, { sampleSize: 1000 })];
+
+    expect(calculateRollingAverage(polls, 7)[0].y).toBeCloseTo(6);
+    expect(calculateRollingAverage(polls, 7, 'MDG', { weightBySampleSize: true })[0].y).toBeCloseTo(5);
+  });
+
+  it('places polls at their fieldwork midpoint when asked to', () => {
+    const fieldwork = { fieldworkStart: '2025-07-25', fieldworkEnd: '2025-07-29' };
+    const polls = [poll(10, 4, fieldwork), poll(40, 4, fieldwork)];
+
+    expect(calculateRollingAverage(polls, 7)[0].x).toBe(10);
+    expect(calculateRollingAverage(polls, 7, 'MDG', { useFieldworkMidpoint: true })[0].x).toBe(15);
+  });
+
+  it('narrows the margin as more polls fall in the window', () => {
+    const single = calculateRollingAverage([poll(10, 4), poll(30, 4)], 7);
+    const triple = calculateRollingAverage([poll(10, 4), poll(10, 4), poll(10, 4), poll(30, 4)], 7);
+
+    expect(triple[0].margin).toBeCloseTo(single[0].margin / Math.sqrt(3));
+  });
+});
+
+describe('getFieldworkMidpointDay', () => {
+  it('moves the poll back to the middle of its fieldwork', () => {
+    expect(getFieldworkMidpointDay(poll(10, 4, { fieldworkStart: '2025-07-25', fieldworkEnd: '2025-07-29' }))).toBe(15);
+  });
+
+  it('falls back to the publish date without fieldwork dates', () => {
+    expect(getFieldworkMidpointDay(poll(10, 4))).toBe(10);
+  });
+});
+
+describe('trendValueAt', () => {
+  const trend = [{ x: 0, y: 2, margin: 0 }, { x: 10, y: 4, margin: 0 }];
+
+  it('interpolates between points', () => {
+    expect(trendValueAt(trend, 5)).toBeCloseTo(3);
+    expect(trendValueAt(trend, 10)).toBe(4);
+  });
+
+  it('is null outside the trend', () => {
+    expect(trendValueAt(trend, 11)).toBeNull();
+    expect(trendValueAt([], 0)).toBeNull();
+  });
+});
@@ -1,18 +1,66 @@
+import { PartyCode } from '../types';
+import { getPartyShare } from './parties';
+import { combinedMarginOfError, DEFAULT_SAMPLE_SIZE } from './marginOfError';
+
 export interface AveragePoint {
   x: number;
   y: number;
+  margin: number; // Half-width of the 95% interval from the polls' sampling error
+}
+
+export interface RollingAverageOptions {
+  weightBySampleSize?: boolean; // Larger polls count for more
+  useFieldworkMidpoint?: boolean; // Place polls in the middle of their fieldwork rather than on the publish date
 }
 
-export const calculateRollingAverage = (polls: any[], windowDays: number = 7): AveragePoint[] => {
-  if (polls.length < 2) return [];
+const MS_PER_DAY = 1000 * 3600 * 24;
+
+// Trend value on a given day, linearly interpolated between trend points; null outside the trend
+export const trendValueAt = (trend: AveragePoint[], day: number): number | null => {
+  if (trend.length === 0 || day < trend[0].x || day > trend[trend.length - 1].x) return null;
+
+  const afterIndex = trend.findIndex(point => point.x >= day);
+  const after = trend[afterIndex];
+  if (after.x === day || afterIndex === 0) return after.y;
+
+  const before = trend[afterIndex - 1];
+  const fraction = (day - before.x) / (after.x - before.x);
+  return before.y + fraction * (after.y - before.y);
+};
+
+// Days until election at the middle of the poll's fieldwork, falling back to the publish date
+export const getFieldworkMidpointDay = (poll: any): number => {
+  if (!poll.fieldworkStart || !poll.fieldworkEnd) return poll.daysUntilElection;
+
+  const midpoint = (new Date(poll.fieldworkStart).getTime() + new Date(poll.fieldworkEnd).getTime()) / 2;
+  const daysBeforePublish = (new Date(poll.date).getTime() - midpoint) / MS_PER_DAY;
+  return poll.daysUntilElection + daysBeforePublish;
+};
+
+export const calculateRollingAverage = (
+  polls: any[],
+  windowDays: number = 7,
+  party: PartyCode = 'MDG',
+  options: RollingAverageOptions = {}
+): AveragePoint[] => {
+  // Only polls that report the party count towards its average
+  const partyPolls = polls
+    .filter(poll => getPartyShare(poll, party) !== null)
+    .map(poll => ({
+      day: options.useFieldworkMidpoint ? getFieldworkMidpointDay(poll) : poll.daysUntilElection,
+      share: getPartyShare(poll, party) as number,
+      sampleSize: poll.sampleSize as number | undefined,
+      weight: options.weightBySampleSize ? (poll.sampleSize || DEFAULT_SAMPLE_SIZE) : 1
+    }));
+  if (partyPolls.length < 2) return [];
   
-  // Sort polls by daysUntilElection (ascending, so -100 comes before -90)
-  const sortedPolls = [...polls].sort((a, b) => a.daysUntilElection - b.daysUntilElection);
+  // Sort polls by day (ascending, so -100 comes before -90)
+  const sortedPolls = [...partyPolls].sort((a, b) => a.day - b.day);
   const averages: AveragePoint[] = [];
   
   // Create average points every few days to ensure smooth lines
-  const minDays = Math.min(...sortedPolls.map(p => p.daysUntilElection));
-  const maxDays = Math.max(...sortedPolls.map(p => p.daysUntilElection));
+  const minDays = Math.floor(Math.min(...sortedPolls.map(p => p.day)));
+  const maxDays = Math.ceil(Math.max(...sortedPolls.map(p => p.day)));
   
   const step = Math.max(3, Math.floor((maxDays - minDays) / 100)); // Adaptive step size
   
@@ -22,14 +70,16 @@ export const calculateRollingAverage = (polls: any[], windowDays: number = 7): A
     
     // Find all polls within the window
     const pollsInWindow = sortedPolls.filter(poll => 
-      poll.daysUntilElection >= windowStart && poll.daysUntilElection <= windowEnd
+      poll.day >= windowStart && poll.day <= windowEnd
     );
     
     if (pollsInWindow.length > 0) {
-      const average = pollsInWindow.reduce((sum, poll) => sum + poll.mdgPercentage, 0) / pollsInWindow.length;
+      const totalWeight = pollsInWindow.reduce((sum, poll) => sum + poll.weight, 0);
+      const average = pollsInWindow.reduce((sum, poll) => sum + poll.share * poll.weight, 0) / totalWeight;
       averages.push({
         x: day,
-        y: average
+        y: average,
+        margin: combinedMarginOfError(pollsInWindow)
       });
     }
   }
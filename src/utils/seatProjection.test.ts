@@ -0,0 +1,118 @@
+import {
+  CONSTITUENCY_SEATS,
+  LEVELING_THRESHOLD,
+  TOTAL_SEATS,
+  completeVoteShares,
+  estimateRegionalSwing,
+  getConstituencies,
+  projectSeats,
+  sainteLague,
+} from './seatProjection';
+import { ElectionData, RegionalData } from '../types';
+import { makePoll } from './testPolls';
+
+// Official 2021 votes for the parties above the threshold, from valgresultat.no
+const VOTES_2021 = { A: 783394, H: 607316, Sp: 402961, FrP: 346474, SV: 225063, R: 140931, V: 137433 };
+
+const sum = (values: { [key: string]: number | undefined }) =>
+  Object.values(values).reduce<number>((total, value) => total + (value || 0), 0);
+
+describe('sainteLague', () => {
+  it('reproduces the 2021 national allocation', () => {
+    // 169 seats less the 7 won by KrF, MDG and Pasientfokus, which were under the threshold.
+    // Sp won 28 district seats, more than its national share, so it keeps them and drops out
+    const { Sp, ...withoutSp } = VOTES_2021;
+    expect(sainteLague(VOTES_2021, 162).Sp).toBeLessThan(28);
+
+    // Then A's 48 district seats are more than its share of the rest
+    const { A, ...withoutA } = withoutSp;
+    expect(sainteLague(withoutSp, 162 - 28).A).toBeLessThan(48);
+
+    expect(sainteLague(withoutA, 162 - 28 - 48)).toEqual({ H: 36, FrP: 21, SV: 13, R: 8, V: 8 });
+  });
+
+  it('uses the first divisor only for a party without seats', () => {
+    expect(sainteLague({ a: 10, b: 7.5 }, 2)).toEqual({ a: 1, b: 1 });
+    expect(sainteLague({ a: 10, b: 6.5 }, 2, 1)).toEqual({ a: 1, b: 1 });
+    expect(sainteLague({ a: 10, b: 3.2 }, 2, 1)).toEqual({ a: 2, b: 0 });
+  });
+});
+
+describe('completeVoteShares', () => {
+  it('shares out what the poll leaves over in proportion to the baseline', () => {
+    const shares = completeVoteShares({ A: 30, H: 20 }, { A: 25, H: 25, FrP: 30, MDG: 20 });
+    expect(shares.A).toBe(30);
+    expect(shares.FrP).toBeCloseTo(30);
+    expect(shares.MDG).toBeCloseTo(20);
+    expect(sum(shares)).toBeCloseTo(100);
+  });
+});
+
+describe('getConstituencies', () => {
+  it('shares out every seat in each table', () => {
+    Object.values(CONSTITUENCY_SEATS).forEach(seats => {
+      expect(sum(seats)).toBe(TOTAL_SEATS);
+      expect(Object.keys(seats)).toHaveLength(19);
+    });
+  });
+
+  it('takes the latest table in force for the election year', () => {
+    const seatsIn = (year: number | string, name: string) => getConstituencies(year).find(entry => entry.name === name)?.seats;
+    expect(seatsIn(2021, 'Finnmark')).toBe(5);
+    expect(seatsIn('2025', 'Finnmark')).toBe(4);
+    expect(seatsIn(2029, 'Akershus')).toBe(20);
+    expect(seatsIn(2017, 'Akershus')).toBe(19);
+  });
+});
+
+describe('projectSeats', () => {
+  const votes2021 = { A: 26.3, H: 20.4, Sp: 13.5, FrP: 11.6, SV: 7.6, R: 4.7, V: 4.6, MDG: 3.9, KrF: 3.8, Andre: 3.6 };
+
+  it('fills every seat, with one leveling seat per constituency', () => {
+    const constituencies = getConstituencies(2021);
+    const projection = projectSeats(votes2021, {}, constituencies);
+
+    expect(sum(projection.seats)).toBe(TOTAL_SEATS);
+    expect(sum(projection.levelingSeats)).toBe(constituencies.length);
+    constituencies.forEach(({ name, seats }) => {
+      expect(sum(projection.byConstituency[name])).toBe(seats);
+    });
+  });
+
+  it('levels only the parties at or above the threshold', () => {
+    const { levelingParties, levelingSeats } = projectSeats(votes2021);
+
+    expect(levelingParties).not.toContain('MDG');
+    expect(levelingParties).not.toContain('KrF');
+    expect(levelingSeats.MDG).toBeUndefined();
+    levelingParties.forEach(code => {
+      expect(votes2021[code as keyof typeof votes2021]).toBeGreaterThanOrEqual(LEVELING_THRESHOLD);
+    });
+  });
+
+  it('gives a party with a regional stronghold district seats there', () => {
+    const { byConstituency } = projectSeats(votes2021, { Oslo: { MDG: 4 } });
+    expect(byConstituency.Oslo.MDG).toBeGreaterThan(0);
+  });
+});
+
+describe('estimateRegionalSwing', () => {
+  const cycle = (share: number, days: number[]) => ({ electionDate: '2025-09-08', polls: days.map(day => makePoll(day, share)) });
+  const national: ElectionData = { elections: { 2025: cycle(3, [0, 10, 20, 30, 40, 50, 60]) } };
+
+  it('applies a merged county to the constituencies it covers that have no swing of their own', () => {
+    const regional: RegionalData = {
+      constituencies: {
+        Agder: { label: 'Agder', covers: ['Aust-Agder', 'Vest-Agder'], elections: { 2025: cycle(6, [10, 30, 50]) } },
+        'Vest-Agder': { label: 'Vest-Agder', elections: { 2025: cycle(4, [20, 40, 60]) } },
+      },
+      unassigned: { elections: {} },
+    };
+
+    const swing = estimateRegionalSwing(regional, national, '2025', 'MDG');
+
+    expect(Object.keys(swing).sort()).toEqual(['Aust-Agder', 'Vest-Agder']);
+    expect(swing['Aust-Agder'].MDG).toBeCloseTo(3);
+    expect(swing['Vest-Agder'].MDG).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,239 @@
+import { ElectionData, PartyCode, PartyShares, RegionalData } from '../types';
+import { PARTIES, pollsWithShare } from './parties';
+import { trendValueAt } from './rollingAverage';
+import { calculateModelAverage } from './stateSpaceModel';
+
+// Norwegian parliamentary seat allocation (valgloven chapter 11): 169 seats in 19
+// constituencies. Each constituency has one leveling seat; the rest are district
+// seats shared out with modified Sainte-Laguë. Parties with at least 4% nationally
+// then get leveling seats so their total matches their national share.
+
+export interface Constituency {
+  name: string; // Same names as scripts/lib/constituencies.js and regional-polling-data.json
+  seats: number; // Including the leveling seat
+}
+
+export const TOTAL_SEATS = 169;
+export const LEVELING_THRESHOLD = 4; // Percent of the national vote
+export const FIRST_DIVISOR = 1.4;
+
+// Seats per constituency, including the leveling seat, keyed by the first election they applied to.
+// The Storting reallocates them from population and area every eight years; add a year here when it does.
+// Cycles before the earliest year use it as well, so their district seats are approximate
+export const CONSTITUENCY_SEATS: { [fromYear: number]: { [constituency: string]: number } } = {
+  2021: {
+    'Østfold': 9, 'Akershus': 19, 'Oslo': 20, 'Hedmark': 7, 'Oppland': 6, 'Buskerud': 8, 'Vestfold': 7,
+    'Telemark': 6, 'Aust-Agder': 4, 'Vest-Agder': 6, 'Rogaland': 14, 'Hordaland': 16, 'Sogn og Fjordane': 4,
+    'Møre og Romsdal': 8, 'Sør-Trøndelag': 10, 'Nord-Trøndelag': 5, 'Nordland': 9, 'Troms': 6, 'Finnmark': 5,
+  },
+  2025: {
+    'Østfold': 9, 'Akershus': 20, 'Oslo': 20, 'Hedmark': 7, 'Oppland': 6, 'Buskerud': 8, 'Vestfold': 7,
+    'Telemark': 6, 'Aust-Agder': 4, 'Vest-Agder': 6, 'Rogaland': 14, 'Hordaland': 16, 'Sogn og Fjordane': 4,
+    'Møre og Romsdal': 8, 'Sør-Trøndelag': 10, 'Nord-Trøndelag': 5, 'Nordland': 9, 'Troms': 6, 'Finnmark': 4,
+  },
+};
+
+// The constituencies and their seats for an election year, e.g. from data/elections.json
+export const getConstituencies = (year: number | string): Constituency[] => {
+  const fromYears = Object.keys(CONSTITUENCY_SEATS).map(Number).sort((a, b) => a - b);
+  const fromYear = fromYears.filter(fromYear => fromYear <= Number(year)).pop() ?? fromYears[0];
+  return Object.entries(CONSTITUENCY_SEATS[fromYear]).map(([name, seats]) => ({ name, seats }));
+};
+
+// Percentage points added to a party's national share in a constituency, e.g. { Oslo: { MDG: 4.1 } }
+export type RegionalSwing = { [constituency: string]: PartyShares };
+
+export type SeatCounts = { [party in PartyCode]?: number };
+
+export interface SeatProjection {
+  seats: SeatCounts;
+  districtSeats: SeatCounts;
+  levelingSeats: SeatCounts;
+  byConstituency: { [constituency: string]: SeatCounts };
+  levelingParties: PartyCode[]; // Parties at or above the threshold that took part in the leveling
+}
+
+// "Andre" is every other party lumped together, so it never wins seats
+const SEAT_PARTIES = PARTIES.map(party => party.code).filter(code => code !== 'Andre');
+
+const sumValues = (values: { [key: string]: number | undefined }): number =>
+  Object.values(values).reduce<number>((sum, value) => sum + (value || 0), 0);
+
+/**
+ * Sainte-Laguë: each seat goes to the highest quotient votes / divisor, with
+ * divisors firstDivisor, 3, 5, 7, ... Pass firstDivisor = 1 for the pure method.
+ */
+export const sainteLague = <K extends string>(
+  votes: { [key in K]?: number },
+  seats: number,
+  firstDivisor: number = FIRST_DIVISOR
+): { [key in K]?: number } => {
+  const keys = Object.keys(votes) as K[];
+  const allocation = {} as { [key in K]?: number };
+  keys.forEach(key => { allocation[key] = 0; });
+
+  const divisor = (won: number) => (won === 0 ? firstDivisor : 2 * won + 1);
+  for (let seat = 0; seat < seats; seat++) {
+    let best: K | null = null;
+    let bestQuotient = 0;
+    keys.forEach(key => {
+      const quotient = (votes[key] || 0) / divisor(allocation[key] || 0);
+      if (quotient > bestQuotient) {
+        best = key;
+        bestQuotient = quotient;
+      }
+    });
+    if (best === null) break;
+    allocation[best as K] = (allocation[best as K] || 0) + 1;
+  }
+
+  return allocation;
+};
+
+/**
+ * Fills in the parties a poll doesn't report from a baseline (usually the last
+ * election result), scaled so the vector sums to 100.
+ */
+export const completeVoteShares = (known: PartyShares, baseline: PartyShares): PartyShares => {
+  const missing = PARTIES.map(party => party.code).filter(code => known[code] === undefined);
+  const remaining = Math.max(0, 100 - sumValues(known));
+  const baselineTotal = missing.reduce((sum, code) => sum + (baseline[code] || 0), 0);
+
+  const shares: PartyShares = { ...known };
+  missing.forEach(code => {
+    shares[code] = baselineTotal > 0 ? ((baseline[code] || 0) / baselineTotal) * remaining : 0;
+  });
+  return shares;
+};
+
+// National allocation among the leveling parties. A party whose district seats already
+// exceed its national share keeps them and drops out, and the rest are allocated again.
+const allocateNationally = (
+  votes: PartyShares,
+  districtSeats: SeatCounts,
+  levelingParties: PartyCode[]
+): { levelingParties: PartyCode[]; nationalSeats: SeatCounts } => {
+  const seatsHeldOutside = SEAT_PARTIES
+    .filter(code => !levelingParties.includes(code))
+    .reduce((sum, code) => sum + (districtSeats[code] || 0), 0);
+  const levelingVotes: PartyShares = {};
+  levelingParties.forEach(code => { levelingVotes[code] = votes[code] || 0; });
+  const nationalSeats: SeatCounts = sainteLague(levelingVotes, TOTAL_SEATS - seatsHeldOutside);
+
+  const overRepresented = levelingParties.filter(code => (districtSeats[code] || 0) > (nationalSeats[code] || 0));
+  return overRepresented.length === 0
+    ? { levelingParties, nationalSeats }
+    : allocateNationally(votes, districtSeats, levelingParties.filter(code => !overRepresented.includes(code)));
+};
+
+/**
+ * Projects seats from national vote shares (percent) with the given constituencies,
+ * by default those of the latest seat table. Each constituency votes like the
+ * nation plus its regional swing, so without a swing a party wins district seats
+ * evenly or not at all.
+ */
+export const projectSeats = (
+  votes: PartyShares,
+  swing: RegionalSwing = {},
+  constituencies: Constituency[] = getConstituencies(Infinity)
+): SeatProjection => {
+  const totalVotes = sumValues(votes);
+
+  // District seats, all but one seat in each constituency
+  const byConstituency: { [constituency: string]: SeatCounts } = {};
+  const constituencyVotes: { [constituency: string]: PartyShares } = {};
+  const districtSeats: SeatCounts = {};
+  constituencies.forEach(({ name, seats }) => {
+    const localVotes: PartyShares = {};
+    SEAT_PARTIES.forEach(code => {
+      localVotes[code] = Math.max(0, (votes[code] || 0) + (swing[name]?.[code] || 0));
+    });
+    constituencyVotes[name] = localVotes;
+    byConstituency[name] = sainteLague(localVotes, seats - 1);
+    SEAT_PARTIES.forEach(code => {
+      districtSeats[code] = (districtSeats[code] || 0) + (byConstituency[name][code] || 0);
+    });
+  });
+
+  const { levelingParties, nationalSeats } = allocateNationally(
+    votes,
+    districtSeats,
+    SEAT_PARTIES.filter(code => totalVotes > 0 && ((votes[code] || 0) / totalVotes) * 100 >= LEVELING_THRESHOLD)
+  );
+
+  const levelingSeats: SeatCounts = {};
+  levelingParties.forEach(code => {
+    levelingSeats[code] = (nationalSeats[code] || 0) - (districtSeats[code] || 0);
+  });
+
+  // Place leveling seats: each constituency gets one, going to the party whose next
+  // quotient is highest relative to the constituency's votes per district seat
+  const quotients: { constituency: string; party: PartyCode; quotient: number }[] = [];
+  constituencies.forEach(({ name, seats }) => {
+    const localVotes = constituencyVotes[name];
+    const votesPerSeat = sumValues(localVotes) / (seats - 1);
+    levelingParties.forEach(code => {
+      const won = byConstituency[name][code] || 0;
+      quotients.push({
+        constituency: name,
+        party: code,
+        quotient: votesPerSeat > 0 ? ((localVotes[code] || 0) / (2 * won + 1)) / votesPerSeat : 0
+      });
+    });
+  });
+  quotients.sort((a, b) => b.quotient - a.quotient);
+
+  const remaining: SeatCounts = { ...levelingSeats };
+  const filled = new Set<string>();
+  quotients.forEach(({ constituency, party }) => {
+    if (filled.has(constituency) || !remaining[party]) return;
+    byConstituency[constituency][party] = (byConstituency[constituency][party] || 0) + 1;
+    remaining[party] = (remaining[party] || 0) - 1;
+    filled.add(constituency);
+  });
+
+  const seats: SeatCounts = {};
+  SEAT_PARTIES.forEach(code => {
+    seats[code] = (districtSeats[code] || 0) + (levelingSeats[code] || 0);
+  });
+
+  return { seats, districtSeats, levelingSeats, byConstituency, levelingParties };
+};
+
+// Constituencies need this many regional polls in a cycle before their swing is used
+export const MIN_POLLS_FOR_SWING = 3;
+
+/**
+ * A party's swing per constituency in one cycle: how far its regional polls sit
+ * from the national trend on the days they were taken, averaged. A merged
+ * county's swing applies to each constituency it covers that has none of its own.
+ */
+export const estimateRegionalSwing = (
+  regionalData: RegionalData,
+  electionData: ElectionData,
+  year: string,
+  party: PartyCode
+): RegionalSwing => {
+  const swing: RegionalSwing = {};
+  if (!electionData.elections[year]) return swing;
+  const nationalTrend = calculateModelAverage(electionData.elections[year].polls, party);
+
+  Object.entries(regionalData.constituencies)
+    .sort(([, a], [, b]) => Number(!!a.covers) - Number(!!b.covers))
+    .forEach(([name, constituency]) => {
+      const differences = pollsWithShare(constituency.elections[year]?.polls || [], party)
+        .map(poll => {
+          const national = trendValueAt(nationalTrend, poll.daysUntilElection);
+          return national === null ? null : poll.share - national;
+        })
+        .filter((difference): difference is number => difference !== null);
+
+      if (differences.length >= MIN_POLLS_FOR_SWING) {
+        const average = differences.reduce((sum, difference) => sum + difference, 0) / differences.length;
+        (constituency.covers || [name]).forEach(covered => {
+          if (!swing[covered]) swing[covered] = { [party]: average };
+        });
+      }
+    });
+  return swing;
+};
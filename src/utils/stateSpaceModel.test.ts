@@ -0,0 +1,42 @@
+import { calculateModelAverage } from './stateSpaceModel';
+import { makePoll as poll } from './testPolls';
+
+describe('calculateModelAverage', () => {
+  it('needs at least two polls reporting the party', () => {
+    expect(calculateModelAverage([poll(10, 4)])).toEqual([]);
+  });
+
+  it('stays on a constant series', () => {
+    const polls = Array.from({ length: 20 }, (_, index) => poll(100 - index * 5, 4.5));
+    const average = calculateModelAverage(polls);
+
+    expect(average.length).toBeGreaterThan(0);
+    average.forEach(point => expect(point.y).toBeCloseTo(4.5, 6));
+  });
+
+  it('is most certain where the polls are', () => {
+    // A dense run of polls 100 to 82 days out, then a 60-day gap before the last one
+    const polls = [...Array.from({ length: 10 }, (_, index) => poll(100 - index * 2, 4)), poll(20, 4)];
+    const average = calculateModelAverage(polls);
+    const at = (day: number) => average.find(point => point.x === day) as { margin: number };
+
+    expect(at(50).margin).toBeGreaterThan(at(92).margin);
+  });
+
+  it('pulls towards larger polls', () => {
+    const average = calculateModelAverage([poll(10, 3, { sampleSize: 3000 }), poll(10, 6, { sampleSize: 500 }), poll(13, 4.5)]);
+    expect(average[0].y).toBeLessThan(4.5);
+  });
+
+  it('follows a level shift after the smoothing settles', () => {
+    const polls = [
+      ...Array.from({ length: 10 }, (_, index) => poll(200 - index * 3, 3)),
+      ...Array.from({ length: 10 }, (_, index) => poll(60 - index * 3, 6))
+    ];
+    const average = calculateModelAverage(polls);
+
+    // Ordered by days until the election, so the newest polls come first
+    expect(average[0].y).toBeCloseTo(6, 0);
+    expect(average[average.length - 1].y).toBeCloseTo(3, 0);
+  });
+});
@@ -0,0 +1,109 @@
+import { PartyCode } from '../types';
+import { getPartyShare } from './parties';
+import { DEFAULT_SAMPLE_SIZE, Z_95, marginOfError } from './marginOfError';
+import { AveragePoint, getFieldworkMidpointDay } from './rollingAverage';
+
+export interface ModelAverageOptions {
+  useFieldworkMidpoint?: boolean; // Place polls in the middle of their fieldwork rather than on the publish date
+  processVariance?: number; // Daily drift variance of true support (pp²), overrides the size-based default
+}
+
+// Daily drift variance per percentage point of support: larger parties move more in absolute terms
+const PROCESS_VARIANCE_PER_POINT = 0.005;
+
+// Prior spread of the starting level (pp²), wide enough that the first polls dominate
+const INITIAL_VARIANCE = 25;
+
+interface Observation {
+  day: number;
+  share: number;
+  variance: number;
+}
+
+/**
+ * Local-level state-space model: true support follows a random walk and every poll
+ * is a noisy reading of it with its own sampling variance. A Kalman filter runs forward
+ * through the polls and a Rauch-Tung-Striebel smoother runs back, so each estimate uses
+ * polls on both sides and irregular gaps just widen the interval instead of breaking the line.
+ *
+ * Returns the same points as calculateRollingAverage, with margin being the 95% credible interval.
+ */
+export const calculateModelAverage = (
+  polls: any[],
+  party: PartyCode = 'MDG',
+  options: ModelAverageOptions = {}
+): AveragePoint[] => {
+  const observations: Observation[] = polls
+    .filter(poll => getPartyShare(poll, party) !== null)
+    .map(poll => {
+      const share = getPartyShare(poll, party) as number;
+      const standardError = marginOfError(share, poll.sampleSize || DEFAULT_SAMPLE_SIZE) / Z_95;
+      return {
+        day: options.useFieldworkMidpoint ? getFieldworkMidpointDay(poll) : poll.daysUntilElection,
+        share,
+        // Floor the variance so a reported 0% doesn't pin the level
+        variance: Math.max(standardError ** 2, 0.01)
+      };
+    })
+    .sort((a, b) => a.day - b.day);
+  if (observations.length < 2) return [];
+
+  const meanShare = observations.reduce((sum, obs) => sum + obs.share, 0) / observations.length;
+  const processVariance = options.processVariance ?? Math.max(meanShare, 1) * PROCESS_VARIANCE_PER_POINT;
+
+  // Evaluate on the same adaptive grid as the rolling average, plus every poll day
+  const minDays = Math.floor(observations[0].day);
+  const maxDays = Math.ceil(observations[observations.length - 1].day);
+  const step = Math.max(3, Math.floor((maxDays - minDays) / 100));
+  const gridDays: number[] = [];
+  for (let day = minDays; day <= maxDays; day += step) {
+    gridDays.push(day);
+  }
+  const days = Array.from(new Set(gridDays.concat(observations.map(obs => obs.day)))).sort((a, b) => a - b);
+
+  // Forward pass (Kalman filter)
+  const predictedMean: number[] = [];
+  const predictedVariance: number[] = [];
+  const filteredMean: number[] = [];
+  const filteredVariance: number[] = [];
+  let mean = observations[0].share;
+  let variance = INITIAL_VARIANCE;
+  let previousDay = days[0];
+  let next = 0;
+
+  days.forEach((day, index) => {
+    variance += processVariance * (day - previousDay);
+    previousDay = day;
+    predictedMean[index] = mean;
+    predictedVariance[index] = variance;
+
+    while (next < observations.length && observations[next].day === day) {
+      const { share, variance: observationVariance } = observations[next];
+      const gain = variance / (variance + observationVariance);
+      mean += gain * (share - mean);
+      variance *= 1 - gain;
+      next++;
+    }
+
+    filteredMean[index] = mean;
+    filteredVariance[index] = variance;
+  });
+
+  // Backward pass (RTS smoother)
+  const smoothedMean = filteredMean.slice();
+  const smoothedVariance = filteredVariance.slice();
+  for (let index = days.length - 2; index >= 0; index--) {
+    const gain = filteredVariance[index] / predictedVariance[index + 1];
+    smoothedMean[index] = filteredMean[index] + gain * (smoothedMean[index + 1] - predictedMean[index + 1]);
+    smoothedVariance[index] = filteredVariance[index] + gain ** 2 * (smoothedVariance[index + 1] - predictedVariance[index + 1]);
+  }
+
+  const onGrid = new Set(gridDays);
+  return days
+    .map((day, index) => ({
+      x: day,
+      y: smoothedMean[index],
+      margin: Z_95 * Math.sqrt(smoothedVariance[index])
+    }))
+    .filter(point => onGrid.has(point.x));
+};
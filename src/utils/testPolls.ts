@@ -0,0 +1,15 @@
+import { Poll } from '../types';
+
+// Polls for the unit tests: only what the averaging code reads, with any other field passed in
+export const makePoll = (daysUntilElection: number, share: number, fields: Partial<Poll> = {}): Poll => ({
+  date: '2025-08-01',
+  daysUntilElection,
+  mdgPercentage: share,
+  pollster: 'pollofpolls.no - Norstat for NRK 1. august 2025',
+  url: '',
+  ...fields
+});
+
+// A poll from the named firm, which is read from the title as for data saved before `firm` was stored
+export const firmPoll = (firm: string, daysUntilElection: number, share: number, fields: Partial<Poll> = {}): Poll =>
+  makePoll(daysUntilElection, share, { pollster: `pollofpolls.no - ${firm} for NRK 1. august 2025`, ...fields });
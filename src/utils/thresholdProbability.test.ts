@@ -0,0 +1,49 @@
+import { Z_95 } from './marginOfError';
+import { currentThresholdProbability, simulateThresholdProbability } from './thresholdProbability';
+import { makePoll as poll } from './testPolls';
+
+// One point per case, each with a standard error of 1 pp
+const point = (x: number, y: number) => ({ x, y, margin: Z_95 });
+
+describe('simulateThresholdProbability', () => {
+  it('matches the normal distribution', () => {
+    const [atThreshold, oneAbove, twoBelow] = simulateThresholdProbability(
+      [point(30, 4), point(20, 5), point(10, 2)],
+      4,
+      20000,
+      42
+    );
+
+    expect(atThreshold.y).toBeCloseTo(50, -0.5); // Within about 1.6 points
+    expect(oneAbove.y).toBeCloseTo(84.1, -0.5);
+    expect(twoBelow.y).toBeCloseTo(2.3, -0.5);
+    expect([atThreshold.x, oneAbove.x, twoBelow.x]).toEqual([30, 20, 10]);
+  });
+
+  it('gives the same result for the same seed', () => {
+    const average = [point(10, 4.2)];
+    expect(simulateThresholdProbability(average, 4, 1000, 7)).toEqual(simulateThresholdProbability(average, 4, 1000, 7));
+    expect(simulateThresholdProbability(average, 4, 1000, 7)).not.toEqual(simulateThresholdProbability(average, 4, 1000, 8));
+  });
+
+  it('is certain without uncertainty', () => {
+    const [above, below] = simulateThresholdProbability([{ x: 1, y: 4.1, margin: 0 }, { x: 0, y: 3.9, margin: 0 }], 4, 100);
+    expect(above.y).toBe(100);
+    expect(below.y).toBe(0);
+  });
+});
+
+describe('currentThresholdProbability', () => {
+  it('reads the point closest to the election', () => {
+    const polls = [poll(40, 2), poll(37, 2), poll(6, 6), poll(3, 6)];
+    const current = currentThresholdProbability(polls, 'MDG', 'rolling');
+
+    expect(current?.daysUntilElection).toBe(3);
+    expect(current?.share).toBeCloseTo(6);
+    expect(current?.probability).toBeGreaterThan(95);
+  });
+
+  it('is null without an average', () => {
+    expect(currentThresholdProbability([poll(3, 6)], 'MDG', 'rolling')).toBeNull();
+  });
+});
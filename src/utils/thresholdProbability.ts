@@ -0,0 +1,92 @@
+import { PartyCode, Poll, SmoothingMethod } from '../types';
+import { LEVELING_THRESHOLD } from './seatProjection';
+import { calculatePollAverage } from './pollAverage';
+import { pollsWithShare } from './parties';
+import { AveragePoint, RollingAverageOptions } from './rollingAverage';
+import { Z_95 } from './marginOfError';
+
+export interface ProbabilityPoint {
+  x: number; // Days until election
+  y: number; // Probability in percent
+}
+
+export const DEFAULT_SIMULATIONS = 5000;
+export const THRESHOLD_WINDOW_DAYS = 14;
+
+// Small seeded generator (mulberry32) so the same data always gives the same curve
+const createRandom = (seed: number) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw by the Box-Muller transform
+const normalDraw = (random: () => number): number => {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Probability that the true share is at or above the threshold at each point of an
+ * average, by drawing shares from a normal distribution with the average's 95% margin.
+ */
+export const simulateThresholdProbability = (
+  average: AveragePoint[],
+  threshold: number = LEVELING_THRESHOLD,
+  simulations: number = DEFAULT_SIMULATIONS,
+  seed: number = 1
+): ProbabilityPoint[] => {
+  const random = createRandom(seed);
+
+  return average.map(point => {
+    const standardError = point.margin / Z_95;
+    let above = 0;
+    for (let i = 0; i < simulations; i++) {
+      if (point.y + standardError * normalDraw(random) >= threshold) above++;
+    }
+    return { x: point.x, y: (above / simulations) * 100 };
+  });
+};
+
+// P(share ≥ threshold) over one cycle, from the same average the charts draw
+export const calculateThresholdProbability = (
+  polls: Poll[],
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  threshold: number = LEVELING_THRESHOLD,
+  options: RollingAverageOptions = {}
+): ProbabilityPoint[] => {
+  const partyPolls = pollsWithShare(polls, party);
+  return simulateThresholdProbability(calculatePollAverage(smoothing, partyPolls, THRESHOLD_WINDOW_DAYS, party, options), threshold);
+};
+
+export interface CurrentThresholdProbability {
+  probability: number;
+  share: number;
+  daysUntilElection: number;
+}
+
+// The probability at the most recent point of a cycle's average, for headline use
+export const currentThresholdProbability = (
+  polls: Poll[],
+  party: PartyCode,
+  smoothing: SmoothingMethod,
+  threshold: number = LEVELING_THRESHOLD,
+  options: RollingAverageOptions = {}
+): CurrentThresholdProbability | null => {
+  const average = calculatePollAverage(smoothing, pollsWithShare(polls, party), THRESHOLD_WINDOW_DAYS, party, options);
+  if (average.length === 0) return null;
+
+  const latest = average.reduce((closest, point) => (point.x < closest.x ? point : closest), average[0]);
+  return {
+    probability: simulateThresholdProbability([latest], threshold)[0].y,
+    share: latest.y,
+    daysUntilElection: latest.x
+  };
+};
@@ -0,0 +1,33 @@
+import { ElectionData, TimelineRange } from '../types';
+import { UrlCodec } from './urlState';
+
+// Narrowest span the brush and zoom gestures allow
+export const MIN_RANGE_DAYS = 7;
+
+// Furthest day before an election that any cycle has polls for, rounded up to a whole 50
+export const timelineBounds = (...datasets: (ElectionData | null | undefined)[]): TimelineRange => {
+  const days = datasets.flatMap(data =>
+    data ? Object.values(data.elections).flatMap(election => election.polls.map(poll => poll.daysUntilElection)) : []
+  );
+  return { min: 0, max: Math.ceil(Math.max(50, ...days) / 50) * 50 };
+};
+
+// Clamps a range into the bounds, keeping at least MIN_RANGE_DAYS of span
+export const clampRange = (range: TimelineRange, bounds: TimelineRange): TimelineRange => {
+  const span = Math.min(Math.max(range.max - range.min, MIN_RANGE_DAYS), bounds.max - bounds.min);
+  const min = Math.min(Math.max(range.min, bounds.min), bounds.max - span);
+  return { min: Math.round(min), max: Math.round(min + span) };
+};
+
+// A tick step giving roughly 5-10 ticks over the span
+export const dayTickStep = (span: number): number =>
+  [1, 2, 5, 10, 25, 50, 100, 200].find(step => span / step <= 10) || 500;
+
+// A range as "min-max" in the URL, e.g. range=0-120
+export const rangeCodec: UrlCodec<TimelineRange | null> = {
+  parse: value => {
+    const match = value.match(/^(\d+)-(\d+)$/);
+    return match && Number(match[1]) < Number(match[2]) ? { min: Number(match[1]), max: Number(match[2]) } : null;
+  },
+  stringify: range => (range ? `${Math.round(range.min)}-${Math.round(range.max)}` : '')
+};
@@ -0,0 +1,48 @@
+// View state lives in the URL hash as query parameters, e.g. #party=SV&smoothing=model&section=historical,
+// so a copied link reopens the same view
+
+export const readUrlParams = (): URLSearchParams => new URLSearchParams(window.location.hash.replace(/^#/, ''));
+
+// Sets or (with null) removes parameters without adding history entries
+export const writeUrlParams = (updates: { [key: string]: string | null }) => {
+  const params = readUrlParams();
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === null) {
+      params.delete(key);
+    } else {
+      params.set(key, value);
+    }
+  });
+  const hash = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+};
+
+// Link to the current view, scrolled to one section of the page
+export const shareUrl = (section: string): string => {
+  const params = readUrlParams();
+  params.set('section', section);
+  return `${window.location.origin}${window.location.pathname}${window.location.search}#${params.toString()}`;
+};
+
+export interface UrlCodec<T> {
+  parse: (value: string) => T | null; // null when the value is not valid, so the default is used
+  stringify: (value: T) => string;
+}
+
+export const stringCodec = <T extends string>(allowed?: readonly T[]): UrlCodec<T> => ({
+  parse: value => (!allowed || allowed.includes(value as T) ? (value as T) : null),
+  stringify: value => value
+});
+
+export const booleanCodec: UrlCodec<boolean> = {
+  parse: value => value === '1',
+  stringify: value => (value ? '1' : '0')
+};
+
+export const toggleListItem = (list: string[], item: string): string[] =>
+  list.includes(item) ? list.filter(other => other !== item) : [...list, item];
+
+export const listCodec: UrlCodec<string[]> = {
+  parse: value => value.split(',').filter(Boolean),
+  stringify: value => value.join(',')
+};